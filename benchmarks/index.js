@@ -0,0 +1,207 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+
+/**
+ * Benchmarks the message rendering of t(). Token messages are compared
+ * against copies of the original Locale#_strtr() and Locale#t(), which
+ * looked up the translation and replaced its tokens on every call, and ICU
+ * messages are compared against parsing the message on every call. Run with
+ * "npm run benchmark".
+ *
+ * @author Orgun109uk <orgun109uk@gmail.com>
+ */
+
+require('../index.js');
+
+var loader = require('nsloader'),
+    Locale = loader('Entity/Locale'),
+    MessageFormat = loader('Entity/Locale/MessageFormat'),
+    compile = loader('Entity/Locale/compile');
+
+/**
+ * The number of iterations of each benchmark.
+ *
+ * @type {Number}
+ */
+var ITERATIONS = 100000;
+
+/**
+ * The messages used by the benchmarks, with their translations and params.
+ *
+ * @type {Array}
+ */
+var MESSAGES = [{
+  msg: 'Welcome back :name, you have :count new messages',
+  translation: 'Bon retour :name, vous avez :count nouveaux messages',
+  params: {name: 'Bob', count: 5}
+}, {
+  msg: '{count, plural, one {:name has # item} other {:name has # items}}',
+  translation: '{count, plural, one {:name a # article} ' +
+    'other {:name a # articles}}',
+  params: {name: 'Bob', count: 3}
+}];
+
+/**
+ * Perform token string replacement, a copy of the original
+ * Locale#_strtr().
+ *
+ * @param {String} str The string to replace.
+ * @param {Object} params The token params.
+ * @return {String} The replaced string.
+ */
+function originalStrtr(str, params) {
+  'use strict';
+
+  var i, len,
+      j, frm,
+      from = [],
+      to = [],
+      ret = '',
+      match = false;
+
+  for (var arg in params) {
+    from.push(':' + arg);
+    to.push(params[arg]);
+  }
+
+  for (i = 0, len = str.length; i < len; i++) {
+    match = false;
+    for (j = 0, frm = from.length; j < frm; j++) {
+      if (str.substr(i, from[j].length) === from[j]) {
+        match = true;
+        i = (i + from[j].length) - 1;
+
+        break;
+      }
+    }
+
+    ret += match ? to[j] : str.charAt(i);
+  }
+
+  return ret;
+}
+
+/**
+ * Translate the given string, a copy of the original Locale#t() given the
+ * translations it looked up.
+ *
+ * @param {Object} locales The translations keyed by language.
+ * @param {String} language The language to translate to.
+ * @param {String} str The string to translate to.
+ * @param {Object} [params] The params for token replacement.
+ * @return {String} The translated and token replaced string.
+ */
+function originalT(locales, language, str, params) {
+  'use strict';
+
+  if (locales[language] && locales[language][str]) {
+    str = locales[language][str];
+  }
+
+  return originalStrtr(str, params);
+}
+
+/**
+ * Formats the given ICU message, parsing the message on every call.
+ *
+ * @param {String} language The language of the message.
+ * @param {String} str The message to format.
+ * @param {Object} [params] The params.
+ * @return {String} The formatted string.
+ */
+function parsedFormat(language, str, params) {
+  'use strict';
+
+  return new MessageFormat(language, str).format(params, function (text) {
+    return originalStrtr(text, params);
+  });
+}
+
+/**
+ * Times the given function and returns the operations per second.
+ *
+ * @param {Function} fn The function to benchmark.
+ * @return {Number} The operations per second.
+ */
+function measure(fn) {
+  'use strict';
+
+  var start, elapsed, i;
+
+  for (i = 0; i < ITERATIONS / 10; i++) {
+    fn();
+  }
+
+  start = process.hrtime();
+  for (i = 0; i < ITERATIONS; i++) {
+    fn();
+  }
+
+  elapsed = process.hrtime(start);
+
+  return ITERATIONS / (elapsed[0] + elapsed[1] / 1e9);
+}
+
+/**
+ * Runs a benchmark comparing the original and current implementations, and
+ * outputs the results.
+ *
+ * @param {String} name The name of the benchmark.
+ * @param {Function} original The original implementation.
+ * @param {Function} current The current implementation.
+ */
+function run(name, original, current) {
+  'use strict';
+
+  var before = measure(original),
+      after = measure(current);
+
+  console.log(name);
+  console.log('  original: ' + Math.round(before) + ' ops/sec');
+  console.log('  current:  ' + Math.round(after) + ' ops/sec');
+  console.log('  gain:     ' + (after / before).toFixed(1) + 'x');
+}
+
+MESSAGES.forEach(function (message) {
+  'use strict';
+
+  var tokens = compile.tokens(message.translation),
+      render = compile.compile('fr', message.translation),
+      locale = new Locale(),
+      locales = {fr: {}};
+
+  locale.override('fr', message.msg, message.translation);
+  locales.fr[message.msg] = message.translation;
+
+  if (message.translation.indexOf('{') !== -1) {
+    return run('format: ' + message.msg, function () {
+      parsedFormat('fr', message.translation, message.params);
+    }, function () {
+      render(message.params);
+    });
+  }
+
+  run('strtr: ' + message.msg, function () {
+    originalStrtr(message.translation, message.params);
+  }, function () {
+    tokens(message.params);
+  });
+
+  run('t(): ' + message.msg, function () {
+    originalT(locales, 'fr', message.msg, message.params);
+  }, function () {
+    locale.t('fr', message.msg, message.params);
+  });
+});
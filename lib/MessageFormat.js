@@ -0,0 +1,666 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+/**
+ * Provides the ICU MessageFormat parser and formatter.
+ *
+ * @author Orgun109uk <orgun109uk@gmail.com>
+ */
+
+var loader = require('nsloader'),
+    pluralRules = loader('Entity/Locale/pluralRules'),
+    formatters = loader('Entity/Locale/formatters');
+
+/**
+ * Creates a parse error for the given pattern position.
+ *
+ * @param {String} msg The error message.
+ * @param {String} pattern The pattern being parsed.
+ * @param {Integer} pos The position the error occurred.
+ * @return {Error} The error.
+ * @private
+ */
+function parseError(msg, pattern, pos) {
+  'use strict';
+
+  var err = new Error(msg + ' at position ' + pos + ' in "' + pattern + '"');
+  err.pattern = pattern;
+  err.position = pos;
+
+  return err;
+}
+
+/**
+ * A simple recursive descent parser for ICU message patterns.
+ *
+ * @class
+ * @param {String} pattern The message pattern.
+ * @private
+ */
+function Parser(pattern) {
+  'use strict';
+
+  this.pattern = pattern;
+  this.pos = 0;
+}
+
+/**
+ * Skips any whitespace at the current position.
+ *
+ * @private
+ */
+Parser.prototype.skipSpace = function () {
+  'use strict';
+
+  while (/\s/.test(this.pattern.charAt(this.pos))) {
+    this.pos++;
+  }
+};
+
+/**
+ * Consumes the expected character, or throws an error.
+ *
+ * @param {String} chr The expected character.
+ * @throws {Error} If the character at the current position doesn't match.
+ * @private
+ */
+Parser.prototype.expect = function (chr) {
+  'use strict';
+
+  if (this.pattern.charAt(this.pos) !== chr) {
+    throw parseError('Expected "' + chr + '"', this.pattern, this.pos);
+  }
+
+  this.pos++;
+};
+
+/**
+ * Consumes a "," separator and any surrounding whitespace.
+ *
+ * @return {Boolean} Returns true if there was a separator.
+ * @private
+ */
+Parser.prototype.comma = function () {
+  'use strict';
+
+  this.skipSpace();
+  if (this.pattern.charAt(this.pos) !== ',') {
+    return false;
+  }
+
+  this.pos++;
+  this.skipSpace();
+
+  return true;
+};
+
+/**
+ * Reads a word, stopping at whitespace or syntax characters.
+ *
+ * @return {String} The word.
+ * @throws {Error} If there is no word at the current position.
+ * @private
+ */
+Parser.prototype.word = function () {
+  'use strict';
+
+  var start = this.pos;
+  while (
+    this.pos < this.pattern.length &&
+    !/[\s{},]/.test(this.pattern.charAt(this.pos))
+  ) {
+    this.pos++;
+  }
+
+  if (start === this.pos) {
+    throw parseError('Expected an identifier', this.pattern, this.pos);
+  }
+
+  return this.pattern.substring(start, this.pos);
+};
+
+/**
+ * Parses a message, returning the list of text and argument parts.
+ *
+ * @param {Integer} depth The nesting depth, nested messages end at a "}".
+ * @param {Boolean} inPlural If "#" should be treated as the plural number.
+ * @return {Array} The message parts.
+ * @private
+ */
+Parser.prototype.message = function (depth, inPlural) {
+  'use strict';
+
+  var parts = [],
+      text = '',
+      chr;
+
+  while (this.pos < this.pattern.length) {
+    chr = this.pattern.charAt(this.pos);
+
+    if (chr === '}') {
+      break;
+    } else if (chr === '\'') {
+      text += this.quoted(inPlural);
+    } else if (chr === '{' || (chr === '#' && inPlural)) {
+      parts.push(text, this.placeholder(inPlural));
+      text = '';
+    } else {
+      text += chr;
+      this.pos++;
+    }
+  }
+
+  this.end(depth);
+  parts.push(text);
+
+  return parts.filter(function (part) {
+    return part !== '';
+  });
+};
+
+/**
+ * Checks the message ended at the expected position, nested messages must
+ * end with a "}" and the top level message at the end of the pattern.
+ *
+ * @param {Integer} depth The nesting depth.
+ * @throws {Error} If the message ended unexpectedly.
+ * @private
+ */
+Parser.prototype.end = function (depth) {
+  'use strict';
+
+  if (depth === 0 && this.pos < this.pattern.length) {
+    throw parseError('Unexpected "}"', this.pattern, this.pos);
+  } else if (depth > 0 && this.pos >= this.pattern.length) {
+    throw parseError('Unclosed argument', this.pattern, this.pos);
+  }
+};
+
+/**
+ * Parses either an argument or a plural "#" placeholder.
+ *
+ * @param {Boolean} inPlural If "#" should be treated as the plural number.
+ * @return {Object} The placeholder part.
+ * @private
+ */
+Parser.prototype.placeholder = function (inPlural) {
+  'use strict';
+
+  if (this.pattern.charAt(this.pos) === '#') {
+    this.pos++;
+    return {type: 'pound'};
+  }
+
+  return this.argument(inPlural);
+};
+
+/**
+ * Parses apostrophe quoting, "''" is a literal apostrophe and an apostrophe
+ * before a syntax character quotes text up to the next single apostrophe.
+ *
+ * @param {Boolean} inPlural If "#" is a syntax character.
+ * @return {String} The literal text.
+ * @private
+ */
+Parser.prototype.quoted = function (inPlural) {
+  'use strict';
+
+  var next = this.pattern.charAt(this.pos + 1);
+
+  if (next === '\'') {
+    this.pos += 2;
+    return '\'';
+  }
+
+  this.pos++;
+  if (next !== '{' && next !== '}' && !(next === '#' && inPlural)) {
+    return '\'';
+  }
+
+  return this.quotedText();
+};
+
+/**
+ * Reads quoted text up to the closing apostrophe, an escaped "''" within the
+ * quoted text is a literal apostrophe.
+ *
+ * @return {String} The literal text.
+ * @private
+ */
+Parser.prototype.quotedText = function () {
+  'use strict';
+
+  var text = '',
+      end;
+
+  while (this.pos < this.pattern.length) {
+    end = this.pattern.indexOf('\'', this.pos);
+    if (end === -1) {
+      end = this.pattern.length;
+    }
+
+    text += this.pattern.substring(this.pos, end);
+    this.pos = end + 1;
+
+    if (this.pattern.charAt(end + 1) !== '\'') {
+      break;
+    }
+
+    text += '\'';
+    this.pos++;
+  }
+
+  return text;
+};
+
+/**
+ * Parses an argument, such as "{name}", "{count, plural, ...}" or
+ * "{amount, number, currency}".
+ *
+ * @param {Boolean} inPlural If the argument is nested within a plural.
+ * @return {Object} The argument part.
+ * @private
+ */
+Parser.prototype.argument = function (inPlural) {
+  'use strict';
+
+  var part = {type: 'argument'};
+
+  this.expect('{');
+  this.skipSpace();
+  part.name = this.word();
+
+  if (this.comma()) {
+    part.format = this.word();
+
+    if (this.comma()) {
+      this.argumentStyle(part, inPlural);
+    }
+  }
+
+  this.skipSpace();
+  this.expect('}');
+
+  return part;
+};
+
+/**
+ * Parses the style of a typed argument, plural and select arguments have
+ * their options parsed.
+ *
+ * @param {Object} part The argument part to update.
+ * @param {Boolean} inPlural If the argument is nested within a plural.
+ * @private
+ */
+Parser.prototype.argumentStyle = function (part, inPlural) {
+  'use strict';
+
+  switch (part.format) {
+    case 'plural':
+    case 'selectordinal':
+      part.type = 'plural';
+      part.ordinal = part.format === 'selectordinal';
+      part.offset = this.offset();
+      part.options = this.options(true);
+      break;
+
+    case 'select':
+      part.type = 'select';
+      part.options = this.options(inPlural);
+      break;
+
+    default:
+      part.style = this.style();
+  }
+};
+
+/**
+ * Parses the optional "offset:n" of a plural argument.
+ *
+ * @return {Number} The offset.
+ * @private
+ */
+Parser.prototype.offset = function () {
+  'use strict';
+
+  var match = /^offset:\s*(\d+)/.exec(this.pattern.substring(this.pos));
+  if (!match) {
+    return 0;
+  }
+
+  this.pos += match[0].length;
+  this.skipSpace();
+
+  return parseInt(match[1], 10);
+};
+
+/**
+ * Parses the options of a plural or select argument.
+ *
+ * @param {Boolean} inPlural If "#" should be treated as the plural number.
+ * @return {Object} The option messages keyed by their selector.
+ * @throws {Error} If there is no "other" option.
+ * @private
+ */
+Parser.prototype.options = function (inPlural) {
+  'use strict';
+
+  var options = {},
+      start = this.pos,
+      selector;
+
+  while (this.pos < this.pattern.length) {
+    this.skipSpace();
+    if (this.pattern.charAt(this.pos) === '}') {
+      break;
+    }
+
+    selector = this.word();
+    this.skipSpace();
+    this.expect('{');
+    options[selector] = this.message(1, inPlural);
+    this.expect('}');
+  }
+
+  if (options.other === undefined) {
+    throw parseError('Missing "other" option', this.pattern, start);
+  }
+
+  return options;
+};
+
+/**
+ * Parses the raw style of a typed argument, such as "currency".
+ *
+ * @return {String} The style.
+ * @private
+ */
+Parser.prototype.style = function () {
+  'use strict';
+
+  var start = this.pos,
+      depth = 0,
+      chr;
+
+  while (this.pos < this.pattern.length) {
+    chr = this.pattern.charAt(this.pos);
+    if (chr === '}' && depth === 0) {
+      break;
+    }
+
+    depth += chr === '{' ? 1 : (chr === '}' ? -1 : 0);
+    this.pos++;
+  }
+
+  return this.pattern.substring(start, this.pos).trim();
+};
+
+/**
+ * The MessageFormat class parses an ICU message pattern and formats it with
+ * the given params, using the CLDR plural rules of the language. Typed
+ * arguments, such as "{price, number, currency}", are formatted for the
+ * language.
+ *
+ * @class
+ * @param {String} language The language of the pattern.
+ * @param {String} pattern The message pattern.
+ * @param {Object} [options] The formatting defaults.
+ * @param {String} [options.currency] The default currency code.
+ * @param {String} [options.timeZone] The time zone of dates.
+ * @param {Function} [options.escape] A function used to escape the
+ *   formatted argument values, such as an HTML escaper.
+ * @throws {Error} If the pattern contains invalid syntax.
+ */
+function MessageFormat(language, pattern, options) {
+  'use strict';
+
+  var parts = new Parser(pattern).message(0, false);
+
+  Object.defineProperties(this, {
+    /**
+     * Get the language of the message.
+     *
+     * @var {String} language
+     * @memberof MessageFormat
+     * @readonly
+     * @instance
+     */
+    language: {
+      value: language
+    },
+    /**
+     * Get the original message pattern.
+     *
+     * @var {String} pattern
+     * @memberof MessageFormat
+     * @readonly
+     * @instance
+     */
+    pattern: {
+      value: pattern
+    },
+    /**
+     * Get the parsed message parts.
+     *
+     * @var {Array} parts
+     * @memberof MessageFormat
+     * @readonly
+     * @instance
+     */
+    parts: {
+      value: parts
+    },
+    /**
+     * Get the formatting defaults.
+     *
+     * @var {Object} options
+     * @memberof MessageFormat
+     * @readonly
+     * @instance
+     */
+    options: {
+      value: options || {}
+    }
+  });
+}
+
+/**
+ * Formats the given list of parts, adding the formatted output to the given
+ * output parts.
+ *
+ * @param {Array} parts The parts to format.
+ * @param {Object} params The params.
+ * @param {Function} text A callback used to process literal text.
+ * @param {Number} [num] The number "#" should output.
+ * @param {Array} out The output parts.
+ * @return {Array} The output parts.
+ * @private
+ */
+MessageFormat.prototype._formatParts = function (
+  parts, params, text, num, out
+) {
+  'use strict';
+
+  var value;
+
+  for (var i = 0, len = parts.length; i < len; i++) {
+    if (typeof parts[i] !== 'string') {
+      this._formatArgument(parts[i], params, text, num, out);
+      continue;
+    }
+
+    value = text(parts[i]);
+
+    if (Array.isArray(value)) {
+      out.push.apply(out, value);
+    } else {
+      out.push(value);
+    }
+  }
+
+  return out;
+};
+
+/**
+ * Formats a single argument part, adding the formatted output to the given
+ * output parts.
+ *
+ * @param {Object} part The argument part.
+ * @param {Object} params The params.
+ * @param {Function} text A callback used to process literal text.
+ * @param {Number} [num] The number "#" should output.
+ * @param {Array} out The output parts.
+ * @private
+ */
+MessageFormat.prototype._formatArgument = function (
+  part, params, text, num, out
+) {
+  'use strict';
+
+  var value = params[part.name],
+      key, rules;
+
+  switch (part.type) {
+    case 'pound':
+      out.push(num === undefined ? '#' : String(num));
+      break;
+
+    case 'plural':
+      value = Number(value);
+      key = '=' + value;
+
+      if (part.options[key] === undefined) {
+        rules = part.ordinal ? pluralRules.ordinal : pluralRules.cardinal;
+        key = isNaN(value) ?
+          'other' :
+          rules(this.language, value - part.offset);
+      }
+
+      this._formatParts(
+        part.options[key] || part.options.other,
+        params,
+        text,
+        value - part.offset,
+        out
+      );
+      break;
+
+    case 'select':
+      key = String(value);
+      this._formatParts(
+        part.options.hasOwnProperty(key) ?
+          part.options[key] :
+          part.options.other,
+        params,
+        text,
+        num,
+        out
+      );
+      break;
+
+    default:
+      out.push(this._formatSimple(part, value));
+  }
+};
+
+/**
+ * Formats a simple or typed argument, escaping the formatted value if an
+ * escape function is given. A missing value outputs the argument as is.
+ *
+ * @param {Object} part The argument part.
+ * @param {*} value The value.
+ * @return {String} The formatted argument.
+ * @private
+ */
+MessageFormat.prototype._formatSimple = function (part, value) {
+  'use strict';
+
+  if (value === undefined || value === null) {
+    return '{' + part.name + '}';
+  }
+
+  value = this._formatValue(part, value);
+
+  return this.options.escape ? this.options.escape(value) : value;
+};
+
+/**
+ * Formats the value of a simple or typed argument, values which can't be
+ * formatted as their type are output as is.
+ *
+ * @param {Object} part The argument part.
+ * @param {*} value The value.
+ * @return {String} The formatted value.
+ * @private
+ */
+MessageFormat.prototype._formatValue = function (part, value) {
+  'use strict';
+
+  if (!part.format) {
+    return String(value);
+  }
+
+  try {
+    return formatters.argument(
+      this.language, part.format, part.style, value, this.options
+    );
+  } catch (err) {
+    return String(value);
+  }
+};
+
+/**
+ * Formats the message with the given params.
+ *
+ * @param {Object} [params] The params for argument replacement.
+ * @param {Function} [text] A callback used to process literal text, such as
+ *   the Locale token replacement.
+ * @param {String} text.str The literal text.
+ * @return {String} The formatted message.
+ */
+MessageFormat.prototype.format = function (params, text) {
+  'use strict';
+
+  return this.formatToParts(params, text).join('');
+};
+
+/**
+ * Formats the message with the given params into a list of parts, the
+ * literal text and argument values are separate parts. The text callback
+ * may return an array of parts, such as the tags of a rich text message,
+ * which are added to the list as is.
+ *
+ * @param {Object} [params] The params for argument replacement.
+ * @param {Function} [text] A callback used to process literal text.
+ * @param {String} text.str The literal text.
+ * @return {Array} The formatted parts.
+ */
+MessageFormat.prototype.formatToParts = function (params, text) {
+  'use strict';
+
+  return this._formatParts(
+    this.parts,
+    params || {},
+    text || function (str) {
+      return str;
+    },
+    undefined,
+    []
+  );
+};
+
+/**
+ * Exports the MessageFormat class.
+ */
+module.exports = MessageFormat;
@@ -0,0 +1,305 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+
+/**
+ * Provides the language bound translator.
+ *
+ * @author Orgun109uk <orgun109uk@gmail.com>
+ */
+
+var loader = require('nsloader'),
+    pluralRules = loader('Entity/Locale/pluralRules'),
+    languageTag = loader('Entity/Locale/languageTag');
+
+/**
+ * The Translator class translates strings into a single language, using the
+ * translations of the locale manager it was created from so any changes to
+ * the locale are visible immediately.
+ *
+ * @class
+ * @param {Locale} locale The locale manager.
+ * @param {String} language The language to translate to.
+ * @param {Array|String} [fallbacks] The fallback languages of this
+ *   translator, if not provided the fallback chain of the locale is used.
+ */
+function Translator(locale, language, fallbacks) {
+  'use strict';
+
+  if (fallbacks !== undefined && fallbacks !== null) {
+    fallbacks = Array.isArray(fallbacks) ? fallbacks : [fallbacks];
+  }
+
+  Object.defineProperties(this, {
+    /**
+     * Get the locale manager.
+     *
+     * @var {Locale} locale
+     * @memberof Translator
+     * @readonly
+     * @instance
+     */
+    locale: {
+      value: locale
+    },
+    /**
+     * Get the language of the translator.
+     *
+     * @var {String} language
+     * @memberof Translator
+     * @readonly
+     * @instance
+     */
+    language: {
+      value: languageTag.normalize(language)
+    },
+    /**
+     * Get the fallback languages of the translator, or null if the fallback
+     * chain of the locale is used.
+     *
+     * @var {Array} fallbacks
+     * @memberof Translator
+     * @readonly
+     * @instance
+     */
+    fallbacks: {
+      value: fallbacks || null
+    }
+  });
+}
+
+/**
+ * Returns the languages which belong to the translator, which is the
+ * language and its fallbacks without the default language.
+ *
+ * @return {Array} The languages.
+ * @private
+ */
+Translator.prototype._ownChain = function () {
+  'use strict';
+
+  var me = this,
+      chain = [];
+
+  if (this.fallbacks === null) {
+    this.locale._resolveChain(this.language, chain);
+    return chain;
+  }
+
+  chain.push(this.language);
+  this.fallbacks.forEach(function (fallback) {
+    me.locale._resolveChain(fallback, chain);
+  });
+
+  return chain;
+};
+
+/**
+ * Returns the fallback chain of the translator, this starts with the
+ * language and ends with the default language of the locale.
+ *
+ * @return {Array} The languages in the order they are checked.
+ */
+Translator.prototype.chain = function () {
+  'use strict';
+
+  var chain = this._ownChain();
+  this.locale._resolveChain(this.locale.defaultLanguage, chain);
+
+  return chain;
+};
+
+/**
+ * Translate the given string, walking the fallback chain of the translator.
+ *
+ * @param {String} str The string to translate.
+ * @param {Object} [params] The params for argument and token replacement.
+ * @param {String|Object} [context] The message context, or an object
+ *   containing the context and namespace.
+ * @return {String|Array} The translated and token replaced string, or an
+ *   array of parts if a rich text tag function returned a non string.
+ */
+Translator.prototype.t = function (str, params, context) {
+  'use strict';
+
+  return this.locale._translate(
+    this.language, this._ownChain(), str, params, context
+  );
+};
+
+/**
+ * Checks if the given string has a translation in the fallback chain of the
+ * translator.
+ *
+ * @param {String} str The string.
+ * @param {String|Object} [context] The message context, or an object
+ *   containing the context and namespace.
+ * @return {Boolean} Returns true if a translation exists.
+ */
+Translator.prototype.has = function (str, context) {
+  'use strict';
+
+  return this.locale._find(this.chain(), str, context) !== null;
+};
+
+/**
+ * Formats the given message in the language of the translator, without
+ * translating it.
+ *
+ * @param {String} str The message to format.
+ * @param {Object} [params] The params for argument and token replacement.
+ * @return {String|Array} The formatted string, or an array of parts.
+ */
+Translator.prototype.format = function (str, params) {
+  'use strict';
+
+  return this.locale._format(this.language, str, params);
+};
+
+/**
+ * Returns the CLDR cardinal plural category of the given number in the
+ * language of the translator.
+ *
+ * @param {Number|String} value The number.
+ * @return {String} The plural category, such as "one" or "other".
+ */
+Translator.prototype.plural = function (value) {
+  'use strict';
+
+  return pluralRules.cardinal(this.language, value);
+};
+
+/**
+ * Returns the CLDR ordinal plural category of the given number in the
+ * language of the translator.
+ *
+ * @param {Number|String} value The number.
+ * @return {String} The plural category, such as "one" or "other".
+ */
+Translator.prototype.ordinal = function (value) {
+  'use strict';
+
+  return pluralRules.ordinal(this.language, value);
+};
+
+/**
+ * Formats a number in the language of the translator.
+ *
+ * @param {Number} value The number.
+ * @param {Object} [options] The Intl.NumberFormat options.
+ * @return {String} The formatted number.
+ */
+Translator.prototype.number = function (value, options) {
+  'use strict';
+
+  return this.locale.formatNumber(this.language, value, options);
+};
+
+/**
+ * Formats a percentage in the language of the translator.
+ *
+ * @param {Number} value The number, where 1 is 100%.
+ * @param {Object} [options] The Intl.NumberFormat options.
+ * @return {String} The formatted percentage.
+ */
+Translator.prototype.percent = function (value, options) {
+  'use strict';
+
+  return this.locale.formatPercent(this.language, value, options);
+};
+
+/**
+ * Formats an amount of currency in the language of the translator.
+ *
+ * @param {Number} value The amount.
+ * @param {String} [code] The currency code, defaults to the locale currency.
+ * @param {Object} [options] The Intl.NumberFormat options.
+ * @return {String} The formatted amount.
+ */
+Translator.prototype.currency = function (value, code, options) {
+  'use strict';
+
+  return this.locale.formatCurrency(this.language, value, code, options);
+};
+
+/**
+ * Formats a date in the language of the translator.
+ *
+ * @param {Date|Number|String} value The date.
+ * @param {String|Object} [style="medium"] The style or Intl options.
+ * @return {String} The formatted date.
+ */
+Translator.prototype.date = function (value, style) {
+  'use strict';
+
+  return this.locale.formatDate(this.language, value, style);
+};
+
+/**
+ * Formats a time in the language of the translator.
+ *
+ * @param {Date|Number|String} value The date.
+ * @param {String|Object} [style="medium"] The style or Intl options.
+ * @return {String} The formatted time.
+ */
+Translator.prototype.time = function (value, style) {
+  'use strict';
+
+  return this.locale.formatTime(this.language, value, style);
+};
+
+/**
+ * Formats a date and time in the language of the translator.
+ *
+ * @param {Date|Number|String} value The date.
+ * @param {String|Object} [style="medium"] The style or Intl options.
+ * @return {String} The formatted date and time.
+ */
+Translator.prototype.dateTime = function (value, style) {
+  'use strict';
+
+  return this.locale.formatDateTime(this.language, value, style);
+};
+
+/**
+ * Formats a relative time in the language of the translator.
+ *
+ * @param {Number|Date} value The amount of units or the date.
+ * @param {String} [unit] The unit, such as "day", required for amounts.
+ * @param {Object} [options] The Intl.RelativeTimeFormat options.
+ * @return {String} The formatted relative time.
+ */
+Translator.prototype.relativeTime = function (value, unit, options) {
+  'use strict';
+
+  return this.locale.formatRelativeTime(this.language, value, unit, options);
+};
+
+/**
+ * Formats a list in the language of the translator.
+ *
+ * @param {Array} items The items.
+ * @param {String} [type="conjunction"] The list type.
+ * @return {String} The formatted list.
+ */
+Translator.prototype.list = function (items, type) {
+  'use strict';
+
+  return this.locale.formatList(this.language, items, type);
+};
+
+/**
+ * Exports the Translator class.
+ */
+module.exports = Translator;
@@ -0,0 +1,243 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+/**
+ * Provides the Node cluster IPC channel adapter.
+ *
+ * @author Orgun109uk <orgun109uk@gmail.com>
+ */
+
+var nodeCluster = require('cluster');
+
+/**
+ * The type of the IPC messages sent by the channel.
+ *
+ * @type {String}
+ * @private
+ */
+var TYPE = 'entity-locale';
+
+/**
+ * Sends the envelope to every worker except the sender.
+ *
+ * @param {Object} cluster The cluster module.
+ * @param {Object} envelope The IPC message.
+ * @param {Object} [sender] The worker which sent the message.
+ * @private
+ */
+function broadcast(cluster, envelope, sender) {
+  'use strict';
+
+  Object.keys(cluster.workers || {}).forEach(function (id) {
+    var worker = cluster.workers[id];
+
+    if (worker && worker !== sender && worker.isConnected()) {
+      worker.send(envelope);
+    }
+  });
+}
+
+/**
+ * The ClusterChannel class shares translation changes between the processes
+ * of a Node cluster. Workers send their changes to the primary process,
+ * which must relay them to the other workers using ClusterChannel.relay().
+ *
+ * @class
+ * @param {Object} [options] The channel options.
+ * @param {String} [options.name="locale"] The channel name, locales only
+ *   receive the changes of channels with the same name.
+ * @param {Object} [options.cluster] The cluster module.
+ * @param {Object} [options.process] The process object.
+ */
+function ClusterChannel(options) {
+  'use strict';
+
+  var me = this,
+      listeners = [];
+
+  options = options || {};
+
+  Object.defineProperties(this, {
+    /**
+     * Get the channel name.
+     *
+     * @var {String} name
+     * @memberof ClusterChannel
+     * @readonly
+     * @instance
+     */
+    name: {
+      value: options.name || 'locale'
+    },
+    /**
+     * Get the cluster module.
+     *
+     * @var {Object} cluster
+     * @memberof ClusterChannel
+     * @readonly
+     * @instance
+     */
+    cluster: {
+      value: options.cluster || nodeCluster
+    },
+    /**
+     * Get the process object.
+     *
+     * @var {Object} process
+     * @memberof ClusterChannel
+     * @readonly
+     * @instance
+     */
+    process: {
+      value: options.process || process
+    },
+    /**
+     * Get the subscribed listeners.
+     *
+     * @var {Array} _listeners
+     * @memberof ClusterChannel
+     * @private
+     * @instance
+     */
+    _listeners: {
+      value: listeners
+    },
+    /**
+     * Get the IPC message handler, workers receive messages from the process
+     * and the primary process from the cluster.
+     *
+     * @var {Function} _handler
+     * @memberof ClusterChannel
+     * @private
+     * @instance
+     */
+    _handler: {
+      value: function (worker, envelope) {
+        me._deliver(me.cluster.isWorker ? worker : envelope);
+      }
+    }
+  });
+}
+
+/**
+ * Installs the relay in the primary process, which forwards the messages
+ * of each worker to the other workers.
+ *
+ * @param {Object} [cluster] The cluster module.
+ * @return {Function} The installed cluster message listener.
+ */
+ClusterChannel.relay = function (cluster) {
+  'use strict';
+
+  var listener = function (worker, envelope) {
+    if (envelope && envelope.type === TYPE) {
+      broadcast(cluster, envelope, worker);
+    }
+  };
+
+  cluster = cluster || nodeCluster;
+  cluster.on('message', listener);
+
+  return listener;
+};
+
+/**
+ * Delivers a received IPC message to the listeners, if it belongs to this
+ * channel.
+ *
+ * @param {Object} envelope The IPC message.
+ * @private
+ */
+ClusterChannel.prototype._deliver = function (envelope) {
+  'use strict';
+
+  if (!envelope || envelope.type !== TYPE || envelope.channel !== this.name) {
+    return;
+  }
+
+  this._listeners.slice().forEach(function (listener) {
+    listener(envelope.message);
+  });
+};
+
+/**
+ * Returns the emitter the IPC messages are received from.
+ *
+ * @return {EventEmitter} Either the process or the cluster module.
+ * @private
+ */
+ClusterChannel.prototype._source = function () {
+  'use strict';
+
+  return this.cluster.isWorker ? this.process : this.cluster;
+};
+
+/**
+ * Publishes a message, a worker sends it to the primary process and the
+ * primary process sends it to every worker.
+ *
+ * @param {Object} message The message.
+ */
+ClusterChannel.prototype.publish = function (message) {
+  'use strict';
+
+  var envelope = {type: TYPE, channel: this.name, message: message};
+
+  if (!this.cluster.isWorker) {
+    broadcast(this.cluster, envelope, null);
+  } else if (typeof this.process.send === 'function') {
+    this.process.send(envelope);
+  }
+};
+
+/**
+ * Subscribes to the messages published by the other processes.
+ *
+ * @param {Function} listener The listener, called with each message.
+ */
+ClusterChannel.prototype.subscribe = function (listener) {
+  'use strict';
+
+  this._listeners.push(listener);
+
+  if (this._listeners.length === 1) {
+    this._source().on('message', this._handler);
+  }
+};
+
+/**
+ * Stops a listener from receiving messages.
+ *
+ * @param {Function} listener The listener.
+ */
+ClusterChannel.prototype.unsubscribe = function (listener) {
+  'use strict';
+
+  var idx = this._listeners.indexOf(listener);
+
+  if (idx === -1) {
+    return;
+  }
+
+  this._listeners.splice(idx, 1);
+
+  if (this._listeners.length === 0) {
+    this._source().removeListener('message', this._handler);
+  }
+};
+
+/**
+ * Exports the ClusterChannel class.
+ */
+module.exports = ClusterChannel;
@@ -0,0 +1,91 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+/**
+ * Provides the in-process channel adapter.
+ *
+ * @author Orgun109uk <orgun109uk@gmail.com>
+ */
+
+var EventEmitter = require('events').EventEmitter;
+
+/**
+ * The MemoryChannel class delivers the published translation changes to
+ * every subscriber within the same process, it's useful for keeping several
+ * locales in sync and by the test suites. Every channel adapter provides the
+ * publish, subscribe and unsubscribe methods.
+ *
+ * @class
+ */
+function MemoryChannel() {
+  'use strict';
+
+  Object.defineProperties(this, {
+    /**
+     * Get the event emitter the messages are delivered through.
+     *
+     * @var {EventEmitter} _emitter
+     * @memberof MemoryChannel
+     * @private
+     * @instance
+     */
+    _emitter: {
+      value: new EventEmitter()
+    }
+  });
+
+  this._emitter.setMaxListeners(0);
+}
+
+/**
+ * Publishes a message to the subscribers, it's delivered asynchronously.
+ *
+ * @param {Object} message The message.
+ */
+MemoryChannel.prototype.publish = function (message) {
+  'use strict';
+
+  var emitter = this._emitter;
+
+  setImmediate(function () {
+    emitter.emit('message', message);
+  });
+};
+
+/**
+ * Subscribes to the published messages.
+ *
+ * @param {Function} listener The listener, called with each message.
+ */
+MemoryChannel.prototype.subscribe = function (listener) {
+  'use strict';
+
+  this._emitter.on('message', listener);
+};
+
+/**
+ * Stops a listener from receiving messages.
+ *
+ * @param {Function} listener The listener.
+ */
+MemoryChannel.prototype.unsubscribe = function (listener) {
+  'use strict';
+
+  this._emitter.removeListener('message', listener);
+};
+
+/**
+ * Exports the MemoryChannel class.
+ */
+module.exports = MemoryChannel;
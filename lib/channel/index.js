@@ -0,0 +1,31 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+/**
+ * Provides the built-in channel adapters, which share translation changes
+ * between processes. An adapter implements publish(message),
+ * subscribe(listener) and unsubscribe(listener).
+ *
+ * @author Orgun109uk <orgun109uk@gmail.com>
+ */
+
+var loader = require('nsloader');
+
+/**
+ * Exports the channel adapters.
+ */
+module.exports = {
+  ClusterChannel: loader('Entity/Locale/channel/ClusterChannel'),
+  MemoryChannel: loader('Entity/Locale/channel/MemoryChannel')
+};
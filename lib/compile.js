@@ -0,0 +1,433 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+
+/**
+ * Compiles messages into render functions, so the ICU MessageFormat syntax,
+ * the ":token" positions and the rich text tags of a message are only
+ * parsed once.
+ *
+ * @author Orgun109uk <orgun109uk@gmail.com>
+ */
+
+var loader = require('nsloader'),
+    MessageFormat = loader('Entity/Locale/MessageFormat');
+
+/**
+ * The HTML entities of the escaped characters.
+ *
+ * @type {Object}
+ */
+var ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&#39;'
+};
+
+/**
+ * The placeholder markers of the escaped mode, ":name" is HTML escaped,
+ * "%name" is HTML escaped and emphasised and "!name" is inserted as is.
+ *
+ * @type {Object}
+ */
+var MARKERS = {
+  ':': function (value) {
+    'use strict';
+
+    return escapeHtml(value);
+  },
+  '%': function (value) {
+    'use strict';
+
+    return '<em>' + escapeHtml(value) + '</em>';
+  },
+  '!': function (value) {
+    'use strict';
+
+    return String(value);
+  }
+};
+
+/**
+ * Matches the opening, closing and self closing tags of rich text messages,
+ * such as "<link>", "</link>" and "<br/>".
+ *
+ * @type {RegExp}
+ */
+var TAG = /<(\/?)([a-zA-Z][\w-]*)\s*(\/?)>/;
+
+/**
+ * Escapes the HTML special characters of the given value.
+ *
+ * @param {*} value The value.
+ * @return {String} The escaped string.
+ */
+function escapeHtml(value) {
+  'use strict';
+
+  return String(value).replace(/[&<>"']/g, function (chr) {
+    return ENTITIES[chr];
+  });
+}
+
+/**
+ * Compiles the ":token" replacement of the given literal text. The token
+ * positions are found once, the params are matched against each position in
+ * the order they are given, as the PHP.js strtr script does. In the escaped
+ * mode the "!token" and "%token" markers are also replaced, see MARKERS.
+ *
+ * @param {String} str The literal text.
+ * @param {Boolean} [escape=false] Set to true to HTML escape the params.
+ * @return {Function} The render function, given the params and returning
+ *   the replaced text.
+ */
+function tokens(str, escape) {
+  'use strict';
+
+  var positions = [],
+      markers = escape ? Object.keys(MARKERS) : [':'];
+
+  for (var pos = 0, end = str.length; pos < end; pos++) {
+    if (markers.indexOf(str.charAt(pos)) !== -1) {
+      positions.push(pos);
+    }
+  }
+
+  if (positions.length === 0) {
+    return function () {
+      return str;
+    };
+  }
+
+  return function (params) {
+    var ret = '',
+        last = 0,
+        key;
+
+    if (!params) {
+      return str;
+    }
+
+    for (var i = 0, len = positions.length; i < len; i++) {
+      if (positions[i] < last) {
+        continue;
+      }
+
+      for (key in params) {
+        if (str.substr(positions[i] + 1, key.length) === key) {
+          ret += str.substring(last, positions[i]) + (escape ?
+            MARKERS[str.charAt(positions[i])](params[key]) :
+            params[key]);
+          last = positions[i] + 1 + key.length;
+
+          break;
+        }
+      }
+    }
+
+    return last === 0 ? str : ret + str.substring(last);
+  };
+}
+
+/**
+ * Compiles the literal text of a rich text message, splitting it into the
+ * compiled ":token" text and the opening, closing and self closing tags.
+ *
+ * @param {String} str The literal text.
+ * @param {Boolean} [escape=false] Set to true to HTML escape the params.
+ * @return {Function} The render function, given the params and returning
+ *   an array of the replaced text and the tags, each tag containing its
+ *   name, type and source.
+ */
+function tags(str, escape) {
+  'use strict';
+
+  var parts = [],
+      re = new RegExp(TAG.source, 'g'),
+      last = 0,
+      match;
+
+  while ((match = re.exec(str)) !== null) {
+    if (match[1] && match[3]) {
+      continue;
+    } else if (match.index > last) {
+      parts.push(tokens(str.substring(last, match.index), escape));
+    }
+
+    parts.push({
+      name: match[2],
+      type: match[1] ? 'close' : match[3] ? 'self' : 'open',
+      source: match[0]
+    });
+
+    last = re.lastIndex;
+  }
+
+  if (last < str.length) {
+    parts.push(tokens(str.substring(last), escape));
+  }
+
+  return function (params) {
+    return parts.map(function (part) {
+      return typeof part === 'function' ? part(params) : part;
+    });
+  };
+}
+
+/**
+ * Checks if any of the params is a tag function.
+ *
+ * @param {Object} [params] The params.
+ * @return {Boolean} Returns true if a param is a function.
+ */
+function hasTags(params) {
+  'use strict';
+
+  for (var key in params) {
+    if (typeof params[key] === 'function') {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Adds a value to a list of parts, joining adjacent strings and skipping
+ * empty values.
+ *
+ * @param {Array} parts The parts.
+ * @param {*} value The value to add.
+ */
+function append(parts, value) {
+  'use strict';
+
+  var last = parts.length - 1;
+
+  if (typeof value === 'string' && typeof parts[last] === 'string') {
+    parts[last] += value;
+  } else if (value !== '' && value != null) {
+    parts.push(value);
+  }
+}
+
+/**
+ * Collapses a list of parts into a string if it only contains text.
+ *
+ * @param {Array} parts The parts.
+ * @return {String|Array} The string, or the parts.
+ */
+function collapse(parts) {
+  'use strict';
+
+  if (parts.length === 0) {
+    return '';
+  } else if (parts.length === 1 && typeof parts[0] === 'string') {
+    return parts[0];
+  }
+
+  return parts;
+}
+
+/**
+ * Adds a rendered part to the stack of open tags, a tag with a function
+ * param opens a new level or is rendered by the function, any other tag is
+ * kept as text.
+ *
+ * @param {Array} stack The open tags, each containing the tag and its parts.
+ * @param {String|Object} item The rendered text or tag.
+ * @param {Object} params The params.
+ */
+function assembleItem(stack, item, params) {
+  'use strict';
+
+  var top = stack[stack.length - 1],
+      fn = typeof item === 'string' ? null : params[item.name];
+
+  if (typeof fn !== 'function') {
+    append(top.parts, typeof item === 'string' ? item : item.source);
+  } else if (item.type === 'open') {
+    stack.push({tag: item, parts: []});
+  } else if (item.type === 'self') {
+    append(top.parts, fn());
+  } else if (top.tag !== null && top.tag.name === item.name) {
+    stack.pop();
+    append(stack[stack.length - 1].parts, fn(collapse(top.parts)));
+  } else {
+    append(top.parts, item.source);
+  }
+}
+
+/**
+ * Assembles the rendered text and tags of a rich text message, calling the
+ * tag function of each tag with its children. Unclosed tags are kept as
+ * text.
+ *
+ * @param {Array} items The rendered text and tags.
+ * @param {Object} params The params.
+ * @return {String|Array} The string, or an array of the text and the values
+ *   returned by the tag functions.
+ */
+function assemble(items, params) {
+  'use strict';
+
+  var stack = [{tag: null, parts: []}],
+      top, parent;
+
+  items.forEach(function (item) {
+    assembleItem(stack, item, params);
+  });
+
+  while (stack.length > 1) {
+    top = stack.pop();
+    parent = stack[stack.length - 1].parts;
+
+    append(parent, top.tag.source);
+    for (var i = 0, len = top.parts.length; i < len; i++) {
+      append(parent, top.parts[i]);
+    }
+  }
+
+  return collapse(stack[0].parts);
+}
+
+/**
+ * Creates the render function of a MessageFormat message, the literal text
+ * is compiled on first use.
+ *
+ * @param {MessageFormat} msg The message.
+ * @param {Function} compileText The function used to compile literal text.
+ * @return {Function} The render function, given the params and returning
+ *   the formatted parts.
+ */
+function formatter(msg, compileText) {
+  'use strict';
+
+  var texts = {};
+
+  return function (params) {
+    return msg.formatToParts(params, function (text) {
+      if (!texts.hasOwnProperty(text)) {
+        texts[text] = compileText(text);
+      }
+
+      return texts[text](params);
+    });
+  };
+}
+
+/**
+ * Compiles the rich text rendering of the given message.
+ *
+ * @param {MessageFormat|null} msg The message, or null if the message only
+ *   has tokens.
+ * @param {String} str The message.
+ * @param {Boolean} escape Set to true to HTML escape the params.
+ * @return {Function} The render function, given the params and returning
+ *   the string or the array of parts.
+ */
+function richText(msg, str, escape) {
+  'use strict';
+
+  var render = msg === null ?
+        tags(str, escape) :
+        formatter(msg, function (text) {
+          return tags(text, escape);
+        });
+
+  return function (params) {
+    return assemble(render(params), params);
+  };
+}
+
+/**
+ * Compiles the given message, ICU MessageFormat arguments are formatted
+ * using the plural rules of the language and any ":token" params are
+ * replaced within the literal text. A message with invalid MessageFormat
+ * syntax only has its tokens replaced.
+ *
+ * Messages may also contain rich text tags, such as "Read the
+ * <link>terms</link>" or "<br/>". If the param of a tag name is a function
+ * it is called with the rendered children of the tag, a string or an array
+ * of parts, and its return value replaces the tag. The message then renders
+ * to a string if every function returned a string, otherwise to an array of
+ * the text and the returned values. Tags without a function are output as
+ * is.
+ *
+ * @param {String} language The language of the message.
+ * @param {String} str The message to compile.
+ * @param {Object} [options] The formatting defaults.
+ * @param {String} [options.currency] The default currency code.
+ * @param {String} [options.timeZone] The time zone of dates.
+ * @param {Boolean} [options.escape=false] Set to true to HTML escape the
+ *   params, both the tokens and the MessageFormat arguments.
+ * @return {Function} The render function, given the params and returning
+ *   the formatted string, or an array of parts.
+ */
+function compile(language, str, options) {
+  'use strict';
+
+  var escape = Boolean(options && options.escape),
+      msg = null,
+      rich = null,
+      plain, parts;
+
+  if (str.indexOf('{') !== -1) {
+    try {
+      msg = new MessageFormat(language, str, {
+        currency: options && options.currency,
+        timeZone: options && options.timeZone,
+        escape: escape ? escapeHtml : null
+      });
+    } catch (err) {
+      msg = null;
+    }
+  }
+
+  if (msg === null) {
+    plain = tokens(str, escape);
+  } else {
+    parts = formatter(msg, function (text) {
+      return tokens(text, escape);
+    });
+    plain = function (params) {
+      return parts(params).join('');
+    };
+  }
+
+  if (str.indexOf('<') === -1) {
+    return plain;
+  }
+
+  return function (params) {
+    if (!hasTags(params)) {
+      return plain(params);
+    }
+
+    rich = rich || richText(msg, str, escape);
+
+    return rich(params);
+  };
+}
+
+/**
+ * Exports the compile helpers.
+ */
+module.exports = {
+  compile: compile,
+  tokens: tokens,
+  escapeHtml: escapeHtml
+};
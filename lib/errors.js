@@ -0,0 +1,116 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+/**
+ * Provides the error classes raised by the locale manager.
+ *
+ * @author Orgun109uk <orgun109uk@gmail.com>
+ */
+
+var util = require('util');
+
+/**
+ * The base class of the locale errors.
+ *
+ * @class
+ * @param {String} message The error message.
+ * @param {Error} [cause] The error which caused this error.
+ */
+function LocaleError(message, cause) {
+  'use strict';
+
+  Error.call(this);
+  Error.captureStackTrace(this, this.constructor);
+
+  this.name = this.constructor.name;
+  this.message = message;
+  this.cause = cause || null;
+}
+
+util.inherits(LocaleError, Error);
+
+/**
+ * Raised when a translation file can't be read, parsed or added.
+ *
+ * @class
+ * @extends LocaleError
+ * @param {String} message The error message.
+ * @param {String} filename The translation filename.
+ * @param {Error} [cause] The error which caused this error.
+ */
+function FileError(message, filename, cause) {
+  'use strict';
+
+  LocaleError.call(this, message, cause);
+  this.filename = filename;
+}
+
+util.inherits(FileError, LocaleError);
+
+/**
+ * Raised when the storage adapter fails.
+ *
+ * @class
+ * @extends LocaleError
+ * @param {String} message The error message.
+ * @param {Error} [cause] The error which caused this error.
+ */
+function StorageError(message, cause) {
+  'use strict';
+
+  LocaleError.call(this, message, cause);
+}
+
+util.inherits(StorageError, LocaleError);
+
+/**
+ * Raised when a language, namespace or revision doesn't exist.
+ *
+ * @class
+ * @extends LocaleError
+ * @param {String} message The error message.
+ */
+function NotFoundError(message) {
+  'use strict';
+
+  LocaleError.call(this, message);
+}
+
+util.inherits(NotFoundError, LocaleError);
+
+/**
+ * Raised when the locale or a method is given an invalid option.
+ *
+ * @class
+ * @extends LocaleError
+ * @param {String} message The error message.
+ */
+function ConfigurationError(message) {
+  'use strict';
+
+  LocaleError.call(this, message);
+}
+
+util.inherits(ConfigurationError, LocaleError);
+
+/**
+ * Exports the error classes.
+ */
+module.exports = {
+  LocaleError: LocaleError,
+  FileError: FileError,
+  StorageError: StorageError,
+  NotFoundError: NotFoundError,
+  ConfigurationError: ConfigurationError
+};
@@ -0,0 +1,675 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+
+/**
+ * Provides the extraction of source strings from JavaScript and template
+ * files, and the updating of the JSON catalogs read by Locale.addFromDir().
+ *
+ * Strings are extracted from calls to t(), such as locale.t(lang, 'Hello')
+ * or req.t('Hello :name', params, 'context'), and translate(), such as
+ * locale.translate(lang, 'Hello', translation). Only string literals, and
+ * concatenations of string literals, are extracted.
+ *
+ * @author Orgun109uk <orgun109uk@gmail.com>
+ */
+
+var fs = require('fs'),
+    path = require('path'),
+    glob = require('glob'),
+    async = require('async'),
+    loader = require('nsloader'),
+    MessageFormat = loader('Entity/Locale/MessageFormat'),
+    languageTag = loader('Entity/Locale/languageTag'),
+    messageKey = loader('Entity/Locale/messageKey');
+
+/**
+ * The default file extensions which are scanned.
+ *
+ * @type {Array}
+ */
+var EXTENSIONS = [
+  '.js', '.html', '.htm', '.ejs', '.hbs', '.handlebars', '.jade', '.pug',
+  '.tpl', '.twig', '.njk'
+];
+
+/**
+ * The default patterns of the files which aren't scanned within a
+ * directory, relative to the directory.
+ *
+ * @type {Array}
+ */
+var IGNORE = ['**/node_modules/**'];
+
+/**
+ * The function calls which are scanned.
+ *
+ * @type {RegExp}
+ * @private
+ */
+var CALLS = /(^|[^\w$])(t|translate)\s*\(/g;
+
+/**
+ * The string escape sequences.
+ *
+ * @type {Object}
+ * @private
+ */
+var ESCAPES = {n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0'};
+
+/**
+ * Reads an escape sequence of a string literal.
+ *
+ * @param {String} src The source.
+ * @param {Integer} pos The position after the backslash.
+ * @return {Object} An object containing the value and end position.
+ * @private
+ */
+function readEscape(src, pos) {
+  'use strict';
+
+  var chr = src.charAt(pos),
+      hex;
+
+  if (chr === 'u' || chr === 'x') {
+    hex = chr === 'u' ? src.substr(pos + 1, 4) : src.substr(pos + 1, 2);
+    if (/^[0-9a-f]+$/i.test(hex)) {
+      return {
+        value: String.fromCharCode(parseInt(hex, 16)),
+        end: pos + 1 + hex.length
+      };
+    }
+  } else if (chr === '\r' || chr === '\n') {
+    return {value: '', end: pos + (src.substr(pos, 2) === '\r\n' ? 2 : 1)};
+  }
+
+  return {
+    value: ESCAPES[chr] !== undefined ? ESCAPES[chr] : chr,
+    end: pos + 1
+  };
+}
+
+/**
+ * Reads a string or template literal.
+ *
+ * @param {String} src The source.
+ * @param {Integer} pos The position of the opening quote.
+ * @return {Object} An object containing the value and end position, the
+ *   value is null if it's a template literal with substitutions.
+ * @private
+ */
+function readString(src, pos) {
+  'use strict';
+
+  var quote = src.charAt(pos),
+      value = '',
+      chr, escaped;
+
+  for (pos++; pos < src.length; pos++) {
+    chr = src.charAt(pos);
+
+    if (chr === quote) {
+      return {value: value, end: pos + 1};
+    } else if (chr === '\\') {
+      escaped = readEscape(src, pos + 1);
+      value += escaped.value;
+      pos = escaped.end - 1;
+    } else if (quote === '`' && src.substr(pos, 2) === '${') {
+      value = null;
+    } else if (value !== null) {
+      value += chr;
+    }
+  }
+
+  return {value: null, end: pos};
+}
+
+/**
+ * Skips a bracketed expression, including any nested brackets and strings.
+ *
+ * @param {String} src The source.
+ * @param {Integer} pos The position of the opening bracket.
+ * @return {Integer} The position after the closing bracket.
+ * @private
+ */
+function skipBrackets(src, pos) {
+  'use strict';
+
+  var depth = 0,
+      chr;
+
+  while (pos < src.length) {
+    chr = src.charAt(pos);
+
+    if (chr === '\'' || chr === '"' || chr === '`') {
+      pos = readString(src, pos).end;
+      continue;
+    }
+
+    depth += '([{'.indexOf(chr) !== -1 ? 1 : (')]}'.indexOf(chr) !== -1 ?
+      -1 :
+      0);
+    pos++;
+
+    if (depth === 0) {
+      break;
+    }
+  }
+
+  return pos;
+}
+
+/**
+ * Reads an operand of an argument, string literals are appended to the
+ * argument value and anything else makes the value null.
+ *
+ * @param {String} src The source.
+ * @param {Integer} pos The position of the operand.
+ * @param {Object} arg The argument, containing the value.
+ * @return {Integer} The position after the operand.
+ * @private
+ */
+function readOperand(src, pos, arg) {
+  'use strict';
+
+  var chr = src.charAt(pos),
+      str;
+
+  arg.empty = false;
+
+  if (chr === '\'' || chr === '"' || chr === '`') {
+    str = readString(src, pos);
+    arg.value = arg.value === null || str.value === null ?
+      null :
+      arg.value + str.value;
+
+    return str.end;
+  }
+
+  arg.value = null;
+
+  return '([{'.indexOf(chr) !== -1 ? skipBrackets(src, pos) : pos + 1;
+}
+
+/**
+ * Reads the arguments of a function call, each argument is the value of its
+ * string literal or null if it isn't a string literal.
+ *
+ * @param {String} src The source.
+ * @param {Integer} pos The position after the opening bracket.
+ * @return {Array} The arguments.
+ * @private
+ */
+function readArguments(src, pos) {
+  'use strict';
+
+  var args = [],
+      arg = {value: '', empty: true},
+      chr;
+
+  for (chr = src.charAt(pos); pos < src.length; chr = src.charAt(pos)) {
+    if (chr === ',' || chr === ')') {
+      if (!arg.empty) {
+        args.push(arg.value);
+      }
+
+      if (chr === ')') {
+        break;
+      }
+
+      arg = {value: '', empty: true};
+      pos++;
+    } else if (/[\s+]/.test(chr)) {
+      pos++;
+    } else {
+      pos = readOperand(src, pos, arg);
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Returns the source string and context of a call from its arguments.
+ *
+ * @param {String} name The function name, t or translate.
+ * @param {Array} args The arguments.
+ * @return {Object|null} An object containing the msg and context, or null
+ *   if the call has no source string literal.
+ * @private
+ */
+function callString(name, args) {
+  'use strict';
+
+  var offset = 1;
+
+  // A translator call has no language argument, t('Hello', params).
+  if (
+    name === 't' && typeof args[0] === 'string' &&
+    (typeof args[1] !== 'string' || !languageTag.isValid(args[0]))
+  ) {
+    offset = 0;
+  }
+
+  if (typeof args[offset] !== 'string' || args[offset] === '') {
+    return null;
+  }
+
+  return {
+    msg: args[offset],
+    context: typeof args[offset + 2] === 'string' && args[offset + 2] ?
+      args[offset + 2] :
+      null
+  };
+}
+
+/**
+ * Returns the placeholder names used by the given string, both the ":name"
+ * tokens and the MessageFormat "{name}" arguments. The arguments are found
+ * by parsing the string, so the options of plural and select arguments
+ * aren't mistaken for arguments, the arguments of invalid MessageFormat
+ * syntax are matched as "{name" instead. The "%name" and "!name" tokens are
+ * only placeholders in the escape mode.
+ *
+ * @param {String} str The string.
+ * @param {Object} [options] The options.
+ * @param {Boolean} [options.escape=false] Whether the escape mode is
+ *   enabled.
+ * @return {Array} The sorted placeholder names.
+ */
+function placeholders(str, options) {
+  'use strict';
+
+  var names = [],
+      tokens = (options && options.escape ? '[:%!]' : ':') +
+        '([a-zA-Z_][\\w]*)',
+      re = new RegExp(tokens, 'g'),
+      parts;
+
+  function add(name) {
+    if (names.indexOf(name) === -1) {
+      names.push(name);
+    }
+  }
+
+  function walk(part) {
+    var match;
+
+    if (typeof part === 'string') {
+      while ((match = re.exec(part)) !== null) {
+        add(match[1] || match[2]);
+      }
+    } else if (part.name !== undefined) {
+      add(part.name);
+      Object.keys(part.options || {}).forEach(function (selector) {
+        part.options[selector].forEach(walk);
+      });
+    }
+  }
+
+  try {
+    parts = new MessageFormat(null, str).parts;
+  } catch (err) {
+    re = new RegExp(tokens + '|\\{\\s*([a-zA-Z_][\\w]*)\\s*[,}]', 'g');
+    parts = [str];
+  }
+
+  parts.forEach(walk);
+
+  return names.sort();
+}
+
+/**
+ * Returns the line number of the given position.
+ *
+ * @param {String} src The source.
+ * @param {Integer} pos The position.
+ * @return {Integer} The line number.
+ * @private
+ */
+function lineNumber(src, pos) {
+  'use strict';
+
+  return src.substring(0, pos).split('\n').length;
+}
+
+/**
+ * Scans the given source for translatable strings.
+ *
+ * @param {String} src The JavaScript or template source.
+ * @param {String} [filename] The filename, used for the references.
+ * @return {Array} The strings, each containing the msg, context,
+ *   placeholders and references.
+ */
+function scan(src, filename) {
+  'use strict';
+
+  var strings = [],
+      re = new RegExp(CALLS.source, 'g'),
+      match, found;
+
+  src = String(src);
+
+  while ((match = re.exec(src)) !== null) {
+    found = callString(
+      match[2],
+      readArguments(src, match.index + match[0].length)
+    );
+
+    if (found !== null) {
+      found.placeholders = placeholders(found.msg);
+      found.references = filename ?
+        [filename + ':' + lineNumber(src, match.index + match[1].length)] :
+        [];
+
+      strings.push(found);
+    }
+  }
+
+  return strings;
+}
+
+/**
+ * Merges the given strings, combining the references of duplicates.
+ *
+ * @param {Array} strings The strings.
+ * @return {Array} The merged strings, sorted by their translation key.
+ */
+function merge(strings) {
+  'use strict';
+
+  var merged = {};
+
+  strings.forEach(function (str) {
+    var key = messageKey.create(str.msg, str.context);
+
+    if (merged[key] === undefined) {
+      merged[key] = {
+        msg: str.msg,
+        context: str.context,
+        placeholders: str.placeholders,
+        references: []
+      };
+    }
+
+    merged[key].references = merged[key].references.concat(str.references);
+  });
+
+  return Object.keys(merged).sort().map(function (key) {
+    return merged[key];
+  });
+}
+
+/**
+ * Scans the given files and directories for translatable strings,
+ * directories are scanned recursively for files with the given extensions,
+ * skipping the ignored files and the dot-directories.
+ *
+ * @param {Array|String} paths The files and directories to scan.
+ * @param {Object} [options] The scan options.
+ * @param {Array} [options.extensions] The file extensions to scan.
+ * @param {Array} [options.ignore] The glob patterns of the files to skip
+ *   within a directory, relative to the directory, defaults to the
+ *   node_modules directories.
+ * @param {Boolean} [options.dot=false] Scan the dot-directories and files.
+ * @param {String} [options.base] The directory references are relative to,
+ *   defaults to the current directory.
+ * @param {Function} done The done callback.
+ * @param {Error} done.err Any raised errors.
+ * @param {Array} done.strings The merged strings.
+ */
+function scanFiles(paths, options, done) {
+  'use strict';
+
+  if (typeof options === 'function') {
+    done = options;
+    options = {};
+  }
+
+  var extensions = options.extensions || EXTENSIONS,
+      ignore = options.ignore || IGNORE,
+      base = options.base || process.cwd();
+
+  async.concatSeries([].concat(paths), function (item, next) {
+    if (!fs.existsSync(item) || !fs.statSync(item).isDirectory()) {
+      return next(null, [item]);
+    }
+
+    glob(path.join(item, '**', '*'), {
+      nodir: true,
+      dot: Boolean(options.dot),
+      ignore: ignore.map(function (pattern) {
+        return path.join(item, pattern);
+      })
+    }, function (err, files) {
+      next(err, (files || []).filter(function (file) {
+        return extensions.indexOf(path.extname(file)) !== -1;
+      }));
+    });
+  }, function (err, files) {
+    if (err) {
+      return done(err);
+    }
+
+    async.concatSeries(files.sort(), function (file, next) {
+      fs.readFile(file, 'utf8', function (err2, src) {
+        next(err2, err2 ? null : scan(src, path.relative(base, file)));
+      });
+    }, function (err2, strings) {
+      done(err2 ? err2 : null, err2 ? null : merge(strings));
+    });
+  });
+}
+
+/**
+ * Updates the given catalog with the strings. New strings are added with an
+ * empty, untranslated, value. Strings which are no longer used are moved to
+ * the "@obsolete" key, and restored if they are used again. The
+ * placeholders and references of each string are kept in the "@metadata"
+ * key.
+ *
+ * @param {Object} catalog The catalog, as read from a JSON catalog file.
+ * @param {Array} strings The extracted strings.
+ * @return {Object} An object containing the updated catalog, and the added,
+ *   obsolete and total number of strings.
+ */
+function updateCatalog(catalog, strings) {
+  'use strict';
+
+  var current = messageKey.flatten(catalog || {}),
+      obsolete = messageKey.flatten(catalog && catalog['@obsolete'] || {}),
+      result = {added: 0, obsolete: 0, total: strings.length},
+      translations = {},
+      metadata = {};
+
+  strings.forEach(function (str) {
+    var key = messageKey.create(str.msg, str.context);
+
+    if (current[key] !== undefined) {
+      translations[key] = current[key];
+    } else {
+      translations[key] = obsolete[key] !== undefined ? obsolete[key] : '';
+      result.added++;
+    }
+
+    delete current[key];
+    delete obsolete[key];
+    metadata[key] = {
+      placeholders: str.placeholders,
+      references: str.references
+    };
+  });
+
+  Object.keys(current).forEach(function (key) {
+    if (current[key]) {
+      obsolete[key] = current[key];
+      result.obsolete++;
+    }
+  });
+
+  result.catalog = messageKey.unflatten(translations);
+  result.catalog['@metadata'] = messageKey.unflatten(metadata);
+
+  if (Object.keys(obsolete).length) {
+    result.catalog['@obsolete'] = messageKey.unflatten(obsolete);
+  }
+
+  return result;
+}
+
+/**
+ * Writes the strings to the JSON catalog of each language, the catalogs are
+ * named NAME.LANGUAGE.json and are created if they don't exist.
+ *
+ * @param {String} dir The catalog directory.
+ * @param {String} name The catalog name.
+ * @param {Array} languages The languages.
+ * @param {Array} strings The extracted strings.
+ * @param {Function} done The done callback.
+ * @param {Error} done.err Any raised errors.
+ * @param {Object} done.results The added, obsolete and total number of
+ *   strings, keyed by the catalog filename.
+ */
+function writeCatalogs(dir, name, languages, strings, done) {
+  'use strict';
+
+  var results = {};
+
+  async.eachSeries(languages, function (language, next) {
+    var filename = path.join(
+          dir, name + '.' + languageTag.normalize(language) + '.json'
+        ),
+        catalog = null,
+        result;
+
+    try {
+      if (fs.existsSync(filename)) {
+        catalog = JSON.parse(fs.readFileSync(filename, 'utf8'));
+      }
+    } catch (err) {
+      return next(new Error(
+        'Unable to read the catalog "' + filename + '": ' + err.message
+      ));
+    }
+
+    result = updateCatalog(catalog, strings);
+    results[filename] = {
+      added: result.added,
+      obsolete: result.obsolete,
+      total: result.total
+    };
+
+    fs.writeFile(
+      filename, JSON.stringify(result.catalog, null, 2) + '\n', next
+    );
+  }, function (err) {
+    done(err ? err : null, err ? null : results);
+  });
+}
+
+/**
+ * Finds the languages of the existing catalogs with the given name.
+ *
+ * @param {String} dir The catalog directory.
+ * @param {String} name The catalog name.
+ * @return {Array} The languages.
+ */
+function catalogLanguages(dir, name) {
+  'use strict';
+
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir).filter(function (file) {
+    return path.extname(file) === '.json' &&
+      file.substring(0, name.length + 1) === name + '.';
+  }).map(function (file) {
+    return languageTag.fromFilename(file);
+  }).filter(function (language) {
+    return language !== null;
+  }).sort();
+}
+
+/**
+ * Extracts the strings from the given files and directories and updates
+ * the catalog of each language.
+ *
+ * @param {Array|String} paths The files and directories to scan.
+ * @param {Object} options The extraction options.
+ * @param {String} options.output The catalog directory, which is created
+ *   along with its parents if it doesn't exist.
+ * @param {String} [options.name="messages"] The catalog name.
+ * @param {Array} [options.languages] The languages, defaults to the
+ *   languages of the existing catalogs.
+ * @param {Array} [options.extensions] The file extensions to scan.
+ * @param {Array} [options.ignore] The glob patterns of the files to skip,
+ *   see scanFiles().
+ * @param {Boolean} [options.dot=false] Scan the dot-directories and files.
+ * @param {String} [options.base] The directory references are relative to,
+ *   defaults to the current directory.
+ * @param {Function} done The done callback.
+ * @param {Error} done.err Any raised errors.
+ * @param {Object} done.results The added, obsolete and total number of
+ *   strings, keyed by the catalog filename.
+ */
+function extract(paths, options, done) {
+  'use strict';
+
+  var name = options.name || 'messages',
+      languages = options.languages && options.languages.length ?
+        options.languages :
+        catalogLanguages(options.output, name);
+
+  if (!languages.length) {
+    return done(new Error(
+      'No languages given and no "' + name + '" catalogs found in "' +
+        options.output + '"'
+    ));
+  }
+
+  scanFiles(paths, {
+    extensions: options.extensions,
+    ignore: options.ignore,
+    dot: options.dot,
+    base: options.base
+  }, function (err, strings) {
+    if (err) {
+      return done(err);
+    }
+
+    fs.mkdir(options.output, {recursive: true}, function (err2) {
+      if (err2) {
+        return done(err2);
+      }
+
+      writeCatalogs(options.output, name, languages, strings, done);
+    });
+  });
+}
+
+/**
+ * Exports the extraction functions.
+ */
+module.exports = {
+  EXTENSIONS: EXTENSIONS,
+  placeholders: placeholders,
+  scan: scan,
+  merge: merge,
+  scanFiles: scanFiles,
+  updateCatalog: updateCatalog,
+  writeCatalogs: writeCatalogs,
+  catalogLanguages: catalogLanguages,
+  extract: extract
+};
@@ -0,0 +1,514 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+
+/**
+ * Provides the language aware number, currency, date, relative time and list
+ * formatters, built on the Intl API.
+ *
+ * @author Orgun109uk <orgun109uk@gmail.com>
+ */
+
+/**
+ * The date and time styles.
+ *
+ * @type {Array}
+ * @private
+ */
+var STYLES = ['short', 'medium', 'long', 'full'];
+
+/**
+ * The relative time units, with their length in seconds, used to select the
+ * unit when formatting a date relative to now.
+ *
+ * @type {Array}
+ * @private
+ */
+var UNITS = [
+  ['second', 1],
+  ['minute', 60],
+  ['hour', 3600],
+  ['day', 86400],
+  ['week', 604800],
+  ['month', 2629800],
+  ['year', 31557600]
+];
+
+/**
+ * The maximum number of cached Intl formatters.
+ *
+ * @type {Number}
+ * @private
+ */
+var MAX_CACHED = 200;
+
+/**
+ * The created Intl formatters, keyed by their class, language and options.
+ *
+ * @type {Object}
+ * @private
+ */
+var formatters = {};
+
+/**
+ * The keys of the cached formatters, oldest first.
+ *
+ * @type {Array}
+ * @private
+ */
+var cached = [];
+
+/**
+ * Copies the given options.
+ *
+ * @param {Object} [options] The options.
+ * @param {Object} [extra] The options to add.
+ * @return {Object} The copied options.
+ * @private
+ */
+function extend(options, extra) {
+  'use strict';
+
+  var result = {};
+
+  [options || {}, extra || {}].forEach(function (obj) {
+    Object.keys(obj).forEach(function (key) {
+      if (obj[key] !== undefined && obj[key] !== null) {
+        result[key] = obj[key];
+      }
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Lowers the default minimum fraction digits of a number formatter to the
+ * given maximum, older runtimes reject a maximum below the default minimum
+ * (e.g. `maximumFractionDigits: 0` for a currency).
+ *
+ * @param {Function} Formatter The Intl formatter class.
+ * @param {String} language The language tag.
+ * @param {Object} options The formatter options.
+ * @return {Object} The adjusted options.
+ * @throws {RangeError} If the options are invalid.
+ * @private
+ */
+function fractionDigits(Formatter, language, options) {
+  'use strict';
+
+  var defaults;
+
+  if (Formatter !== Intl.NumberFormat ||
+      options.maximumFractionDigits === undefined ||
+      options.minimumFractionDigits !== undefined) {
+    return options;
+  }
+
+  defaults = extend(options);
+  delete defaults.maximumFractionDigits;
+
+  return extend(options, {
+    minimumFractionDigits: Math.min(
+      options.maximumFractionDigits,
+      new Formatter(language, defaults).resolvedOptions().minimumFractionDigits
+    )
+  });
+}
+
+/**
+ * Creates an Intl formatter, invalid language tags fall back to the runtime
+ * default language.
+ *
+ * @param {Function} Formatter The Intl formatter class.
+ * @param {String} language The language tag.
+ * @param {Object} options The formatter options.
+ * @return {Object} The formatter.
+ * @throws {RangeError} If the options are invalid.
+ * @private
+ */
+function construct(Formatter, language, options) {
+  'use strict';
+
+  options = options || {};
+
+  try {
+    return new Formatter(
+      language || undefined,
+      fractionDigits(Formatter, language || undefined, options)
+    );
+  } catch (err) {
+    if (!language) {
+      throw err;
+    }
+
+    return new Formatter(
+      undefined, fractionDigits(Formatter, undefined, options)
+    );
+  }
+}
+
+/**
+ * Creates the cache key of a formatter, the options are sorted so the same
+ * options given in a different order share a formatter.
+ *
+ * @param {Function} Formatter The Intl formatter class.
+ * @param {String} language The language tag.
+ * @param {Object} [options] The formatter options.
+ * @return {String} The key.
+ * @private
+ */
+function cacheKey(Formatter, language, options) {
+  'use strict';
+
+  options = options || {};
+
+  return [Formatter.name, String(language || '')].concat(
+    Object.keys(options).sort().map(function (name) {
+      return name + '=' + options[name];
+    })
+  ).join('\u0000');
+}
+
+/**
+ * Returns the Intl formatter for the given language and options, creating
+ * and caching it on first use. The least recently created formatters are
+ * dropped once the cache is full.
+ *
+ * @param {Function} Formatter The Intl formatter class.
+ * @param {String} language The language tag.
+ * @param {Object} options The formatter options.
+ * @return {Object} The formatter.
+ * @throws {RangeError} If the options are invalid.
+ * @private
+ */
+function create(Formatter, language, options) {
+  'use strict';
+
+  var key = cacheKey(Formatter, language, options);
+
+  if (formatters[key] === undefined) {
+    formatters[key] = construct(Formatter, language, options);
+    cached.push(key);
+
+    if (cached.length > MAX_CACHED) {
+      delete formatters[cached.shift()];
+    }
+  }
+
+  return formatters[key];
+}
+
+/**
+ * Converts the given value to a date.
+ *
+ * @param {Date|Number|String} value The date, timestamp or date string.
+ * @return {Date} The date.
+ * @private
+ */
+function toDate(value) {
+  'use strict';
+
+  return value instanceof Date ? value : new Date(value);
+}
+
+/**
+ * Converts a date style into Intl options.
+ *
+ * @param {String|Object} [style] The style, short, medium, long or full, or
+ *   the Intl.DateTimeFormat options.
+ * @param {String} dateKey The date style key, dateStyle or null.
+ * @param {String} timeKey The time style key, timeStyle or null.
+ * @return {Object} The options.
+ * @private
+ */
+function dateOptions(style, dateKey, timeKey) {
+  'use strict';
+
+  var options = {};
+
+  if (style !== null && typeof style === 'object') {
+    options = extend(style);
+    style = options.style;
+    delete options.style;
+  }
+
+  if (
+    options.dateStyle === undefined && options.timeStyle === undefined &&
+    Object.keys(options).filter(function (key) {
+      return key !== 'timeZone' && key !== 'hour12';
+    }).length === 0
+  ) {
+    style = STYLES.indexOf(style) === -1 ? 'medium' : style;
+
+    if (dateKey) {
+      options[dateKey] = style;
+    }
+
+    if (timeKey) {
+      options[timeKey] = style;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Formats a number.
+ *
+ * @param {String} language The language tag.
+ * @param {Number} value The number.
+ * @param {Object} [options] The Intl.NumberFormat options.
+ * @return {String} The formatted number.
+ */
+function number(language, value, options) {
+  'use strict';
+
+  return create(Intl.NumberFormat, language, options).format(value);
+}
+
+/**
+ * Formats a percentage, where 1 is 100%.
+ *
+ * @param {String} language The language tag.
+ * @param {Number} value The number.
+ * @param {Object} [options] The Intl.NumberFormat options.
+ * @return {String} The formatted percentage.
+ */
+function percent(language, value, options) {
+  'use strict';
+
+  return number(language, value, extend(options, {style: 'percent'}));
+}
+
+/**
+ * Formats an amount of currency.
+ *
+ * @param {String} language The language tag.
+ * @param {Number} value The amount.
+ * @param {String} code The ISO 4217 currency code, such as "EUR".
+ * @param {Object} [options] The Intl.NumberFormat options.
+ * @return {String} The formatted amount.
+ */
+function currency(language, value, code, options) {
+  'use strict';
+
+  return number(language, value, extend(options, {
+    style: 'currency',
+    currency: code
+  }));
+}
+
+/**
+ * Formats a date.
+ *
+ * @param {String} language The language tag.
+ * @param {Date|Number|String} value The date.
+ * @param {String|Object} [style="medium"] The style, short, medium, long or
+ *   full, or the Intl.DateTimeFormat options.
+ * @return {String} The formatted date.
+ */
+function date(language, value, style) {
+  'use strict';
+
+  return create(
+    Intl.DateTimeFormat, language, dateOptions(style, 'dateStyle', null)
+  ).format(toDate(value));
+}
+
+/**
+ * Formats a time.
+ *
+ * @param {String} language The language tag.
+ * @param {Date|Number|String} value The date.
+ * @param {String|Object} [style="medium"] The style, short, medium, long or
+ *   full, or the Intl.DateTimeFormat options.
+ * @return {String} The formatted time.
+ */
+function time(language, value, style) {
+  'use strict';
+
+  return create(
+    Intl.DateTimeFormat, language, dateOptions(style, null, 'timeStyle')
+  ).format(toDate(value));
+}
+
+/**
+ * Formats a date and time.
+ *
+ * @param {String} language The language tag.
+ * @param {Date|Number|String} value The date.
+ * @param {String|Object} [style="medium"] The style, short, medium, long or
+ *   full, or the Intl.DateTimeFormat options.
+ * @return {String} The formatted date and time.
+ */
+function dateTime(language, value, style) {
+  'use strict';
+
+  return create(
+    Intl.DateTimeFormat,
+    language,
+    dateOptions(style, 'dateStyle', 'timeStyle')
+  ).format(toDate(value));
+}
+
+/**
+ * Selects the largest unit which fits the distance between the dates.
+ *
+ * @param {Date} value The date.
+ * @param {Date} [now] The date the value is relative to, defaults to now.
+ * @return {Object} An object containing the rounded value and the unit.
+ * @private
+ */
+function relativeUnit(value, now) {
+  'use strict';
+
+  var seconds = (value.getTime() - (now || new Date()).getTime()) / 1000,
+      i;
+
+  for (i = UNITS.length - 1; i > 0; i--) {
+    if (Math.abs(seconds) >= UNITS[i][1]) {
+      break;
+    }
+  }
+
+  return {
+    value: Math.round(seconds / UNITS[i][1]),
+    unit: UNITS[i][0]
+  };
+}
+
+/**
+ * Formats a relative time, such as "3 days ago" or "in 2 hours". If a date
+ * is given the unit is selected from its distance to now.
+ *
+ * @param {String} language The language tag.
+ * @param {Number|Date} value The amount of units, negative for the past, or
+ *   the date.
+ * @param {String} [unit] The unit, such as "day", required for amounts.
+ * @param {Object} [options] The Intl.RelativeTimeFormat options.
+ * @param {Date} [options.now] The date a date value is relative to.
+ * @return {String} The formatted relative time.
+ * @throws {RangeError} If the unit is invalid.
+ */
+function relativeTime(language, value, unit, options) {
+  'use strict';
+
+  var relative;
+
+  if (unit !== null && typeof unit === 'object') {
+    options = unit;
+    unit = null;
+  }
+
+  options = extend(options);
+
+  if (value instanceof Date) {
+    relative = relativeUnit(value, options.now ? toDate(options.now) : null);
+    value = relative.value;
+    unit = relative.unit;
+  }
+
+  delete options.now;
+
+  return create(Intl.RelativeTimeFormat, language, options)
+    .format(Number(value), unit);
+}
+
+/**
+ * Formats a list, such as "a, b, and c".
+ *
+ * @param {String} language The language tag.
+ * @param {Array} items The items.
+ * @param {String} [type="conjunction"] The list type, conjunction,
+ *   disjunction or unit.
+ * @return {String} The formatted list.
+ */
+function list(language, items, type) {
+  'use strict';
+
+  return create(Intl.ListFormat, language, {
+    type: type || 'conjunction'
+  }).format(items.map(String));
+}
+
+/**
+ * Formats a typed MessageFormat argument, such as "{price, number,
+ * currency}" or "{day, date, short}".
+ *
+ * @param {String} language The language tag.
+ * @param {String} format The argument type, number, date, time, datetime,
+ *   relative or list.
+ * @param {String} [style] The argument style, such as "integer", "percent",
+ *   "currency", "currency/EUR", "short" or "day".
+ * @param {*} value The value.
+ * @param {Object} [defaults] The defaults.
+ * @param {String} [defaults.currency] The currency code to use if the style
+ *   doesn't give one.
+ * @param {String} [defaults.timeZone] The time zone for dates.
+ * @return {String} The formatted value.
+ */
+function argument(language, format, style, value, defaults) {
+  'use strict';
+
+  var tz = {timeZone: defaults && defaults.timeZone},
+      parts = String(style || '').split('/');
+
+  switch (format) {
+    case 'number':
+      if (parts[0] === 'currency') {
+        return currency(
+          language, value, parts[1] || defaults && defaults.currency || 'USD'
+        );
+      }
+
+      return parts[0] === 'percent' ? percent(language, value) :
+        number(language, value, parts[0] === 'integer' ?
+          {maximumFractionDigits: 0} :
+          null);
+
+    case 'date':
+      return date(language, value, extend(tz, {style: style}));
+
+    case 'time':
+      return time(language, value, extend(tz, {style: style}));
+
+    case 'datetime':
+      return dateTime(language, value, extend(tz, {style: style}));
+
+    case 'relative':
+      return relativeTime(language, value, style || null);
+
+    case 'list':
+      return list(language, [].concat(value), style);
+
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Exports the formatter functions.
+ */
+module.exports = {
+  number: number,
+  percent: percent,
+  currency: currency,
+  date: date,
+  time: time,
+  dateTime: dateTime,
+  relativeTime: relativeTime,
+  list: list,
+  argument: argument
+};
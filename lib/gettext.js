@@ -0,0 +1,1081 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+/**
+ * Provides reading and writing of gettext .po and .mo catalogs.
+ *
+ * Gettext plural entries are converted to ICU plural messages, the source
+ * string becomes "{count, plural, one {MSGID} other {MSGID_PLURAL}}" and the
+ * translation uses the CLDR categories of the language, with "%d" replaced
+ * by "#". Such messages are converted back to plural entries when exported,
+ * if the Plural-Forms of the language are known.
+ *
+ * @author Orgun109uk <orgun109uk@gmail.com>
+ */
+
+var fs = require('fs'),
+    loader = require('nsloader'),
+    pluralRules = loader('Entity/Locale/pluralRules'),
+    MessageFormat = loader('Entity/Locale/MessageFormat'),
+    languageTag = loader('Entity/Locale/languageTag'),
+    messageKey = loader('Entity/Locale/messageKey');
+
+/**
+ * The order of the CLDR plural categories.
+ *
+ * @type {Array}
+ * @private
+ */
+var CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+/**
+ * The Plural-Forms headers of the exported catalogs, each with the
+ * languages which use it.
+ *
+ * @type {Array}
+ * @private
+ */
+var PLURAL_FORMS = [
+  ['nplurals=1; plural=0;', [
+    'id', 'ja', 'km', 'ko', 'lo', 'ms', 'my', 'th', 'vi', 'zh'
+  ]],
+  ['nplurals=2; plural=(n != 1);', [
+    'af', 'bg', 'ca', 'da', 'de', 'el', 'en', 'eo', 'es', 'et', 'eu', 'fi',
+    'fo', 'gl', 'hu', 'it', 'nb', 'nl', 'nn', 'no', 'pt-PT', 'sv', 'sw',
+    'tr', 'ur'
+  ]],
+  ['nplurals=2; plural=(n > 1);', ['bn', 'fr', 'hi', 'hy', 'pt']],
+  [
+    'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && ' +
+      '(n%100<10 || n%100>=20) ? 1 : 2);',
+    ['be', 'bs', 'hr', 'ru', 'sr', 'uk']
+  ],
+  [
+    'nplurals=3; plural=(n==1 ? 0 : n%10>=2 && n%10<=4 && ' +
+      '(n%100<10 || n%100>=20) ? 1 : 2);',
+    ['pl']
+  ],
+  ['nplurals=3; plural=(n==1 ? 0 : n>=2 && n<=4 ? 1 : 2);', ['cs', 'sk']],
+  [
+    'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && ' +
+      '(n%100<10 || n%100>=20) ? 1 : 2);',
+    ['lt']
+  ],
+  [
+    'nplurals=3; plural=(n==1 ? 0 : n==0 || (n%100>0 && n%100<20) ? 1 : 2);',
+    ['ro']
+  ],
+  [
+    'nplurals=4; plural=(n%100==1 ? 0 : n%100==2 ? 1 : ' +
+      'n%100==3 || n%100==4 ? 2 : 3);',
+    ['sl']
+  ],
+  [
+    'nplurals=6; plural=(n==0 ? 0 : n==1 ? 1 : n==2 ? 2 : ' +
+      'n%100>=3 && n%100<=10 ? 3 : n%100>=11 ? 4 : 5);',
+    ['ar']
+  ]
+];
+
+/**
+ * The escape sequences used within .po strings.
+ *
+ * @type {Object}
+ * @private
+ */
+var ESCAPES = {n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\'};
+
+/**
+ * Unescapes a quoted .po string.
+ *
+ * @param {String} str The quoted string.
+ * @return {String} The unescaped string.
+ * @private
+ */
+function unescape(str) {
+  'use strict';
+
+  return str.replace(/^"|"$/g, '').replace(/\\(.)/g, function (m, chr) {
+    return ESCAPES[chr] !== undefined ? ESCAPES[chr] : chr;
+  });
+}
+
+/**
+ * Escapes a string as one or more quoted .po lines.
+ *
+ * @param {String} str The string to escape.
+ * @return {String} The quoted string.
+ * @private
+ */
+function escape(str) {
+  'use strict';
+
+  var lines = str.split(/(\n)/).reduce(function (acc, part) {
+    if (part === '\n') {
+      acc[acc.length - 1] += part;
+    } else if (part !== '') {
+      acc.push(part);
+    }
+
+    return acc;
+  }, []);
+
+  lines = lines.map(function (line) {
+    return '"' + line
+      .replace(/\\/g, '\\\\')
+      .replace(/"/g, '\\"')
+      .replace(/\t/g, '\\t')
+      .replace(/\r/g, '\\r')
+      .replace(/\n/g, '\\n') + '"';
+  });
+
+  if (lines.length > 1) {
+    lines.unshift('""');
+  }
+
+  return lines.length ? lines.join('\n') : '""';
+}
+
+/**
+ * Parses the header entry of a catalog.
+ *
+ * @param {String} str The header msgstr.
+ * @return {Object} The headers keyed by name.
+ * @private
+ */
+function parseHeaders(str) {
+  'use strict';
+
+  var headers = {};
+
+  str.split('\n').forEach(function (line) {
+    var pos = line.indexOf(':');
+    if (pos > 0) {
+      headers[line.substring(0, pos).trim()] = line.substring(pos + 1).trim();
+    }
+  });
+
+  return headers;
+}
+
+/**
+ * Creates a new empty catalog entry.
+ *
+ * @return {Object} The entry.
+ * @private
+ */
+function createEntry() {
+  'use strict';
+
+  return {
+    msgctxt: null,
+    msgid: '',
+    msgidPlural: null,
+    msgstr: [],
+    flags: [],
+    comments: [],
+    references: [],
+    obsolete: false
+  };
+}
+
+/**
+ * Applies a comment line to the entry.
+ *
+ * @param {Object} entry The entry.
+ * @param {String} line The comment line.
+ * @private
+ */
+function parseComment(entry, line) {
+  'use strict';
+
+  var value = line.substring(2).trim();
+
+  switch (line.charAt(1)) {
+    case ',':
+      entry.flags = entry.flags.concat(value.split(/\s*,\s*/));
+      break;
+
+    case ':':
+      entry.references = entry.references.concat(value.split(/\s+/));
+      break;
+
+    case '.':
+    case ' ':
+    case '':
+      entry.comments.push(value);
+      break;
+  }
+}
+
+/**
+ * Appends a quoted string to a field of the entry.
+ *
+ * @param {Object} entry The entry.
+ * @param {String} field The field name.
+ * @param {Integer} index The msgstr index.
+ * @param {String} line The quoted string.
+ * @private
+ */
+function appendField(entry, field, index, line) {
+  'use strict';
+
+  if (field === null || line.charAt(0) !== '"') {
+    return;
+  }
+
+  if (field === 'msgstr') {
+    entry.msgstr[index] = (entry.msgstr[index] || '') + unescape(line);
+  } else if (field === 'msgid_plural') {
+    entry.msgidPlural = (entry.msgidPlural || '') + unescape(line);
+  } else {
+    entry[field] = (entry[field] || '') + unescape(line);
+  }
+}
+
+/**
+ * Parses the contents of a .po file.
+ *
+ * @param {String} content The file contents.
+ * @return {Object} An object containing the headers and the entries.
+ */
+function parsePo(content) {
+  'use strict';
+
+  var entries = [],
+      entry = createEntry(),
+      field = null,
+      index = 0;
+
+  function flush() {
+    if (field !== null) {
+      entries.push(entry);
+    }
+
+    entry = createEntry();
+    field = null;
+  }
+
+  content = String(content).replace(/^\ufeff/, '');
+
+  content.split(/\r?\n/).forEach(function (line) {
+    var obsolete = /^#~/.test(line.trim()),
+        match;
+
+    line = line.trim().replace(/^#~\s*/, '');
+    match = /^(msgctxt|msgid_plural|msgid|msgstr)(?:\[(\d+)\])?\s+(".*")$/
+      .exec(line);
+
+    if (line === '' || line.charAt(0) === '#') {
+      if (field === 'msgstr' || line === '') {
+        flush();
+      }
+
+      return line !== '' && parseComment(entry, line);
+    } else if (match) {
+      if (
+        match[1] === 'msgctxt' ||
+        (match[1] === 'msgid' && field !== null && field !== 'msgctxt')
+      ) {
+        flush();
+      }
+
+      field = match[1];
+      index = match[2] ? parseInt(match[2], 10) : 0;
+      line = match[3];
+    }
+
+    entry.obsolete = entry.obsolete || obsolete;
+    appendField(entry, field, index, line);
+  });
+
+  flush();
+
+  return {
+    headers: entries.length && entries[0].msgid === '' && !entries[0].msgctxt ?
+      parseHeaders(entries.shift().msgstr[0] || '') :
+      {},
+    entries: entries
+  };
+}
+
+/**
+ * Returns the integer reader for the byte order of a .mo file.
+ *
+ * @param {Buffer} buffer The file contents.
+ * @return {Function} A function reading an unsigned integer at an offset.
+ * @throws {Error} If the buffer isn't a valid .mo file.
+ * @private
+ */
+function moReader(buffer) {
+  'use strict';
+
+  var magic = buffer.length >= 28 ? buffer.readUInt32LE(0) : 0;
+
+  if (magic === 0x950412de) {
+    return buffer.readUInt32LE.bind(buffer);
+  } else if (magic === 0xde120495) {
+    return buffer.readUInt32BE.bind(buffer);
+  }
+
+  throw new Error('Invalid .mo file');
+}
+
+/**
+ * Parses the contents of a compiled .mo file.
+ *
+ * @param {Buffer} buffer The file contents.
+ * @return {Object} An object containing the headers and the entries.
+ * @throws {Error} If the buffer isn't a valid .mo file.
+ */
+function parseMo(buffer) {
+  'use strict';
+
+  var read = moReader(buffer),
+      entries = [],
+      headers = {};
+
+  function string(table, i) {
+    var len = read(read(table) + i * 8),
+        offset = read(read(table) + i * 8 + 4);
+
+    return buffer.toString('utf8', offset, offset + len);
+  }
+
+  for (var i = 0, count = read(8); i < count; i++) {
+    var entry = createEntry(),
+        original = string(12, i).split('\u0000'),
+        key = messageKey.parse(original[0]);
+
+    entry.msgctxt = key.context;
+    entry.msgid = key.msg;
+    entry.msgidPlural = original.length > 1 ? original[1] : null;
+    entry.msgstr = string(16, i).split('\u0000');
+
+    if (entry.msgid === '' && !entry.msgctxt) {
+      headers = parseHeaders(entry.msgstr[0]);
+    } else {
+      entries.push(entry);
+    }
+  }
+
+  return {
+    headers: headers,
+    entries: entries
+  };
+}
+
+/**
+ * Creates the contents of a .po file.
+ *
+ * @param {Object} headers The catalog headers.
+ * @param {Array} entries The entries, each containing an optional msgctxt,
+ *   msgid, optional msgidPlural, msgstr array and optional flags and
+ *   comments arrays.
+ * @return {String} The file contents.
+ */
+function compilePo(headers, entries) {
+  'use strict';
+
+  var blocks = [],
+      header = '';
+
+  for (var name in headers) {
+    header += name + ': ' + headers[name] + '\n';
+  }
+
+  blocks.push('msgid ""\nmsgstr ' + escape(header));
+
+  entries.forEach(function (entry) {
+    var lines = [];
+
+    (entry.comments || []).forEach(function (comment) {
+      lines.push('#. ' + comment);
+    });
+
+    if (entry.flags && entry.flags.length) {
+      lines.push('#, ' + entry.flags.join(', '));
+    }
+
+    if (entry.msgctxt) {
+      lines.push('msgctxt ' + escape(entry.msgctxt));
+    }
+
+    lines.push('msgid ' + escape(entry.msgid));
+
+    if (entry.msgidPlural !== null && entry.msgidPlural !== undefined) {
+      lines.push('msgid_plural ' + escape(entry.msgidPlural));
+      entry.msgstr.forEach(function (str, i) {
+        lines.push('msgstr[' + i + '] ' + escape(str || ''));
+      });
+    } else {
+      lines.push('msgstr ' + escape(entry.msgstr[0] || ''));
+    }
+
+    blocks.push(lines.join('\n'));
+  });
+
+  return blocks.join('\n\n') + '\n';
+}
+
+/**
+ * The tokens of a plural expression.
+ *
+ * @type {RegExp}
+ * @private
+ */
+var PLURAL_TOKENS = /\s*([0-9]+|n|\|\||&&|[=!<>]=|[<>?:!()%*\/+\-])/g;
+
+/**
+ * The binary operators of a plural expression, from the lowest to the
+ * highest precedence.
+ *
+ * @type {Array}
+ * @private
+ */
+var PLURAL_PRECEDENCE = [
+  ['||'],
+  ['&&'],
+  ['==', '!='],
+  ['<', '<=', '>', '>='],
+  ['+', '-'],
+  ['*', '/', '%']
+];
+
+/**
+ * Applies a binary operator of a plural expression, with C semantics.
+ *
+ * @param {String} operator The operator.
+ * @param {Number} a The left operand.
+ * @param {Number} b The right operand.
+ * @return {Number} The result.
+ * @private
+ */
+function pluralOperate(operator, a, b) {
+  'use strict';
+
+  switch (operator) {
+    case '||':
+      return a || b ? 1 : 0;
+    case '&&':
+      return a && b ? 1 : 0;
+    case '==':
+      return a === b ? 1 : 0;
+    case '!=':
+      return a !== b ? 1 : 0;
+    case '<':
+      return a < b ? 1 : 0;
+    case '<=':
+      return a <= b ? 1 : 0;
+    case '>':
+      return a > b ? 1 : 0;
+    case '>=':
+      return a >= b ? 1 : 0;
+    case '+':
+      return a + b;
+    case '-':
+      return a - b;
+    case '*':
+      return a * b;
+    case '/':
+      return Math.floor(a / b);
+    default:
+      return a % b;
+  }
+}
+
+/**
+ * Creates the error raised for an invalid plural expression.
+ *
+ * @param {String} expr The plural expression.
+ * @return {Error} The error.
+ * @private
+ */
+function pluralError(expr) {
+  'use strict';
+
+  return new Error('Invalid Plural-Forms expression "' + expr + '"');
+}
+
+/**
+ * Splits a plural expression into its tokens.
+ *
+ * @param {String} expr The plural expression.
+ * @return {Array} The tokens.
+ * @throws {Error} If the expression contains an unknown token.
+ * @private
+ */
+function pluralTokens(expr) {
+  'use strict';
+
+  var re = new RegExp(PLURAL_TOKENS.source, 'g'),
+      tokens = [],
+      pos = 0,
+      match;
+
+  while (pos < expr.length) {
+    re.lastIndex = pos;
+    match = re.exec(expr);
+
+    if (match === null || match.index !== pos) {
+      throw pluralError(expr);
+    }
+
+    tokens.push(match[1]);
+    pos = re.lastIndex;
+  }
+
+  return tokens;
+}
+
+/**
+ * Consumes the expected token of a plural expression.
+ *
+ * @param {Object} state The parser state, containing the expr, tokens and
+ *   the current position.
+ * @param {String} token The expected token.
+ * @throws {Error} If the current token is a different token.
+ * @private
+ */
+function pluralExpect(state, token) {
+  'use strict';
+
+  if (state.tokens[state.pos] !== token) {
+    throw pluralError(state.expr);
+  }
+
+  state.pos++;
+}
+
+/**
+ * Combines the operands of a binary operator.
+ *
+ * @param {String} operator The operator.
+ * @param {Function} left The left operand.
+ * @param {Function} right The right operand.
+ * @return {Function} The function evaluating the operation for a number.
+ * @private
+ */
+function pluralBinary(operator, left, right) {
+  'use strict';
+
+  return function (n) {
+    return pluralOperate(operator, left(n), right(n));
+  };
+}
+
+/**
+ * Parses a number, the "n" variable, a negation or a parenthesized
+ * expression.
+ *
+ * @param {Object} state The parser state.
+ * @return {Function} The function evaluating the expression for a number.
+ * @throws {Error} If the expression is invalid.
+ * @private
+ */
+function pluralOperand(state) {
+  'use strict';
+
+  var token = state.tokens[state.pos++],
+      value;
+
+  if (token === 'n') {
+    return function (n) {
+      return n;
+    };
+  } else if (/^[0-9]+$/.test(token || '')) {
+    value = parseInt(token, 10);
+    return function () {
+      return value;
+    };
+  } else if (token === '!') {
+    value = pluralOperand(state);
+    return function (n) {
+      return value(n) ? 0 : 1;
+    };
+  } else if (token !== '(') {
+    throw pluralError(state.expr);
+  }
+
+  value = pluralTernary(state);
+  pluralExpect(state, ')');
+
+  return value;
+}
+
+/**
+ * Parses the binary operations of the given precedence level and above.
+ *
+ * @param {Object} state The parser state.
+ * @param {Integer} level The precedence level.
+ * @return {Function} The function evaluating the expression for a number.
+ * @throws {Error} If the expression is invalid.
+ * @private
+ */
+function pluralOperation(state, level) {
+  'use strict';
+
+  var left, operator;
+
+  if (level === PLURAL_PRECEDENCE.length) {
+    return pluralOperand(state);
+  }
+
+  left = pluralOperation(state, level + 1);
+  while (PLURAL_PRECEDENCE[level].indexOf(state.tokens[state.pos]) !== -1) {
+    operator = state.tokens[state.pos++];
+    left = pluralBinary(operator, left, pluralOperation(state, level + 1));
+  }
+
+  return left;
+}
+
+/**
+ * Parses a conditional expression, or the operations it consists of.
+ *
+ * @param {Object} state The parser state.
+ * @return {Function} The function evaluating the expression for a number.
+ * @throws {Error} If the expression is invalid.
+ * @private
+ */
+function pluralTernary(state) {
+  'use strict';
+
+  var condition = pluralOperation(state, 0),
+      then, otherwise;
+
+  if (state.tokens[state.pos] !== '?') {
+    return condition;
+  }
+
+  state.pos++;
+  then = pluralTernary(state);
+  pluralExpect(state, ':');
+  otherwise = pluralTernary(state);
+
+  return function (n) {
+    return condition(n) ? then(n) : otherwise(n);
+  };
+}
+
+/**
+ * Creates the plural function from the Plural-Forms header. The expression
+ * is parsed as the C expressions gettext accepts, the "n" variable, numbers,
+ * the arithmetic, comparison and logical operators, negation, parentheses
+ * and conditionals, it's never evaluated as code.
+ *
+ * @param {String} [header] The Plural-Forms header value.
+ * @return {Function} A function returning the msgstr index for a number.
+ * @throws {Error} If the plural expression is invalid.
+ * @private
+ */
+function pluralFunction(header) {
+  'use strict';
+
+  var match = /plural\s*=\s*([^;]+)/.exec(header || ''),
+      expr = match ? match[1].trim() : 'n != 1',
+      state = {expr: expr, tokens: pluralTokens(expr), pos: 0},
+      fn = pluralTernary(state);
+
+  if (state.pos !== state.tokens.length) {
+    throw pluralError(expr);
+  }
+
+  return function (n) {
+    return Number(fn(n));
+  };
+}
+
+/**
+ * Escapes text so it is treated as literal text within an ICU message, and
+ * converts the gettext "%d" placeholder to the plural "#".
+ *
+ * @param {String} str The text.
+ * @return {String} The ICU message text.
+ * @private
+ */
+function toIcu(str) {
+  'use strict';
+
+  return str
+    .replace(/'/g, '\'\'')
+    .replace(/[{}#]+/g, '\'$&\'')
+    .replace(/%d/g, '#');
+}
+
+/**
+ * Converts the parts of an ICU message back into gettext text, the plural
+ * "#" becomes "%d".
+ *
+ * @param {Array} parts The message parts.
+ * @return {String|null} The text, or null if the parts contain arguments.
+ * @private
+ */
+function fromIcu(parts) {
+  'use strict';
+
+  var str = '';
+
+  for (var i = 0; i < parts.length; i++) {
+    if (typeof parts[i] === 'string') {
+      str += parts[i];
+    } else if (parts[i].type === 'pound') {
+      str += '%d';
+    } else {
+      return null;
+    }
+  }
+
+  return str;
+}
+
+/**
+ * Maps the CLDR categories of a language to the indexes of the plural
+ * function of a catalog, using the first number of each category.
+ *
+ * @param {String} language The language.
+ * @param {Function} plural The plural function of the catalog.
+ * @return {Object} The indexes keyed by category.
+ * @private
+ */
+function pluralIndexes(language, plural) {
+  'use strict';
+
+  var indexes = {},
+      cat;
+
+  for (var n = 0; n <= 200; n++) {
+    cat = pluralRules.cardinal(language, n);
+    if (indexes[cat] === undefined) {
+      indexes[cat] = plural(n);
+    }
+  }
+
+  return indexes;
+}
+
+/**
+ * Creates the ICU source message of a gettext plural entry.
+ *
+ * @param {Object} entry The plural entry.
+ * @return {String} The source message.
+ * @private
+ */
+function pluralSource(entry) {
+  'use strict';
+
+  return '{count, plural, one {' + toIcu(entry.msgid) + '} other {' +
+    toIcu(entry.msgidPlural) + '}}';
+}
+
+/**
+ * Converts a gettext plural entry into ICU source and translation messages.
+ *
+ * @param {Object} entry The plural entry.
+ * @param {String} language The language of the translation.
+ * @param {Function} plural The plural function of the catalog.
+ * @return {Object} An object containing the msg and translation.
+ * @private
+ */
+function pluralMessage(entry, language, plural) {
+  'use strict';
+
+  var indexes = pluralIndexes(language, plural),
+      options = [];
+
+  if (indexes.other === undefined) {
+    indexes.other = entry.msgstr.length - 1;
+  }
+
+  CATEGORIES.forEach(function (category) {
+    if (indexes[category] !== undefined) {
+      options.push(
+        category + ' {' + toIcu(entry.msgstr[indexes[category]] || '') + '}'
+      );
+    }
+  });
+
+  return {
+    msg: pluralSource(entry),
+    translation: '{count, plural, ' + options.join(' ') + '}'
+  };
+}
+
+/**
+ * Returns the options of an ICU message which consists of a single
+ * "{count, plural, ...}" argument, as created by pluralMessage().
+ *
+ * @param {String} str The message.
+ * @return {Object|null} The parts of each option keyed by selector, or null
+ *   if the message isn't such a plural.
+ * @private
+ */
+function pluralOptions(str) {
+  'use strict';
+
+  var parts;
+
+  try {
+    parts = new MessageFormat(null, str).parts;
+  } catch (err) {
+    return null;
+  }
+
+  if (
+    parts.length !== 1 || parts[0].type !== 'plural' || parts[0].ordinal ||
+    parts[0].offset || parts[0].name !== 'count'
+  ) {
+    return null;
+  }
+
+  return parts[0].options;
+}
+
+/**
+ * Returns the CLDR category of a plural index, see pluralIndexes().
+ *
+ * @param {Object} indexes The indexes keyed by category.
+ * @param {Number} index The plural index.
+ * @return {String} The category, "other" if no category uses the index.
+ * @private
+ */
+function indexCategory(indexes, index) {
+  'use strict';
+
+  return CATEGORIES.filter(function (category) {
+    return indexes[category] === index;
+  })[0] || 'other';
+}
+
+/**
+ * Converts an ICU plural message created by pluralMessage() back into a
+ * gettext plural entry, the inverse of pluralMessage().
+ *
+ * @param {String} msg The source message.
+ * @param {String} translation The translation.
+ * @param {String} language The language of the translation.
+ * @param {String} header The Plural-Forms header of the catalog.
+ * @return {Object|null} The plural entry, or null if the messages can't be
+ *   converted.
+ * @private
+ */
+function pluralEntry(msg, translation, language, header) {
+  'use strict';
+
+  var source = pluralOptions(msg),
+      target = pluralOptions(translation),
+      nplurals = Number(/nplurals\s*=\s*(\d+)/.exec(header)[1]),
+      entry, indexes, str;
+
+  if (source === null || target === null || !source.one || !source.other) {
+    return null;
+  }
+
+  entry = {
+    msgid: fromIcu(source.one),
+    msgidPlural: fromIcu(source.other),
+    msgstr: []
+  };
+
+  if (
+    entry.msgid === null || entry.msgidPlural === null ||
+    pluralSource(entry) !== msg
+  ) {
+    return null;
+  }
+
+  indexes = pluralIndexes(language, pluralFunction(header));
+  for (var i = 0; i < nplurals; i++) {
+    str = target[indexCategory(indexes, i)] || target.other;
+    str = str ? fromIcu(str) : null;
+
+    if (str === null) {
+      return null;
+    }
+
+    entry.msgstr.push(str);
+  }
+
+  return entry;
+}
+
+/**
+ * Returns the Plural-Forms header used to export the catalogs of a
+ * language.
+ *
+ * @param {String} language The language tag.
+ * @return {String|null} The header, or null if the plural forms of the
+ *   language aren't known.
+ */
+function pluralForms(language) {
+  'use strict';
+
+  var tags = [language, String(language).split('-')[0]];
+
+  for (var i = 0; i < tags.length; i++) {
+    for (var j = 0; j < PLURAL_FORMS.length; j++) {
+      if (PLURAL_FORMS[j][1].indexOf(tags[i]) !== -1) {
+        return PLURAL_FORMS[j][0];
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Converts translations into catalog entries, the inverse of
+ * toTranslations(). The ICU plural messages created from gettext plural
+ * entries become plural entries again if the Plural-Forms of the language
+ * are known, see pluralForms(), other messages are single entries.
+ *
+ * @param {Object} translations The translations keyed by translation key.
+ * @param {String} language The language of the translations.
+ * @return {Array} The entries, see compilePo().
+ */
+function fromTranslations(translations, language) {
+  'use strict';
+
+  var header = pluralForms(language);
+
+  return Object.keys(translations).map(function (key) {
+    var parsed = messageKey.parse(key),
+        entry = header ?
+          pluralEntry(parsed.msg, translations[key], language, header) :
+          null;
+
+    entry = entry || {msgid: parsed.msg, msgstr: [translations[key]]};
+    entry.msgctxt = parsed.context;
+
+    return entry;
+  });
+}
+
+/**
+ * Converts a parsed catalog into a translations object, fuzzy, obsolete and
+ * untranslated entries are skipped.
+ *
+ * @param {Object} catalog The parsed catalog.
+ * @param {String} language The language of the catalog.
+ * @return {Object} The translations keyed by their translation key.
+ */
+function toTranslations(catalog, language) {
+  'use strict';
+
+  var translations = {},
+      plural = pluralFunction(catalog.headers['Plural-Forms']);
+
+  catalog.entries.forEach(function (entry) {
+    var msg;
+
+    if (
+      entry.obsolete || entry.flags.indexOf('fuzzy') !== -1 ||
+      entry.msgstr.every(function (str) {
+        return !str;
+      })
+    ) {
+      return;
+    }
+
+    if (entry.msgidPlural !== null) {
+      msg = pluralMessage(entry, language, plural);
+    } else {
+      msg = {msg: entry.msgid, translation: entry.msgstr[0]};
+    }
+
+    translations[messageKey.create(msg.msg, entry.msgctxt)] = msg.translation;
+  });
+
+  return translations;
+}
+
+/**
+ * Returns the translation keys of the fuzzy entries in a parsed catalog,
+ * which are translated but need reviewing.
+ *
+ * @param {Object} catalog The parsed catalog.
+ * @param {String} language The language of the catalog.
+ * @return {Array} The translation keys.
+ */
+function fuzzy(catalog, language) {
+  'use strict';
+
+  var plural = pluralFunction(catalog.headers['Plural-Forms']);
+
+  return catalog.entries.filter(function (entry) {
+    return !entry.obsolete && entry.flags.indexOf('fuzzy') !== -1 &&
+      entry.msgid !== '';
+  }).map(function (entry) {
+    return messageKey.create(
+      entry.msgidPlural !== null ?
+        pluralMessage(entry, language, plural).msg :
+        entry.msgid,
+      entry.msgctxt
+    );
+  });
+}
+
+/**
+ * Creates a file reader for the given parser.
+ *
+ * @param {Function} parse The catalog parser.
+ * @param {String} [encoding] The encoding to read the file with.
+ * @return {Function} The file reader.
+ * @private
+ */
+function reader(parse, encoding) {
+  'use strict';
+
+  return function (filename, language, done) {
+    fs.readFile(filename, encoding || null, function (err, content) {
+      var catalog, result;
+
+      if (err) {
+        return done(err);
+      }
+
+      try {
+        catalog = parse(content);
+        language = language || (catalog.headers.Language ?
+          languageTag.normalize(catalog.headers.Language) :
+          null);
+
+        result = {
+          language: language,
+          translations: toTranslations(catalog, language),
+          fuzzy: fuzzy(catalog, language)
+        };
+      } catch (err2) {
+        return done(err2);
+      }
+
+      done(null, result);
+    });
+  };
+}
+
+/**
+ * Exports the gettext functions.
+ */
+module.exports = {
+  parsePo: parsePo,
+  parseMo: parseMo,
+  compilePo: compilePo,
+  pluralForms: pluralForms,
+  toTranslations: toTranslations,
+  fromTranslations: fromTranslations,
+  fuzzy: fuzzy,
+  readPo: reader(parsePo, 'utf8'),
+  readMo: reader(parseMo)
+};
@@ -18,323 +18,3990 @@
  * @author Orgun109uk <orgun109uk@gmail.com>
  */
 
-var path = require('path'),
+var fs = require('fs'),
+    path = require('path'),
+    util = require('util'),
+    EventEmitter = require('events').EventEmitter,
     glob = require('glob'),
-    async = require('async');
+    async = require('async'),
+    loader = require('nsloader'),
+    compile = loader('Entity/Locale/compile'),
+    languageTag = loader('Entity/Locale/languageTag'),
+    messageKey = loader('Entity/Locale/messageKey'),
+    gettext = loader('Entity/Locale/gettext'),
+    formatters = loader('Entity/Locale/formatters'),
+    validate = loader('Entity/Locale/validate'),
+    negotiate = loader('Entity/Locale/negotiate'),
+    errors = loader('Entity/Locale/errors'),
+    promised = loader('Entity/Locale/promise').promised,
+    Translator = loader('Entity/Locale/Translator'),
+    DatabaseStorage = loader('Entity/Locale/storage/DatabaseStorage'),
+    MemoryStorage = loader('Entity/Locale/storage/MemoryStorage'),
+    xliff = loader('Entity/Locale/xliff');
+
+/**
+ * The translation file readers, keyed by file extension. Each reader is
+ * called with the filename, the language from the filename (or null) and a
+ * done callback which is given an object with the language and translations,
+ * and optionally the keys of fuzzy translations which need reviewing.
+ *
+ * @type {Object}
+ * @private
+ */
+var readers = {
+  '.json': function (filename, language, done) {
+    'use strict';
+
+    var result;
+
+    filename = path.resolve(filename);
+
+    try {
+      delete require.cache[require.resolve(filename)];
+
+      result = {
+        language: language,
+        translations: messageKey.flatten(require(filename))
+      };
+    } catch (err) {
+      return done(err);
+    }
+
+    done(null, result);
+  },
+  '.po': gettext.readPo,
+  '.mo': gettext.readMo,
+  '.xlf': xliff.read,
+  '.xliff': xliff.read
+};
+
+/**
+ * The delay in milliseconds before a changed file is reloaded, allowing
+ * editors to finish writing.
+ *
+ * @type {Integer}
+ * @private
+ */
+var RELOAD_DELAY = 100;
+
+/**
+ * The translation source layers, from the lowest to the highest priority.
+ * Files are added to the "defaults", "module" or "app" layers, the
+ * "database" layer holds the stored translations and the "runtime" layer
+ * the in-memory overrides.
+ *
+ * @type {Array}
+ * @private
+ */
+var LAYERS = ['defaults', 'module', 'app', 'database', 'runtime'];
+
+/**
+ * The layers which are not provided by files.
+ *
+ * @type {Array}
+ * @private
+ */
+var STORE_LAYERS = ['database', 'runtime'];
+
+/**
+ * Normalizes the context argument of the translation methods, which may be
+ * either the context string or an options object.
+ *
+ * @param {String|Object} [context] The context or options.
+ * @return {Object} An object containing the context, namespace and author.
+ * @private
+ */
+function translateOptions(context) {
+  'use strict';
+
+  var options = context !== null && typeof context === 'object' ?
+    context :
+    {context: context};
+
+  return {
+    context: options.context || null,
+    namespace: options.namespace || null,
+    author: options.author || null
+  };
+}
+
+/**
+ * Returns the translation keys of a reference source catalog.
+ *
+ * @param {Array|Object} reference The source strings or translation keys,
+ *   the extracted strings or a catalog object keyed by source string.
+ * @return {Array} The unique translation keys.
+ * @private
+ */
+function referenceKeys(reference) {
+  'use strict';
+
+  var keys = Array.isArray(reference) ?
+    reference.map(function (item) {
+      return typeof item === 'string' ?
+        item :
+        messageKey.create(item.msg, item.context);
+    }) :
+    Object.keys(messageKey.flatten(reference || {}));
+
+  return keys.filter(function (key, idx) {
+    return keys.indexOf(key) === idx;
+  });
+}
+
+/**
+ * Counts the translated and fuzzy reference keys in the given translations.
+ *
+ * @param {Array} keys The reference translation keys.
+ * @param {Object} translations The translations.
+ * @param {Array} fuzzy The fuzzy translation keys.
+ * @param {Object} [overrides] The database translations, which are never
+ *   fuzzy.
+ * @return {Object} The total, translated, missing, fuzzy, overridden and
+ *   translated percentage.
+ * @private
+ */
+function countCoverage(keys, translations, fuzzy, overrides) {
+  'use strict';
+
+  var stats = {
+    total: keys.length,
+    translated: 0,
+    missing: 0,
+    fuzzy: 0,
+    overridden: 0
+  };
+
+  overrides = overrides || {};
+  keys.forEach(function (key) {
+    if (overrides[key]) {
+      stats.translated++;
+      stats.overridden++;
+    } else if (fuzzy.indexOf(key) !== -1) {
+      stats.fuzzy++;
+    } else if (translations[key]) {
+      stats.translated++;
+    } else {
+      stats.missing++;
+    }
+  });
+
+  stats.percent = stats.total ?
+    Math.round(stats.translated / stats.total * 10000) / 100 :
+    100;
+
+  return stats;
+}
+
+/**
+ * Prefixes the source string of a translation key with its namespace, such
+ * as "users:Hello", as it's passed to t().
+ *
+ * @param {String} key The translation key.
+ * @param {String} [namespace] The namespace, if not provided the key is
+ *   returned as is.
+ * @return {String} The prefixed translation key.
+ * @private
+ */
+function prefixKey(key, namespace) {
+  'use strict';
+
+  var parsed;
+
+  if (!namespace) {
+    return key;
+  }
+
+  parsed = messageKey.parse(key);
+
+  return messageKey.create(namespace + ':' + parsed.msg, parsed.context);
+}
+
+/**
+ * Keys the given translations of a namespace by their namespace prefixed
+ * translation key, see prefixKey().
+ *
+ * @param {Object} translations The translations.
+ * @param {String} [namespace] The namespace, if not provided the
+ *   translations are returned as is.
+ * @return {Object} The translations keyed by the prefixed key.
+ * @private
+ */
+function prefixTranslations(translations, namespace) {
+  'use strict';
+
+  var result = {};
+
+  if (!namespace) {
+    return translations;
+  }
+
+  for (var key in translations) {
+    result[prefixKey(key, namespace)] = translations[key];
+  }
+
+  return result;
+}
+
+/**
+ * Derives a namespace from a translation filename, which is the filename
+ * without the language and extension, for example "users.fr.json" becomes
+ * "users".
+ *
+ * @param {String} filename The filename.
+ * @param {Array} [languages] The registered languages.
+ * @return {String|null} The namespace, or null if there is none.
+ * @private
+ */
+function namespaceFromFilename(filename, languages) {
+  'use strict';
+
+  var basename = path.basename(filename, path.extname(filename));
+
+  if (languageTag.fromFilename(filename, languages) !== null) {
+    basename = basename.substring(0, basename.lastIndexOf('.'));
+  }
+
+  return basename || null;
+}
+
+/**
+ * Resolves the namespace option of a translation file.
+ *
+ * @param {String} filename The filename.
+ * @param {String|Boolean} [namespace] The namespace, or true to derive the
+ *   namespace from the filename.
+ * @param {Array} [languages] The registered languages.
+ * @return {String|null} The namespace, or null if there is none.
+ * @private
+ */
+function fileNamespace(filename, namespace, languages) {
+  'use strict';
+
+  return namespace === true ?
+    namespaceFromFilename(filename, languages) :
+    namespace || null;
+}
+
+/**
+ * Checks if the filename is a supported translation file, JSON files must
+ * provide the language in their filename.
+ *
+ * @param {String} filename The filename.
+ * @param {Array} [languages] The registered languages.
+ * @return {Boolean} Returns true if the file can be read.
+ * @private
+ */
+function isTranslationFile(filename, languages) {
+  'use strict';
+
+  var ext = path.extname(filename).toLowerCase();
+
+  return readers[ext] !== undefined && (
+    ext !== '.json' || languageTag.fromFilename(filename, languages) !== null
+  );
+}
 
 /**
  * The Locale class provides functionality for storing translation strings and
  * translating a given string.
  *
- * @class
- * @param {Database} database The database manager.
+ * @class
+ * @param {Database} database The database manager.
+ * @fires Locale#missing
+ */
+function Locale(core) {
+  'use strict';
+
+  var locales = {},
+      files = {},
+      overrides = {},
+      runtime = {},
+      namespaced = {database: {}, runtime: {}},
+      layers = LAYERS.slice(),
+      dirs = [],
+      watch = {active: false, watchers: {}},
+      namespaces = {},
+      dirOptions = {},
+      fallbacks = {},
+      missing = {},
+      sourceLanguage = 'en',
+      defaultLanguage = null,
+      currency = 'USD',
+      timeZone = null,
+      escape = false,
+      trackMissing = true,
+      missingCollection = null,
+      compiled = {},
+      lazy = {
+        enabled: false,
+        maxLanguages: null,
+        index: {},
+        resident: [],
+        loading: {}
+      },
+      sync = {
+        id: process.pid + '-' + Math.random().toString(36).substring(2),
+        channel: null,
+        listener: null
+      },
+      storage = core && core.database ?
+        new DatabaseStorage(core) :
+        new MemoryStorage();
+
+  EventEmitter.call(this);
+
+  Object.defineProperties(this, {
+    /**
+     * Get the defined locales.
+     *
+     * @var {Object} _locales
+     * @memberof Locale
+     * @private
+     * @instance
+     */
+    _locales: {
+      get: function () {
+        return locales;
+      }
+    },
+    /**
+     * Get the namespaced translations, keyed by namespace and then by
+     * language.
+     *
+     * @var {Object} _namespaces
+     * @memberof Locale
+     * @private
+     * @instance
+     */
+    _namespaces: {
+      get: function () {
+        return namespaces;
+      }
+    },
+    /**
+     * Get the namespace and layer options of each directory, keyed by
+     * directory.
+     *
+     * @var {Object} _dirOptions
+     * @memberof Locale
+     * @private
+     * @instance
+     */
+    _dirOptions: {
+      get: function () {
+        return dirOptions;
+      }
+    },
+    /**
+     * Get the loaded namespaces.
+     *
+     * @var {Array} namespaces
+     * @memberof Locale
+     * @readonly
+     * @instance
+     */
+    namespaces: {
+      get: function () {
+        return Object.keys(namespaces);
+      }
+    },
+    /**
+     * Get the translations read from each file, keyed by the resolved
+     * filename in the order they were loaded.
+     *
+     * @var {Object} _files
+     * @memberof Locale
+     * @private
+     * @instance
+     */
+    _files: {
+      get: function () {
+        return files;
+      }
+    },
+    /**
+     * Get the translations stored in the database, keyed by language and
+     * then by translation key. These form the "database" layer.
+     *
+     * @var {Object} _overrides
+     * @memberof Locale
+     * @private
+     * @instance
+     */
+    _overrides: {
+      get: function () {
+        return overrides;
+      }
+    },
+    /**
+     * Get the in-memory runtime overrides, keyed by language and then by
+     * translation key. These form the "runtime" layer.
+     *
+     * @var {Object} _runtime
+     * @memberof Locale
+     * @private
+     * @instance
+     */
+    _runtime: {
+      get: function () {
+        return runtime;
+      }
+    },
+    /**
+     * Get the database and runtime translations of the namespaces, keyed by
+     * layer, then by namespace, language and translation key.
+     *
+     * @var {Object} _namespaced
+     * @memberof Locale
+     * @private
+     * @instance
+     */
+    _namespaced: {
+      get: function () {
+        return namespaced;
+      }
+    },
+    /**
+     * Get the source layers, from the lowest to the highest priority.
+     *
+     * @var {Array} _layers
+     * @memberof Locale
+     * @private
+     * @instance
+     */
+    _layers: {
+      get: function () {
+        return layers;
+      }
+    },
+    /**
+     * Get the source layers, from the lowest to the highest priority. A
+     * translation from a higher layer replaces the translation of a lower
+     * layer, within a layer earlier files take precedence over later files.
+     *
+     * @var {Array} layers
+     * @memberof Locale
+     * @readonly
+     * @instance
+     */
+    layers: {
+      get: function () {
+        return layers.slice();
+      }
+    },
+    /**
+     * Get the directories translations have been added from.
+     *
+     * @var {Array} _dirs
+     * @memberof Locale
+     * @private
+     * @instance
+     */
+    _dirs: {
+      get: function () {
+        return dirs;
+      }
+    },
+    /**
+     * Get the watch state, containing if watching is active and the file
+     * system watchers keyed by directory.
+     *
+     * @var {Object} _watch
+     * @memberof Locale
+     * @private
+     * @instance
+     */
+    _watch: {
+      get: function () {
+        return watch;
+      }
+    },
+    /**
+     * Get if the translation directories are being watched for changes.
+     *
+     * @var {Boolean} watching
+     * @memberof Locale
+     * @readonly
+     * @instance
+     */
+    watching: {
+      get: function () {
+        return watch.active;
+      }
+    },
+    /**
+     * Get the defined language names.
+     *
+     * @var {Array} languages
+     * @memberof Locale
+     * @readonly
+     * @instance
+     */
+    languages: {
+      get: function () {
+        var languages = Object.keys(locales);
+
+        Object.keys(lazy.index).forEach(function (language) {
+          if (languages.indexOf(language) === -1) {
+            languages.push(language);
+          }
+        });
+
+        Object.keys(namespaces).forEach(function (namespace) {
+          Object.keys(namespaces[namespace]).forEach(function (language) {
+            if (languages.indexOf(language) === -1) {
+              languages.push(language);
+            }
+          });
+        });
+
+        return languages;
+      }
+    },
+    /**
+     * Get the configured fallback languages, keyed by language.
+     *
+     * @var {Object} _fallbacks
+     * @memberof Locale
+     * @private
+     * @instance
+     */
+    _fallbacks: {
+      get: function () {
+        return fallbacks;
+      }
+    },
+    /**
+     * Get the recorded missing translations, keyed by language and then by
+     * translation key.
+     *
+     * @var {Object} _missing
+     * @memberof Locale
+     * @private
+     * @instance
+     */
+    _missing: {
+      get: function () {
+        return missing;
+      }
+    },
+    /**
+     * Get or set if missing translations should be recorded.
+     *
+     * @var {Boolean} trackMissing
+     * @memberof Locale
+     * @instance
+     */
+    trackMissing: {
+      get: function () {
+        return trackMissing;
+      },
+      set: function (value) {
+        trackMissing = Boolean(value);
+      }
+    },
+    /**
+     * Get or set the storage collection the missing translations are saved
+     * to by saveMissing(), if not set the missing translations are only kept
+     * in memory.
+     *
+     * @var {String} missingCollection
+     * @memberof Locale
+     * @instance
+     */
+    missingCollection: {
+      get: function () {
+        return missingCollection;
+      },
+      set: function (value) {
+        missingCollection = value || null;
+      }
+    },
+    /**
+     * Get the lazy loading state, containing the indexed files keyed by
+     * language, the resident languages from the least to the most recently
+     * used and the callbacks of the languages being loaded.
+     *
+     * @var {Object} _lazy
+     * @memberof Locale
+     * @private
+     * @instance
+     */
+    _lazy: {
+      get: function () {
+        return lazy;
+      }
+    },
+    /**
+     * Get the compiled render functions of the messages, keyed by language
+     * and then by namespace and translation key.
+     *
+     * @var {Object} _compiled
+     * @memberof Locale
+     * @private
+     * @instance
+     */
+    _compiled: {
+      get: function () {
+        return compiled;
+      }
+    },
+    /**
+     * Get or set if languages are loaded on demand. When enabled,
+     * addFromDir() only indexes the files of each language, and the files
+     * and stored translations of a language are loaded by load() or on the
+     * first use by t() and locales(). Only languages with indexed files,
+     * the default language and the configured fallbacks are loaded on first
+     * use, other languages must be loaded by load(). Enable it before
+     * adding any files.
+     *
+     * As t() is synchronous, it only starts loading the language, until
+     * the load event the language has none of its translations, including
+     * its stored translations, and t() returns the fallback or source
+     * string. Use load() or the middleware to wait for the language. The
+     * languages which aren't loaded are also treated as having no
+     * translations by validate(), coverage() and exportXliff().
+     *
+     * @var {Boolean} lazy
+     * @memberof Locale
+     * @instance
+     */
+    lazy: {
+      get: function () {
+        return lazy.enabled;
+      },
+      set: function (value) {
+        lazy.enabled = Boolean(value);
+      }
+    },
+    /**
+     * Get or set the maximum number of lazily loaded languages which stay
+     * loaded, the least recently used languages are unloaded first. If null
+     * the languages are never unloaded.
+     *
+     * @var {Integer} maxLanguages
+     * @memberof Locale
+     * @instance
+     */
+    maxLanguages: {
+      get: function () {
+        return lazy.maxLanguages;
+      },
+      set: function (value) {
+        lazy.maxLanguages = value > 0 ? Math.floor(value) : null;
+      }
+    },
+    /**
+     * Get the channel state, containing the id which identifies the messages
+     * published by this locale, the connected channel and its listener.
+     *
+     * @var {Object} _sync
+     * @memberof Locale
+     * @private
+     * @instance
+     */
+    _sync: {
+      get: function () {
+        return sync;
+      }
+    },
+    /**
+     * Get the connected channel, or null if not connected.
+     *
+     * @var {Object} channel
+     * @memberof Locale
+     * @readonly
+     * @instance
+     */
+    channel: {
+      get: function () {
+        return sync.channel;
+      }
+    },
+    /**
+     * Get or set the storage adapter of the stored translations, revisions
+     * and missing translations. By default the Entity database is used, or
+     * an in-memory store if the locale has no core.
+     *
+     * @var {Object} storage
+     * @memberof Locale
+     * @instance
+     */
+    storage: {
+      get: function () {
+        return storage;
+      },
+      set: function (value) {
+        storage = value;
+      }
+    },
+    /**
+     * Get the owning entity core object.
+     *
+     * @var {EntityCore} core
+     * @memberof Locale
+     * @readonly
+     * @instance
+     */
+    core: {
+      value: core
+    },
+    /**
+     * Get or set the language of the source strings, used to select the
+     * plural rules when a string has no translation.
+     *
+     * @var {String} sourceLanguage
+     * @memberof Locale
+     * @instance
+     */
+    sourceLanguage: {
+      get: function () {
+        return sourceLanguage;
+      },
+      set: function (value) {
+        sourceLanguage = value;
+      }
+    },
+    /**
+     * Get or set the default language, which is the last language checked
+     * by every fallback chain.
+     *
+     * @var {String} defaultLanguage
+     * @memberof Locale
+     * @instance
+     */
+    defaultLanguage: {
+      get: function () {
+        return defaultLanguage;
+      },
+      set: function (value) {
+        defaultLanguage = value ? languageTag.normalize(value) : null;
+      }
+    },
+    /**
+     * Get or set the ISO 4217 code of the currency used by currency
+     * arguments which don't specify one, such as "{price, number,
+     * currency}".
+     *
+     * @var {String} currency
+     * @memberof Locale
+     * @instance
+     */
+    currency: {
+      get: function () {
+        return currency;
+      },
+      set: function (value) {
+        currency = value ? String(value).toUpperCase() : 'USD';
+        this._clearCompiled();
+      }
+    },
+    /**
+     * Get or set the time zone used by date and time arguments, such as
+     * "Europe/Paris", if null the system time zone is used.
+     *
+     * @var {String} timeZone
+     * @memberof Locale
+     * @instance
+     */
+    timeZone: {
+      get: function () {
+        return timeZone;
+      },
+      set: function (value) {
+        timeZone = value || null;
+        this._clearCompiled();
+      }
+    },
+    /**
+     * Get or set if the params of t() are HTML escaped. When enabled,
+     * ":name" tokens and "{name}" arguments are escaped, "%name" tokens are
+     * escaped and wrapped in <em> and "!name" tokens insert the value as is,
+     * for params which already contain safe markup.
+     *
+     * @var {Boolean} escape
+     * @memberof Locale
+     * @instance
+     */
+    escape: {
+      get: function () {
+        return escape;
+      },
+      set: function (value) {
+        escape = Boolean(value);
+        this._clearCompiled();
+      }
+    }
+  });
+}
+
+util.inherits(Locale, EventEmitter);
+
+/**
+ * Emitted when a string has no translation in the requested language.
+ *
+ * @event Locale#missing
+ * @type {Object}
+ * @property {String} language The requested language.
+ * @property {String} msg The source string.
+ * @property {String} context The message context, or null.
+ * @property {Integer} count The number of times the string was missed.
+ * @property {Date} firstSeen When the string was first missed.
+ * @property {Date} lastSeen When the string was last missed.
+ */
+
+/**
+ * Emitted when a translation change from the connected channel has been
+ * applied.
+ *
+ * @event Locale#sync
+ * @type {Object}
+ * @property {String} action Either "translate", "untranslate" or
+ *   "removeLanguage".
+ * @property {String} language The language of the change.
+ * @property {String} [key] The translation key.
+ * @property {String} [translation] The new translation.
+ * @property {String} origin The id of the publishing locale.
+ */
+
+/**
+ * Emitted when a language has been loaded in lazy mode.
+ *
+ * @event Locale#load
+ * @param {String} language The language.
+ */
+
+/**
+ * Emitted when the least recently used language has been unloaded in lazy
+ * mode.
+ *
+ * @event Locale#unload
+ * @param {String} language The language.
+ */
+
+/**
+ * Emitted when a watched translation file has been reloaded or removed.
+ *
+ * @event Locale#reload
+ * @param {String} filename The filename.
+ * @param {String} language The language of the file.
+ */
+
+/**
+ * Calls a method of the storage adapter, any raised errors are wrapped in a
+ * StorageError.
+ *
+ * @param {String} method The method, either find, findOne, save or remove.
+ * @param {String} collection The collection name.
+ * @param {...Mixed} args The method arguments, followed by the done
+ *   callback.
+ * @private
+ */
+Locale.prototype._store = function (method, collection) {
+  'use strict';
+
+  var args = Array.prototype.slice.call(arguments, 1),
+      done = args.pop();
+
+  this.storage[method].apply(this.storage, args.concat(function (err, res) {
+    if (err) {
+      return done(new errors.StorageError(
+        'Unable to ' + method + ' "' + collection + '": ' + err.message,
+        err
+      ));
+    }
+
+    done(null, res);
+  }));
+};
+
+/**
+ * Add the translations of the storage adapter, which form the "database"
+ * layer.
+ *
+ * @param {Boolean} [replace=false] Replace the previously added translations
+ *   of the storage adapter.
+ * @param {Function} done The done callback.
+ * @param {Error} done.err Any raised errors.
+ * @private
+ */
+Locale.prototype._addFromDatabase = function (replace, done) {
+  'use strict';
+
+  var me = this;
+
+  if (typeof replace === 'function') {
+    done = replace;
+    replace = false;
+  }
+
+  this._store('find', 'locales', function (err, docs) {
+    if (err) {
+      return done(err);
+    }
+
+    var languages = replace ? me._storedLanguages('database') : [];
+
+    languages.forEach(function (language) {
+      me._clearStored('database', language);
+    });
+
+    me._addOverrides(docs.filter(function (doc) {
+      return !me.lazy ||
+        me._lazy.resident.indexOf(languageTag.normalize(doc.language)) !== -1;
+    })).forEach(function (language) {
+      if (languages.indexOf(language) === -1) {
+        languages.push(language);
+      }
+    });
+
+    languages.forEach(function (language) {
+      me._rebuildScopes(language);
+    });
+
+    done(null);
+  });
+};
+
+/**
+ * Adds the stored translation documents to the database translations,
+ * without rebuilding their languages.
+ *
+ * @param {Array} docs The documents.
+ * @return {Array} The languages of the documents.
+ * @private
+ */
+Locale.prototype._addOverrides = function (docs) {
+  'use strict';
+
+  var me = this,
+      languages = [];
+
+  docs.forEach(function (doc) {
+    var language = languageTag.normalize(doc.language),
+        store = me._layerStore('database', doc.namespace, true);
+
+    if (store[language] === undefined) {
+      store[language] = {};
+    }
+
+    store[language][messageKey.create(doc.msg, doc.context)] =
+      doc.translation;
+
+    if (languages.indexOf(language) === -1) {
+      languages.push(language);
+    }
+  });
+
+  return languages;
+};
+
+/**
+ * Appends the fallback chain of the language to the chain, configured
+ * fallbacks are used if defined otherwise the parent language of a regional
+ * variant is used, for example "fr-CA" falls back to "fr".
+ *
+ * @param {String} language The language.
+ * @param {Array} chain The chain to append to.
+ * @private
+ */
+Locale.prototype._resolveChain = function (language, chain) {
+  'use strict';
+
+  var me = this,
+      parent;
+
+  if (!language) {
+    return;
+  }
+
+  language = languageTag.normalize(language);
+  if (chain.indexOf(language) !== -1) {
+    return;
+  }
+
+  chain.push(language);
+
+  if (this._fallbacks[language] !== undefined) {
+    this._fallbacks[language].forEach(function (fallback) {
+      me._resolveChain(fallback, chain);
+    });
+  } else if (language.lastIndexOf('-') > 0) {
+    parent = language.substring(0, language.lastIndexOf('-'));
+    this._resolveChain(parent, chain);
+  }
+};
+
+/**
+ * Records a missing translation and emits the missing event. Languages
+ * which share the source language are not recorded.
+ *
+ * @param {String} language The requested language.
+ * @param {String} str The source string.
+ * @param {String} [context] The message context.
+ * @private
+ */
+Locale.prototype._recordMissing = function (language, str, context) {
+  'use strict';
+
+  var key = messageKey.create(str, context),
+      now = new Date(),
+      record;
+
+  language = languageTag.normalize(language);
+  if (
+    !this.trackMissing ||
+    language.split('-')[0] === this.sourceLanguage.split('-')[0]
+  ) {
+    return;
+  }
+
+  if (this._missing[language] === undefined) {
+    this._missing[language] = {};
+  }
+
+  record = this._missing[language][key];
+  if (record === undefined) {
+    record = this._missing[language][key] = {
+      language: language,
+      msg: str,
+      context: context || null,
+      count: 0,
+      unsaved: 0,
+      firstSeen: now,
+      lastSeen: now
+    };
+  }
+
+  record.count++;
+  record.unsaved++;
+  record.lastSeen = now;
+
+  this.emit('missing', record);
+};
+
+/**
+ * Reads the given translation file, without merging its translations.
+ *
+ * @param {String} filename The translation file filename, note that it must
+ *   be in the format *.LANGUAGE.EXT where LANGUAGE is a BCP 47 language tag,
+ *   gettext files may instead provide the language in their header.
+ * @param {Function} done The done callback.
+ * @param {Error} done.err Any raised errors.
+ * @param {Object} done.result The language, translations and the keys of
+ *   the fuzzy translations.
+ * @private
+ */
+Locale.prototype._readFile = function (filename, done) {
+  'use strict';
+
+  var reader = readers[path.extname(filename).toLowerCase()],
+      language = languageTag.fromFilename(filename, this.languages);
+
+  if (reader === undefined) {
+    return done(new errors.FileError(
+      'Unsupported translation file "' + filename + '"', filename
+    ));
+  }
+
+  reader(filename, language, function (err, res) {
+    if (err) {
+      return done(new errors.FileError(
+        'Unable to read "' + filename + '": ' + err.message, filename, err
+      ));
+    } else if (!res.language) {
+      return done(new errors.FileError(
+        'Unable to determine the language of "' + filename + '"', filename
+      ));
+    }
+
+    done(null, res);
+  });
+};
+
+/**
+ * Processes the given translation filename, reading its translations and
+ * rebuilding the translations of its language.
+ *
+ * @param {String} filename The translation file filename.
+ * @param {Object} [options] The options.
+ * @param {String|Boolean} [options.namespace] The namespace of the
+ *   translations, or true to derive the namespace from the filename.
+ * @param {String} [options.layer="app"] The layer of the file.
+ * @param {Function} done The done callback.
+ * @param {Error} done.err Any raised errors.
+ * @private
+ */
+Locale.prototype._processFile = function (filename, options, done) {
+  'use strict';
+
+  var me = this,
+      namespace, layer;
+
+  if (typeof options === 'function') {
+    done = options;
+    options = {};
+  }
+
+  options = options || {};
+  namespace = fileNamespace(filename, options.namespace, this.languages);
+  layer = options.layer || 'app';
+
+  if (
+    this._layers.indexOf(layer) === -1 ||
+    STORE_LAYERS.indexOf(layer) !== -1
+  ) {
+    return done(new errors.ConfigurationError(
+      'Unknown file layer "' + layer + '"'
+    ));
+  }
+
+  this._readFile(filename, function (err, res) {
+    if (err) {
+      return done(err);
+    }
+
+    me._files[path.resolve(filename)] = {
+      language: res.language,
+      namespace: namespace,
+      layer: layer,
+      translations: res.translations,
+      fuzzy: res.fuzzy || []
+    };
+
+    me._rebuild(namespace, res.language);
+    done(null);
+  });
+};
+
+/**
+ * Rebuilds the translations of a language within a namespace from its
+ * files.
+ *
+ * @param {String} namespace The namespace.
+ * @param {String} language The language.
+ * @private
+ */
+Locale.prototype._rebuildNamespace = function (namespace, language) {
+  'use strict';
+
+  var translations = this._layerTranslations(language, namespace);
+
+  this._clearCompiled(language);
+
+  if (this._namespaces[namespace] === undefined) {
+    this._namespaces[namespace] = {};
+  }
+
+  if (Object.keys(translations).length) {
+    this._namespaces[namespace][language] = translations;
+  } else {
+    delete this._namespaces[namespace][language];
+  }
+
+  if (Object.keys(this._namespaces[namespace]).length === 0) {
+    delete this._namespaces[namespace];
+  }
+};
+
+/**
+ * Returns the options of the directory which contains the given file, using
+ * the most specific registered directory.
+ *
+ * @param {String} filename The resolved filename.
+ * @return {Object} The namespace and layer options.
+ * @private
+ */
+Locale.prototype._dirOptionsOf = function (filename) {
+  'use strict';
+
+  var found = null;
+
+  for (var dir in this._dirOptions) {
+    if (
+      filename.indexOf(dir + path.sep) === 0 &&
+      (found === null || dir.length > found.length)
+    ) {
+      found = dir;
+    }
+  }
+
+  return found === null ? {} : this._dirOptions[found];
+};
+
+/**
+ * Indexes a translation file in lazy mode, instead of loading it. Files of
+ * loaded languages, and files which don't provide their language in the
+ * filename, aren't indexed.
+ *
+ * @param {String} filename The filename.
+ * @param {Object} [options] The namespace and layer options.
+ * @return {Boolean} Returns true if the file was indexed.
+ * @private
+ */
+Locale.prototype._indexFile = function (filename, options) {
+  'use strict';
+
+  var language = languageTag.fromFilename(filename, this.languages),
+      index;
+
+  if (
+    !this.lazy || language === null ||
+    this._lazy.resident.indexOf(language) !== -1
+  ) {
+    return false;
+  }
+
+  filename = path.resolve(filename);
+  options = options || {};
+  index = this._lazy.index[language] = this._lazy.index[language] || [];
+
+  if (!index.some(function (file) {
+    return file.filename === filename;
+  })) {
+    index.push({
+      filename: filename,
+      namespace: fileNamespace(
+        filename, options.namespace, this.languages
+      ),
+      options: options
+    });
+  }
+
+  return true;
+};
+
+/**
+ * Removes a translation file from the lazy mode index.
+ *
+ * @param {String} filename The resolved filename.
+ * @private
+ */
+Locale.prototype._unindexFile = function (filename) {
+  'use strict';
+
+  function keep(file) {
+    return file.filename !== filename;
+  }
+
+  for (var language in this._lazy.index) {
+    this._lazy.index[language] = this._lazy.index[language].filter(keep);
+  }
+};
+
+/**
+ * Returns the translations of the database or runtime layer, keyed by
+ * language and then by translation key.
+ *
+ * @param {String} layer The layer, either "database" or "runtime".
+ * @param {String} [namespace] The namespace.
+ * @param {Boolean} [create=false] Create the namespace store if it doesn't
+ *   exist.
+ * @return {Object} The translations.
+ * @private
+ */
+Locale.prototype._layerStore = function (layer, namespace, create) {
+  'use strict';
+
+  var stores = this._namespaced[layer];
+
+  if (!namespace) {
+    return layer === 'database' ? this._overrides : this._runtime;
+  } else if (stores[namespace] === undefined && create) {
+    stores[namespace] = {};
+  }
+
+  return stores[namespace] || {};
+};
+
+/**
+ * Returns the languages which have translations in the database or runtime
+ * layer, with or without a namespace.
+ *
+ * @param {String} layer The layer, either "database" or "runtime".
+ * @return {Array} The languages.
+ * @private
+ */
+Locale.prototype._storedLanguages = function (layer) {
+  'use strict';
+
+  var stores = this._namespaced[layer],
+      languages = Object.keys(this._layerStore(layer));
+
+  Object.keys(stores).forEach(function (namespace) {
+    Object.keys(stores[namespace]).forEach(function (language) {
+      if (languages.indexOf(language) === -1) {
+        languages.push(language);
+      }
+    });
+  });
+
+  return languages;
+};
+
+/**
+ * Removes the translations of a language from the database or runtime
+ * layer, with or without a namespace, without rebuilding the language.
+ *
+ * @param {String} layer The layer, either "database" or "runtime".
+ * @param {String} language The language.
+ * @private
+ */
+Locale.prototype._clearStored = function (layer, language) {
+  'use strict';
+
+  var stores = this._namespaced[layer];
+
+  delete this._layerStore(layer)[language];
+
+  Object.keys(stores).forEach(function (namespace) {
+    delete stores[namespace][language];
+
+    if (Object.keys(stores[namespace]).length === 0) {
+      delete stores[namespace];
+    }
+  });
+};
+
+/**
+ * Rebuilds the translations of a language, both without a namespace and
+ * within every namespace.
+ *
+ * @param {String} language The language.
+ * @private
+ */
+Locale.prototype._rebuildScopes = function (language) {
+  'use strict';
+
+  var me = this,
+      namespaces = this.namespaces;
+
+  STORE_LAYERS.forEach(function (layer) {
+    Object.keys(me._namespaced[layer]).forEach(function (namespace) {
+      if (namespaces.indexOf(namespace) === -1) {
+        namespaces.push(namespace);
+      }
+    });
+  });
+
+  this._rebuildLanguage(language);
+  namespaces.forEach(function (namespace) {
+    me._rebuildNamespace(namespace, language);
+  });
+};
+
+/**
+ * Sets a translation of the database or runtime layer and rebuilds the
+ * translations of its language.
+ *
+ * @param {String} layer The layer, either "database" or "runtime".
+ * @param {String} language The language of the translation.
+ * @param {String} key The translation key.
+ * @param {String} translation The translation.
+ * @param {String} [namespace] The namespace.
+ * @private
+ */
+Locale.prototype._setStored = function (
+  layer, language, key, translation, namespace
+) {
+  'use strict';
+
+  var store = this._layerStore(layer, namespace, true);
+
+  if (store[language] === undefined) {
+    store[language] = {};
+  }
+
+  store[language][key] = translation;
+  this._rebuild(namespace, language);
+};
+
+/**
+ * Removes a translation of the database or runtime layer and rebuilds the
+ * translations of its language.
+ *
+ * @param {String} layer The layer, either "database" or "runtime".
+ * @param {String} language The language of the translation.
+ * @param {String} key The translation key.
+ * @param {String} [namespace] The namespace.
+ * @private
+ */
+Locale.prototype._removeStored = function (layer, language, key, namespace) {
+  'use strict';
+
+  var store = this._layerStore(layer, namespace);
+
+  if (store[language] !== undefined) {
+    delete store[language][key];
+
+    if (Object.keys(store[language]).length === 0) {
+      delete store[language];
+    }
+  }
+
+  if (namespace && Object.keys(store).length === 0) {
+    delete this._namespaced[layer][namespace];
+  }
+
+  this._rebuild(namespace, language);
+};
+
+/**
+ * Sets a database translation and rebuilds the translations of its
+ * language, the translation is no longer recorded as missing.
+ *
+ * @param {String} language The language of the translation.
+ * @param {String} key The translation key.
+ * @param {String} translation The translation.
+ * @param {String} [namespace] The namespace.
+ * @private
+ */
+Locale.prototype._setOverride = function (
+  language, key, translation, namespace
+) {
+  'use strict';
+
+  this._setStored('database', language, key, translation, namespace);
+
+  if (this._missing[language] !== undefined) {
+    delete this._missing[language][key];
+  }
+};
+
+/**
+ * Removes a database translation and rebuilds the translations of its
+ * language.
+ *
+ * @param {String} language The language of the translation.
+ * @param {String} key The translation key.
+ * @param {String} [namespace] The namespace.
+ * @private
+ */
+Locale.prototype._removeOverride = function (language, key, namespace) {
+  'use strict';
+
+  this._removeStored('database', language, key, namespace);
+};
+
+/**
+ * Returns the sources of a layer for the given language, each source
+ * contains the filename (null for the database and runtime layers) and its
+ * translations. Files are returned in the order they were loaded.
+ *
+ * @param {String} layer The layer.
+ * @param {String} language The language.
+ * @param {String} [namespace] The namespace.
+ * @return {Array} The sources.
+ * @private
+ */
+Locale.prototype._layerSources = function (layer, language, namespace) {
+  'use strict';
+
+  var sources = [],
+      store, file;
+
+  namespace = namespace || null;
+
+  if (STORE_LAYERS.indexOf(layer) !== -1) {
+    store = this._layerStore(layer, namespace);
+
+    return store[language] ?
+      [{file: null, translations: store[language]}] :
+      [];
+  }
+
+  for (var filename in this._files) {
+    file = this._files[filename];
+
+    if (
+      file.language === language && file.namespace === namespace &&
+      file.layer === layer
+    ) {
+      sources.push({file: filename, translations: file.translations});
+    }
+  }
+
+  return sources;
+};
+
+/**
+ * Returns the translations of the language merged from every layer, higher
+ * layers take precedence over lower layers and within a layer earlier files
+ * take precedence over later files.
+ *
+ * @param {String} language The language.
+ * @param {String} [namespace] The namespace, if not provided the
+ *   translations without a namespace are used.
+ * @return {Object} The translations keyed by their translation key.
+ * @private
+ */
+Locale.prototype._layerTranslations = function (language, namespace) {
+  'use strict';
+
+  var translations = {};
+
+  function merge(source) {
+    messageKey.merge(translations, source.translations);
+  }
+
+  for (var i = this._layers.length - 1; i >= 0; i--) {
+    this._layerSources(this._layers[i], language, namespace).forEach(merge);
+  }
+
+  return translations;
+};
+
+/**
+ * Finds the layer, and the file within the layer, which provides a
+ * translation. An empty translation is only reported if no source provides
+ * a non-empty one.
+ *
+ * @param {String} language The language.
+ * @param {String} key The translation key.
+ * @param {String} [namespace] The namespace.
+ * @return {Object|null} An object containing the layer, file (null for the
+ *   database and runtime layers) and translation, or null if there is no
+ *   translation.
+ * @private
+ */
+Locale.prototype._source = function (language, key, namespace) {
+  'use strict';
+
+  var found = null,
+      sources, translation;
+
+  for (var i = this._layers.length - 1; i >= 0; i--) {
+    sources = this._layerSources(this._layers[i], language, namespace);
+
+    for (var j = 0, len = sources.length; j < len; j++) {
+      translation = sources[j].translations[key];
+
+      if (translation !== undefined && (found === null || translation)) {
+        found = {
+          layer: this._layers[i],
+          file: sources[j].file,
+          translation: translation
+        };
+      }
+
+      if (translation) {
+        return found;
+      }
+    }
+  }
+
+  return found;
+};
+
+/**
+ * Rebuilds the translations of the language from its layers. The
+ * translations object is updated in place, or the language is removed if it
+ * no longer has any translations.
+ *
+ * @param {String} language The language to rebuild.
+ * @private
+ */
+Locale.prototype._rebuildLanguage = function (language) {
+  'use strict';
+
+  var translations = this._layerTranslations(language),
+      locales = this._locales[language],
+      key;
+
+  this._clearCompiled(language);
+
+  if (Object.keys(translations).length === 0) {
+    delete this._locales[language];
+    return;
+  } else if (locales === undefined) {
+    locales = this._locales[language] = {};
+  }
+
+  for (key in locales) {
+    if (!translations.hasOwnProperty(key)) {
+      delete locales[key];
+    }
+  }
+
+  for (key in translations) {
+    locales[key] = translations[key];
+  }
+};
+
+/**
+ * Rebuilds the translations of a language, or of the language within a
+ * namespace.
+ *
+ * @param {String} [namespace] The namespace.
+ * @param {String} language The language.
+ * @private
+ */
+Locale.prototype._rebuild = function (namespace, language) {
+  'use strict';
+
+  if (namespace) {
+    this._rebuildNamespace(namespace, language);
+  } else {
+    this._rebuildLanguage(language);
+  }
+};
+
+/**
+ * Reloads a changed translation file, or removes its translations if it no
+ * longer exists.
+ *
+ * @param {String} filename The filename.
+ * @param {Function} done The done callback.
+ * @param {Error} done.err Any raised errors.
+ * @private
+ */
+Locale.prototype._reloadFile = function (filename, done) {
+  'use strict';
+
+  var me = this,
+      previous = this._files[filename];
+
+  function rebuild() {
+    var current = me._files[filename];
+
+    if (previous) {
+      me._rebuild(previous.namespace, previous.language);
+    }
+
+    if (current && (!previous || current.language !== previous.language)) {
+      me._rebuild(current.namespace, current.language);
+    }
+
+    me.emit('reload', filename, (current || previous).language);
+    done(null);
+  }
+
+  fs.stat(filename, function (err, stats) {
+    if (err || !stats.isFile()) {
+      delete me._files[filename];
+      me._unindexFile(filename);
+      return previous ? rebuild() : done(null);
+    }
+
+    if (!previous && me._indexFile(filename, me._dirOptionsOf(filename))) {
+      return done(null);
+    }
+
+    me._processFile(
+      filename,
+      previous ?
+        {namespace: previous.namespace, layer: previous.layer} :
+        me._dirOptionsOf(filename),
+      function (err2) {
+        return err2 ? done(err2) : rebuild();
+      }
+    );
+  });
+};
+
+/**
+ * Watches the directory and its sub directories for changed translation
+ * files.
+ *
+ * @param {String} dir The directory to watch.
+ * @private
+ */
+Locale.prototype._watchDir = function (dir) {
+  'use strict';
+
+  var me = this,
+      timers = {};
+
+  glob(path.join(dir, '**/'), function (err, subdirs) {
+    if (err || !me.watching) {
+      return;
+    }
+
+    subdirs.forEach(function (subdir) {
+      subdir = path.resolve(subdir);
+      if (me._watch.watchers[subdir] !== undefined) {
+        return;
+      }
+
+      me._watch.watchers[subdir] = fs.watch(subdir, function (event, name) {
+        var filename = path.join(subdir, String(name));
+
+        clearTimeout(timers[filename]);
+        timers[filename] = setTimeout(function () {
+          delete timers[filename];
+          me._changed(filename);
+        }, RELOAD_DELAY);
+      });
+    });
+  });
+};
+
+/**
+ * Stops watching the given directory and its subdirectories.
+ *
+ * @param {String} dir The resolved directory.
+ * @private
+ */
+Locale.prototype._unwatchDir = function (dir) {
+  'use strict';
+
+  for (var watched in this._watch.watchers) {
+    if (watched === dir || watched.indexOf(dir + path.sep) === 0) {
+      this._watch.watchers[watched].close();
+      delete this._watch.watchers[watched];
+    }
+  }
+};
+
+/**
+ * Handles a changed path within a watched directory.
+ *
+ * @param {String} filename The changed path.
+ * @private
+ */
+Locale.prototype._changed = function (filename) {
+  'use strict';
+
+  var me = this;
+
+  if (!this.watching) {
+    return;
+  }
+
+  fs.stat(filename, function (err, stats) {
+    if (!err && stats.isDirectory()) {
+      return me._watchDir(filename);
+    }
+
+    if (!isTranslationFile(filename, me.languages)) {
+      return;
+    }
+
+    me._reloadFile(filename, function (err2) {
+      if (err2 && me.listeners('error').length > 0) {
+        me.emit('error', err2);
+      }
+    });
+  });
+};
+
+/**
+ * Perform token string replacement, this is based upon the PHP.js strtr
+ * script.
+ *
+ * @param {String} str The string to replace.
+ * @param {Object} params The token params.
+ * @return {String} The replaced string.
+ * @private
+ */
+Locale.prototype._strtr = function (str, params) {
+  'use strict';
+
+  return compile.tokens(str)(params);
+};
+
+/**
+ * Formats the given message, ICU MessageFormat arguments are formatted using
+ * the plural rules of the language and any ":token" params are replaced
+ * within the literal text.
+ *
+ * @param {String} language The language of the message.
+ * @param {String} str The message to format.
+ * @param {Object} [params] The params for argument and token replacement.
+ * @return {String|Array} The formatted string, or an array of parts.
+ * @private
+ */
+Locale.prototype._format = function (language, str, params) {
+  'use strict';
+
+  return compile.compile(language, str, {
+    currency: this.currency,
+    timeZone: this.timeZone,
+    escape: this.escape
+  })(params);
+};
+
+/**
+ * Renders a translated message, the message is compiled on first use and
+ * its render function is cached by the language and key until the
+ * translations of the language change.
+ *
+ * @param {String} language The language of the message.
+ * @param {String} key The namespace and translation key of the message.
+ * @param {String} str The message to render.
+ * @param {Object} [params] The params for argument and token replacement.
+ * @return {String|Array} The formatted string, or an array of parts.
+ * @private
+ */
+Locale.prototype._render = function (language, key, str, params) {
+  'use strict';
+
+  var compiled = this._compiled[language],
+      entry;
+
+  if (compiled === undefined) {
+    compiled = this._compiled[language] = {};
+  }
+
+  entry = compiled[key];
+
+  if (entry === undefined || entry.source !== str) {
+    entry = compiled[key] = {
+      source: str,
+      render: compile.compile(language, str, {
+        currency: this.currency,
+        timeZone: this.timeZone,
+        escape: this.escape
+      })
+    };
+  }
+
+  return entry.render(params);
+};
+
+/**
+ * Clears the compiled messages of a language, or of every language.
+ *
+ * @param {String} [language] The language.
+ * @private
+ */
+Locale.prototype._clearCompiled = function (language) {
+  'use strict';
+
+  var compiled = this._compiled;
+
+  Object.keys(compiled).forEach(function (lang) {
+    if (!language || lang === language) {
+      delete compiled[lang];
+    }
+  });
+};
+
+/**
+ * Add translations from a JSON, gettext .po, compiled gettext .mo or XLIFF
+ * file.
+ *
+ * @param {String} filename The translation file filename, note that it must
+ *   be in the format *.LANGUAGE.EXT, for example "users.pt-BR.json". The
+ *   primary language subtag must have two or three letters, unless the
+ *   language is already registered.
+ * @param {Object} [options] The options.
+ * @param {String|Boolean} [options.namespace] The namespace to add the
+ *   translations to, or true to use the filename without the language and
+ *   extension, for example "users".
+ * @param {String} [options.layer="app"] The layer to add the file to,
+ *   either "defaults", "module" or "app".
+ * @param {Function} [done] The done callback, if not provided a promise is
+ *   returned.
+ * @param {Error} done.err Any raised errors.
+ */
+Locale.prototype.addFromFile = function (filename, options, done) {
+  'use strict';
+
+  this._processFile(filename, options, done);
+};
+
+/**
+ * Add translation files from the given directory.
+ *
+ * @param {String} dir The directory to scan.
+ * @param {Object} [options] The options.
+ * @param {String|Boolean} [options.namespace] The namespace to add the
+ *   translations to, or true to use the namespace of each filename.
+ * @param {String} [options.layer="app"] The layer to add the files to.
+ * @param {Function} [done] The done callback, if not provided a promise is
+ *   returned.
+ * @param {Error} done.err Any raised errors.
+ */
+Locale.prototype.addFromDir = function (dir, options, done) {
+  'use strict';
+
+  var me = this;
+
+  if (typeof options === 'function') {
+    done = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  function processFile(filename) {
+    return function (next) {
+      if (me._indexFile(filename, options)) {
+        return next(null);
+      }
+
+      me.addFromFile(filename, options, next);
+    };
+  }
+
+  var pattern = '*.{' + Object.keys(readers).map(function (ext) {
+    return ext.substring(1);
+  }).join(',') + '}';
+
+  if (options.namespace || options.layer) {
+    this._dirOptions[path.resolve(dir)] = {
+      namespace: options.namespace,
+      layer: options.layer
+    };
+  }
+
+  if (this._dirs.indexOf(path.resolve(dir)) === -1) {
+    this._dirs.push(path.resolve(dir));
+
+    if (this.watching) {
+      this._watchDir(path.resolve(dir));
+    }
+  }
+
+  glob(path.join(dir, '**', pattern), function (err, files) {
+    if (err) {
+      return done(new errors.FileError(
+        'Unable to read the directory "' + dir + '": ' + err.message, dir, err
+      ));
+    }
+
+    var queue = [],
+        languages = me.languages;
+
+    files.forEach(function (item) {
+      if (isTranslationFile(item, languages)) {
+        queue.push(processFile(item));
+      }
+    });
+
+    async.series(queue, function (err) {
+      done(err ? err : null);
+    });
+  });
+};
+
+/**
+ * Set the fallback languages of the given language, replacing the default
+ * parent language fallback.
+ *
+ * @param {String} language The language.
+ * @param {Array|String} [fallbacks] The fallback languages in the order they
+ *   should be checked, if not provided the configured fallbacks are removed.
+ * @return {Locale} Returns self.
+ */
+Locale.prototype.setFallbacks = function (language, fallbacks) {
+  'use strict';
+
+  language = languageTag.normalize(language);
+
+  if (!fallbacks) {
+    delete this._fallbacks[language];
+  } else {
+    this._fallbacks[language] = (
+      Array.isArray(fallbacks) ? fallbacks : [fallbacks]
+    ).map(languageTag.normalize);
+  }
+
+  return this;
+};
+
+/**
+ * Set the priority of the source layers, replacing the default order of
+ * "defaults", "module", "app", "database" and "runtime". Additional layer
+ * names may be given, which files can then be added to.
+ *
+ * @param {Array} layers The layers, from the lowest to the highest
+ *   priority.
+ * @return {Locale} Returns self.
+ * @throws {ConfigurationError} If a default layer is missing or a layer is
+ *   repeated.
+ */
+Locale.prototype.setLayers = function (layers) {
+  'use strict';
+
+  LAYERS.forEach(function (layer) {
+    if (layers.indexOf(layer) === -1) {
+      throw new errors.ConfigurationError(
+        'Missing the "' + layer + '" layer'
+      );
+    }
+  });
+
+  layers.forEach(function (layer, idx) {
+    if (layers.indexOf(layer) !== idx) {
+      throw new errors.ConfigurationError(
+        'Duplicate layer "' + layer + '"'
+      );
+    }
+  });
+
+  this._layers.splice.apply(
+    this._layers, [0, this._layers.length].concat(layers)
+  );
+
+  this._rebuildAll();
+
+  return this;
+};
+
+/**
+ * Rebuilds the translations of every language and namespace.
+ *
+ * @private
+ */
+Locale.prototype._rebuildAll = function () {
+  'use strict';
+
+  var me = this,
+      languages = this.languages.concat(
+        this._storedLanguages('database'),
+        this._storedLanguages('runtime')
+      );
+
+  Object.keys(this._files).forEach(function (filename) {
+    languages.push(me._files[filename].language);
+  });
+
+  languages.forEach(function (language, idx) {
+    if (languages.indexOf(language) === idx) {
+      me._rebuildScopes(language);
+    }
+  });
+};
+
+/**
+ * Returns the resolved fallback chain of the given language, this starts
+ * with the language itself and ends with the default language.
+ *
+ * @param {String} language The language.
+ * @return {Array} The languages in the order they are checked.
+ */
+Locale.prototype.languageChain = function (language) {
+  'use strict';
+
+  var chain = [];
+
+  this._resolveChain(language, chain);
+  this._resolveChain(this.defaultLanguage, chain);
+
+  return chain;
+};
+
+/**
+ * Starts watching the directories translations have been added from, changed
+ * files are reloaded and removed files have their translations removed.
+ * Translations stored in the database continue to take precedence.
+ *
+ * @return {Locale} Returns self.
+ */
+Locale.prototype.watch = function () {
+  'use strict';
+
+  var me = this;
+
+  if (this.watching) {
+    return this;
+  }
+
+  this._watch.active = true;
+  this._dirs.forEach(function (dir) {
+    me._watchDir(dir);
+  });
+
+  return this;
+};
+
+/**
+ * Stops watching the translation directories.
+ *
+ * @return {Locale} Returns self.
+ */
+Locale.prototype.unwatch = function () {
+  'use strict';
+
+  this._watch.active = false;
+
+  for (var dir in this._watch.watchers) {
+    this._watch.watchers[dir].close();
+    delete this._watch.watchers[dir];
+  }
+
+  return this;
+};
+
+/**
+ * Returns all defined translations for the given language, including any
+ * translations inherited from its fallback chain.
+ *
+ * @param {String} language The language to return.
+ * @return {Object} An object containing the translation strings.
+ * @throws {NotFoundError} If the language and its fallbacks are undefined.
+ */
+Locale.prototype.locales = function (language) {
+  'use strict';
+
+  var chain = this.languageChain(language),
+      locales = {},
+      found = false;
+
+  this._ensureLoaded(chain);
+
+  for (var i = chain.length - 1; i >= 0; i--) {
+    if (this._locales[chain[i]] === undefined) {
+      continue;
+    }
+
+    found = true;
+    for (var msg in this._locales[chain[i]]) {
+      locales[msg] = this._locales[chain[i]][msg];
+    }
+  }
+
+  if (!found) {
+    throw new errors.NotFoundError('Unknown language "' + language + '"');
+  }
+
+  return locales;
+};
+
+/**
+ * Collects the translations of the given language for exporting, including
+ * any translations stored in the database. Namespaced translations are keyed
+ * by their namespace prefixed key, see prefixKey().
+ *
+ * @param {String} language The language to export.
+ * @param {Function} done The done callback.
+ * @param {Error} done.err Any raised errors.
+ * @param {Object} done.translations The translations keyed by their key.
+ * @private
+ */
+Locale.prototype._exportTranslations = function (language, done) {
+  'use strict';
+
+  var me = this;
+
+  this._store('find', 'locales', {
+    language: language
+  }, function (err, docs) {
+    if (err) {
+      return done(err);
+    }
+
+    var translations = {};
+
+    function add(source, namespace) {
+      var prefixed = prefixTranslations(source || {}, namespace);
+
+      for (var key in prefixed) {
+        translations[key] = prefixed[key];
+      }
+    }
+
+    add(me._locales[language], null);
+    me.namespaces.forEach(function (namespace) {
+      add(me._namespaces[namespace][language], namespace);
+    });
+
+    docs.forEach(function (doc) {
+      translations[prefixKey(
+        messageKey.create(doc.msg, doc.context), doc.namespace
+      )] = doc.translation;
+    });
+
+    done(null, translations);
+  });
+};
+
+/**
+ * Writes the exported contents to the filename, if one was provided.
+ *
+ * @param {String} [filename] The filename to write to.
+ * @param {String} content The exported contents.
+ * @param {Function} done The done callback.
+ * @param {Error} done.err Any raised errors.
+ * @param {String} done.content The exported contents.
+ * @private
+ */
+Locale.prototype._writeExport = function (filename, content, done) {
+  'use strict';
+
+  if (!filename) {
+    return done(null, content);
+  }
+
+  fs.writeFile(filename, content, 'utf8', function (err) {
+    if (err) {
+      return done(new errors.FileError(
+        'Unable to write "' + filename + '": ' + err.message, filename, err
+      ));
+    }
+
+    done(null, content);
+  });
+};
+
+/**
+ * Exports the translations of the given language as a gettext .po file,
+ * including any translations stored in the database. The source strings of
+ * namespaced translations are prefixed with their namespace, such as
+ * "users:Hello", as they're passed to t(). The plural messages read from
+ * gettext catalogs are exported as plural entries, see gettext.
+ *
+ * @param {String} language The language to export.
+ * @param {String} [filename] The filename to write to, if not provided the
+ *   contents are only given to the done callback.
+ * @param {Function} [done] The done callback, if not provided a promise is
+ *   returned.
+ * @param {Error} done.err Any raised errors.
+ * @param {String} done.content The contents of the .po file.
+ */
+Locale.prototype.exportPo = function (language, filename, done) {
+  'use strict';
+
+  var me = this;
+
+  if (typeof filename === 'function') {
+    done = filename;
+    filename = null;
+  }
+
+  language = languageTag.normalize(language);
+
+  this._exportTranslations(language, function (err, translations) {
+    if (err) {
+      return done(err);
+    }
+
+    var headers = {
+          'Language': language,
+          'MIME-Version': '1.0',
+          'Content-Type': 'text/plain; charset=UTF-8',
+          'Content-Transfer-Encoding': '8bit'
+        },
+        pluralForms = gettext.pluralForms(language);
+
+    if (pluralForms !== null) {
+      headers['Plural-Forms'] = pluralForms;
+    }
+
+    me._writeExport(filename, gettext.compilePo(
+      headers, gettext.fromTranslations(translations, language)
+    ), done);
+  });
+};
+
+/**
+ * Exports an XLIFF document for the given target language, containing a unit
+ * for every source string known in any loaded language, units without a
+ * translation are marked as untranslated. The source strings of namespaced
+ * translations are prefixed with their namespace, see exportPo().
+ *
+ * @param {String} language The target language to export.
+ * @param {Object} [options] The export options.
+ * @param {String} [options.version="1.2"] The XLIFF version, 1.2 or 2.0.
+ * @param {String} [options.filename] The filename to write to, if not
+ *   provided the contents are only given to the done callback.
+ * @param {Function} [done] The done callback, if not provided a promise is
+ *   returned.
+ * @param {Error} done.err Any raised errors.
+ * @param {String} done.content The XLIFF document.
+ */
+Locale.prototype.exportXliff = function (language, options, done) {
+  'use strict';
+
+  var me = this;
+
+  if (typeof options === 'function') {
+    done = options;
+    options = {};
+  }
+
+  language = languageTag.normalize(language);
+
+  this._exportTranslations(language, function (err, translations) {
+    if (err) {
+      return done(err);
+    }
+
+    var keys = Object.keys(translations),
+        content;
+
+    me.languages.forEach(function (lang) {
+      keys = keys.concat(Object.keys(me._locales[lang] || {}));
+
+      me.namespaces.forEach(function (namespace) {
+        keys = keys.concat(Object.keys(prefixTranslations(
+          me._namespaces[namespace][lang] || {}, namespace
+        )));
+      });
+    });
+
+    keys = keys.filter(function (key, i) {
+      return keys.indexOf(key) === i;
+    });
+
+    try {
+      content = xliff.compile({
+        version: options.version,
+        sourceLanguage: me.sourceLanguage,
+        targetLanguage: language,
+        units: keys.map(function (key, i) {
+          var parsed = messageKey.parse(key);
+
+          return {
+            id: 'u' + (i + 1),
+            context: parsed.context,
+            source: parsed.msg,
+            target: translations.hasOwnProperty(key) ? translations[key] : null
+          };
+        })
+      });
+    } catch (err2) {
+      return done(err2);
+    }
+
+    me._writeExport(options.filename, content, done);
+  });
+};
+
+/**
+ * Returns the strings which have been requested in the given language but
+ * have no translation, ordered by the number of times they were missed.
+ *
+ * @param {String} language The language.
+ * @return {Array} The missing translations, each containing the language,
+ *   msg, context, count, firstSeen and lastSeen.
+ */
+Locale.prototype.missing = function (language) {
+  'use strict';
+
+  var records = this._missing[languageTag.normalize(language)] || {};
+
+  return Object.keys(records).map(function (key) {
+    return {
+      language: records[key].language,
+      msg: records[key].msg,
+      context: records[key].context,
+      count: records[key].count,
+      firstSeen: records[key].firstSeen,
+      lastSeen: records[key].lastSeen
+    };
+  }).sort(function (a, b) {
+    return b.count - a.count;
+  });
+};
+
+/**
+ * Clears the recorded missing translations.
+ *
+ * @param {String} [language] The language to clear, if not provided all
+ *   languages are cleared.
+ */
+Locale.prototype.clearMissing = function (language) {
+  'use strict';
+
+  if (language) {
+    delete this._missing[languageTag.normalize(language)];
+    return;
+  }
+
+  for (var lang in this._missing) {
+    delete this._missing[lang];
+  }
+};
+
+/**
+ * Saves the recorded missing translations to the missingCollection, adding
+ * to the counts of any previously saved records.
+ *
+ * @param {Function} [done] The done callback, if not provided a promise is
+ *   returned.
+ * @param {Error} done.err Any raised errors.
+ */
+Locale.prototype.saveMissing = function (done) {
+  'use strict';
+
+  var me = this,
+      queue = [];
+
+  if (!this.missingCollection) {
+    return done(new errors.ConfigurationError(
+      'No missing translations collection is defined'
+    ));
+  }
+
+  function saveRecord(record) {
+    return function (next) {
+      me._saveMissingRecord(record, next);
+    };
+  }
+
+  for (var language in this._missing) {
+    for (var key in this._missing[language]) {
+      if (this._missing[language][key].unsaved > 0) {
+        queue.push(saveRecord(this._missing[language][key]));
+      }
+    }
+  }
+
+  async.series(queue, function (err) {
+    done(err ? err : null);
+  });
+};
+
+/**
+ * Saves a single missing translation record.
+ *
+ * @param {Object} record The missing translation record.
+ * @param {Function} done The done callback.
+ * @param {Error} done.err Any raised errors.
+ * @private
+ */
+Locale.prototype._saveMissingRecord = function (record, done) {
+  'use strict';
+
+  var me = this,
+      collection = this.missingCollection,
+      unsaved = record.unsaved;
+
+  this._store('findOne', collection, {
+    language: record.language,
+    msg: record.msg,
+    context: record.context
+  }, function (err, doc) {
+    if (err) {
+      return done(err);
+    }
+
+    if (!doc) {
+      doc = {
+        language: record.language,
+        msg: record.msg,
+        context: record.context,
+        count: 0,
+        firstSeen: record.firstSeen
+      };
+    }
+
+    doc.count += unsaved;
+    doc.lastSeen = record.lastSeen;
+
+    me._store('save', collection, doc, function (err2) {
+      if (err2) {
+        return done(err2);
+      }
+
+      record.unsaved -= unsaved;
+      done(null);
+    });
+  });
+};
+
+/**
+ * Initializes the locale, collecting translations from the storage adapter
+ * and provided directory.
+ *
+ * @param {String} dir The directory to read from.
+ * @param {Function} [done] The done callback, if not provided a promise is
+ *   returned.
+ * @param {Error} done.err Any raised errors.
+ */
+Locale.prototype.initialize = function (dir, done) {
+  'use strict';
+
+  var me = this,
+      queue = [];
+
+  if (dir && dir !== '') {
+    queue.push(function (next) {
+      me.addFromDir(dir, next);
+    });
+  }
+
+  if (!this.lazy) {
+    queue.push(function (next) {
+      me._addFromDatabase(next);
+    });
+  }
+
+  async.series(queue, function (err) {
+    done(err ? err : null);
+  });
+};
+
+/**
+ * Translates a given msg in the given language and stores in the database,
+ * the change is recorded as a revision in the translation history.
+ *
+ * @param {String} language The language the translation belongs to.
+ * @param {String} str The english message that this is translating,
+ *   optionally prefixed with its namespace as with t().
+ * @param {String} translation The translated message to save.
+ * @param {String|Object} [context] The message context, used to
+ *   disambiguate identical source strings, or an options object.
+ * @param {String} [context.context] The message context.
+ * @param {String} [context.namespace] The namespace of the message.
+ * @param {String} [context.author] The author of the change.
+ * @param {Function} [done] The done callback, if not provided a promise is
+ *   returned.
+ * @param {Error} done.err Any raised errors.
+ */
+Locale.prototype.translate = function (
+  language, str, translation, context, done
+) {
+  'use strict';
+
+  var me = this,
+      options, query, key;
+
+  if (typeof context === 'function') {
+    done = context;
+    context = null;
+  }
+
+  options = translateOptions(context);
+  query = this._storedQuery(language, str, options);
+  key = messageKey.create(query.msg, query.context);
+
+  this._store('findOne', 'locales', query, function (err, doc) {
+    if (err) {
+      return done(err);
+    }
+
+    var previous = doc ? doc.translation : null;
+
+    if (!doc) {
+      doc = {
+        language: query.language,
+        msg: query.msg
+      };
+
+      if (query.context) {
+        doc.context = query.context;
+      }
+
+      if (query.namespace) {
+        doc.namespace = query.namespace;
+      }
+    }
+
+    doc.translation = translation;
+    me._setOverride(query.language, key, translation, query.namespace);
+
+    me._store('save', 'locales', doc, function (err2) {
+      if (err2) {
+        return done(err2);
+      }
+
+      me._publish({
+        action: 'translate',
+        language: query.language,
+        namespace: query.namespace,
+        key: key,
+        translation: translation
+      });
+
+      if (previous === translation) {
+        return done(null);
+      }
+
+      me._recordRevision({
+        language: query.language,
+        msg: query.msg,
+        context: query.context,
+        namespace: query.namespace,
+        previous: previous,
+        translation: translation,
+        author: options.author
+      }, done);
+    });
+  });
+};
+
+/**
+ * Removes the database translation of the given msg, restoring the
+ * translation provided by the loaded files if there is one. The removal is
+ * recorded as a revision in the translation history.
+ *
+ * @param {String} language The language the translation belongs to.
+ * @param {String} str The english message that was translated, optionally
+ *   prefixed with its namespace.
+ * @param {String|Object} [context] The message context, or an options
+ *   object.
+ * @param {String} [context.context] The message context.
+ * @param {String} [context.namespace] The namespace of the message.
+ * @param {String} [context.author] The author of the change.
+ * @param {Function} [done] The done callback, if not provided a promise is
+ *   returned.
+ * @param {Error} done.err Any raised errors.
+ */
+Locale.prototype.untranslate = function (language, str, context, done) {
+  'use strict';
+
+  var me = this,
+      options, query;
+
+  if (typeof context === 'function') {
+    done = context;
+    context = null;
+  }
+
+  options = translateOptions(context);
+  query = this._storedQuery(language, str, options);
+
+  this._store('findOne', 'locales', query, function (err, doc) {
+    if (err || !doc) {
+      return done(err ? err : null);
+    }
+
+    me._store('remove', 'locales', query, function (err2) {
+      if (err2) {
+        return done(err2);
+      }
+
+      var key = messageKey.create(query.msg, query.context);
+
+      me._removeOverride(query.language, key, query.namespace);
+      me._publish({
+        action: 'untranslate',
+        language: query.language,
+        namespace: query.namespace,
+        key: key
+      });
+      me._recordRevision({
+        language: query.language,
+        msg: query.msg,
+        context: query.context,
+        namespace: query.namespace,
+        previous: doc.translation,
+        translation: null,
+        author: options.author
+      }, done);
+    });
+  });
+};
+
+/**
+ * Returns the storage query of a stored translation, resolving the
+ * namespace of the message as t() does.
+ *
+ * @param {String} language The language of the translation.
+ * @param {String} str The english message, optionally prefixed with its
+ *   namespace.
+ * @param {Object} options The options, as returned by translateOptions().
+ * @return {Object} The query, containing the language, msg, context and
+ *   namespace.
+ * @private
+ */
+Locale.prototype._storedQuery = function (language, str, options) {
+  'use strict';
+
+  var msg = this._message(str, options);
+
+  return {
+    language: languageTag.normalize(language),
+    msg: msg.msg,
+    context: msg.context,
+    namespace: msg.namespace
+  };
+};
+
+/**
+ * Records a revision in the translation history.
+ *
+ * @param {Object} revision The revision, containing the language, msg,
+ *   context, namespace, previous and new translation and the author.
+ * @param {Function} done The done callback.
+ * @param {Error} done.err Any raised errors.
+ * @private
+ */
+Locale.prototype._recordRevision = function (revision, done) {
+  'use strict';
+
+  var me = this;
+
+  this._store('find', 'locales_revisions', {
+    language: revision.language,
+    msg: revision.msg,
+    context: revision.context,
+    namespace: revision.namespace
+  }, function (err, docs) {
+    if (err) {
+      return done(err);
+    }
+
+    revision.revision = docs.length + 1;
+    revision.timestamp = new Date();
+
+    me._store('save', 'locales_revisions', revision, function (err2) {
+      done(err2 ? err2 : null);
+    });
+  });
+};
+
+/**
+ * Returns the translation history of the given msg, oldest first. Each
+ * revision contains the revision number, the previous and new translation
+ * (null if the translation was removed), the author and the timestamp.
+ *
+ * @param {String} language The language of the translation.
+ * @param {String} str The english message, optionally prefixed with its
+ *   namespace.
+ * @param {String|Object} [context] The message context, or an object
+ *   containing the context and namespace.
+ * @param {Function} [done] The done callback, if not provided a promise is
+ *   returned.
+ * @param {Error} done.err Any raised errors.
+ * @param {Array} done.revisions The revisions.
+ */
+Locale.prototype.history = function (language, str, context, done) {
+  'use strict';
+
+  if (typeof context === 'function') {
+    done = context;
+    context = null;
+  }
+
+  this._store('find', 'locales_revisions', this._storedQuery(
+    language, str, translateOptions(context)
+  ), function (err, docs) {
+    if (err) {
+      return done(err);
+    }
+
+    done(null, docs.map(function (doc) {
+      return {
+        revision: doc.revision,
+        previous: doc.previous,
+        translation: doc.translation,
+        author: doc.author,
+        timestamp: doc.timestamp
+      };
+    }).sort(function (a, b) {
+      return a.revision - b.revision;
+    }));
+  });
+};
+
+/**
+ * Rolls the translation of the given msg back to how it was after the given
+ * revision, this is recorded as a new revision.
+ *
+ * @param {String} language The language of the translation.
+ * @param {String} str The english message.
+ * @param {Integer} revision The revision number to roll back to.
+ * @param {String|Object} [context] The message context, or an options
+ *   object.
+ * @param {String} [context.context] The message context.
+ * @param {String} [context.namespace] The namespace of the message.
+ * @param {String} [context.author] The author of the roll back.
+ * @param {Function} [done] The done callback, if not provided a promise is
+ *   returned.
+ * @param {Error} done.err Any raised errors.
+ */
+Locale.prototype.rollback = function (
+  language, str, revision, context, done
+) {
+  'use strict';
+
+  var me = this,
+      options;
+
+  if (typeof context === 'function') {
+    done = context;
+    context = null;
+  }
+
+  options = translateOptions(context);
+
+  this.history(language, str, options, function (err, revisions) {
+    if (err) {
+      return done(err);
+    }
+
+    var target = revisions.filter(function (item) {
+      return item.revision === revision;
+    })[0];
+
+    if (target === undefined) {
+      return done(new errors.NotFoundError(
+        'Unknown revision ' + revision + ' of "' + str + '"'
+      ));
+    } else if (target.translation === null) {
+      return me.untranslate(language, str, options, done);
+    }
+
+    me.translate(language, str, target.translation, options, done);
+  });
+};
+
+/**
+ * Removes a language, deleting its database translations and forgetting the
+ * translations loaded from its files.
+ *
+ * @param {String} language The language to remove.
+ * @param {Function} [done] The done callback, if not provided a promise is
+ *   returned.
+ * @param {Error} done.err Any raised errors.
+ */
+Locale.prototype.removeLanguage = function (language, done) {
+  'use strict';
+
+  var me = this;
+
+  language = languageTag.normalize(language);
+
+  this._store('remove', 'locales', {
+    language: language
+  }, function (err) {
+    if (err) {
+      return done(err);
+    }
+
+    me._forgetLanguage(language);
+    me._publish({action: 'removeLanguage', language: language});
+
+    done(null);
+  });
+};
+
+/**
+ * Forgets the translations of a language, loaded from its files or the
+ * storage adapter.
+ *
+ * @param {String} language The language.
+ * @private
+ */
+Locale.prototype._forgetLanguage = function (language) {
+  'use strict';
+
+  var me = this;
+
+  for (var filename in this._files) {
+    if (this._files[filename].language === language) {
+      delete this._files[filename];
+    }
+  }
+
+  this._clearStored('database', language);
+  this._clearStored('runtime', language);
+
+  this.namespaces.forEach(function (namespace) {
+    me._rebuildNamespace(namespace, language);
+  });
+
+  delete this._locales[language];
+  delete this._missing[language];
+  delete this._lazy.index[language];
+  this._clearCompiled(language);
+
+  if (this._lazy.resident.indexOf(language) !== -1) {
+    this._lazy.resident.splice(this._lazy.resident.indexOf(language), 1);
+  }
+};
+
+/**
+ * Sets a runtime override, an in-memory translation which isn't stored and
+ * by default takes precedence over every other layer.
+ *
+ * @param {String} language The language of the translation.
+ * @param {String} str The english message that this is translating,
+ *   optionally prefixed with its namespace as with t().
+ * @param {String} translation The translation.
+ * @param {String|Object} [context] The message context, or an object
+ *   containing the context and namespace.
+ * @return {Locale} Returns self.
+ */
+Locale.prototype.override = function (language, str, translation, context) {
+  'use strict';
+
+  var query = this._storedQuery(language, str, translateOptions(context));
+
+  this._setStored(
+    'runtime',
+    query.language,
+    messageKey.create(query.msg, query.context),
+    translation,
+    query.namespace
+  );
+
+  return this;
+};
+
+/**
+ * Removes a runtime override, restoring the translation provided by the
+ * lower layers.
+ *
+ * @param {String} language The language of the translation.
+ * @param {String} str The english message, optionally prefixed with its
+ *   namespace.
+ * @param {String|Object} [context] The message context, or an object
+ *   containing the context and namespace.
+ * @return {Locale} Returns self.
+ */
+Locale.prototype.removeOverride = function (language, str, context) {
+  'use strict';
+
+  var query = this._storedQuery(language, str, translateOptions(context));
+
+  this._removeStored(
+    'runtime',
+    query.language,
+    messageKey.create(query.msg, query.context),
+    query.namespace
+  );
+
+  return this;
+};
+
+/**
+ * Returns where the translation of the given string comes from, walking
+ * the fallback chain of the language as t() does.
+ *
+ * @param {String} language The language to translate to.
+ * @param {String} str The string, optionally prefixed with its namespace.
+ * @param {String|Object} [context] The message context, or an object
+ *   containing the context and namespace.
+ * @return {Object|null} An object containing the language the translation
+ *   was found in, its namespace (or null), the layer, the file (null for the
+ *   database and runtime layers) and the translation, or null if the string
+ *   isn't translated.
+ */
+Locale.prototype.source = function (language, str, context) {
+  'use strict';
+
+  var msg = this._message(str, context),
+      found = this._lookup(this.languageChain(language), msg),
+      source;
+
+  if (found === null) {
+    return null;
+  }
+
+  source = this._source(
+    found.language,
+    messageKey.create(msg.msg, msg.context),
+    found.namespace
+  );
+
+  return {
+    language: found.language,
+    namespace: found.namespace,
+    layer: source.layer,
+    file: source.file,
+    translation: found.translation
+  };
+};
+
+/**
+ * Finds the first language in the chain which has a translation of the
+ * given string, within a namespace its own translations are checked before
+ * the translations without a namespace.
+ *
+ * @param {Array} chain The languages to check.
+ * @param {String} str The string, optionally prefixed with its namespace.
+ * @param {String|Object} [context] The message context, or an object
+ *   containing the context and namespace.
+ * @return {Object|null} An object containing the language, translation and
+ *   the namespace it was found in (or null), or null if there is no
+ *   translation.
+ * @private
+ */
+Locale.prototype._find = function (chain, str, context) {
+  'use strict';
+
+  return this._lookup(chain, this._message(str, context));
+};
+
+/**
+ * Finds the first language in the chain which has a translation of the
+ * resolved message.
+ *
+ * @param {Array} chain The languages to check.
+ * @param {Object} msg The message as resolved by _message().
+ * @return {Object|null} An object containing the language, translation and
+ *   the namespace it was found in (or null), or null if there is no
+ *   translation.
+ * @private
+ */
+Locale.prototype._lookup = function (chain, msg) {
+  'use strict';
+
+  var key = messageKey.create(msg.msg, msg.context),
+      namespace = msg.namespace ? this._namespaces[msg.namespace] : null,
+      language;
+
+  this._ensureLoaded(chain);
+
+  for (var i = 0, len = chain.length; i < len; i++) {
+    language = chain[i];
+
+    if (namespace && namespace[language] && namespace[language][key]) {
+      return {
+        language: language,
+        translation: namespace[language][key],
+        namespace: msg.namespace
+      };
+    } else if (this._locales[language] && this._locales[language][key]) {
+      return {
+        language: language,
+        translation: this._locales[language][key],
+        namespace: null
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Resolves the source string, context and namespace of a message. The
+ * namespace is either given with the context, or as a prefix of the string
+ * such as "users:Hello world" if the namespace is loaded.
+ *
+ * @param {String} str The string, optionally prefixed with its namespace.
+ * @param {String|Object} [context] The message context, or an object
+ *   containing the context and namespace.
+ * @return {Object} An object containing the msg, context and namespace.
+ * @private
+ */
+Locale.prototype._message = function (str, context) {
+  'use strict';
+
+  var options = context !== null && typeof context === 'object' ?
+        context :
+        {context: context},
+      namespace = options.namespace || null,
+      pos = str.indexOf(':');
+
+  if (
+    !namespace && pos > 0 &&
+    this._namespaces[str.substring(0, pos)] !== undefined
+  ) {
+    namespace = str.substring(0, pos);
+    str = str.substring(pos + 1);
+  }
+
+  return {
+    msg: str,
+    context: options.context || null,
+    namespace: namespace
+  };
+};
+
+/**
+ * Translates the given string using the fallback chain of the given own
+ * languages followed by the default language, a translation found outside
+ * of the own languages is recorded as missing.
+ *
+ * @param {String} language The language to translate to.
+ * @param {Array} own The languages which belong to the language.
+ * @param {String} str The string to translate.
+ * @param {Object} [params] The params for argument and token replacement.
+ * @param {String|Object} [context] The message context, or an object
+ *   containing the context and namespace.
+ * @return {String|Array} The translated and token replaced string, or an
+ *   array of parts if a rich text tag function returned a non string.
+ * @private
+ */
+Locale.prototype._translate = function (
+  language, own, str, params, context
+) {
+  'use strict';
+
+  var chain = own.slice(),
+      msg = this._message(str, context),
+      key = messageKey.create(msg.msg, msg.context),
+      found;
+
+  this._resolveChain(this.defaultLanguage, chain);
+  found = this._lookup(chain, msg);
+
+  if (language && (found === null || own.indexOf(found.language) === -1)) {
+    this._recordMissing(language, msg.msg, msg.context);
+  }
+
+  if (found === null) {
+    return this._render(this.sourceLanguage, '\u0000' + key, msg.msg, params);
+  }
+
+  return this._render(
+    found.language,
+    (found.namespace || '') + '\u0000' + key,
+    found.translation,
+    params
+  );
+};
+
+/**
+ * Translate the given string, walking the fallback chain of the language
+ * until a translation is found. The string may use ICU MessageFormat syntax,
+ * such as "{count, plural, one {# item} other {# items}}", alongside the
+ * ":token" replacements. A string may be prefixed with the namespace it
+ * belongs to, such as "users:Hello world", to check the translations of
+ * that namespace first. The params are HTML escaped if the escape property
+ * is enabled.
+ *
+ * Rich text tags, such as "Read the <link>terms</link>", are rendered by
+ * the param of the same name if it is a function. The function is given the
+ * rendered children of the tag and returns a string, or any value such as
+ * an element of the view layer, in which case an array of parts is
+ * returned. A self closing tag, such as "<br/>", is given no children.
+ *
+ * @param {String} language The language to translate to.
+ * @param {String} str The string to translate to.
+ * @param {Object} [params] The params for argument and token replacement.
+ * @param {String|Object} [context] The message context, a string with a
+ *   context is only translated by translations given the same context, or
+ *   an object containing the context and namespace.
+ * @param {String} [context.context] The message context.
+ * @param {String} [context.namespace] The namespace.
+ * @return {String|Array} The translated and token replaced string, or an
+ *   array of parts if a rich text tag function returned a non string.
+ */
+Locale.prototype.t = function (language, str, params, context) {
+  'use strict';
+
+  var own = [];
+
+  this._resolveChain(language, own);
+
+  return this._translate(language, own, str, params, context);
+};
+
+/**
+ * Formats a number for the given language.
+ *
+ * @param {String} language The language.
+ * @param {Number} value The number.
+ * @param {Object} [options] The Intl.NumberFormat options.
+ * @return {String} The formatted number.
+ */
+Locale.prototype.formatNumber = function (language, value, options) {
+  'use strict';
+
+  return formatters.number(language, value, options);
+};
+
+/**
+ * Formats a percentage for the given language, where 1 is 100%.
+ *
+ * @param {String} language The language.
+ * @param {Number} value The number.
+ * @param {Object} [options] The Intl.NumberFormat options.
+ * @return {String} The formatted percentage.
+ */
+Locale.prototype.formatPercent = function (language, value, options) {
+  'use strict';
+
+  return formatters.percent(language, value, options);
+};
+
+/**
+ * Formats an amount of currency for the given language.
+ *
+ * @param {String} language The language.
+ * @param {Number} value The amount.
+ * @param {String} [code] The currency code, defaults to the locale currency.
+ * @param {Object} [options] The Intl.NumberFormat options.
+ * @return {String} The formatted amount.
+ */
+Locale.prototype.formatCurrency = function (language, value, code, options) {
+  'use strict';
+
+  if (code !== null && typeof code === 'object') {
+    options = code;
+    code = null;
+  }
+
+  return formatters.currency(language, value, code || this.currency, options);
+};
+
+/**
+ * Returns the date options for the given style, adding the locale time
+ * zone.
+ *
+ * @param {String|Object} [style] The style or Intl.DateTimeFormat options.
+ * @return {Object} The options.
+ * @private
+ */
+Locale.prototype._dateStyle = function (style) {
+  'use strict';
+
+  var options = style !== null && typeof style === 'object' ?
+    style :
+    {style: style};
+
+  if (options.timeZone === undefined && this.timeZone) {
+    options = Object.keys(options).reduce(function (result, key) {
+      result[key] = options[key];
+      return result;
+    }, {timeZone: this.timeZone});
+  }
+
+  return options;
+};
+
+/**
+ * Formats a date for the given language.
+ *
+ * @param {String} language The language.
+ * @param {Date|Number|String} value The date.
+ * @param {String|Object} [style="medium"] The style, short, medium, long or
+ *   full, or the Intl.DateTimeFormat options.
+ * @return {String} The formatted date.
+ */
+Locale.prototype.formatDate = function (language, value, style) {
+  'use strict';
+
+  return formatters.date(language, value, this._dateStyle(style));
+};
+
+/**
+ * Formats a time for the given language.
+ *
+ * @param {String} language The language.
+ * @param {Date|Number|String} value The date.
+ * @param {String|Object} [style="medium"] The style, short, medium, long or
+ *   full, or the Intl.DateTimeFormat options.
+ * @return {String} The formatted time.
+ */
+Locale.prototype.formatTime = function (language, value, style) {
+  'use strict';
+
+  return formatters.time(language, value, this._dateStyle(style));
+};
+
+/**
+ * Formats a date and time for the given language.
+ *
+ * @param {String} language The language.
+ * @param {Date|Number|String} value The date.
+ * @param {String|Object} [style="medium"] The style, short, medium, long or
+ *   full, or the Intl.DateTimeFormat options.
+ * @return {String} The formatted date and time.
+ */
+Locale.prototype.formatDateTime = function (language, value, style) {
+  'use strict';
+
+  return formatters.dateTime(language, value, this._dateStyle(style));
+};
+
+/**
+ * Formats a relative time for the given language, such as "3 days ago".
+ *
+ * @param {String} language The language.
+ * @param {Number|Date} value The amount of units, negative for the past, or
+ *   the date.
+ * @param {String} [unit] The unit, such as "day", required for amounts.
+ * @param {Object} [options] The Intl.RelativeTimeFormat options.
+ * @return {String} The formatted relative time.
+ */
+Locale.prototype.formatRelativeTime = function (
+  language, value, unit, options
+) {
+  'use strict';
+
+  return formatters.relativeTime(language, value, unit, options);
+};
+
+/**
+ * Formats a list for the given language, such as "a, b, and c".
+ *
+ * @param {String} language The language.
+ * @param {Array} items The items.
+ * @param {String} [type="conjunction"] The list type, conjunction,
+ *   disjunction or unit.
+ * @return {String} The formatted list.
+ */
+Locale.prototype.formatList = function (language, items, type) {
+  'use strict';
+
+  return formatters.list(language, items, type);
+};
+
+/**
+ * Returns the origin of a loaded translation, either the filename it was
+ * read from or the "database" or "runtime" layer.
+ *
+ * @param {String} language The language.
+ * @param {String} key The translation key.
+ * @param {String} [namespace] The namespace.
+ * @return {String|null} The origin, or null if it's unknown.
+ * @private
+ */
+Locale.prototype._origin = function (language, key, namespace) {
+  'use strict';
+
+  var source = this._source(language, key, namespace);
+
+  return source === null ? null : source.file || source.layer;
+};
+
+/**
+ * Returns the translations of a namespace for the given language,
+ * including the translations inherited from its fallback chain.
+ *
+ * @param {String} namespace The namespace.
+ * @param {String} language The language.
+ * @return {Object} The translations keyed by their translation key.
+ * @throws {NotFoundError} If the namespace isn't loaded.
+ */
+Locale.prototype.namespace = function (namespace, language) {
+  'use strict';
+
+  var translations = this._namespaces[namespace],
+      chain = this.languageChain(language),
+      result = {};
+
+  if (translations === undefined) {
+    throw new errors.NotFoundError('Unknown namespace "' + namespace + '"');
+  }
+
+  for (var i = chain.length - 1; i >= 0; i--) {
+    for (var key in translations[chain[i]] || {}) {
+      result[key] = translations[chain[i]][key];
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Removes the directories added with the namespace, which are no longer
+ * watched for changes.
+ *
+ * @param {String} namespace The namespace.
+ * @private
+ */
+Locale.prototype._removeNamespaceDirs = function (namespace) {
+  'use strict';
+
+  for (var dir in this._dirOptions) {
+    if (this._dirOptions[dir].namespace === namespace) {
+      delete this._dirOptions[dir];
+      this._dirs.splice(this._dirs.indexOf(dir), 1);
+      this._unwatchDir(dir);
+    }
+  }
+};
+
+/**
+ * Unloads a namespace, removing its translations and files. Directories
+ * added with the namespace are no longer watched for changes.
+ *
+ * @param {String} namespace The namespace.
+ * @return {Locale} Returns self.
+ */
+Locale.prototype.removeNamespace = function (namespace) {
+  'use strict';
+
+  function keep(file) {
+    return file.namespace !== namespace;
+  }
+
+  for (var filename in this._files) {
+    if (this._files[filename].namespace === namespace) {
+      delete this._files[filename];
+    }
+  }
+
+  this._removeNamespaceDirs(namespace);
+
+  for (var language in this._lazy.index) {
+    this._lazy.index[language] = this._lazy.index[language].filter(keep);
+  }
+
+  delete this._namespaces[namespace];
+  delete this._namespaced.database[namespace];
+  delete this._namespaced.runtime[namespace];
+  this._clearCompiled();
+
+  return this;
+};
+
+/**
+ * Validates the loaded translations, checking for missing or unknown
+ * placeholders, invalid MessageFormat syntax, empty translations,
+ * mismatched HTML tags and keys defined by more than one file. In lazy mode
+ * only the loaded languages have translations to validate. The "%name" and
+ * "!name" tokens are only checked if the escape property is enabled.
+ *
+ * @param {String} [language] The language to validate, if not provided all
+ *   languages are validated.
+ * @return {Array} The issues, each containing the type, level, language,
+ *   key, msg, context, message, the namespace (or null) and the file it
+ *   came from.
  */
-function Locale(core) {
+Locale.prototype.validate = function (language) {
   'use strict';
 
-  var locales = {};
+  var me = this,
+      languages = language ?
+        [languageTag.normalize(language)] :
+        this.languages,
+      options = {escape: this.escape},
+      files = {},
+      issues = [];
 
-  Object.defineProperties(this, {
-    /**
-     * Get the defined locales.
-     *
-     * @var {Object} _locales
-     * @memberof Locale
-     * @private
-     * @instance
-     */
-    _locales: {
-      get: function () {
-        return locales;
-      }
-    },
-    /**
-     * Get the defined language names.
-     *
-     * @var {Array} languages
-     * @memberof Locale
-     * @readonly
-     * @instance
-     */
-    languages: {
-      get: function () {
-        return Object.keys(locales);
-      }
-    },
-    /**
-     * Get the owning entity core object.
-     *
-     * @var {EntityCore} core
-     * @memberof Locale
-     * @readonly
-     * @instance
-     */
-    core: {
-      value: core
+  function check(lang, translations, namespace) {
+    validate.translations(
+      lang, translations || {}, options
+    ).forEach(function (item) {
+      item.namespace = namespace;
+      item.file = me._origin(lang, item.key, namespace);
+      issues.push(item);
+    });
+  }
+
+  languages.forEach(function (lang) {
+    check(lang, me._locales[lang], null);
+
+    me.namespaces.forEach(function (namespace) {
+      check(lang, me._namespaces[namespace][lang], namespace);
+    });
+  });
+
+  Object.keys(this._files).forEach(function (filename) {
+    if (languages.indexOf(me._files[filename].language) !== -1) {
+      files[filename] = me._files[filename];
     }
   });
-}
+
+  return issues.concat(validate.duplicates(files).map(function (item) {
+    item.file = item.files[1];
+    return item;
+  }));
+};
 
 /**
- * Add translations stored in the database.
+ * Validates a translation file before it's added, its keys are also
+ * checked against the files already added.
  *
- * @param {Function} done The done callback.
+ * @param {String} filename The translation file.
+ * @param {Function} [done] The done callback, if not provided a promise is
+ *   returned.
  * @param {Error} done.err Any raised errors.
- * @private
+ * @param {Array} done.issues The issues, as returned by validate().
  */
-Locale.prototype._addFromDatabase = function (done) {
+Locale.prototype.validateFile = function (filename, done) {
   'use strict';
 
-  var me = this;
-  this.core.database.collection('locales').find(function (err, docs) {
+  var me = this,
+      resolved = path.resolve(filename);
+
+  this._readFile(filename, function (err, res) {
     if (err) {
       return done(err);
     }
 
-    docs.forEach(function (doc) {
-      if (me._locales[doc.language] === undefined) {
-        me._locales[doc.language] = {};
-      }
+    var files = {};
 
-      me._locales[doc.language][doc.msg] = doc.translation;
+    Object.keys(me._files).forEach(function (file) {
+      if (file !== resolved && me._files[file].language === res.language) {
+        files[file] = me._files[file];
+      }
     });
 
-    done(null);
+    files[resolved] = res;
+
+    done(null, validate.translations(
+      res.language, res.translations, {escape: me.escape}
+    ).map(function (item) {
+      item.file = resolved;
+      return item;
+    }).concat(validate.duplicates(files).filter(function (item) {
+      return item.files[1] === resolved;
+    }).map(function (item) {
+      item.file = resolved;
+      return item;
+    })));
   });
 };
 
 /**
- * Processes the given JSON filename.
+ * Reports how complete each language is against a reference source catalog.
+ * Only the own translations of a language are counted, not its fallbacks.
+ * Fuzzy translations, from gettext and XLIFF files, are not counted as
+ * translated unless they are overridden in the database. Namespaced
+ * translations are counted by their namespace prefixed string, such as
+ * "users:Hello", as extracted from the t() calls. In lazy mode the
+ * languages which aren't loaded have no translations, load() them first.
  *
- * @param {String} filename The translation file filename, note that it must
- *   be in the format *.LANGUAGE.json.
- * @param {Function} done The done callback.
- * @param {Error} done.err Any raised errors.
+ * @param {Array|Object} reference The source strings or translation keys,
+ *   the strings returned by the extractor or a catalog object keyed by
+ *   source string.
+ * @param {Object} [options] The coverage options.
+ * @param {Boolean} [options.files=false] Include a breakdown per file.
+ * @return {Object} The coverage keyed by language, each containing the
+ *   total, translated, missing, fuzzy and overridden number of strings and
+ *   the translated percentage, and with the files option the coverage of
+ *   each file keyed by filename.
+ */
+Locale.prototype.coverage = function (reference, options) {
+  'use strict';
+
+  var me = this,
+      keys = referenceKeys(reference),
+      result = {};
+
+  options = options || {};
+
+  this.languages.forEach(function (language) {
+    result[language] = me._coverage(language, keys, options.files);
+  });
+
+  return result;
+};
+
+/**
+ * Reports how complete a language is against the reference keys, see
+ * coverage().
+ *
+ * @param {String} language The language.
+ * @param {Array} keys The reference translation keys.
+ * @param {Boolean} [withFiles=false] Include a breakdown per file.
+ * @return {Object} The coverage of the language.
  * @private
  */
-Locale.prototype._processFile = function (filename, done) {
+Locale.prototype._coverage = function (language, keys, withFiles) {
   'use strict';
 
-  try {
-    var locale = require(filename),
-        language = filename.split('.')[1];
+  var me = this,
+      translations = {},
+      fuzzy = [],
+      files = {},
+      stats;
+
+  function add(source, namespace) {
+    var prefixed = prefixTranslations(source || {}, namespace);
 
-    if (this._locales[language] === undefined) {
-      this._locales[language] = {};
+    for (var key in prefixed) {
+      translations[key] = prefixed[key];
     }
+  }
 
-    for (var msg in locale) {
-      if (this._locales[language][msg]) {
-        continue;
-      }
+  add(this._locales[language], null);
+  this.namespaces.forEach(function (namespace) {
+    add(me._namespaces[namespace][language], namespace);
+  });
+
+  Object.keys(this._files).forEach(function (filename) {
+    var file = me._files[filename],
+        fileFuzzy = file.fuzzy.map(function (key) {
+          return prefixKey(key, file.namespace);
+        });
 
-      this._locales[language][msg] = locale[msg];
+    if (file.language === language) {
+      fuzzy = fuzzy.concat(fileFuzzy);
+      files[filename] = countCoverage(
+        keys, prefixTranslations(file.translations, file.namespace), fileFuzzy
+      );
     }
+  });
 
-    done(null);
-  } catch (err) {
-    done(err);
+  stats = countCoverage(keys, translations, fuzzy, this._coverageOverrides(
+    language
+  ));
+
+  if (withFiles) {
+    stats.files = files;
   }
+
+  return stats;
 };
 
 /**
- * Perform token string replacement, this is based upon the PHP.js strtr
- * script.
+ * Returns the database translations of a language counted by coverage(),
+ * namespaced translations are keyed by their namespace prefixed key.
  *
- * @param {String} str The string to replace.
- * @param {Object} params The token params.
- * @return {String} The replaced string.
+ * @param {String} language The language.
+ * @return {Object} The translations.
  * @private
  */
-Locale.prototype._strtr = function (str, params) {
+Locale.prototype._coverageOverrides = function (language) {
   'use strict';
 
-  var i, len,
-      j, frm,
-      from = [],
-      to = [],
-      ret = '',
-      match = false;
+  var stores = this._namespaced.database,
+      result = {},
+      namespace, key, prefixed;
 
-  for (var arg in params) {
-    from.push(':' + arg);
-    to.push(params[arg]);
+  for (key in this._overrides[language] || {}) {
+    result[key] = this._overrides[language][key];
   }
 
-  for (i = 0, len = str.length; i < len; i++) {
-    match = false;
-    for (j = 0, frm = from.length; j < frm; j++) {
-      if (str.substr(i, from[j].length) === from[j]) {
-        match = true;
-        i = (i + from[j].length) - 1;
+  for (namespace in stores) {
+    prefixed = prefixTranslations(stores[namespace][language], namespace);
 
-        break;
-      }
+    for (key in prefixed) {
+      result[key] = prefixed[key];
     }
-
-    ret += match ? to[j] : str.charAt(i);
   }
 
-  return ret;
+  return result;
 };
 
 /**
- * Add translations from a JSON file.
+ * Creates a translator bound to the given language, which shares the
+ * translations of this locale.
  *
- * @param {String} filename The translation file filename, note that it must
- *   be in the format *.LANGUAGE.json.
- * @param {Function} done The done callback.
- * @param {Error} done.err Any raised errors.
+ * @param {String} language The language to translate to.
+ * @param {Array|String} [fallbacks] The fallback languages of the
+ *   translator, if not provided the fallback chain of the language is used.
+ * @return {Translator} The translator.
  */
-Locale.prototype.addFromFile = function (filename, done) {
+Locale.prototype.forLanguage = function (language, fallbacks) {
   'use strict';
 
-  this._processFile(filename, done);
+  return new Translator(this, language, fallbacks);
 };
 
 /**
- * Add translation files from the given directory.
+ * Creates a middleware which negotiates the language of each HTTP request
+ * and attaches it as req.language, with a bound req.t(str, params, context)
+ * translator.
  *
- * @param {String} dir The directory to scan.
- * @param {Function} done The done callback.
- * @param {Error} done.err Any raised errors.
+ * @param {Object} [options] The negotiation options, see
+ *   negotiate.middleware().
+ * @return {Function} The middleware function.
+ */
+Locale.prototype.middleware = function (options) {
+  'use strict';
+
+  return negotiate.middleware(this, options);
+};
+
+/**
+ * Connects to a channel, translation changes made by this locale are
+ * published to the channel and changes made by the other locales connected
+ * to it are applied to this locale. Any previous channel is disconnected.
+ *
+ * @param {Object} channel The channel adapter, see the built-in
+ *   ClusterChannel and MemoryChannel.
+ * @return {Locale} Returns self.
  */
-Locale.prototype.addFromDir = function (dir, done) {
+Locale.prototype.connect = function (channel) {
   'use strict';
 
   var me = this;
 
-  function processFile(filename) {
-    return function (next) {
-      me.addFromFile(filename, next);
-    };
+  this.disconnect();
+
+  this._sync.channel = channel;
+  this._sync.listener = function (message) {
+    me._applyChange(message);
+  };
+
+  channel.subscribe(this._sync.listener);
+
+  return this;
+};
+
+/**
+ * Disconnects from the connected channel.
+ *
+ * @return {Locale} Returns self.
+ */
+Locale.prototype.disconnect = function () {
+  'use strict';
+
+  if (this._sync.channel !== null) {
+    this._sync.channel.unsubscribe(this._sync.listener);
   }
 
-  glob(path.join(dir, '**', '*.json'), function (err, files) {
-    if (err) {
-      return done(err);
-    }
+  this._sync.channel = null;
+  this._sync.listener = null;
 
-    var queue = [];
-    files.forEach(function (item) {
-      var splt = item.split('.');
-      if (splt.length === 3 && splt[1].length === 2) {
-        queue.push(processFile(item));
-      }
-    });
+  return this;
+};
 
-    async.series(queue, function (err) {
-      done(err ? err : null);
-    });
-  });
+/**
+ * Publishes a translation change to the connected channel.
+ *
+ * @param {Object} message The change, containing the action and language,
+ *   and the namespace, key and translation of the changed translation.
+ * @private
+ */
+Locale.prototype._publish = function (message) {
+  'use strict';
+
+  if (this._sync.channel === null) {
+    return;
+  }
+
+  message.origin = this._sync.id;
+  this._sync.channel.publish(message);
 };
 
 /**
- * Returns all defined translations for the given language.
+ * Applies a translation change received from the channel, changes
+ * published by this locale are ignored.
  *
- * @param {String} language The language to return.
- * @return {Object} An object containing the translation strings.
- * @throws {Error} If the language is undefined.
+ * @param {Object} message The change.
+ * @fires Locale#sync
+ * @private
  */
-Locale.prototype.locales = function (language) {
+Locale.prototype._applyChange = function (message) {
   'use strict';
 
-  if (this._locales[language] === undefined) {
-    throw new Error(); // @todo
+  if (
+    !message || message.origin === this._sync.id || (
+      this.lazy && message.action !== 'removeLanguage' &&
+      this._lazy.resident.indexOf(message.language) === -1
+    )
+  ) {
+    return;
+  }
+
+  if (message.action === 'translate') {
+    this._setOverride(
+      message.language, message.key, message.translation, message.namespace
+    );
+  } else if (message.action === 'untranslate') {
+    this._removeOverride(message.language, message.key, message.namespace);
+  } else if (message.action === 'removeLanguage') {
+    this._forgetLanguage(message.language);
+  } else {
+    return;
   }
 
-  return this._locales[language];
+  this.emit('sync', message);
 };
 
 /**
- * Initializes the locale, collection translations from the database and
- * provided directory.
+ * Reloads the translations of the storage adapter, replacing the stored
+ * translations this locale has loaded.
  *
- * @param {String} dir The directory to read from.
+ * @param {Function} [done] The done callback, if not provided a promise is
+ *   returned.
+ * @param {Error} done.err Any raised errors.
+ */
+Locale.prototype.reload = function (done) {
+  'use strict';
+
+  this._addFromDatabase(true, done);
+};
+
+/**
+ * Loads the languages of the fallback chain of the given language in lazy
+ * mode, reading their indexed files and stored translations. Without lazy
+ * mode the languages are already loaded.
+ *
+ * @param {String} language The language.
+ * @param {Function} [done] The done callback, if not provided a promise is
+ *   returned.
+ * @param {Error} done.err Any raised errors.
+ */
+Locale.prototype.load = function (language, done) {
+  'use strict';
+
+  var me = this,
+      chain = this.languageChain(language);
+
+  async.each(chain, function (lang, next) {
+    me._loadLanguage(lang, next);
+  }, function (err) {
+    if (err) {
+      return done(err);
+    }
+
+    me._evict(chain);
+    done(null);
+  });
+};
+
+/**
+ * Loads a single language in lazy mode, concurrent loads of the language
+ * share the same read.
+ *
+ * @param {String} language The language.
  * @param {Function} done The done callback.
  * @param {Error} done.err Any raised errors.
+ * @fires Locale#load
+ * @private
  */
-Locale.prototype.initialize = function (dir, done) {
+Locale.prototype._loadLanguage = function (language, done) {
   'use strict';
 
   var me = this,
-      queue = [];
+      state = this._lazy,
+      queue;
 
-  if (dir && dir !== '') {
-    queue.push(function (next) {
-      me.addFromDir(dir, next);
-    });
+  if (!this.lazy || state.resident.indexOf(language) !== -1) {
+    this._touch(language);
+    return done(null);
+  } else if (state.loading[language] !== undefined) {
+    return state.loading[language].push(done);
   }
 
+  state.loading[language] = [done];
+  queue = (state.index[language] || []).map(function (file) {
+    return function (next) {
+      me._processFile(file.filename, file.options, next);
+    };
+  });
+
   queue.push(function (next) {
-    me._addFromDatabase(next);
+    me._store('find', 'locales', {language: language}, function (err, docs) {
+      if (!err) {
+        me._clearStored('database', language);
+        me._addOverrides(docs);
+      }
+
+      next(err ? err : null);
+    });
   });
 
   async.series(queue, function (err) {
-    done(err ? err : null);
+    var callbacks = state.loading[language];
+
+    delete state.loading[language];
+
+    if (!err) {
+      state.resident.push(language);
+      me._rebuildScopes(language);
+      me.emit('load', language);
+    }
+
+    callbacks.forEach(function (callback) {
+      callback(err ? err : null);
+    });
   });
 };
 
 /**
- * Translates a given msg in the given language and stores in the database.
+ * Marks a lazily loaded language as the most recently used.
  *
- * @param {String} language The language the translation belongs to.
- * @param {String} str The english message that this is translating.
- * @param {String} translation The translated message to save.
- * @param {Function} done The done callback.
- * @param {Error} done.err Any raised errors.
+ * @param {String} language The language.
+ * @private
  */
-Locale.prototype.translate = function (language, str, translation, done) {
+Locale.prototype._touch = function (language) {
   'use strict';
 
-  var me = this;
+  var resident = this._lazy.resident,
+      idx = resident.indexOf(language);
 
-  this.core.database.collection('locales').findOne({
-    language: language,
-    msg: str
-  }, function (err, doc) {
-    if (err) {
-      return done(err);
-    }
+  if (idx !== -1) {
+    resident.splice(idx, 1);
+    resident.push(language);
+  }
+};
 
-    if (!doc) {
-      doc = {
-        language: language,
-        msg: str
-      };
-    }
+/**
+ * Unloads the least recently used languages until no more than
+ * maxLanguages are loaded.
+ *
+ * @param {Array} keep The languages which must stay loaded.
+ * @private
+ */
+Locale.prototype._evict = function (keep) {
+  'use strict';
 
-    doc.translation = translation;
+  var resident = this._lazy.resident,
+      candidates = resident.filter(function (language) {
+        return keep.indexOf(language) === -1;
+      });
 
-    if (me._locales[language] === undefined) {
-      me._locales[language] = {};
-    }
-    me._locales[language][str] = translation;
+  while (
+    this.maxLanguages !== null && resident.length > this.maxLanguages &&
+    candidates.length
+  ) {
+    this._unloadLanguage(candidates.shift());
+  }
+};
 
-    me.core.database.collection('locales').save(doc, function (err2) {
-      done(err2 ? err2 : null);
-    });
+/**
+ * Unloads a lazily loaded language, its files stay indexed.
+ *
+ * @param {String} language The language.
+ * @fires Locale#unload
+ * @private
+ */
+Locale.prototype._unloadLanguage = function (language) {
+  'use strict';
+
+  var me = this,
+      resident = this._lazy.resident;
+
+  resident.splice(resident.indexOf(language), 1);
+
+  (this._lazy.index[language] || []).forEach(function (file) {
+    delete me._files[file.filename];
   });
+
+  this._clearStored('database', language);
+  this._rebuildScopes(language);
+  this.emit('unload', language);
 };
 
 /**
- * Translate the given string.
+ * Checks if the language may be loaded on first use in lazy mode, which is
+ * the case if it has indexed files or is the default language or part of a
+ * configured fallback. Other languages are only loaded by load(), so
+ * unknown languages given to t() can't evict the loaded languages.
  *
- * @param {String} language The language to translate to.
- * @param {String} str The string to translate to.
- * @param {Object} [params] The params for token replacement.
- * @return {String} The translated and token replaced string.
+ * @param {String} language The language.
+ * @return {Boolean} Returns true if the language is known.
+ * @private
+ */
+Locale.prototype._isKnownLanguage = function (language) {
+  'use strict';
+
+  var fallbacks = this._fallbacks;
+
+  return this._lazy.index[language] !== undefined ||
+    language === this.defaultLanguage ||
+    Object.keys(fallbacks).some(function (key) {
+      return key === language || fallbacks[key].indexOf(language) !== -1;
+    });
+};
+
+/**
+ * Starts loading the known languages of the chain which aren't loaded in
+ * lazy mode, errors are emitted as error events.
+ *
+ * @param {Array} chain The languages.
+ * @private
  */
-Locale.prototype.t = function (language, str, params) {
+Locale.prototype._ensureLoaded = function (chain) {
   'use strict';
 
-  if (this._locales[language] && this._locales[language][str]) {
-    str = this._locales[language][str];
+  var me = this,
+      state = this._lazy;
+
+  if (!this.lazy) {
+    return;
   }
 
-  return this._strtr(str, params);
+  chain.forEach(function (language) {
+    if (state.resident.indexOf(language) !== -1) {
+      return me._touch(language);
+    } else if (
+      state.loading[language] !== undefined || !me._isKnownLanguage(language)
+    ) {
+      return;
+    }
+
+    me._loadLanguage(language, function (err) {
+      if (err && me.listeners('error').length > 0) {
+        me.emit('error', err);
+      } else if (!err) {
+        me._evict(chain);
+      }
+    });
+  });
 };
 
+/**
+ * The asynchronous methods return a promise when no done callback is given.
+ */
+[
+  'addFromFile', 'addFromDir', 'exportPo', 'exportXliff', 'saveMissing',
+  'initialize', 'translate', 'untranslate', 'history', 'rollback',
+  'removeLanguage', 'validateFile', 'reload', 'load'
+].forEach(function (method) {
+  'use strict';
+
+  Locale.prototype[method] = promised(Locale.prototype[method]);
+});
+
 /**
  * Exports the Locales class.
  */
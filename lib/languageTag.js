@@ -0,0 +1,153 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+/**
+ * Provides parsing and normalization of BCP 47 language tags.
+ *
+ * @author Orgun109uk <orgun109uk@gmail.com>
+ */
+
+var path = require('path');
+
+/**
+ * The BCP 47 language tag pattern, excluding the grandfathered tags.
+ *
+ * @type {RegExp}
+ * @private
+ */
+var pattern = new RegExp(
+  '^(?:' +
+    '([a-z]{2,3}(?:-[a-z]{3}){0,3}|[a-z]{4,8})' +
+    '(?:-([a-z]{4}))?' +
+    '(?:-([a-z]{2}|[0-9]{3}))?' +
+    '((?:-(?:[a-z0-9]{5,8}|[0-9][a-z0-9]{3}))*)' +
+    '((?:-[0-9a-wy-z](?:-[a-z0-9]{2,8})+)*)' +
+    '(?:-(x(?:-[a-z0-9]{1,8})+))?' +
+  '|(x(?:-[a-z0-9]{1,8})+))$'
+);
+
+/**
+ * Parses the given language tag into its subtags, underscores are accepted
+ * as separators.
+ *
+ * @param {String} tag The language tag, such as "zh-Hant-TW".
+ * @return {Object|null} An object containing the language, script, region,
+ *   variants, extensions and privateuse subtags, or null if the tag is
+ *   invalid.
+ */
+function parse(tag) {
+  'use strict';
+
+  var match = pattern.exec(String(tag || '').replace(/_/g, '-').toLowerCase());
+  if (!match) {
+    return null;
+  }
+
+  return {
+    language: match[1] || null,
+    script: match[2] ?
+      match[2].charAt(0).toUpperCase() + match[2].substring(1) :
+      null,
+    region: match[3] ? match[3].toUpperCase() : null,
+    variants: match[4] ? match[4].substring(1).split('-') : [],
+    extensions: match[5] ? match[5].substring(1) : null,
+    privateuse: match[6] || match[7] || null
+  };
+}
+
+/**
+ * Checks if the given language tag is valid.
+ *
+ * @param {String} tag The language tag.
+ * @return {Boolean} Returns true if the tag is valid.
+ */
+function isValid(tag) {
+  'use strict';
+
+  return parse(tag) !== null;
+}
+
+/**
+ * Normalizes the casing of the given language tag, for example "PT_br"
+ * becomes "pt-BR" and "sr-latn" becomes "sr-Latn".
+ *
+ * @param {String} tag The language tag.
+ * @return {String} The normalized tag, invalid tags are returned unchanged.
+ */
+function normalize(tag) {
+  'use strict';
+
+  var parts = parse(tag);
+  if (parts === null) {
+    return tag;
+  }
+
+  return [
+    parts.language,
+    parts.script,
+    parts.region
+  ].concat(
+    parts.variants,
+    [parts.extensions, parts.privateuse]
+  ).filter(function (subtag) {
+    return subtag;
+  }).join('-');
+}
+
+/**
+ * Extracts the language tag from a translation filename, which must be in
+ * the format *.LANGUAGE.EXT, for example "/app.v2/users.pt-BR.json". Only
+ * tags with a two or three letter primary language subtag are accepted,
+ * unless the tag is one of the given languages, so filenames such as
+ * "foo.config.json" aren't mistaken for translations.
+ *
+ * @param {String} filename The filename.
+ * @param {Array} [languages] The registered languages, which are accepted
+ *   whatever their primary language subtag.
+ * @return {String|null} The normalized language tag, or null if the filename
+ *   doesn't contain an accepted tag.
+ */
+function fromFilename(filename, languages) {
+  'use strict';
+
+  var basename = path.basename(filename, path.extname(filename)),
+      pos = basename.lastIndexOf('.'),
+      parts, tag;
+
+  if (pos <= 0) {
+    return null;
+  }
+
+  tag = normalize(basename.substring(pos + 1));
+  parts = parse(tag);
+
+  if (parts === null || (
+    !/^[a-z]{2,3}(?:-|$)/.test(parts.language || '') &&
+    (languages || []).indexOf(tag) === -1
+  )) {
+    return null;
+  }
+
+  return tag;
+}
+
+/**
+ * Exports the language tag functions.
+ */
+module.exports = {
+  parse: parse,
+  isValid: isValid,
+  normalize: normalize,
+  fromFilename: fromFilename
+};
@@ -0,0 +1,171 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+
+/**
+ * Provides the translation keys, which combine an optional message context
+ * with the source string using the gettext EOT separator.
+ *
+ * @author Orgun109uk <orgun109uk@gmail.com>
+ */
+
+/**
+ * The separator between the context and the source string.
+ *
+ * @type {String}
+ */
+var SEPARATOR = '\u0004';
+
+/**
+ * The reserved catalog keys, which hold the catalog metadata rather than
+ * translations.
+ *
+ * @type {Array}
+ */
+var METADATA = ['@metadata', '@obsolete'];
+
+/**
+ * Creates the translation key of the given source string and context.
+ *
+ * @param {String} str The source string.
+ * @param {String} [context] The message context.
+ * @return {String} The translation key.
+ */
+function create(str, context) {
+  'use strict';
+
+  return context ? context + SEPARATOR + str : str;
+}
+
+/**
+ * Splits a translation key into its source string and context.
+ *
+ * @param {String} key The translation key.
+ * @return {Object} An object containing the msg and context, the context is
+ *   null if the key has no context.
+ */
+function parse(key) {
+  'use strict';
+
+  var pos = key.indexOf(SEPARATOR);
+
+  return pos === -1 ? {msg: key, context: null} : {
+    msg: key.substring(pos + 1),
+    context: key.substring(0, pos)
+  };
+}
+
+/**
+ * Flattens a translations object, where a translation may be an object of
+ * translations keyed by context, an empty context being no context. For
+ * example {"Open": {"verb": "Ouvrir", "": "Ouvert"}}. The reserved metadata
+ * keys are skipped.
+ *
+ * @param {Object} translations The translations.
+ * @return {Object} The translations keyed by their translation key.
+ */
+function flatten(translations) {
+  'use strict';
+
+  var flat = {};
+
+  for (var str in translations) {
+    if (METADATA.indexOf(str) !== -1) {
+      continue;
+    }
+
+    if (translations[str] === null || typeof translations[str] !== 'object') {
+      flat[str] = translations[str];
+      continue;
+    }
+
+    for (var context in translations[str]) {
+      flat[create(str, context)] = translations[str][context];
+    }
+  }
+
+  return flat;
+}
+
+/**
+ * Nests a flat translations object, the inverse of flatten(). Translations
+ * with a context are grouped by their source string, where a source string
+ * translated both with and without a context uses an empty context.
+ *
+ * @param {Object} flat The translations keyed by their translation key.
+ * @return {Object} The nested translations, with sorted keys.
+ */
+function unflatten(flat) {
+  'use strict';
+
+  var nested = {},
+      keys = Object.keys(flat).map(parse),
+      contexts = {};
+
+  keys.forEach(function (parsed) {
+    if (parsed.context !== null) {
+      contexts[parsed.msg] = true;
+    }
+  });
+
+  keys.sort(function (a, b) {
+    return a.msg < b.msg ? -1 : (a.msg > b.msg ? 1 :
+      ((a.context || '') < (b.context || '') ? -1 : 1));
+  }).forEach(function (parsed) {
+    var value = flat[create(parsed.msg, parsed.context)];
+
+    if (!contexts[parsed.msg]) {
+      nested[parsed.msg] = value;
+      return;
+    }
+
+    nested[parsed.msg] = nested[parsed.msg] || {};
+    nested[parsed.msg][parsed.context || ''] = value;
+  });
+
+  return nested;
+}
+
+/**
+ * Merges the translations into the target, existing translations are not
+ * replaced.
+ *
+ * @param {Object} target The translations to merge into.
+ * @param {Object} translations The translations to merge.
+ * @return {Object} The target.
+ */
+function merge(target, translations) {
+  'use strict';
+
+  for (var key in translations) {
+    if (!target[key]) {
+      target[key] = translations[key];
+    }
+  }
+
+  return target;
+}
+
+/**
+ * Exports the translation key functions.
+ */
+module.exports = {
+  SEPARATOR: SEPARATOR,
+  METADATA: METADATA,
+  create: create,
+  parse: parse,
+  flatten: flatten,
+  unflatten: unflatten,
+  merge: merge
+};
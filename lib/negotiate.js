@@ -0,0 +1,314 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+
+/**
+ * Provides the HTTP request language negotiation middleware.
+ *
+ * @author Orgun109uk <orgun109uk@gmail.com>
+ */
+
+var url = require('url'),
+    loader = require('nsloader'),
+    languageTag = loader('Entity/Locale/languageTag');
+
+/**
+ * The default negotiation options.
+ *
+ * @type {Object}
+ * @private
+ */
+var DEFAULTS = {
+  order: ['path', 'query', 'cookie', 'user', 'header'],
+  query: 'lang',
+  cookie: 'lang',
+  user: 'language',
+  stripPath: true,
+  defaultLanguage: null
+};
+
+/**
+ * Parses an Accept-Language header, ranges with a quality of 0 and the
+ * wildcard are dropped.
+ *
+ * @param {String} header The header value, such as "fr-CH, fr;q=0.9".
+ * @return {Array} The language tags ordered by their quality.
+ */
+function parseAcceptLanguage(header) {
+  'use strict';
+
+  return String(header || '').split(',').map(function (range, idx) {
+    var parts = range.trim().split(';'),
+        q = 1;
+
+    parts.slice(1).forEach(function (param) {
+      var match = /^\s*q\s*=\s*([0-9.]+)\s*$/i.exec(param);
+      if (match) {
+        q = parseFloat(match[1]);
+      }
+    });
+
+    return {tag: parts[0].trim(), q: isNaN(q) ? 0 : q, idx: idx};
+  }).filter(function (item) {
+    return item.q > 0 && item.tag !== '*' && languageTag.isValid(item.tag);
+  }).sort(function (a, b) {
+    return b.q - a.q || a.idx - b.idx;
+  }).map(function (item) {
+    return languageTag.normalize(item.tag);
+  });
+}
+
+/**
+ * Finds the best available language for the given language tags using the
+ * RFC 4647 lookup scheme, each tag is progressively truncated until an
+ * available language matches.
+ *
+ * @param {Array} available The available languages.
+ * @param {Array|String} tags The requested tags in order of preference.
+ * @return {String|null} The matching available language, or null.
+ */
+function lookup(available, tags) {
+  'use strict';
+
+  var languages = {};
+
+  available.forEach(function (language) {
+    languages[String(language).toLowerCase()] = language;
+  });
+
+  tags = Array.isArray(tags) ? tags : [tags];
+  for (var i = 0, len = tags.length; i < len; i++) {
+    var range = String(tags[i] || '').replace(/_/g, '-').toLowerCase();
+
+    while (range) {
+      if (languages[range] !== undefined) {
+        return languages[range];
+      }
+
+      range = range.substring(0, Math.max(range.lastIndexOf('-'), 0))
+        .replace(/-[a-z0-9]$/, '');
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parses the cookies of the request, using req.cookies if a cookie parser
+ * has already populated it.
+ *
+ * @param {Object} req The request.
+ * @return {Object} The cookie values keyed by name.
+ * @private
+ */
+function cookies(req) {
+  'use strict';
+
+  var result = {};
+
+  if (req.cookies) {
+    return req.cookies;
+  }
+
+  String(req.headers && req.headers.cookie || '').split(';')
+    .forEach(function (pair) {
+      var pos = pair.indexOf('=');
+      if (pos <= 0) {
+        return;
+      }
+
+      try {
+        result[pair.substring(0, pos).trim()] = decodeURIComponent(
+          pair.substring(pos + 1).trim()
+        );
+      } catch (err) {
+        result[pair.substring(0, pos).trim()] = pair.substring(pos + 1).trim();
+      }
+    });
+
+  return result;
+}
+
+/**
+ * The language sources, each is called with the request and options and
+ * returns the requested language tags.
+ *
+ * @type {Object}
+ * @private
+ */
+var sources = {
+  path: function (req) {
+    'use strict';
+
+    var match = /^\/([^\/?#]+)/.exec(req.url || '');
+    return match ? [match[1]] : [];
+  },
+  query: function (req, options) {
+    'use strict';
+
+    var query = req.query || url.parse(req.url || '', true).query;
+    return query[options.query] ? [String(query[options.query])] : [];
+  },
+  cookie: function (req, options) {
+    'use strict';
+
+    var value = cookies(req)[options.cookie];
+    return value ? [value] : [];
+  },
+  user: function (req, options) {
+    'use strict';
+
+    var value = req.user ? req.user[options.user] : null;
+    return value ? [value] : [];
+  },
+  header: function (req) {
+    'use strict';
+
+    return parseAcceptLanguage(
+      req.headers ? req.headers['accept-language'] : null
+    );
+  }
+};
+
+/**
+ * Removes the language prefix from the request url.
+ *
+ * @param {Object} req The request.
+ * @param {String} prefix The language prefix.
+ * @private
+ */
+function stripPath(req, prefix) {
+  'use strict';
+
+  req.url = req.url.substring(prefix.length + 1);
+  if (req.url.charAt(0) !== '/') {
+    req.url = '/' + req.url;
+  }
+}
+
+/**
+ * Negotiates the language of the request against the available languages.
+ *
+ * @param {Object} req The request.
+ * @param {Array} available The available languages.
+ * @param {Object} options The negotiation options.
+ * @return {Object|null} An object containing the language and the source it
+ *   was negotiated from, or null if no language matched.
+ */
+function negotiate(req, available, options) {
+  'use strict';
+
+  options = options || DEFAULTS;
+
+  for (var i = 0, len = options.order.length; i < len; i++) {
+    var source = sources[options.order[i]],
+        requested, language;
+
+    if (source === undefined) {
+      throw new Error('Unknown language source "' + options.order[i] + '"');
+    }
+
+    requested = source(req, options);
+    language = lookup(available, requested);
+
+    // A url prefix must match exactly, so "/fr-foo" isn't treated as "fr".
+    if (
+      options.order[i] === 'path' && language !== null &&
+      language !== languageTag.normalize(requested[0])
+    ) {
+      language = null;
+    }
+
+    if (language !== null) {
+      return {language: language, source: options.order[i], tag: requested};
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Creates a middleware which negotiates the language of each request, from
+ * the url prefix, query parameter, cookie, user profile or Accept-Language
+ * header, against the languages of the locale. The negotiated language is
+ * attached as req.language alongside a bound req.t(str, params, context)
+ * translator. In lazy mode the language is loaded before continuing.
+ *
+ * @param {Locale} locale The locale manager.
+ * @param {Object} [options] The negotiation options.
+ * @param {Array} [options.order] The sources to check, in order.
+ * @param {String} [options.query="lang"] The query parameter name.
+ * @param {String} [options.cookie="lang"] The cookie name.
+ * @param {String} [options.user="language"] The req.user property name.
+ * @param {Boolean} [options.stripPath=true] Remove a matched language
+ *   prefix from req.url.
+ * @param {String} [options.defaultLanguage] The language to use if none is
+ *   negotiated, defaults to the locale default or source language.
+ * @return {Function} The middleware function.
+ */
+function middleware(locale, options) {
+  'use strict';
+
+  var opts = {};
+
+  Object.keys(DEFAULTS).forEach(function (key) {
+    opts[key] = options && options[key] !== undefined ?
+      options[key] :
+      DEFAULTS[key];
+  });
+
+  return function (req, res, next) {
+    var available = locale.languages.concat([locale.sourceLanguage]),
+        result;
+
+    try {
+      result = negotiate(req, available, opts);
+    } catch (err) {
+      return next(err);
+    }
+
+    if (result !== null && result.source === 'path' && opts.stripPath) {
+      stripPath(req, result.tag[0]);
+    }
+
+    req.language = result !== null ? result.language : (
+      opts.defaultLanguage || locale.defaultLanguage || locale.sourceLanguage
+    );
+    req.t = function (str, params, context) {
+      return locale.t(req.language, str, params, context);
+    };
+
+    if (res && typeof res.setHeader === 'function') {
+      res.setHeader('Content-Language', req.language);
+    }
+
+    if (!locale.lazy) {
+      return next();
+    }
+
+    locale.load(req.language, function (err) {
+      return err ? next(err) : next();
+    });
+  };
+}
+
+/**
+ * Exports the negotiation functions.
+ */
+module.exports = {
+  parseAcceptLanguage: parseAcceptLanguage,
+  lookup: lookup,
+  negotiate: negotiate,
+  middleware: middleware
+};
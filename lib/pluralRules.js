@@ -0,0 +1,169 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+/**
+ * Provides the CLDR plural rules used when formatting plural and
+ * selectordinal messages, built on Intl.PluralRules.
+ *
+ * @author Orgun109uk <orgun109uk@gmail.com>
+ */
+
+/**
+ * The maximum number of cached Intl.PluralRules instances.
+ *
+ * @type {Number}
+ * @private
+ */
+var MAX_CACHED = 200;
+
+/**
+ * The cached Intl.PluralRules instances, keyed by the rule type, the number
+ * of visible fraction digits and the language, null for languages without
+ * plural rules.
+ *
+ * @type {Object}
+ * @private
+ */
+var cache = {};
+
+/**
+ * The keys of the cached instances, oldest first.
+ *
+ * @type {Array}
+ * @private
+ */
+var cached = [];
+
+/**
+ * Calculates the CLDR plural operands for the given number.
+ *
+ * @param {Number|String} value The number, strings are used to retain any
+ *   visible trailing fraction digits, for example "1.50".
+ * @return {Object} An object containing the n, i, v, f and t operands.
+ */
+function operands(value) {
+  'use strict';
+
+  var str = String(value).replace(/^-/, ''),
+      parts = str.split('.'),
+      fraction = parts[1] || '',
+      trimmed = fraction.replace(/0+$/, '');
+
+  return {
+    n: Math.abs(Number(value)),
+    i: parseInt(parts[0], 10) || 0,
+    v: fraction.length,
+    f: parseInt(fraction, 10) || 0,
+    t: parseInt(trimmed, 10) || 0
+  };
+}
+
+/**
+ * Creates the plural rules of the given language.
+ *
+ * @param {String} language The language tag, such as "pt-BR".
+ * @param {String} type The rule type, cardinal or ordinal.
+ * @param {Integer} digits The number of visible fraction digits.
+ * @return {Intl.PluralRules|null} The plural rules, or null if the language
+ *   is invalid or has no plural rules.
+ * @private
+ */
+function create(language, type, digits) {
+  'use strict';
+
+  var supported;
+
+  try {
+    supported = Intl.PluralRules.supportedLocalesOf(
+      String(language || '').replace(/_/g, '-')
+    );
+  } catch (err) {
+    return null;
+  }
+
+  if (!supported.length) {
+    return null;
+  }
+
+  return new Intl.PluralRules(supported[0], {
+    type: type,
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits
+  });
+}
+
+/**
+ * Returns the plural category for the given number and language, creating
+ * and caching the plural rules on first use.
+ *
+ * @param {String} language The language tag.
+ * @param {Number|String} value The number to categorize.
+ * @param {String} type The rule type, cardinal or ordinal.
+ * @return {String} One of zero, one, two, few, many or other.
+ * @private
+ */
+function select(language, value, type) {
+  'use strict';
+
+  var digits = Math.min(operands(value).v, 20),
+      key = [type, digits, language].join('\u0000');
+
+  if (cache[key] === undefined) {
+    if (cached.length >= MAX_CACHED) {
+      delete cache[cached.shift()];
+    }
+
+    cache[key] = create(language, type, digits);
+    cached.push(key);
+  }
+
+  return cache[key] === null ?
+    'other' :
+    cache[key].select(Math.abs(Number(value)));
+}
+
+/**
+ * Returns the cardinal plural category for the given number and language.
+ *
+ * @param {String} language The language tag.
+ * @param {Number|String} value The number to categorize.
+ * @return {String} One of zero, one, two, few, many or other.
+ */
+function cardinal(language, value) {
+  'use strict';
+
+  return select(language, value, 'cardinal');
+}
+
+/**
+ * Returns the ordinal plural category for the given number and language.
+ *
+ * @param {String} language The language tag.
+ * @param {Number|String} value The number to categorize.
+ * @return {String} One of zero, one, two, few, many or other.
+ */
+function ordinal(language, value) {
+  'use strict';
+
+  return select(language, value, 'ordinal');
+}
+
+/**
+ * Exports the plural rule functions.
+ */
+module.exports = {
+  operands: operands,
+  cardinal: cardinal,
+  ordinal: ordinal
+};
@@ -0,0 +1,52 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+/**
+ * Provides promise support for the callback based asynchronous methods.
+ *
+ * @author Orgun109uk <orgun109uk@gmail.com>
+ */
+
+/**
+ * Wraps an asynchronous method, which takes a done callback as its last
+ * argument, so a promise is returned when no callback is given.
+ *
+ * @param {Function} method The method.
+ * @return {Function} The wrapped method.
+ */
+function promised(method) {
+  'use strict';
+
+  return function () {
+    var me = this,
+        args = Array.prototype.slice.call(arguments);
+
+    if (typeof args[args.length - 1] === 'function') {
+      return method.apply(this, args);
+    }
+
+    return new Promise(function (resolve, reject) {
+      method.apply(me, args.concat(function (err, result) {
+        return err ? reject(err) : resolve(result);
+      }));
+    });
+  };
+}
+
+/**
+ * Exports the promise functions.
+ */
+module.exports = {
+  promised: promised
+};
@@ -0,0 +1,114 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+/**
+ * Provides the Entity database storage adapter.
+ *
+ * @author Orgun109uk <orgun109uk@gmail.com>
+ */
+
+/**
+ * The DatabaseStorage class stores the translation documents in the
+ * collections of the Entity database, this is the default storage of a
+ * locale created with a core.
+ *
+ * @class
+ * @param {EntityCore} core The Entity core object.
+ */
+function DatabaseStorage(core) {
+  'use strict';
+
+  Object.defineProperties(this, {
+    /**
+     * Get the owning entity core object.
+     *
+     * @var {EntityCore} core
+     * @memberof DatabaseStorage
+     * @readonly
+     * @instance
+     */
+    core: {
+      value: core
+    }
+  });
+}
+
+/**
+ * Finds the documents matching the query.
+ *
+ * @param {String} collection The collection name.
+ * @param {Object} [query] The field values to match, if not provided every
+ *   document is returned.
+ * @param {Function} done The done callback.
+ * @param {Error} done.err Any raised errors.
+ * @param {Array} done.docs The matching documents.
+ */
+DatabaseStorage.prototype.find = function (collection, query, done) {
+  'use strict';
+
+  if (typeof query === 'function') {
+    done = query;
+    query = {};
+  }
+
+  this.core.database.collection(collection).find(query || {}, done);
+};
+
+/**
+ * Finds the first document matching the query.
+ *
+ * @param {String} collection The collection name.
+ * @param {Object} query The field values to match.
+ * @param {Function} done The done callback.
+ * @param {Error} done.err Any raised errors.
+ * @param {Object} done.doc The document, or null if none match.
+ */
+DatabaseStorage.prototype.findOne = function (collection, query, done) {
+  'use strict';
+
+  this.core.database.collection(collection).findOne(query, done);
+};
+
+/**
+ * Saves a document.
+ *
+ * @param {String} collection The collection name.
+ * @param {Object} doc The document.
+ * @param {Function} done The done callback.
+ * @param {Error} done.err Any raised errors.
+ */
+DatabaseStorage.prototype.save = function (collection, doc, done) {
+  'use strict';
+
+  this.core.database.collection(collection).save(doc, done);
+};
+
+/**
+ * Removes the documents matching the query.
+ *
+ * @param {String} collection The collection name.
+ * @param {Object} query The field values to match.
+ * @param {Function} done The done callback.
+ * @param {Error} done.err Any raised errors.
+ */
+DatabaseStorage.prototype.remove = function (collection, query, done) {
+  'use strict';
+
+  this.core.database.collection(collection).remove(query, done);
+};
+
+/**
+ * Exports the DatabaseStorage class.
+ */
+module.exports = DatabaseStorage;
@@ -0,0 +1,240 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+/**
+ * Provides the JSON file storage adapter.
+ *
+ * @author Orgun109uk <orgun109uk@gmail.com>
+ */
+
+var fs = require('fs'),
+    path = require('path'),
+    util = require('util'),
+    async = require('async'),
+    loader = require('nsloader'),
+    MemoryStorage = loader('Entity/Locale/storage/MemoryStorage');
+
+/**
+ * Matches the dates written by JSON.stringify().
+ *
+ * @type {RegExp}
+ * @private
+ */
+var DATE = /^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d(\.\d+)?Z$/;
+
+/**
+ * The document properties which hold dates.
+ *
+ * @type {Array}
+ * @private
+ */
+var DATES = ['firstSeen', 'lastSeen', 'timestamp'];
+
+/**
+ * Restores the dates of the parsed documents, translations which look like
+ * dates are left as strings.
+ *
+ * @param {String} key The property name.
+ * @param {Mixed} value The parsed value.
+ * @return {Mixed} The value, or a date.
+ * @private
+ */
+function reviver(key, value) {
+  'use strict';
+
+  return DATES.indexOf(key) !== -1 &&
+    typeof value === 'string' && DATE.test(value) ?
+      new Date(value) :
+      value;
+}
+
+/**
+ * Writes the file through a temporary file which is renamed over it, so the
+ * file is never left partly written.
+ *
+ * @param {String} filename The filename.
+ * @param {String} content The content to write.
+ * @param {Function} done The done callback.
+ * @param {Error} done.err Any raised errors.
+ * @private
+ */
+function writeFile(filename, content, done) {
+  'use strict';
+
+  var tmp = filename + '.' + process.pid + '.tmp';
+
+  fs.writeFile(tmp, content, 'utf8', function (err) {
+    if (err) {
+      return done(err);
+    }
+
+    fs.rename(tmp, filename, function (err2) {
+      if (err2) {
+        return fs.unlink(tmp, function () {
+          done(err2);
+        });
+      }
+
+      done(null);
+    });
+  });
+}
+
+/**
+ * The JsonStorage class stores the translation documents in a JSON file,
+ * keyed by collection. The file is read on the first operation and written
+ * after every change, through a temporary file which replaces it, it's
+ * created if it doesn't exist.
+ *
+ * @class
+ * @extends MemoryStorage
+ * @param {String} filename The JSON filename.
+ */
+function JsonStorage(filename) {
+  'use strict';
+
+  var me = this,
+      loaded = false,
+      pending = null,
+      writes = async.queue(function (task, next) {
+        writeFile(
+          me.filename,
+          JSON.stringify(me._collections, null, 2) + '\n',
+          next
+        );
+      }, 1);
+
+  MemoryStorage.call(this);
+
+  Object.defineProperties(this, {
+    /**
+     * Get the JSON filename.
+     *
+     * @var {String} filename
+     * @memberof JsonStorage
+     * @readonly
+     * @instance
+     */
+    filename: {
+      value: path.resolve(filename)
+    },
+    /**
+     * Get or set if the file has been read.
+     *
+     * @var {Boolean} _loaded
+     * @memberof JsonStorage
+     * @private
+     * @instance
+     */
+    _loaded: {
+      get: function () {
+        return loaded;
+      },
+      set: function (value) {
+        loaded = value;
+      }
+    },
+    /**
+     * Get or set the callbacks waiting for the file to be read, or null if
+     * the file isn't being read.
+     *
+     * @var {Array} _pending
+     * @memberof JsonStorage
+     * @private
+     * @instance
+     */
+    _pending: {
+      get: function () {
+        return pending;
+      },
+      set: function (value) {
+        pending = value;
+      }
+    },
+    /**
+     * Get the queue of file writes, so only one write happens at a time.
+     *
+     * @var {Object} _writes
+     * @memberof JsonStorage
+     * @private
+     * @instance
+     */
+    _writes: {
+      value: writes
+    }
+  });
+}
+
+util.inherits(JsonStorage, MemoryStorage);
+
+/**
+ * Reads the file before the first operation.
+ *
+ * @param {Function} done The done callback.
+ * @param {Error} done.err Any raised errors.
+ * @private
+ */
+JsonStorage.prototype._ready = function (done) {
+  'use strict';
+
+  var me = this;
+
+  if (this._loaded) {
+    return MemoryStorage.prototype._ready.call(this, done);
+  } else if (this._pending !== null) {
+    return this._pending.push(done);
+  }
+
+  this._pending = [done];
+  fs.readFile(this.filename, 'utf8', function (err, content) {
+    var callbacks = me._pending;
+
+    me._pending = null;
+
+    if (!err || err.code === 'ENOENT') {
+      try {
+        me._load(err ? {} : JSON.parse(content, reviver));
+        me._loaded = true;
+        err = null;
+      } catch (err2) {
+        err = err2;
+      }
+    }
+
+    callbacks.forEach(function (callback) {
+      callback(err ? err : null);
+    });
+  });
+};
+
+/**
+ * Writes the documents to the file.
+ *
+ * @param {String} collection The collection name.
+ * @param {Function} done The done callback.
+ * @param {Error} done.err Any raised errors.
+ * @private
+ */
+JsonStorage.prototype._changed = function (collection, done) {
+  'use strict';
+
+  this._writes.push({collection: collection}, function (err) {
+    done(err ? err : null);
+  });
+};
+
+/**
+ * Exports the JsonStorage class.
+ */
+module.exports = JsonStorage;
@@ -0,0 +1,313 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+/**
+ * Provides the in-memory storage adapter.
+ *
+ * @author Orgun109uk <orgun109uk@gmail.com>
+ */
+
+/**
+ * Copies a document, so stored documents can't be changed by the caller.
+ *
+ * @param {Object} doc The document.
+ * @return {Object} The copy.
+ * @private
+ */
+function copy(doc) {
+  'use strict';
+
+  var result = {};
+
+  for (var key in doc) {
+    result[key] = doc[key] instanceof Date ?
+      new Date(doc[key].getTime()) :
+      doc[key];
+  }
+
+  return result;
+}
+
+/**
+ * Checks if the document matches the query, a null query value also
+ * matches a missing field.
+ *
+ * @param {Object} doc The document.
+ * @param {Object} query The field values to match.
+ * @return {Boolean} Returns true if the document matches.
+ * @private
+ */
+function matches(doc, query) {
+  'use strict';
+
+  for (var key in query) {
+    if (query[key] === null ?
+      doc[key] !== null && doc[key] !== undefined :
+      doc[key] !== query[key]
+    ) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * The MemoryStorage class stores the translation documents in memory, it's
+ * used when there is no database and by the test suites. Every storage
+ * adapter provides the find, findOne, save and remove methods, each given
+ * the name of the collection, such as "locales" or "locales_revisions".
+ *
+ * @class
+ * @param {Object} [collections] The initial documents, keyed by collection.
+ */
+function MemoryStorage(collections) {
+  'use strict';
+
+  var data = {},
+      lastId = 0;
+
+  Object.defineProperties(this, {
+    /**
+     * Get the stored documents, keyed by collection.
+     *
+     * @var {Object} _collections
+     * @memberof MemoryStorage
+     * @private
+     * @instance
+     */
+    _collections: {
+      get: function () {
+        return data;
+      },
+      set: function (value) {
+        data = value || {};
+      }
+    },
+    /**
+     * Get or set the number of document ids which have been created.
+     *
+     * @var {Integer} _lastId
+     * @memberof MemoryStorage
+     * @private
+     * @instance
+     */
+    _lastId: {
+      get: function () {
+        return lastId;
+      },
+      set: function (value) {
+        lastId = value;
+      }
+    }
+  });
+
+  this._load(collections);
+}
+
+/**
+ * Creates a document id, which is unique across instances over time so
+ * persisted documents keep unique ids.
+ *
+ * @return {String} The id.
+ * @private
+ */
+MemoryStorage.prototype._createId = function () {
+  'use strict';
+
+  this._lastId++;
+
+  return Date.now().toString(36) + '-' + this._lastId.toString(36);
+};
+
+/**
+ * Replaces the stored documents, documents without an id are given one.
+ *
+ * @param {Object} [collections] The documents, keyed by collection.
+ * @private
+ */
+MemoryStorage.prototype._load = function (collections) {
+  'use strict';
+
+  var me = this;
+
+  this._collections = {};
+
+  Object.keys(collections || {}).forEach(function (name) {
+    me._collections[name] = collections[name].map(function (doc) {
+      doc = copy(doc);
+      doc._id = doc._id || me._createId();
+
+      return doc;
+    });
+  });
+};
+
+/**
+ * Called before each operation, once the documents are available.
+ *
+ * @param {Function} done The done callback.
+ * @param {Error} done.err Any raised errors.
+ * @private
+ */
+MemoryStorage.prototype._ready = function (done) {
+  'use strict';
+
+  setImmediate(done, null);
+};
+
+/**
+ * Called after the documents of a collection have changed.
+ *
+ * @param {String} collection The collection name.
+ * @param {Function} done The done callback.
+ * @param {Error} done.err Any raised errors.
+ * @private
+ */
+MemoryStorage.prototype._changed = function (collection, done) {
+  'use strict';
+
+  done(null);
+};
+
+/**
+ * Returns the documents of a collection.
+ *
+ * @param {String} collection The collection name.
+ * @return {Array} The documents.
+ * @private
+ */
+MemoryStorage.prototype._collection = function (collection) {
+  'use strict';
+
+  if (this._collections[collection] === undefined) {
+    this._collections[collection] = [];
+  }
+
+  return this._collections[collection];
+};
+
+/**
+ * Finds the documents matching the query.
+ *
+ * @param {String} collection The collection name.
+ * @param {Object} [query] The field values to match, if not provided every
+ *   document is returned.
+ * @param {Function} done The done callback.
+ * @param {Error} done.err Any raised errors.
+ * @param {Array} done.docs The matching documents.
+ */
+MemoryStorage.prototype.find = function (collection, query, done) {
+  'use strict';
+
+  var me = this;
+
+  if (typeof query === 'function') {
+    done = query;
+    query = {};
+  }
+
+  this._ready(function (err) {
+    if (err) {
+      return done(err);
+    }
+
+    done(null, me._collection(collection).filter(function (doc) {
+      return matches(doc, query || {});
+    }).map(copy));
+  });
+};
+
+/**
+ * Finds the first document matching the query.
+ *
+ * @param {String} collection The collection name.
+ * @param {Object} query The field values to match.
+ * @param {Function} done The done callback.
+ * @param {Error} done.err Any raised errors.
+ * @param {Object} done.doc The document, or null if none match.
+ */
+MemoryStorage.prototype.findOne = function (collection, query, done) {
+  'use strict';
+
+  this.find(collection, query, function (err, docs) {
+    done(err ? err : null, docs ? docs[0] || null : null);
+  });
+};
+
+/**
+ * Saves a document, replacing the stored document with the same id. New
+ * documents are given an id.
+ *
+ * @param {String} collection The collection name.
+ * @param {Object} doc The document.
+ * @param {Function} done The done callback.
+ * @param {Error} done.err Any raised errors.
+ * @param {Object} done.doc The saved document.
+ */
+MemoryStorage.prototype.save = function (collection, doc, done) {
+  'use strict';
+
+  var me = this;
+
+  this._ready(function (err) {
+    if (err) {
+      return done(err);
+    }
+
+    doc._id = doc._id || me._createId();
+    me._collections[collection] = me._collection(collection).filter(
+      function (item) {
+        return item._id !== doc._id;
+      }
+    ).concat([copy(doc)]);
+
+    me._changed(collection, function (err2) {
+      done(err2 ? err2 : null, doc);
+    });
+  });
+};
+
+/**
+ * Removes the documents matching the query.
+ *
+ * @param {String} collection The collection name.
+ * @param {Object} query The field values to match.
+ * @param {Function} done The done callback.
+ * @param {Error} done.err Any raised errors.
+ */
+MemoryStorage.prototype.remove = function (collection, query, done) {
+  'use strict';
+
+  var me = this;
+
+  this._ready(function (err) {
+    if (err) {
+      return done(err);
+    }
+
+    me._collections[collection] = me._collection(collection).filter(
+      function (doc) {
+        return !matches(doc, query || {});
+      }
+    );
+
+    me._changed(collection, done);
+  });
+};
+
+/**
+ * Exports the MemoryStorage class.
+ */
+module.exports = MemoryStorage;
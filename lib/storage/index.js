@@ -0,0 +1,32 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+/**
+ * Provides the built-in storage adapters for the stored translations,
+ * revisions and missing translations. An adapter implements find(),
+ * findOne(), save() and remove(), each given the collection name.
+ *
+ * @author Orgun109uk <orgun109uk@gmail.com>
+ */
+
+var loader = require('nsloader');
+
+/**
+ * Exports the storage adapters.
+ */
+module.exports = {
+  DatabaseStorage: loader('Entity/Locale/storage/DatabaseStorage'),
+  JsonStorage: loader('Entity/Locale/storage/JsonStorage'),
+  MemoryStorage: loader('Entity/Locale/storage/MemoryStorage')
+};
@@ -0,0 +1,269 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+
+/**
+ * Provides the validation of translations, checking their placeholders,
+ * MessageFormat syntax and HTML tags match the source strings.
+ *
+ * Each issue is an object containing the type, level ("error" or
+ * "warning"), language, key, msg, context and a message describing it.
+ *
+ * @author Orgun109uk <orgun109uk@gmail.com>
+ */
+
+var loader = require('nsloader'),
+    MessageFormat = loader('Entity/Locale/MessageFormat'),
+    messageKey = loader('Entity/Locale/messageKey'),
+    extract = loader('Entity/Locale/extract');
+
+/**
+ * The HTML tags pattern.
+ *
+ * @type {RegExp}
+ * @private
+ */
+var TAGS = /<(\/?)([a-z][a-z0-9-]*)\b[^>]*?(\/?)>/gi;
+
+/**
+ * Creates an issue.
+ *
+ * @param {String} type The issue type.
+ * @param {String} level The issue level, error or warning.
+ * @param {String} language The language.
+ * @param {String} key The translation key.
+ * @param {String} message The issue description.
+ * @return {Object} The issue.
+ * @private
+ */
+function issue(type, level, language, key, message) {
+  'use strict';
+
+  var parsed = messageKey.parse(key);
+
+  return {
+    type: type,
+    level: level,
+    language: language,
+    key: key,
+    msg: parsed.msg,
+    context: parsed.context,
+    message: message
+  };
+}
+
+/**
+ * Returns the HTML tags of the given string, sorted so they can be compared
+ * regardless of their order.
+ *
+ * @param {String} str The string.
+ * @return {Array} The tags, such as "<b>", "</b>" and "<br/>".
+ * @private
+ */
+function tags(str) {
+  'use strict';
+
+  var result = [],
+      re = new RegExp(TAGS.source, 'gi'),
+      match;
+
+  while ((match = re.exec(str)) !== null) {
+    result.push(
+      '<' + match[1] + match[2].toLowerCase() + (match[3] ? '/' : '') + '>'
+    );
+  }
+
+  return result.sort();
+}
+
+/**
+ * Returns the items of the first list which aren't in the second.
+ *
+ * @param {Array} a The first list.
+ * @param {Array} b The second list.
+ * @return {Array} The difference.
+ * @private
+ */
+function difference(a, b) {
+  'use strict';
+
+  b = b.slice();
+
+  return a.filter(function (item) {
+    var pos = b.indexOf(item);
+    if (pos === -1) {
+      return true;
+    }
+
+    b.splice(pos, 1);
+    return false;
+  });
+}
+
+/**
+ * Checks the given string is valid MessageFormat syntax.
+ *
+ * @param {String} language The language.
+ * @param {String} str The string.
+ * @return {String|null} The syntax error message, or null if it's valid.
+ * @private
+ */
+function syntaxError(language, str) {
+  'use strict';
+
+  if (str.indexOf('{') === -1) {
+    return null;
+  }
+
+  try {
+    new MessageFormat(language, str);
+  } catch (err) {
+    return err.message;
+  }
+
+  return null;
+}
+
+/**
+ * Validates a single translation against its source string.
+ *
+ * @param {String} language The language of the translation.
+ * @param {String} key The translation key.
+ * @param {String} str The translation.
+ * @param {Object} [options] The options.
+ * @param {Boolean} [options.escape=false] Whether the escape mode is
+ *   enabled, which makes the "%name" and "!name" tokens placeholders.
+ * @return {Array} The issues.
+ */
+function translation(language, key, str, options) {
+  'use strict';
+
+  var source = messageKey.parse(key).msg,
+      issues = [],
+      err, expected, found, missing, extra;
+
+  if (typeof str !== 'string' || !str.trim()) {
+    return [issue('empty', 'warning', language, key, 'Empty translation')];
+  }
+
+  if ((err = syntaxError(language, str)) !== null) {
+    issues.push(issue('syntax', 'error', language, key, err));
+  }
+
+  expected = extract.placeholders(source, options);
+  found = extract.placeholders(str, options);
+  missing = difference(expected, found);
+  extra = difference(found, expected);
+
+  missing.forEach(function (name) {
+    issues.push(issue(
+      'missing-placeholder', 'error', language, key,
+      'Missing placeholder "' + name + '"'
+    ));
+  });
+
+  extra.forEach(function (name) {
+    issues.push(issue(
+      'extra-placeholder', 'error', language, key,
+      'Unknown placeholder "' + name + '"'
+    ));
+  });
+
+  if (difference(tags(source), tags(str)).concat(
+    difference(tags(str), tags(source))
+  ).length) {
+    issues.push(issue(
+      'html', 'error', language, key,
+      'Mismatched HTML tags, expected ' + (tags(source).join(' ') || 'none') +
+        ' but found ' + (tags(str).join(' ') || 'none')
+    ));
+  }
+
+  return issues;
+}
+
+/**
+ * Validates the given translations.
+ *
+ * @param {String} language The language of the translations.
+ * @param {Object} strings The translations keyed by translation key.
+ * @param {Object} [options] The options, as given to translation().
+ * @return {Array} The issues.
+ */
+function translations(language, strings, options) {
+  'use strict';
+
+  var issues = [];
+
+  Object.keys(strings || {}).forEach(function (key) {
+    issues = issues.concat(translation(language, key, strings[key], options));
+  });
+
+  return issues;
+}
+
+/**
+ * Finds the translation keys which are defined by more than one file of
+ * the same language and namespace.
+ *
+ * @param {Object} files The file translations keyed by filename, each
+ *   containing the language, optional namespace and translations.
+ * @return {Array} The issues, each also containing the filenames.
+ */
+function duplicates(files) {
+  'use strict';
+
+  var seen = {},
+      issues = [];
+
+  Object.keys(files).forEach(function (filename) {
+    var file = files[filename],
+        group = (file.namespace || '') + messageKey.SEPARATOR + file.language;
+
+    seen[group] = seen[group] || {};
+    Object.keys(file.translations).forEach(function (key) {
+      var first = seen[group][key],
+          dup;
+
+      if (!file.translations[key]) {
+        return;
+      } else if (first === undefined) {
+        seen[group][key] = filename;
+        return;
+      }
+
+      dup = issue(
+        'duplicate', 'warning', file.language, key,
+        'Also defined in "' + first + '"' + (
+          files[first].translations[key] === file.translations[key] ?
+            '' :
+            ' with a different translation'
+        )
+      );
+      dup.files = [first, filename];
+      issues.push(dup);
+    });
+  });
+
+  return issues;
+}
+
+/**
+ * Exports the validation functions.
+ */
+module.exports = {
+  translation: translation,
+  translations: translations,
+  duplicates: duplicates
+};
@@ -0,0 +1,449 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+/**
+ * Provides reading and writing of XLIFF 1.2 and 2.0 documents.
+ *
+ * The message context is stored in a "x-msgctxt" context for XLIFF 1.2 and
+ * in a "msgctxt" note for XLIFF 2.0.
+ *
+ * @author Orgun109uk <orgun109uk@gmail.com>
+ */
+
+var fs = require('fs'),
+    loader = require('nsloader'),
+    xml = loader('Entity/Locale/xml'),
+    languageTag = loader('Entity/Locale/languageTag'),
+    messageKey = loader('Entity/Locale/messageKey');
+
+/**
+ * The XLIFF namespaces, keyed by version.
+ *
+ * @type {Object}
+ * @private
+ */
+var NAMESPACES = {
+  '1.2': 'urn:oasis:names:tc:xliff:document:1.2',
+  '2.0': 'urn:oasis:names:tc:xliff:document:2.0'
+};
+
+/**
+ * The unit states which mark a target as untranslated.
+ *
+ * @type {Array}
+ * @private
+ */
+var UNTRANSLATED = ['new', 'needs-translation', 'initial'];
+
+/**
+ * The unit states which mark a target as needing review.
+ *
+ * @type {Array}
+ * @private
+ */
+var FUZZY = [
+  'needs-adaptation', 'needs-l10n', 'needs-review-adaptation',
+  'needs-review-l10n', 'needs-review-translation'
+];
+
+/**
+ * Returns the text of a source or target element. Inline elements, such as
+ * placeholders and formatting, can't be represented in a translation and
+ * are rejected instead of being dropped.
+ *
+ * @param {Object} element The source or target element.
+ * @param {String} id The id of the unit.
+ * @return {String} The text.
+ * @throws {Error} If the element contains inline elements.
+ * @private
+ */
+function segmentText(element, id) {
+  'use strict';
+
+  var inline = element.children.filter(function (child) {
+        return typeof child !== 'string';
+      })[0];
+
+  if (inline !== undefined) {
+    throw new Error(
+      'Unsupported inline element "' + inline.name + '" in unit "' + id + '"'
+    );
+  }
+
+  return element.children.join('');
+}
+
+/**
+ * Returns the text of the first source or target child element with the
+ * given name, see segmentText().
+ *
+ * @param {Object} element The parent element.
+ * @param {String} name The local name of the child.
+ * @param {String} id The id of the unit.
+ * @return {String|null} The text, or null if there is no such child.
+ * @throws {Error} If the child contains inline elements.
+ * @private
+ */
+function childText(element, name, id) {
+  'use strict';
+
+  var child = xml.children(element, name)[0];
+
+  return child ? segmentText(child, id) : null;
+}
+
+/**
+ * Reads an XLIFF 1.2 trans-unit element.
+ *
+ * @param {Object} element The trans-unit element.
+ * @return {Object} The unit.
+ * @throws {Error} If the source or target contains inline elements.
+ * @private
+ */
+function readUnit12(element) {
+  'use strict';
+
+  var target = xml.children(element, 'target')[0],
+      context = null;
+
+  xml.children(element, 'context-group').forEach(function (group) {
+    xml.children(group, 'context').forEach(function (ctx) {
+      if (ctx.attributes['context-type'] === 'x-msgctxt') {
+        context = xml.text(ctx);
+      }
+    });
+  });
+
+  return {
+    id: element.attributes.id,
+    context: context,
+    source: childText(element, 'source', element.attributes.id) || '',
+    target: target ? segmentText(target, element.attributes.id) : null,
+    state: target ? target.attributes.state || null : null
+  };
+}
+
+/**
+ * Reads an XLIFF 2.0 unit element, the segments are joined together.
+ *
+ * @param {Object} element The unit element.
+ * @return {Object} The unit.
+ * @throws {Error} If a source or target contains inline elements.
+ * @private
+ */
+function readUnit20(element) {
+  'use strict';
+
+  var unit = {
+        id: element.attributes.id,
+        context: null,
+        source: '',
+        target: null,
+        state: null
+      };
+
+  xml.children(element, 'notes').forEach(function (notes) {
+    xml.children(notes, 'note').forEach(function (note) {
+      if (note.attributes.category === 'msgctxt') {
+        unit.context = xml.text(note);
+      }
+    });
+  });
+
+  element.children.forEach(function (child) {
+    var name = typeof child === 'string' ? null : xml.localName(child),
+        target;
+
+    if (name !== 'segment' && name !== 'ignorable') {
+      return;
+    }
+
+    target = childText(child, 'target', unit.id);
+    unit.source += childText(child, 'source', unit.id) || '';
+    unit.target = target === null ? unit.target : (unit.target || '') + target;
+    unit.state = child.attributes.state || unit.state;
+  });
+
+  return unit;
+}
+
+/**
+ * Collects the units within the given element and its groups.
+ *
+ * @param {Object} element The element to search.
+ * @param {Array} units The array to add the units to.
+ * @private
+ */
+function collectUnits(element, units) {
+  'use strict';
+
+  element.children.forEach(function (child) {
+    var name = typeof child === 'string' ? null : xml.localName(child);
+
+    if (name === 'trans-unit') {
+      units.push(readUnit12(child));
+    } else if (name === 'unit') {
+      units.push(readUnit20(child));
+    } else if (name === 'body' || name === 'group') {
+      collectUnits(child, units);
+    }
+  });
+}
+
+/**
+ * Parses the contents of an XLIFF 1.2 or 2.0 document.
+ *
+ * @param {String} content The document.
+ * @return {Object} An object containing the version, sourceLanguage,
+ *   targetLanguage and units, each unit has an id, context, source, target
+ *   and state.
+ * @throws {Error} If the document isn't a valid XLIFF document, or a unit
+ *   contains inline elements.
+ */
+function parse(content) {
+  'use strict';
+
+  var root = xml.parse(String(content)),
+      version = root.attributes.version,
+      files, doc;
+
+  if (xml.localName(root) !== 'xliff' || NAMESPACES[version] === undefined) {
+    throw new Error('Unsupported XLIFF document version "' + version + '"');
+  }
+
+  files = xml.children(root, 'file');
+  doc = {
+    version: version,
+    sourceLanguage: root.attributes.srcLang || null,
+    targetLanguage: root.attributes.trgLang || null,
+    units: []
+  };
+
+  files.forEach(function (file) {
+    doc.sourceLanguage = file.attributes['source-language'] ||
+      doc.sourceLanguage;
+    doc.targetLanguage = file.attributes['target-language'] ||
+      doc.targetLanguage;
+
+    collectUnits(file, doc.units);
+  });
+
+  return doc;
+}
+
+/**
+ * Creates an XLIFF 1.2 trans-unit element.
+ *
+ * @param {Object} unit The unit.
+ * @return {String} The element.
+ * @private
+ */
+function compileUnit12(unit) {
+  'use strict';
+
+  var lines = ['      <trans-unit id="' + xml.escape(unit.id) + '">'];
+
+  lines.push('        <source>' + xml.escape(unit.source) + '</source>');
+  lines.push(
+    unit.target === null || unit.target === undefined ?
+      '        <target state="needs-translation"></target>' :
+      '        <target state="translated">' + xml.escape(unit.target) +
+        '</target>'
+  );
+
+  if (unit.context) {
+    lines.push(
+      '        <context-group purpose="information">',
+      '          <context context-type="x-msgctxt">' +
+        xml.escape(unit.context) + '</context>',
+      '        </context-group>'
+    );
+  }
+
+  lines.push('      </trans-unit>');
+
+  return lines.join('\n');
+}
+
+/**
+ * Creates an XLIFF 2.0 unit element.
+ *
+ * @param {Object} unit The unit.
+ * @return {String} The element.
+ * @private
+ */
+function compileUnit20(unit) {
+  'use strict';
+
+  var translated = unit.target !== null && unit.target !== undefined,
+      lines = ['    <unit id="' + xml.escape(unit.id) + '">'];
+
+  if (unit.context) {
+    lines.push(
+      '      <notes>',
+      '        <note category="msgctxt">' + xml.escape(unit.context) +
+        '</note>',
+      '      </notes>'
+    );
+  }
+
+  lines.push(
+    '      <segment state="' + (translated ? 'translated' : 'initial') + '">',
+    '        <source>' + xml.escape(unit.source) + '</source>'
+  );
+
+  if (translated) {
+    lines.push('        <target>' + xml.escape(unit.target) + '</target>');
+  }
+
+  lines.push('      </segment>', '    </unit>');
+
+  return lines.join('\n');
+}
+
+/**
+ * Creates the contents of an XLIFF document.
+ *
+ * @param {Object} doc The document.
+ * @param {String} [doc.version="1.2"] The XLIFF version, either 1.2 or 2.0.
+ * @param {String} doc.sourceLanguage The source language.
+ * @param {String} doc.targetLanguage The target language.
+ * @param {Array} doc.units The units, each containing an id, optional
+ *   context, source and target, a null target is untranslated.
+ * @return {String} The document.
+ * @throws {Error} If the version is unsupported.
+ */
+function compile(doc) {
+  'use strict';
+
+  var version = doc.version || '1.2',
+      src = xml.escape(doc.sourceLanguage),
+      trg = xml.escape(doc.targetLanguage),
+      lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+
+  if (NAMESPACES[version] === undefined) {
+    throw new Error('Unsupported XLIFF version "' + version + '"');
+  }
+
+  if (version === '1.2') {
+    lines.push(
+      '<xliff version="1.2" xmlns="' + NAMESPACES[version] + '">',
+      '  <file original="entity-locale" datatype="plaintext" ' +
+        'source-language="' + src + '" target-language="' + trg + '">',
+      '    <body>'
+    );
+    lines = lines.concat(doc.units.map(compileUnit12));
+    lines.push('    </body>', '  </file>', '</xliff>');
+  } else {
+    lines.push(
+      '<xliff version="2.0" xmlns="' + NAMESPACES[version] + '" ' +
+        'srcLang="' + src + '" trgLang="' + trg + '">',
+      '  <file id="entity-locale">'
+    );
+    lines = lines.concat(doc.units.map(compileUnit20));
+    lines.push('  </file>', '</xliff>');
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Converts a parsed document into a translations object, untranslated units
+ * and units which need reviewing are skipped, like fuzzy gettext entries.
+ *
+ * @param {Object} doc The parsed document.
+ * @return {Object} The translations keyed by their translation key.
+ */
+function toTranslations(doc) {
+  'use strict';
+
+  var translations = {};
+
+  doc.units.forEach(function (unit) {
+    if (!unit.target || UNTRANSLATED.indexOf(unit.state) !== -1 ||
+        FUZZY.indexOf(unit.state) !== -1) {
+      return;
+    }
+
+    translations[messageKey.create(unit.source, unit.context)] = unit.target;
+  });
+
+  return translations;
+}
+
+/**
+ * Returns the translation keys of the translated units which need
+ * reviewing.
+ *
+ * @param {Object} doc The parsed document.
+ * @return {Array} The translation keys.
+ */
+function fuzzy(doc) {
+  'use strict';
+
+  return doc.units.filter(function (unit) {
+    return unit.target && FUZZY.indexOf(unit.state) !== -1;
+  }).map(function (unit) {
+    return messageKey.create(unit.source, unit.context);
+  });
+}
+
+/**
+ * Reads an XLIFF file, the language from the filename is preferred over the
+ * target language of the document.
+ *
+ * @param {String} filename The filename.
+ * @param {String} [language] The language from the filename.
+ * @param {Function} done The done callback.
+ * @param {Error} done.err Any raised errors.
+ * @param {Object} done.result The language, translations and the keys of
+ *   the fuzzy translations.
+ */
+function read(filename, language, done) {
+  'use strict';
+
+  fs.readFile(filename, 'utf8', function (err, content) {
+    var doc, result;
+
+    if (err) {
+      return done(err);
+    }
+
+    try {
+      doc = parse(content);
+      result = {
+        language: language || (doc.targetLanguage ?
+          languageTag.normalize(doc.targetLanguage) :
+          null),
+        translations: toTranslations(doc),
+        fuzzy: fuzzy(doc)
+      };
+    } catch (err2) {
+      return done(err2);
+    }
+
+    done(null, result);
+  });
+}
+
+/**
+ * Exports the XLIFF functions.
+ */
+module.exports = {
+  parse: parse,
+  compile: compile,
+  toTranslations: toTranslations,
+  fuzzy: fuzzy,
+  read: read
+};
@@ -0,0 +1,250 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+/**
+ * Provides a minimal XML parser and escaping, enough to read and write
+ * translation exchange formats such as XLIFF.
+ *
+ * @author Orgun109uk <orgun109uk@gmail.com>
+ */
+
+/**
+ * The predefined XML entities.
+ *
+ * @type {Object}
+ * @private
+ */
+var ENTITIES = {amp: '&', lt: '<', gt: '>', quot: '"', apos: '\''};
+
+/**
+ * The document tokens, matching CDATA sections, comments, processing
+ * instructions, doctypes, closing tags, opening tags, text and any other
+ * "<" which doesn't start a valid tag.
+ *
+ * @type {String}
+ * @private
+ */
+var TOKENS = [
+  '<!\\[CDATA\\[([\\s\\S]*?)\\]\\]>',
+  '<!--[\\s\\S]*?-->',
+  '<\\?[\\s\\S]*?\\?>',
+  '<!DOCTYPE[^>]*>',
+  '<\\/\\s*([^\\s>]+)\\s*>',
+  '<([^\\s/>]+)((?:\\s+[^\\s=]+\\s*=\\s*(?:"[^"]*"|\'[^\']*\'))*)\\s*(\\/?)>',
+  '([^<]+)',
+  '(<)'
+].join('|');
+
+/**
+ * Decodes the entity and character references in the given text.
+ *
+ * @param {String} str The text to decode.
+ * @return {String} The decoded text.
+ */
+function decode(str) {
+  'use strict';
+
+  return str.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, function (m, ref) {
+    var code;
+
+    if (ref.charAt(0) !== '#') {
+      return ENTITIES[ref] !== undefined ? ENTITIES[ref] : m;
+    }
+
+    code = ref.charAt(1).toLowerCase() === 'x' ?
+      parseInt(ref.substring(2), 16) :
+      parseInt(ref.substring(1), 10);
+
+    return code <= 0x10FFFF ? String.fromCodePoint(code) : m;
+  });
+}
+
+/**
+ * Escapes the given text for use within XML content or attribute values.
+ *
+ * @param {String} str The text to escape.
+ * @return {String} The escaped text.
+ */
+function escape(str) {
+  'use strict';
+
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Parses the attributes of a start tag.
+ *
+ * @param {String} str The attribute source.
+ * @return {Object} The attributes keyed by name.
+ * @private
+ */
+function parseAttributes(str) {
+  'use strict';
+
+  var attributes = {},
+      re = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g,
+      match;
+
+  while ((match = re.exec(str)) !== null) {
+    attributes[match[1]] = decode(
+      match[3] !== undefined ? match[3] : match[4]
+    );
+  }
+
+  return attributes;
+}
+
+/**
+ * Closes the current element.
+ *
+ * @param {Array} stack The stack of open elements.
+ * @param {String} name The name of the closing tag.
+ * @throws {Error} If the name doesn't match the current element.
+ * @private
+ */
+function closeElement(stack, name) {
+  'use strict';
+
+  if (stack.length === 1 || stack[stack.length - 1].name !== name) {
+    throw new Error('Unexpected closing tag "' + name + '"');
+  }
+
+  stack.pop();
+}
+
+/**
+ * Returns the root element of the parsed document.
+ *
+ * @param {Object} root The document node.
+ * @return {Object} The root element.
+ * @throws {Error} If there is no root element.
+ * @private
+ */
+function documentElement(root) {
+  'use strict';
+
+  var element = root.children.filter(function (child) {
+    return typeof child !== 'string';
+  })[0];
+
+  if (element === undefined) {
+    throw new Error('Missing root element');
+  }
+
+  return element;
+}
+
+/**
+ * Parses the given XML document into a tree of elements, each element is an
+ * object containing the name, attributes and children, where the children
+ * are elements or text strings. Namespace prefixes are kept in the names.
+ *
+ * @param {String} str The XML document.
+ * @return {Object} The root element.
+ * @throws {Error} If the document is not well formed.
+ */
+function parse(str) {
+  'use strict';
+
+  var re = new RegExp(TOKENS, 'g'),
+      root = {name: null, attributes: {}, children: []},
+      stack = [root],
+      match, element;
+
+  while ((match = re.exec(str)) !== null) {
+    if (match[1] !== undefined) {
+      stack[stack.length - 1].children.push(match[1]);
+    } else if (match[2] !== undefined) {
+      closeElement(stack, match[2]);
+    } else if (match[3] !== undefined) {
+      element = {
+        name: match[3],
+        attributes: parseAttributes(match[4]),
+        children: []
+      };
+
+      stack[stack.length - 1].children.push(element);
+      if (match[5] !== '/') {
+        stack.push(element);
+      }
+    } else if (match[6] !== undefined) {
+      stack[stack.length - 1].children.push(decode(match[6]));
+    } else if (match[7] !== undefined) {
+      throw new Error('Unexpected "<" at position ' + match.index);
+    }
+  }
+
+  if (stack.length !== 1) {
+    throw new Error('Unclosed element "' + stack[stack.length - 1].name + '"');
+  }
+
+  return documentElement(root);
+}
+
+/**
+ * Returns the local name of an element, without the namespace prefix.
+ *
+ * @param {Object} element The element.
+ * @return {String} The local name.
+ */
+function localName(element) {
+  'use strict';
+
+  return element.name.substring(element.name.indexOf(':') + 1);
+}
+
+/**
+ * Finds the child elements with the given local name.
+ *
+ * @param {Object} element The parent element.
+ * @param {String} name The local name of the children.
+ * @return {Array} The matching child elements.
+ */
+function children(element, name) {
+  'use strict';
+
+  return element.children.filter(function (child) {
+    return typeof child !== 'string' && localName(child) === name;
+  });
+}
+
+/**
+ * Returns the text content of an element and all of its descendants.
+ *
+ * @param {Object} element The element.
+ * @return {String} The text content.
+ */
+function text(element) {
+  'use strict';
+
+  return element.children.map(function (child) {
+    return typeof child === 'string' ? child : text(child);
+  }).join('');
+}
+
+/**
+ * Exports the XML functions.
+ */
+module.exports = {
+  decode: decode,
+  escape: escape,
+  parse: parse,
+  localName: localName,
+  children: children,
+  text: text
+};
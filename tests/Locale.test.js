@@ -76,8 +76,10 @@ describe('entity/Locale', function () {
     fs.rmdirSync(tmpPath);
 
     core.database.collection('locales', 'test').drop(function () {
-      core.database.disconnect('test');
-      done();
+      core.database.collection('locales_revisions', 'test').drop(function () {
+        core.database.disconnect('test');
+        done();
+      });
     });
 
   });
@@ -151,6 +153,57 @@ describe('entity/Locale', function () {
 
     });
 
+    it('shouldProcessGettextFiles', function (done) {
+
+      var locale = new Locale(core),
+          filename = path.join(tmpPath, 'test1.de.po');
+
+      fs.writeFileSync(filename, [
+        'msgid ""',
+        'msgstr "Plural-Forms: nplurals=2; plural=(n != 1);\\n"',
+        '',
+        'msgid "Hello world"',
+        'msgstr "Hallo Welt"',
+        '',
+        'msgctxt "verb"',
+        'msgid "Open"',
+        'msgstr "Öffnen"',
+        '',
+        'msgid "%d file"',
+        'msgid_plural "%d files"',
+        'msgstr[0] "%d Datei"',
+        'msgstr[1] "%d Dateien"'
+      ].join('\n'));
+
+      locale.addFromFile(filename, function (err) {
+
+        fs.unlinkSync(filename);
+
+        test.value(
+          err
+        ).isNull();
+
+        test.object(
+          locale.locales('de')
+        ).is({
+          'Hello world': 'Hallo Welt',
+          'verb\u0004Open': 'Öffnen',
+          '{count, plural, one {# file} other {# files}}':
+            '{count, plural, one {# Datei} other {# Dateien}}'
+        });
+
+        test.string(
+          locale.t('de', '{count, plural, one {# file} other {# files}}', {
+            count: 3
+          })
+        ).is('3 Dateien');
+
+        done();
+
+      });
+
+    });
+
   });
 
   describe('Locale.addFromDir()', function () {
@@ -192,6 +245,65 @@ describe('entity/Locale', function () {
 
     });
 
+    it('shouldProcessLanguageTagsInDottedDirectories', function (done) {
+
+      var locale = new Locale(core),
+          dir = path.join(tmpPath, 'app.v2'),
+          filename = path.join(dir, 'test.pt_br.json');
+
+      fs.mkdirSync(dir);
+      fs.writeFileSync(filename, JSON.stringify({
+        'Hello world': 'Olá mundo'
+      }));
+
+      locale.addFromDir(dir, function (err) {
+
+        fs.unlinkSync(filename);
+        fs.rmdirSync(dir);
+
+        test.value(
+          err
+        ).isNull();
+
+        test.array(
+          locale.languages
+        ).is(['pt-BR']);
+
+        test.string(
+          locale.t('pt-br', 'Hello world')
+        ).is('Olá mundo');
+
+        done();
+
+      });
+
+    });
+
+    it('shouldIgnoreJsonFilesWithoutALanguage', function (done) {
+
+      var locale = new Locale(core),
+          filename = path.join(tmpPath, 'foo.config.json');
+
+      fs.writeFileSync(filename, JSON.stringify({debug: true}));
+
+      locale.addFromDir(tmpPath, function (err) {
+
+        fs.unlinkSync(filename);
+
+        test.value(
+          err
+        ).isNull();
+
+        test.array(
+          locale.languages
+        ).is(['fr', 'jp']);
+
+        done();
+
+      });
+
+    });
+
   });
 
   describe('Locale.languages', function () {
@@ -240,6 +352,39 @@ describe('entity/Locale', function () {
 
     });
 
+    it('shouldIncludeTranslationsFromTheFallbackChain', function (done) {
+
+      var locale = new Locale(core);
+
+      locale.addFromDir(tmpPath, function (err) {
+
+        test.value(
+          err
+        ).isNull();
+
+        locale.defaultLanguage = 'jp';
+
+        test.object(
+          locale.locales('fr-CA')
+        ).is({
+          'Hello world': 'Foo bar',
+          'Hello :name, welcome back': 'Foo :name, bar'
+        });
+
+        locale.setFallbacks('fr-CA', []);
+
+        test.object(
+          locale.locales('fr-CA')
+        ).is({
+          'Hello :name, welcome back': 'Goodbye :name'
+        });
+
+        done();
+
+      });
+
+    });
+
   });
 
   describe('Locale.translate()', function () {
@@ -456,6 +601,59 @@ describe('entity/Locale', function () {
 
     });
 
+    it('shouldStoreTheContext', function (done) {
+
+      var locale = new Locale(core),
+          queue = [];
+
+      queue.push(function (next) {
+
+        locale.translate('fr', 'Open', 'Ouvrir', 'verb', next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.translate('fr', 'Open', 'Ouvert', next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.core.database
+          .collection('locales')
+          .find({}, function (err, docs) {
+
+          if (err) {
+            return next(err);
+          }
+
+          test.array(
+            docs
+          ).hasLength(2);
+
+          test.object(docs[0])
+            .hasKey('msg', 'Open')
+            .hasKey('context', 'verb')
+            .hasKey('translation', 'Ouvrir');
+
+          test.object(
+            locale.locales('fr')
+          ).is({
+            'verb\u0004Open': 'Ouvrir',
+            'Open': 'Ouvert'
+          });
+
+          next();
+
+        });
+
+      });
+
+      async.series(queue, done);
+
+    });
+
     it('cantOverrideDatabaseTranslation', function (done) {
 
       var locale = new Locale(core),
@@ -641,6 +839,242 @@ describe('entity/Locale', function () {
 
     });
 
+    it('shouldFormatPluralsInTheSourceLanguage', function () {
+
+      var locale = new Locale(core),
+          msg = '{count, plural, one {# item} other {# items}} for :name';
+
+      test.string(
+        locale.t('fr', msg, {count: 1, name: 'John'})
+      ).is('1 item for John');
+
+      test.string(
+        locale.t('fr', msg, {count: 2, name: 'John'})
+      ).is('2 items for John');
+
+    });
+
+    it('shouldFormatPluralsInTheTranslatedLanguage', function (done) {
+
+      var locale = new Locale(core),
+          msg = '{count, plural, one {# file} other {# files}}',
+          queue = [];
+
+      queue.push(function (next) {
+
+        locale.translate(
+          'ru',
+          msg,
+          '{count, plural, one {# файл} few {# файла} many {# файлов} ' +
+            'other {# файла}}',
+          next
+        );
+
+      });
+
+      queue.push(function (next) {
+
+        test.string(
+          locale.t('ru', msg, {count: 21})
+        ).is('21 файл');
+
+        test.string(
+          locale.t('ru', msg, {count: 3})
+        ).is('3 файла');
+
+        test.string(
+          locale.t('ru', msg, {count: 5})
+        ).is('5 файлов');
+
+        next();
+
+      });
+
+      async.series(queue, done);
+
+    });
+
+    it('shouldReturnTranslatedMsgFromTheFallbackChain', function (done) {
+
+      var locale = new Locale(core);
+
+      locale.addFromDir(tmpPath, function (err) {
+
+        test.value(
+          err
+        ).isNull();
+
+        test.string(
+          locale.t('fr-CA', 'Hello world')
+        ).is('Foo bar');
+
+        test.string(
+          locale.t('de', 'Hello :name, welcome back', {name: 'John'})
+        ).is('Hello John, welcome back');
+
+        locale.defaultLanguage = 'jp';
+
+        test.string(
+          locale.t('de', 'Hello :name, welcome back', {name: 'John'})
+        ).is('Goodbye John');
+
+        done();
+
+      });
+
+    });
+
+    it('shouldReturnTheTranslationForTheContext', function (done) {
+
+      var locale = new Locale(core),
+          filename = path.join(tmpPath, 'context.fr.json');
+
+      fs.writeFileSync(filename, JSON.stringify({
+        'Open': {
+          '': 'Ouvert',
+          'verb': 'Ouvrir :name'
+        }
+      }));
+
+      locale.addFromFile(filename, function (err) {
+
+        fs.unlinkSync(filename);
+
+        test.value(
+          err
+        ).isNull();
+
+        test.string(
+          locale.t('fr', 'Open')
+        ).is('Ouvert');
+
+        test.string(
+          locale.t('fr', 'Open', {name: 'x'}, 'verb')
+        ).is('Ouvrir x');
+
+        test.string(
+          locale.t('fr', 'Open', null, 'status')
+        ).is('Open');
+
+        done();
+
+      });
+
+    });
+
+    it('shouldReturnMsgIfTheSyntaxIsInvalid', function () {
+
+      var locale = new Locale(core);
+
+      test.string(
+        locale.t('fr', 'Hello :name {unclosed', {name: 'John'})
+      ).is('Hello John {unclosed');
+
+    });
+
+    it('shouldFormatTypedArguments', function () {
+
+      var locale = new Locale(core);
+
+      locale.currency = 'eur';
+      locale.timeZone = 'UTC';
+
+      test.string(
+        locale.t('en', 'Total {price, number, currency} on {day, date, long}', {
+          price: 12.5,
+          day: new Date(Date.UTC(2015, 8, 1, 23, 30))
+        })
+      ).is('Total €12.50 on September 1, 2015');
+
+    });
+
+    it('shouldRecompileTheMessageWhenTheTranslationChanges', function (done) {
+
+      var locale = new Locale(core),
+          queue = [];
+
+      queue.push(function (next) {
+
+        locale.translate('fr', 'Hello :name', 'Bonjour :name', next);
+
+      });
+
+      queue.push(function (next) {
+
+        test.string(
+          locale.t('fr', 'Hello :name', {name: 'Bob'})
+        ).is('Bonjour Bob');
+
+        test.object(locale._compiled).hasKey('fr');
+
+        locale.translate('fr', 'Hello :name', 'Salut :name', next);
+
+      });
+
+      queue.push(function (next) {
+
+        test.object(locale._compiled).notHasKey('fr');
+
+        test.string(
+          locale.t('fr', 'Hello :name', {name: 'Bob'})
+        ).is('Salut Bob');
+
+        locale.currency = 'eur';
+        test.object(locale._compiled).is({});
+
+        next();
+
+      });
+
+      async.series(queue, done);
+
+    });
+
+    it('shouldEscapeTheParamsInTheEscapedMode', function () {
+
+      var locale = new Locale(core),
+          params = {name: '<script>', link: '<a href="/">home</a>'};
+
+      test.string(
+        locale.t('fr', 'Hi :name, go !link', params)
+      ).is('Hi <script>, go !link');
+
+      locale.escape = true;
+
+      test.string(
+        locale.t('fr', 'Hi :name, go !link', params)
+      ).is('Hi &lt;script&gt;, go <a href="/">home</a>');
+
+      test.string(
+        locale.t('fr', 'Welcome %name', params)
+      ).is('Welcome <em>&lt;script&gt;</em>');
+
+    });
+
+    it('shouldRenderTheRichTextTags', function () {
+
+      var locale = new Locale(core),
+          link = function (children) {
+            return {href: '/terms', children: children};
+          };
+
+      locale.override('fr', 'Read the <link>terms</link>.', 'Lisez les ' +
+        '<link>conditions</link>.');
+
+      test.array(
+        locale.t('fr', 'Read the <link>terms</link>.', {link: link})
+      ).is(['Lisez les ', {href: '/terms', children: 'conditions'}, '.']);
+
+      test.string(
+        locale.t('fr', 'Read the <link>terms</link>.', {
+          link: function (children) {
+            return '<a href="/terms">' + children + '</a>';
+          }
+        })
+      ).is('Lisez les <a href="/terms">conditions</a>.');
+
+    });
+
   });
 
 });
@@ -0,0 +1,212 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+
+var test = require('unit.js'),
+    loader = require('nsloader'),
+    MessageFormat = loader('Entity/Locale/MessageFormat');
+
+describe('entity/Locale/MessageFormat', function () {
+
+  'use strict';
+
+  describe('MessageFormat()', function () {
+
+    it('shouldThrowAnErrorIfSyntaxIsInvalid', function () {
+
+      test.error(function () {
+        new MessageFormat('en', 'Hello {name');
+      }).isInstanceOf(Error);
+
+      test.error(function () {
+        new MessageFormat('en', '{count, plural, one {# item}}');
+      }).isInstanceOf(Error);
+
+    });
+
+  });
+
+  describe('MessageFormat.format()', function () {
+
+    it('shouldReplaceSimpleArguments', function () {
+
+      var msg = new MessageFormat('en', 'Hello {name}, {missing}');
+
+      test.string(
+        msg.format({name: 'John'})
+      ).is('Hello John, {missing}');
+
+    });
+
+    it('shouldFormatTypedArguments', function () {
+
+      var msg = new MessageFormat(
+        'de',
+        '{count, number} Artikel für {price, number, currency} am ' +
+          '{day, date, short}',
+        {currency: 'EUR', timeZone: 'UTC'}
+      );
+
+      test.string(
+        msg.format({
+          count: 12000,
+          price: 9.5,
+          day: new Date(Date.UTC(2015, 8, 1))
+        })
+      ).is('12.000 Artikel für 9,50\u00a0€ am 01.09.15');
+
+    });
+
+    it('shouldOutputValuesWhichCantBeFormatted', function () {
+
+      var msg = new MessageFormat('en', '{price, number, currency/invalid}');
+
+      test.string(
+        msg.format({price: 5})
+      ).is('5');
+
+    });
+
+    it('shouldFormatPlurals', function () {
+
+      var msg = new MessageFormat(
+        'en',
+        '{count, plural, =0 {No items} one {# item} other {# items}}'
+      );
+
+      test.string(
+        msg.format({count: 0})
+      ).is('No items');
+
+      test.string(
+        msg.format({count: 1})
+      ).is('1 item');
+
+      test.string(
+        msg.format({count: 5})
+      ).is('5 items');
+
+    });
+
+    it('shouldFormatPluralsUsingTheLanguageRules', function () {
+
+      var msg = new MessageFormat(
+        'pl',
+        '{count, plural, one {# plik} few {# pliki} many {# plików} ' +
+          'other {# pliku}}'
+      );
+
+      test.string(
+        msg.format({count: 1})
+      ).is('1 plik');
+
+      test.string(
+        msg.format({count: 3})
+      ).is('3 pliki');
+
+      test.string(
+        msg.format({count: 12})
+      ).is('12 plików');
+
+      test.string(
+        msg.format({count: 1.5})
+      ).is('1.5 pliku');
+
+    });
+
+    it('shouldApplyThePluralOffset', function () {
+
+      var msg = new MessageFormat(
+        'en',
+        '{count, plural, offset:1 =0 {Nobody} =1 {{name}} ' +
+          'one {{name} and # other} other {{name} and # others}}'
+      );
+
+      test.string(
+        msg.format({count: 1, name: 'John'})
+      ).is('John');
+
+      test.string(
+        msg.format({count: 2, name: 'John'})
+      ).is('John and 1 other');
+
+      test.string(
+        msg.format({count: 4, name: 'John'})
+      ).is('John and 3 others');
+
+    });
+
+    it('shouldFormatSelect', function () {
+
+      var msg = new MessageFormat(
+        'en',
+        '{gender, select, male {He} female {She} other {They}} replied'
+      );
+
+      test.string(
+        msg.format({gender: 'female'})
+      ).is('She replied');
+
+      test.string(
+        msg.format({gender: 'unknown'})
+      ).is('They replied');
+
+    });
+
+    it('shouldFormatSelectOrdinal', function () {
+
+      var msg = new MessageFormat(
+        'en',
+        '{pos, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}'
+      );
+
+      test.string(
+        msg.format({pos: 1})
+      ).is('1st');
+
+      test.string(
+        msg.format({pos: 22})
+      ).is('22nd');
+
+      test.string(
+        msg.format({pos: 13})
+      ).is('13th');
+
+    });
+
+    it('shouldSupportApostropheQuoting', function () {
+
+      var msg = new MessageFormat('en', 'It\'\'s a \'{literal}\' {name}');
+
+      test.string(
+        msg.format({name: 'test'})
+      ).is('It\'s a {literal} test');
+
+    });
+
+    it('shouldProcessLiteralText', function () {
+
+      var msg = new MessageFormat('en', 'Hello :name, {count} new');
+
+      test.string(
+        msg.format({count: 2}, function (text) {
+          return text.toUpperCase();
+        })
+      ).is('HELLO :NAME, 2 NEW');
+
+    });
+
+  });
+
+});
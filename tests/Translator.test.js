@@ -0,0 +1,209 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+
+require('entity-core');
+
+var async = require('async'),
+    test = require('unit.js'),
+    loader = require('nsloader'),
+    EntityCore = loader('Entity'),
+    Locale = loader('Entity/Locale'),
+    Translator = loader('Entity/Locale/Translator');
+
+var core;
+
+describe('entity/Locale/Translator', function () {
+
+  'use strict';
+
+  beforeEach(function () {
+
+    core = new EntityCore();
+    core.database.connect('test', {
+      name: 'test',
+      host: '0.0.0.0'
+    }, true);
+
+  });
+
+  afterEach(function (done) {
+
+    core.database.collection('locales', 'test').drop(function () {
+      core.database.collection('locales_revisions', 'test').drop(function () {
+        core.database.disconnect('test');
+        done();
+      });
+    });
+
+  });
+
+  describe('Locale.forLanguage()', function () {
+
+    it('shouldReturnATranslatorBoundToTheLanguage', function () {
+
+      var translator = new Locale(core).forLanguage('pt_br');
+
+      test.object(
+        translator
+      ).isInstanceOf(Translator);
+
+      test.string(
+        translator.language
+      ).is('pt-BR');
+
+      test.value(
+        translator.fallbacks
+      ).isNull();
+
+    });
+
+  });
+
+  describe('Translator.t()', function () {
+
+    it('shouldSeeTranslationsAddedToTheLocale', function (done) {
+
+      var locale = new Locale(core),
+          translator = locale.forLanguage('fr-CA'),
+          queue = [];
+
+      test.string(
+        translator.t('Hello :name', {name: 'John'})
+      ).is('Hello John');
+
+      queue.push(function (next) {
+
+        locale.translate('fr', 'Hello :name', 'Bonjour :name', next);
+
+      });
+
+      queue.push(function (next) {
+
+        test.string(
+          translator.t('Hello :name', {name: 'John'})
+        ).is('Bonjour John');
+
+        test.string(
+          translator.t('Hello :name', {name: 'John'}, 'greeting')
+        ).is('Hello John');
+
+        next();
+
+      });
+
+      async.series(queue, done);
+
+    });
+
+    it('shouldUseItsOwnFallbacks', function (done) {
+
+      var locale = new Locale(core),
+          translator = locale.forLanguage('fr-CA', ['de']),
+          queue = [];
+
+      queue.push(function (next) {
+
+        locale.translate('fr', 'Hello world', 'Bonjour le monde', next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.translate('de', 'Hello world', 'Hallo Welt', next);
+
+      });
+
+      queue.push(function (next) {
+
+        test.array(
+          translator.chain()
+        ).is(['fr-CA', 'de']);
+
+        test.string(
+          translator.t('Hello world')
+        ).is('Hallo Welt');
+
+        test.string(
+          locale.t('fr-CA', 'Hello world')
+        ).is('Bonjour le monde');
+
+        test.array(
+          locale.missing('fr-CA')
+        ).is([]);
+
+        next();
+
+      });
+
+      async.series(queue, done);
+
+    });
+
+  });
+
+  describe('Translator.has()', function () {
+
+    it('shouldCheckTheFallbackChain', function (done) {
+
+      var locale = new Locale(core),
+          translator = locale.forLanguage('fr-CA');
+
+      locale.translate('fr', 'Open', 'Ouvrir', 'verb', function (err) {
+
+        test.value(
+          err
+        ).isNull();
+
+        test.bool(
+          translator.has('Open', 'verb')
+        ).isTrue();
+
+        test.bool(
+          translator.has('Open')
+        ).isFalse();
+
+        done();
+
+      });
+
+    });
+
+  });
+
+  describe('Translator.format()', function () {
+
+    it('shouldFormatInTheLanguage', function () {
+
+      var translator = new Locale(core).forLanguage('fr');
+
+      test.string(
+        translator.format('{n, plural, one {# fichier} other {# fichiers}}', {
+          n: 1.5
+        })
+      ).is('1.5 fichier');
+
+      test.string(
+        translator.plural(0)
+      ).is('one');
+
+      test.string(
+        translator.ordinal(1)
+      ).is('one');
+
+    });
+
+  });
+
+});
@@ -0,0 +1,199 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+require('entity-core');
+
+var fs = require('fs'),
+    path = require('path'),
+    async = require('async'),
+    test = require('unit.js'),
+    loader = require('nsloader'),
+    EntityCore = loader('Entity'),
+    Locale = loader('Entity/Locale');
+
+var core;
+
+describe('entity/Locale', function () {
+
+  'use strict';
+
+  var tmpPath = path.join(
+        __dirname, 'entity-tests--catalog--' + process.pid
+      );
+
+  beforeEach(function (done) {
+
+    core = new EntityCore();
+    core.database.connect('test', {
+      name: 'test',
+      host: '0.0.0.0'
+    }, true);
+
+    fs.mkdirSync(tmpPath);
+
+    var translations = {
+      'test1.fr.json': {
+        'Hello world': 'Foo bar'
+      },
+      'test2.fr.json': {
+        'Hello world': 'Foo bar 2',
+        'Hello :name, welcome back': 'Foo :name, bar'
+      },
+      'test1.jp.json': {
+        'Hello :name, welcome back': 'Goodbye :name'
+      }
+    };
+
+    for (var filename in translations) {
+      fs.writeFileSync(
+        path.join(tmpPath, filename),
+        JSON.stringify(translations[filename])
+      );
+    }
+
+    done();
+
+  });
+
+  afterEach(function (done) {
+
+    var translations = ['test1.fr.json', 'test2.fr.json', 'test1.jp.json'];
+    for (var i = 0, len = translations.length; i < len; i++) {
+      fs.unlinkSync(path.join(tmpPath, translations[i]));
+    }
+
+    fs.rmdirSync(tmpPath);
+
+    core.database.collection('locales', 'test').drop(function () {
+      core.database.collection('locales_revisions', 'test').drop(function () {
+        core.database.disconnect('test');
+        done();
+      });
+    });
+
+  });
+
+  describe('Locale.validate()', function () {
+
+    it('shouldReportIssuesInTheLoadedTranslations', function (done) {
+
+      var locale = new Locale(core),
+          queue = [];
+
+      queue.push(function (next) {
+
+        locale.addFromDir(tmpPath, next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.translate('jp', 'Goodbye :name', 'Sayonara', next);
+
+      });
+
+      queue.push(function (next) {
+
+        var issues = locale.validate();
+
+        test.array(
+          issues.map(function (item) {
+            return [item.type, item.language, item.msg, item.file];
+          })
+        ).is([
+          ['missing-placeholder', 'jp', 'Goodbye :name', 'database'],
+          [
+            'duplicate', 'fr', 'Hello world',
+            path.join(tmpPath, 'test2.fr.json')
+          ]
+        ]);
+
+        test.array(
+          locale.validate('jp')
+        ).hasLength(1);
+
+        next();
+
+      });
+
+      async.series(queue, done);
+
+    });
+
+    it('shouldCheckTheEscapedModeTokensInTheEscapeMode', function () {
+
+      var locale = new Locale(core);
+
+      locale.override('fr', '%user replied', '%utilisateur a répondu');
+
+      test.array(
+        locale.validate('fr')
+      ).is([]);
+
+      locale.escape = true;
+
+      test.array(
+        locale.validate('fr').map(function (item) {
+          return item.type;
+        })
+      ).is(['missing-placeholder', 'extra-placeholder']);
+
+    });
+
+  });
+
+  describe('Locale.validateFile()', function () {
+
+    it('shouldValidateTheFileBeforeItsAdded', function (done) {
+
+      var locale = new Locale(core),
+          filename = path.join(tmpPath, 'test1.fr.json');
+
+      locale.addFromFile(filename, function (err) {
+
+        if (err) {
+          return done(err);
+        }
+
+        locale.validateFile(
+          path.join(tmpPath, 'test2.fr.json'),
+          function (err2, issues) {
+
+            if (err2) {
+              return done(err2);
+            }
+
+            test.array(issues).hasLength(1);
+            test.object(issues[0])
+              .hasKey('type', 'duplicate')
+              .hasKey('file', path.join(tmpPath, 'test2.fr.json'));
+
+            test.object(
+              locale.locales('fr')
+            ).is({
+              'Hello world': 'Foo bar'
+            });
+
+            done();
+
+          }
+        );
+
+      });
+
+    });
+
+  });
+
+});
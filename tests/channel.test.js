@@ -0,0 +1,117 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+var EventEmitter = require('events').EventEmitter,
+    test = require('unit.js'),
+    loader = require('nsloader'),
+    channel = loader('Entity/Locale/channel');
+
+/**
+ * Creates a fake cluster worker which records the sent messages.
+ *
+ * @param {Array} sent The array to record the messages in.
+ * @return {Object} The worker.
+ */
+function fakeWorker(sent) {
+  'use strict';
+
+  return {
+    isConnected: function () {
+      return true;
+    },
+    send: function (message) {
+      sent.push(message);
+    }
+  };
+}
+
+describe('entity/Locale/channel', function () {
+
+  'use strict';
+
+  describe('ClusterChannel', function () {
+
+    it('shouldSendAndReceiveMessagesInAWorker', function () {
+
+      var proc = new EventEmitter(),
+          sent = [],
+          received = [],
+          worker = new channel.ClusterChannel({
+            cluster: {isWorker: true},
+            process: proc
+          }),
+          listener = function (message) {
+            received.push(message);
+          };
+
+      proc.send = function (message) {
+        sent.push(message);
+      };
+
+      worker.subscribe(listener);
+      worker.publish({action: 'translate'});
+
+      test.array(sent).is([{
+        type: 'entity-locale',
+        channel: 'locale',
+        message: {action: 'translate'}
+      }]);
+
+      proc.emit('message', {type: 'other'});
+      proc.emit('message', {
+        type: 'entity-locale',
+        channel: 'other',
+        message: {action: 'untranslate'}
+      });
+      proc.emit('message', sent[0]);
+
+      test.array(received).is([{action: 'translate'}]);
+
+      worker.unsubscribe(listener);
+      test.number(proc.listeners('message').length).is(0);
+
+    });
+
+    it('shouldRelayMessagesToTheOtherWorkers', function () {
+
+      var cluster = new EventEmitter(),
+          first = [],
+          second = [],
+          envelope = {
+            type: 'entity-locale',
+            channel: 'locale',
+            message: {action: 'translate'}
+          };
+
+      cluster.isWorker = false;
+      cluster.workers = {1: fakeWorker(first), 2: fakeWorker(second)};
+
+      channel.ClusterChannel.relay(cluster);
+      cluster.emit('message', cluster.workers[1], envelope);
+
+      test.array(first).is([]);
+      test.array(second).is([envelope]);
+
+      new channel.ClusterChannel({cluster: cluster}).publish({
+        action: 'reload'
+      });
+
+      test.array(first).hasLength(1);
+      test.array(second).hasLength(2);
+
+    });
+
+  });
+
+});
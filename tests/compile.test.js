@@ -0,0 +1,175 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+
+
+var test = require('unit.js'),
+    loader = require('nsloader'),
+    compile = loader('Entity/Locale/compile');
+
+describe('entity/Locale/compile', function () {
+
+  'use strict';
+
+  describe('compile.tokens()', function () {
+
+    it('shouldReplaceTheTokens', function () {
+
+      var render = compile.tokens('Hello :name, you have :count items');
+
+      test.string(
+        render({name: 'Bob', count: 3})
+      ).is('Hello Bob, you have 3 items');
+
+      test.string(
+        render({name: 'Alice'})
+      ).is('Hello Alice, you have :count items');
+
+      test.string(
+        render()
+      ).is('Hello :name, you have :count items');
+
+    });
+
+    it('shouldMatchTheParamsInTheGivenOrder', function () {
+
+      var render = compile.tokens(':names and :name');
+
+      test.string(
+        render({name: 'A', names: 'B'})
+      ).is('As and A');
+
+      test.string(
+        render({names: 'B', name: 'A'})
+      ).is('B and A');
+
+    });
+
+    it('shouldEscapeTheParamsInTheEscapedMode', function () {
+
+      var render = compile.tokens(':name said !html to %name', true);
+
+      test.string(
+        render({name: '<b>Bob</b>', html: '<i>hi</i>'})
+      ).is(
+        '&lt;b&gt;Bob&lt;/b&gt; said <i>hi</i> to ' +
+        '<em>&lt;b&gt;Bob&lt;/b&gt;</em>'
+      );
+
+      test.string(
+        compile.tokens('100% !name')({name: 'x'})
+      ).is('100% !name');
+
+    });
+
+  });
+
+  describe('compile.compile()', function () {
+
+    it('shouldFormatArgumentsAndTokens', function () {
+
+      var render = compile.compile(
+            'en',
+            ':name has {count, plural, one {# item} other {# items}}'
+          );
+
+      test.string(
+        render({name: 'Bob', count: 1})
+      ).is('Bob has 1 item');
+
+      test.string(
+        render({name: 'Alice', count: 4})
+      ).is('Alice has 4 items');
+
+    });
+
+    it('shouldOnlyReplaceTokensIfTheSyntaxIsInvalid', function () {
+
+      test.string(
+        compile.compile('en', 'Hello {name :name')({name: 'Bob'})
+      ).is('Hello {name Bob');
+
+    });
+
+    it('shouldEscapeTheArgumentsInTheEscapedMode', function () {
+
+      test.string(
+        compile.compile('en', '{name} & %name', {escape: true})({
+          name: '"Tom & Jerry"'
+        })
+      ).is(
+        '&quot;Tom &amp; Jerry&quot; & ' +
+        '<em>&quot;Tom &amp; Jerry&quot;</em>'
+      );
+
+    });
+
+    it('shouldRenderTheRichTextTags', function () {
+
+      var link = function (children) {
+            return {tag: 'a', children: children};
+          },
+          bold = function (children) {
+            return '<b>' + children + '</b>';
+          };
+
+      test.array(
+        compile.compile('en', 'Read the <link>terms</link>')({link: link})
+      ).is(['Read the ', {tag: 'a', children: 'terms'}]);
+
+      test.string(
+        compile.compile('en', '<b>:name</b> <i>left</i>')({
+          b: bold,
+          name: '<b>Bob</b>'
+        })
+      ).is('<b><b>Bob</b></b> <i>left</i>');
+
+      test.array(
+        compile.compile(
+          'en',
+          '{count, plural, one {<b>#</b> file} other {<b>#</b> files}}'
+        )({count: 2, b: link})
+      ).is([{tag: 'a', children: '2'}, ' files']);
+
+    });
+
+    it('shouldNotRenderTagsFromTheParams', function () {
+
+      test.string(
+        compile.compile('en', '<b>:name</b>')({
+          b: function (children) {
+            return '[' + children + ']';
+          },
+          name: '<b>x</b>'
+        })
+      ).is('[<b>x</b>]');
+
+    });
+
+    it('shouldKeepUnclosedTagsAsText', function () {
+
+      test.array(
+        compile.compile('en', 'a <b>open <i>x</i>')({
+          b: String,
+          i: function (children) {
+            return [children];
+          }
+        })
+      ).is(['a <b>open ', ['x']]);
+
+    });
+
+  });
+
+});
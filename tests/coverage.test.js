@@ -0,0 +1,213 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+require('entity-core');
+
+var fs = require('fs'),
+    path = require('path'),
+    async = require('async'),
+    test = require('unit.js'),
+    loader = require('nsloader'),
+    EntityCore = loader('Entity'),
+    Locale = loader('Entity/Locale');
+
+var core;
+
+describe('entity/Locale', function () {
+
+  'use strict';
+
+  var tmpPath = path.join(
+        __dirname, 'entity-tests--coverage--' + process.pid
+      );
+
+  beforeEach(function (done) {
+
+    core = new EntityCore();
+    core.database.connect('test', {
+      name: 'test',
+      host: '0.0.0.0'
+    }, true);
+
+    fs.mkdirSync(tmpPath);
+
+    var translations = {
+      'test1.fr.json': {
+        'Hello world': 'Foo bar'
+      },
+      'test2.fr.json': {
+        'Hello world': 'Foo bar 2',
+        'Hello :name, welcome back': 'Foo :name, bar'
+      },
+      'test1.jp.json': {
+        'Hello :name, welcome back': 'Goodbye :name'
+      }
+    };
+
+    for (var filename in translations) {
+      fs.writeFileSync(
+        path.join(tmpPath, filename),
+        JSON.stringify(translations[filename])
+      );
+    }
+
+    done();
+
+  });
+
+  afterEach(function (done) {
+
+    var translations = ['test1.fr.json', 'test2.fr.json', 'test1.jp.json'];
+    for (var i = 0, len = translations.length; i < len; i++) {
+      fs.unlinkSync(path.join(tmpPath, translations[i]));
+    }
+
+    fs.rmdirSync(tmpPath);
+
+    core.database.collection('locales', 'test').drop(function () {
+      core.database.collection('locales_revisions', 'test').drop(function () {
+        core.database.disconnect('test');
+        done();
+      });
+    });
+
+  });
+
+  describe('Locale.coverage()', function () {
+
+    it('shouldReportTheCoverageOfEachLanguage', function (done) {
+
+      var locale = new Locale(core),
+          queue = [];
+
+      queue.push(function (next) {
+
+        locale.addFromDir(tmpPath, next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.translate('jp', 'Goodbye', 'Sayonara', next);
+
+      });
+
+      queue.push(function (next) {
+
+        var coverage = locale.coverage([
+          'Hello world',
+          'Hello :name, welcome back',
+          {msg: 'Goodbye', context: null}
+        ], {files: true});
+
+        test.object(coverage.jp).is({
+          total: 3,
+          translated: 2,
+          missing: 1,
+          fuzzy: 0,
+          overridden: 1,
+          percent: 66.67,
+          files: coverage.jp.files
+        });
+
+        test.object(
+          coverage.jp.files[path.join(tmpPath, 'test1.jp.json')]
+        ).hasKey('translated', 1);
+
+        test.object(coverage.fr)
+          .hasKey('translated', 2)
+          .hasKey('missing', 1);
+
+        test.object(
+          coverage.fr.files[path.join(tmpPath, 'test1.fr.json')]
+        ).is({
+          total: 3,
+          translated: 1,
+          missing: 2,
+          fuzzy: 0,
+          overridden: 0,
+          percent: 33.33
+        });
+
+        test.object(
+          locale.coverage({'Hello world': ''})
+        ).is({
+          fr: {
+            total: 1,
+            translated: 1,
+            missing: 0,
+            fuzzy: 0,
+            overridden: 0,
+            percent: 100
+          },
+          jp: {
+            total: 1,
+            translated: 0,
+            missing: 1,
+            fuzzy: 0,
+            overridden: 0,
+            percent: 0
+          }
+        });
+
+        next();
+
+      });
+
+      async.series(queue, done);
+
+    });
+
+    it('shouldCountFuzzyTranslations', function (done) {
+
+      var locale = new Locale(core),
+          filename = path.join(tmpPath, 'fuzzy.de.po');
+
+      fs.writeFileSync(filename, [
+        'msgid "Hello world"',
+        'msgstr "Hallo Welt"',
+        '',
+        '#, fuzzy',
+        'msgid "Goodbye"',
+        'msgstr "Tschuss"'
+      ].join('\n'));
+
+      locale.addFromFile(filename, function (err) {
+
+        fs.unlinkSync(filename);
+
+        if (err) {
+          return done(err);
+        }
+
+        test.object(
+          locale.coverage(['Hello world', 'Goodbye', 'Open']).de
+        ).is({
+          total: 3,
+          translated: 1,
+          missing: 1,
+          fuzzy: 1,
+          overridden: 0,
+          percent: 33.33
+        });
+
+        done();
+
+      });
+
+    });
+
+  });
+
+});
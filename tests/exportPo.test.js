@@ -0,0 +1,249 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+require('entity-core');
+
+var fs = require('fs'),
+    path = require('path'),
+    async = require('async'),
+    test = require('unit.js'),
+    loader = require('nsloader'),
+    EntityCore = loader('Entity'),
+    Locale = loader('Entity/Locale');
+
+var core;
+
+describe('entity/Locale', function () {
+
+  'use strict';
+
+  var tmpPath = path.join(
+        __dirname, 'entity-tests--exportPo--' + process.pid
+      );
+
+  beforeEach(function (done) {
+
+    core = new EntityCore();
+    core.database.connect('test', {
+      name: 'test',
+      host: '0.0.0.0'
+    }, true);
+
+    fs.mkdirSync(tmpPath);
+
+    var translations = {
+      'test1.fr.json': {
+        'Hello world': 'Foo bar'
+      },
+      'test2.fr.json': {
+        'Hello world': 'Foo bar 2',
+        'Hello :name, welcome back': 'Foo :name, bar'
+      },
+      'test1.jp.json': {
+        'Hello :name, welcome back': 'Goodbye :name'
+      }
+    };
+
+    for (var filename in translations) {
+      fs.writeFileSync(
+        path.join(tmpPath, filename),
+        JSON.stringify(translations[filename])
+      );
+    }
+
+    done();
+
+  });
+
+  afterEach(function (done) {
+
+    var translations = ['test1.fr.json', 'test2.fr.json', 'test1.jp.json'];
+    for (var i = 0, len = translations.length; i < len; i++) {
+      fs.unlinkSync(path.join(tmpPath, translations[i]));
+    }
+
+    fs.rmdirSync(tmpPath);
+
+    core.database.collection('locales', 'test').drop(function () {
+      core.database.collection('locales_revisions', 'test').drop(function () {
+        core.database.disconnect('test');
+        done();
+      });
+    });
+
+  });
+
+  describe('Locale.exportPo()', function () {
+
+    it('shouldExportFileAndDatabaseTranslations', function (done) {
+
+      var locale = new Locale(core),
+          filename = path.join(tmpPath, 'export.fr.po'),
+          queue = [];
+
+      queue.push(function (next) {
+
+        locale.addFromDir(tmpPath, next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.translate('fr', 'Hello world', 'Bonjour', next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.exportPo('fr', filename, function (err, content) {
+
+          if (err) {
+            return next(err);
+          }
+
+          test.string(
+            fs.readFileSync(filename, 'utf8')
+          ).is(content);
+
+          fs.unlinkSync(filename);
+
+          test.string(content)
+            .contains('"Language: fr\\n"')
+            .contains('msgid "Hello world"\nmsgstr "Bonjour"')
+            .contains(
+              'msgid "Hello :name, welcome back"\nmsgstr "Foo :name, bar"'
+            );
+
+          next();
+
+        });
+
+      });
+
+      async.series(queue, done);
+
+    });
+
+    it('shouldExportThePluralEntries', function (done) {
+
+      var locale = new Locale(core),
+          filename = path.join(tmpPath, 'plurals.pl.po');
+
+      fs.writeFileSync(filename, [
+        'msgid ""',
+        'msgstr ""',
+        '"Language: pl\\n"',
+        '"Plural-Forms: nplurals=3; plural=(n==1 ? 0 : n%10>=2 && ' +
+          'n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);\\n"',
+        '',
+        'msgid "%d file"',
+        'msgid_plural "%d files"',
+        'msgstr[0] "%d plik"',
+        'msgstr[1] "%d pliki"',
+        'msgstr[2] "%d plików"'
+      ].join('\n'));
+
+      locale.addFromFile(filename, function (err) {
+
+        fs.unlinkSync(filename);
+
+        if (err) {
+          return done(err);
+        }
+
+        locale.exportPo('pl', function (err2, content) {
+
+          if (err2) {
+            return done(err2);
+          }
+
+          test.string(content)
+            .contains('"Plural-Forms: nplurals=3; plural=(n==1 ? 0 : ')
+            .contains([
+              'msgid "%d file"',
+              'msgid_plural "%d files"',
+              'msgstr[0] "%d plik"',
+              'msgstr[1] "%d pliki"',
+              'msgstr[2] "%d plików"'
+            ].join('\n'));
+
+          done();
+
+        });
+
+      });
+
+    });
+
+    it('shouldPrefixTheNamespacedTranslations', function (done) {
+
+      var locale = new Locale(core),
+          filename = path.join(tmpPath, 'users.fr.json'),
+          queue = [];
+
+      fs.writeFileSync(filename, JSON.stringify({
+        'Hello world': 'Salut le monde'
+      }));
+
+      queue.push(function (next) {
+
+        locale.addFromDir(tmpPath, next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.addFromFile(filename, {namespace: true}, next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.translate('fr', 'Goodbye', 'Au revoir', {
+          namespace: 'users'
+        }, next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.exportPo('fr', function (err, content) {
+
+          if (err) {
+            return next(err);
+          }
+
+          test.string(content)
+            .contains('msgid "Hello world"\nmsgstr "Foo bar')
+            .contains('msgid "users:Hello world"\nmsgstr "Salut le monde"')
+            .contains('msgid "users:Goodbye"\nmsgstr "Au revoir"');
+
+          next();
+
+        });
+
+      });
+
+      async.series(queue, function (err) {
+
+        fs.unlinkSync(filename);
+        done(err);
+
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,241 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+require('entity-core');
+
+var fs = require('fs'),
+    path = require('path'),
+    async = require('async'),
+    test = require('unit.js'),
+    loader = require('nsloader'),
+    EntityCore = loader('Entity'),
+    Locale = loader('Entity/Locale');
+
+var core;
+
+describe('entity/Locale', function () {
+
+  'use strict';
+
+  var tmpPath = path.join(
+        __dirname, 'entity-tests--exportXliff--' + process.pid
+      );
+
+  beforeEach(function (done) {
+
+    core = new EntityCore();
+    core.database.connect('test', {
+      name: 'test',
+      host: '0.0.0.0'
+    }, true);
+
+    fs.mkdirSync(tmpPath);
+
+    var translations = {
+      'test1.fr.json': {
+        'Hello world': 'Foo bar'
+      },
+      'test2.fr.json': {
+        'Hello world': 'Foo bar 2',
+        'Hello :name, welcome back': 'Foo :name, bar'
+      },
+      'test1.jp.json': {
+        'Hello :name, welcome back': 'Goodbye :name'
+      }
+    };
+
+    for (var filename in translations) {
+      fs.writeFileSync(
+        path.join(tmpPath, filename),
+        JSON.stringify(translations[filename])
+      );
+    }
+
+    done();
+
+  });
+
+  afterEach(function (done) {
+
+    var translations = ['test1.fr.json', 'test2.fr.json', 'test1.jp.json'];
+    for (var i = 0, len = translations.length; i < len; i++) {
+      fs.unlinkSync(path.join(tmpPath, translations[i]));
+    }
+
+    fs.rmdirSync(tmpPath);
+
+    core.database.collection('locales', 'test').drop(function () {
+      core.database.collection('locales_revisions', 'test').drop(function () {
+        core.database.disconnect('test');
+        done();
+      });
+    });
+
+  });
+
+  describe('Locale.exportXliff()', function () {
+
+    it('shouldRoundTripTheNamespacedTranslations', function (done) {
+
+      var locale = new Locale(core),
+          source = path.join(tmpPath, 'users.fr.json'),
+          filename = path.join(tmpPath, 'messages.fr.xlf'),
+          queue = [];
+
+      fs.writeFileSync(source, JSON.stringify({
+        'Hello world': 'Salut le monde'
+      }));
+
+      queue.push(function (next) {
+
+        locale.addFromDir(tmpPath, next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.addFromFile(source, {namespace: true}, function (err) {
+
+          fs.unlinkSync(source);
+          next(err);
+
+        });
+
+      });
+
+      queue.push(function (next) {
+
+        locale.exportXliff('fr', {filename: filename}, next);
+
+      });
+
+      queue.push(function (next) {
+
+        var other = new Locale(core);
+
+        other.addFromFile(filename, function (err) {
+
+          fs.unlinkSync(filename);
+
+          test.string(
+            other.t('fr', 'users:Hello world')
+          ).is('Salut le monde');
+
+          test.string(
+            other.t('fr', 'Hello world')
+          ).isNot('Salut le monde');
+
+          next(err);
+
+        });
+
+      });
+
+      async.series(queue, done);
+
+    });
+
+    it('shouldExportLanguagesWhichOnlyHaveNamespacedFiles', function (done) {
+
+      var locale = new Locale(core),
+          filename = path.join(tmpPath, 'users.de.json');
+
+      fs.writeFileSync(filename, JSON.stringify({'Hello': 'Hallo'}));
+
+      locale.addFromFile(filename, {namespace: true}, function (err) {
+
+        fs.unlinkSync(filename);
+
+        if (err) {
+          return done(err);
+        }
+
+        locale.exportXliff('de', function (err2, content) {
+
+          test.string(content).contains('target-language="de"');
+
+          done(err2);
+
+        });
+
+      });
+
+    });
+
+    it('shouldExportTranslatedAndUntranslatedUnits', function (done) {
+
+      var locale = new Locale(core),
+          queue = [];
+
+      queue.push(function (next) {
+
+        locale.addFromDir(tmpPath, next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.exportXliff('jp', {version: '2.0'}, function (err, content) {
+
+          if (err) {
+            return next(err);
+          }
+
+          test.string(content)
+            .contains('srcLang="en" trgLang="jp"')
+            .contains('<source>Hello world</source>')
+            .contains('<target>Goodbye :name</target>');
+
+          next();
+
+        });
+
+      });
+
+      queue.push(function (next) {
+
+        var filename = path.join(tmpPath, 'messages.jp.xlf');
+
+        locale.exportXliff('jp', {filename: filename}, function (err) {
+
+          if (err) {
+            return next(err);
+          }
+
+          var other = new Locale(core);
+          other.addFromFile(filename, function (err2) {
+
+            fs.unlinkSync(filename);
+
+            test.object(
+              other.locales('jp')
+            ).is({
+              'Hello :name, welcome back': 'Goodbye :name'
+            });
+
+            next(err2);
+
+          });
+
+        });
+
+      });
+
+      async.series(queue, done);
+
+    });
+
+  });
+
+});
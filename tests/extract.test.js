@@ -0,0 +1,357 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+
+
+var fs = require('fs'),
+    path = require('path'),
+    test = require('unit.js'),
+    loader = require('nsloader'),
+    extract = loader('Entity/Locale/extract');
+
+describe('entity/Locale/extract', function () {
+
+  'use strict';
+
+  var tmpPath = path.join(
+        __dirname, 'entity-tests--extract--' + process.pid
+      );
+
+  beforeEach(function () {
+
+    fs.mkdirSync(tmpPath);
+    fs.mkdirSync(path.join(tmpPath, 'src'));
+
+    fs.writeFileSync(path.join(tmpPath, 'src', 'app.js'), [
+      'locale.t(language, \'Hello :name\', {name: name});',
+      'req.t(\'Open\', {}, \'verb\');',
+      'locale.translate(\'fr\', \'Save\', \'Sauver\', next);'
+    ].join('\n'));
+
+    fs.writeFileSync(
+      path.join(tmpPath, 'src', 'view.ejs'),
+      '<h1><%= t(\'Hello :name\', {name: user}) %></h1>\n'
+    );
+
+    fs.writeFileSync(path.join(tmpPath, 'src', 'notes.txt'), 't(\'Ignored\')');
+
+  });
+
+  afterEach(function () {
+
+    ['app.js', 'view.ejs', 'notes.txt'].forEach(function (file) {
+      fs.unlinkSync(path.join(tmpPath, 'src', file));
+    });
+
+    fs.readdirSync(tmpPath).forEach(function (file) {
+      if (file !== 'src') {
+        fs.unlinkSync(path.join(tmpPath, file));
+      }
+    });
+
+    fs.rmdirSync(path.join(tmpPath, 'src'));
+    fs.rmdirSync(tmpPath);
+
+  });
+
+  describe('extract.scan()', function () {
+
+    it('shouldExtractTheSourceStrings', function () {
+
+      var strings = extract.scan([
+        'locale.t(\'fr\', \'Hello world\');',
+        'locale.t(lang, "Hello " +',
+        '  \'world\', {}, \'greeting\');',
+        'translator.t(\'Open\', {n: fn(1, 2)}, \'verb\');',
+        'locale.translate(lang, \'Save\', \'Sauver\', \'button\', next);'
+      ].join('\n'), 'app.js');
+
+      test.array(
+        strings.map(function (str) {
+          return [str.msg, str.context, str.references[0]];
+        })
+      ).is([
+        ['Hello world', null, 'app.js:1'],
+        ['Hello world', 'greeting', 'app.js:2'],
+        ['Open', 'verb', 'app.js:4'],
+        ['Save', 'button', 'app.js:5']
+      ]);
+
+    });
+
+    it('shouldIgnoreCallsWithoutStringLiterals', function () {
+
+      test.array(
+        extract.scan(
+          't(name); t(`Hello ${name}`); split(\'a\'); function t(str) {}'
+        )
+      ).is([]);
+
+    });
+
+    it('shouldDecodeEscapeSequences', function () {
+
+      test.string(
+        extract.scan('t(\'It\\\'s \\u00e9t\\xe9\\n\');')[0].msg
+      ).is('It\'s été\n');
+
+    });
+
+  });
+
+  describe('extract.placeholders()', function () {
+
+    it('shouldReturnTheTokensAndArguments', function () {
+
+      test.array(
+        extract.placeholders(
+          ':name has {count, plural, one {# file} other {# files}} in {dir}'
+        )
+      ).is(['count', 'dir', 'name']);
+
+    });
+
+    it('shouldIgnoreThePluralAndSelectOptions', function () {
+
+      test.array(
+        extract.placeholders(
+          '{count, plural, one {item} other {{kind} items}} ' +
+            '{gender, select, male {him} other {:who}} \'{quoted}\''
+        )
+      ).is(['count', 'gender', 'kind', 'who']);
+
+    });
+
+    it('shouldOnlyReturnTheEscapedModeTokensInTheEscapeMode', function () {
+
+      test.array(
+        extract.placeholders('%user replied to !link', {escape: true})
+      ).is(['link', 'user']);
+
+      test.array(
+        extract.placeholders('Save 50%off now! :name')
+      ).is(['name']);
+
+    });
+
+  });
+
+  describe('extract.updateCatalog()', function () {
+
+    it('shouldAddNewAndObsoleteStrings', function () {
+
+      var result = extract.updateCatalog({
+        'Hello': 'Bonjour',
+        'Goodbye': 'Au revoir',
+        'Unused': '',
+        '@obsolete': {'Open': {'verb': 'Ouvrir'}}
+      }, extract.scan(
+        't(\'Hello\'); t(\'Open\', {}, \'verb\'); t(\'New\');'
+      ));
+
+      test.object(result)
+        .hasKey('added', 2)
+        .hasKey('obsolete', 1)
+        .hasKey('total', 3);
+
+      test.object(result.catalog)
+        .hasKey('Hello', 'Bonjour')
+        .hasKey('New', '')
+        .notHasKey('Goodbye')
+        .notHasKey('Unused');
+
+      test.object(
+        result.catalog.Open
+      ).is({verb: 'Ouvrir'});
+
+      test.object(
+        result.catalog['@obsolete']
+      ).is({'Goodbye': 'Au revoir'});
+
+    });
+
+  });
+
+  describe('extract.scanFiles()', function () {
+
+    var dirs = ['node_modules', '.cache'];
+
+    function msgs(strings) {
+      return strings.map(function (str) {
+        return str.msg;
+      });
+    }
+
+    beforeEach(function () {
+
+      dirs.forEach(function (dir) {
+        fs.mkdirSync(path.join(tmpPath, 'src', dir));
+        fs.writeFileSync(
+          path.join(tmpPath, 'src', dir, 'index.js'),
+          't(\'Hidden in ' + dir + '\');'
+        );
+      });
+
+    });
+
+    afterEach(function () {
+
+      dirs.forEach(function (dir) {
+        fs.unlinkSync(path.join(tmpPath, 'src', dir, 'index.js'));
+        fs.rmdirSync(path.join(tmpPath, 'src', dir));
+      });
+
+    });
+
+    it('shouldSkipTheNodeModulesAndDotDirectories', function (done) {
+
+      extract.scanFiles(path.join(tmpPath, 'src'), function (err, strings) {
+
+        if (err) {
+          return done(err);
+        }
+
+        test.array(
+          msgs(strings)
+        ).is(['Hello :name', 'Save', 'Open']);
+
+        done();
+
+      });
+
+    });
+
+    it('shouldScanTheIgnoredDirectoriesIfAsked', function (done) {
+
+      extract.scanFiles(path.join(tmpPath, 'src'), {
+        ignore: [],
+        dot: true
+      }, function (err, strings) {
+
+        if (err) {
+          return done(err);
+        }
+
+        test.array(msgs(strings))
+          .contains(['Hidden in node_modules', 'Hidden in .cache']);
+
+        done();
+
+      });
+
+    });
+
+  });
+
+  describe('extract.extract()', function () {
+
+    it('shouldThrowAnErrorIfThereAreNoLanguages', function (done) {
+
+      extract.extract(path.join(tmpPath, 'src'), {
+        output: tmpPath
+      }, function (err) {
+
+        test.object(err).isInstanceOf(Error);
+        done();
+
+      });
+
+    });
+
+    it('shouldWriteTheCatalogs', function (done) {
+
+      extract.extract(path.join(tmpPath, 'src'), {
+        output: tmpPath,
+        languages: ['fr', 'pt_br'],
+        base: tmpPath
+      }, function (err, results) {
+
+        if (err) {
+          return done(err);
+        }
+
+        var catalog = JSON.parse(fs.readFileSync(
+          path.join(tmpPath, 'messages.pt-BR.json'), 'utf8'
+        ));
+
+        test.object(
+          results[path.join(tmpPath, 'messages.fr.json')]
+        ).is({added: 3, obsolete: 0, total: 3});
+
+        test.object(catalog)
+          .hasKey('Hello :name', '')
+          .hasKey('Save', '')
+          .notHasKey('Ignored');
+
+        test.array(
+          catalog['@metadata']['Hello :name'].references
+        ).is(['src/app.js:1', 'src/view.ejs:1']);
+
+        test.array(
+          extract.catalogLanguages(tmpPath, 'messages')
+        ).is(['fr', 'pt-BR']);
+
+        done();
+
+      });
+
+    });
+
+    it('shouldCreateTheNestedOutputDirectory', function (done) {
+
+      var output = path.join(tmpPath, 'locales', 'app');
+
+      extract.extract(path.join(tmpPath, 'src'), {
+        output: output,
+        languages: ['fr'],
+        base: tmpPath
+      }, function (err, results) {
+
+        var filename = path.join(output, 'messages.fr.json'),
+            exists = fs.existsSync(filename);
+
+        if (exists) {
+          fs.unlinkSync(filename);
+          fs.rmdirSync(output);
+          fs.rmdirSync(path.dirname(output));
+        }
+
+        test.value(err).isNull();
+        test.bool(exists).isTrue();
+        test.object(results).hasKey(filename);
+
+        done();
+
+      });
+
+    });
+
+    it('shouldPassAnErrorIfTheOutputCantBeCreated', function (done) {
+
+      extract.extract(path.join(tmpPath, 'src'), {
+        output: path.join(tmpPath, 'src', 'app.js', 'locales'),
+        languages: ['fr'],
+        base: tmpPath
+      }, function (err) {
+
+        test.object(err).isInstanceOf(Error);
+        done();
+
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,132 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+require('entity-core');
+
+var fs = require('fs'),
+    path = require('path'),
+    test = require('unit.js'),
+    loader = require('nsloader'),
+    EntityCore = loader('Entity'),
+    Locale = loader('Entity/Locale');
+
+var core;
+
+describe('entity/Locale', function () {
+
+  'use strict';
+
+  var tmpPath = path.join(
+        __dirname, 'entity-tests--fallbacks--' + process.pid
+      );
+
+  beforeEach(function (done) {
+
+    core = new EntityCore();
+    core.database.connect('test', {
+      name: 'test',
+      host: '0.0.0.0'
+    }, true);
+
+    fs.mkdirSync(tmpPath);
+
+    var translations = {
+      'test1.fr.json': {
+        'Hello world': 'Foo bar'
+      },
+      'test2.fr.json': {
+        'Hello world': 'Foo bar 2',
+        'Hello :name, welcome back': 'Foo :name, bar'
+      },
+      'test1.jp.json': {
+        'Hello :name, welcome back': 'Goodbye :name'
+      }
+    };
+
+    for (var filename in translations) {
+      fs.writeFileSync(
+        path.join(tmpPath, filename),
+        JSON.stringify(translations[filename])
+      );
+    }
+
+    done();
+
+  });
+
+  afterEach(function (done) {
+
+    var translations = ['test1.fr.json', 'test2.fr.json', 'test1.jp.json'];
+    for (var i = 0, len = translations.length; i < len; i++) {
+      fs.unlinkSync(path.join(tmpPath, translations[i]));
+    }
+
+    fs.rmdirSync(tmpPath);
+
+    core.database.collection('locales', 'test').drop(function () {
+      core.database.collection('locales_revisions', 'test').drop(function () {
+        core.database.disconnect('test');
+        done();
+      });
+    });
+
+  });
+
+  describe('Locale.languageChain()', function () {
+
+    it('shouldFallbackToTheParentLanguage', function () {
+
+      var locale = new Locale(core);
+
+      test.array(
+        locale.languageChain('zh-Hant-TW')
+      ).is(['zh-Hant-TW', 'zh-Hant', 'zh']);
+
+    });
+
+    it('shouldUseTheConfiguredFallbacks', function () {
+
+      var locale = new Locale(core);
+
+      locale.setFallbacks('fr-CA', ['fr-FR', 'en']);
+
+      test.array(
+        locale.languageChain('fr-CA')
+      ).is(['fr-CA', 'fr-FR', 'fr', 'en']);
+
+      locale.setFallbacks('fr-CA');
+
+      test.array(
+        locale.languageChain('fr-CA')
+      ).is(['fr-CA', 'fr']);
+
+    });
+
+    it('shouldEndWithTheDefaultLanguage', function () {
+
+      var locale = new Locale(core);
+
+      locale.defaultLanguage = 'en-GB';
+      locale.setFallbacks('es', 'pt');
+      locale.setFallbacks('pt', 'es');
+
+      test.array(
+        locale.languageChain('es-MX')
+      ).is(['es-MX', 'es', 'pt', 'en-GB', 'en']);
+
+    });
+
+  });
+
+});
@@ -0,0 +1,135 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+require('entity-core');
+
+var fs = require('fs'),
+    path = require('path'),
+    test = require('unit.js'),
+    loader = require('nsloader'),
+    EntityCore = loader('Entity'),
+    Locale = loader('Entity/Locale');
+
+var core;
+
+describe('entity/Locale', function () {
+
+  'use strict';
+
+  var tmpPath = path.join(
+        __dirname, 'entity-tests--format--' + process.pid
+      );
+
+  beforeEach(function (done) {
+
+    core = new EntityCore();
+    core.database.connect('test', {
+      name: 'test',
+      host: '0.0.0.0'
+    }, true);
+
+    fs.mkdirSync(tmpPath);
+
+    var translations = {
+      'test1.fr.json': {
+        'Hello world': 'Foo bar'
+      },
+      'test2.fr.json': {
+        'Hello world': 'Foo bar 2',
+        'Hello :name, welcome back': 'Foo :name, bar'
+      },
+      'test1.jp.json': {
+        'Hello :name, welcome back': 'Goodbye :name'
+      }
+    };
+
+    for (var filename in translations) {
+      fs.writeFileSync(
+        path.join(tmpPath, filename),
+        JSON.stringify(translations[filename])
+      );
+    }
+
+    done();
+
+  });
+
+  afterEach(function (done) {
+
+    var translations = ['test1.fr.json', 'test2.fr.json', 'test1.jp.json'];
+    for (var i = 0, len = translations.length; i < len; i++) {
+      fs.unlinkSync(path.join(tmpPath, translations[i]));
+    }
+
+    fs.rmdirSync(tmpPath);
+
+    core.database.collection('locales', 'test').drop(function () {
+      core.database.collection('locales_revisions', 'test').drop(function () {
+        core.database.disconnect('test');
+        done();
+      });
+    });
+
+  });
+
+  describe('Locale.formatCurrency()', function () {
+
+    it('shouldUseTheLocaleCurrency', function () {
+
+      var locale = new Locale(core);
+
+      test.string(
+        locale.formatCurrency('en', 5)
+      ).is('$5.00');
+
+      locale.currency = 'GBP';
+
+      test.string(
+        locale.formatCurrency('en', 5)
+      ).is('£5.00');
+
+      test.string(
+        locale.formatCurrency('en', 5, 'EUR', {maximumFractionDigits: 0})
+      ).is('€5');
+
+    });
+
+  });
+
+  describe('Locale.formatDate()', function () {
+
+    it('shouldUseTheLocaleTimeZone', function () {
+
+      var locale = new Locale(core),
+          date = new Date(Date.UTC(2015, 8, 1, 23, 30));
+
+      locale.timeZone = 'Asia/Tokyo';
+
+      test.string(
+        locale.formatDate('en', date, 'long')
+      ).is('September 2, 2015');
+
+      test.string(
+        locale.formatDate('en', date, {style: 'long', timeZone: 'UTC'})
+      ).is('September 1, 2015');
+
+      test.string(
+        locale.forLanguage('en-GB').time(date, 'short')
+      ).is('08:30');
+
+    });
+
+  });
+
+});
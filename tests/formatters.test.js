@@ -0,0 +1,298 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+
+
+var test = require('unit.js'),
+    loader = require('nsloader'),
+    formatters = loader('Entity/Locale/formatters');
+
+describe('entity/Locale/formatters', function () {
+
+  'use strict';
+
+  var date = new Date(Date.UTC(2015, 8, 1, 14, 5, 0));
+
+  describe('formatters.number()', function () {
+
+    it('shouldFormatForTheLanguage', function () {
+
+      test.string(
+        formatters.number('en', 1234.5)
+      ).is('1,234.5');
+
+      test.string(
+        formatters.number('de', 1234.5)
+      ).is('1.234,5');
+
+      test.string(
+        formatters.number('en', 1.5, {minimumFractionDigits: 2})
+      ).is('1.50');
+
+    });
+
+    it('shouldFallBackIfTheLanguageIsInvalid', function () {
+
+      test.string(
+        formatters.number('not valid', 1)
+      ).is('1');
+
+    });
+
+    it('shouldReuseTheFormatters', function () {
+
+      var NumberFormat = Intl.NumberFormat,
+          created = 0;
+
+      Intl.NumberFormat = function CountedNumberFormat(language, options) {
+        created++;
+        return new NumberFormat(language, options);
+      };
+
+      try {
+        formatters.number('fr', 1, {minimumFractionDigits: 3});
+        formatters.number('fr', 2, {minimumFractionDigits: 3});
+        formatters.number('fr', 3, {minimumFractionDigits: 4});
+      } finally {
+        Intl.NumberFormat = NumberFormat;
+      }
+
+      test.number(created).is(2);
+
+    });
+
+    it('shouldShareTheFormattersOfTheSameOptions', function () {
+
+      var NumberFormat = Intl.NumberFormat,
+          created = 0;
+
+      Intl.NumberFormat = function CountedNumberFormat(language, options) {
+        created++;
+        return new NumberFormat(language, options);
+      };
+
+      try {
+        formatters.number('it', 1, {
+          minimumFractionDigits: 1,
+          maximumFractionDigits: 5
+        });
+        formatters.number('it', 2, {
+          maximumFractionDigits: 5,
+          minimumFractionDigits: 1
+        });
+      } finally {
+        Intl.NumberFormat = NumberFormat;
+      }
+
+      test.number(created).is(1);
+
+    });
+
+    it('shouldBoundTheCachedFormatters', function () {
+
+      var NumberFormat = Intl.NumberFormat,
+          created = 0,
+          i;
+
+      function options(index) {
+        return {
+          minimumIntegerDigits: index % 21 + 1,
+          maximumSignificantDigits: Math.floor(index / 21) + 1
+        };
+      }
+
+      Intl.NumberFormat = function CountedNumberFormat(language, options) {
+        created++;
+        return new NumberFormat(language, options);
+      };
+
+      try {
+        for (i = 0; i <= 200; i++) {
+          formatters.number('es', i, options(i));
+        }
+
+        formatters.number('es', 1, options(200));
+        test.number(created).is(201);
+
+        formatters.number('es', 1, options(0));
+        test.number(created).is(202);
+      } finally {
+        Intl.NumberFormat = NumberFormat;
+      }
+
+    });
+
+  });
+
+  describe('formatters.percent()', function () {
+
+    it('shouldFormatThePercentage', function () {
+
+      test.string(
+        formatters.percent('en', 0.25)
+      ).is('25%');
+
+    });
+
+  });
+
+  describe('formatters.currency()', function () {
+
+    it('shouldFormatTheCurrency', function () {
+
+      test.string(
+        formatters.currency('en', 1234.5, 'EUR')
+      ).is('€1,234.50');
+
+      test.string(
+        formatters.currency('fr', 1234.5, 'EUR')
+      ).is('1\u202f234,50\u00a0€');
+
+    });
+
+    it('shouldAcceptAMaximumBelowTheDefaultMinimum', function () {
+
+      test.string(
+        formatters.currency('en', 1234.5, 'EUR', {maximumFractionDigits: 0})
+      ).is('€1,235');
+
+      test.string(
+        formatters.currency('en', 1234.5, 'EUR', {maximumFractionDigits: 1})
+      ).is('€1,234.5');
+
+    });
+
+  });
+
+  describe('formatters.date()', function () {
+
+    it('shouldFormatTheDate', function () {
+
+      test.string(
+        formatters.date('en', date, {timeZone: 'UTC'})
+      ).is('Sep 1, 2015');
+
+      test.string(
+        formatters.date('fr', date, {style: 'full', timeZone: 'UTC'})
+      ).is('mardi 1 septembre 2015');
+
+    });
+
+    it('shouldFormatTheTime', function () {
+
+      test.string(
+        formatters.time('en-GB', date, {style: 'short', timeZone: 'UTC'})
+      ).is('14:05');
+
+      test.string(
+        formatters.dateTime('en-GB', date, {style: 'short', timeZone: 'UTC'})
+      ).is('01/09/2015, 14:05');
+
+    });
+
+  });
+
+  describe('formatters.relativeTime()', function () {
+
+    it('shouldFormatTheAmountOfUnits', function () {
+
+      test.string(
+        formatters.relativeTime('en', -3, 'day')
+      ).is('3 days ago');
+
+      test.string(
+        formatters.relativeTime('fr', 2, 'hour')
+      ).is('dans 2 heures');
+
+    });
+
+    it('shouldSelectTheUnitForADate', function () {
+
+      test.string(
+        formatters.relativeTime('en', new Date(date.getTime() - 259200000), {
+          now: date
+        })
+      ).is('3 days ago');
+
+      test.string(
+        formatters.relativeTime('en', new Date(date.getTime() + 120000), {
+          now: date
+        })
+      ).is('in 2 minutes');
+
+    });
+
+  });
+
+  describe('formatters.list()', function () {
+
+    it('shouldFormatTheList', function () {
+
+      test.string(
+        formatters.list('en', ['a', 'b', 'c'])
+      ).is('a, b, and c');
+
+      test.string(
+        formatters.list('de', ['a', 'b'], 'disjunction')
+      ).is('a oder b');
+
+    });
+
+  });
+
+  describe('formatters.argument()', function () {
+
+    it('shouldFormatTheNumberStyles', function () {
+
+      test.string(
+        formatters.argument('en', 'number', null, 1234.5)
+      ).is('1,234.5');
+
+      test.string(
+        formatters.argument('en', 'number', 'integer', 3.7)
+      ).is('4');
+
+      test.string(
+        formatters.argument('en', 'number', 'currency', 3, {currency: 'EUR'})
+      ).is('€3.00');
+
+      test.string(
+        formatters.argument('en', 'number', 'currency/GBP', 3)
+      ).is('£3.00');
+
+    });
+
+    it('shouldFormatTheOtherTypes', function () {
+
+      test.string(
+        formatters.argument('en', 'date', 'long', date, {timeZone: 'UTC'})
+      ).is('September 1, 2015');
+
+      test.string(
+        formatters.argument('en', 'relative', 'week', -1)
+      ).is('1 week ago');
+
+      test.string(
+        formatters.argument('en', 'list', null, ['a', 'b'])
+      ).is('a and b');
+
+      test.string(
+        formatters.argument('en', 'unknown', null, 5)
+      ).is('5');
+
+    });
+
+  });
+
+});
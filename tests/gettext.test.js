@@ -0,0 +1,461 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+
+var fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    test = require('unit.js'),
+    loader = require('nsloader'),
+    gettext = loader('Entity/Locale/gettext');
+
+/**
+ * Catches the next uncaught exception instead of the test runner.
+ *
+ * @param {Function} callback Called with the uncaught exception, after the
+ *   runner listeners are restored.
+ */
+function catchUncaught(callback) {
+  'use strict';
+
+  var listeners = process.listeners('uncaughtException');
+
+  process.removeAllListeners('uncaughtException');
+  process.once('uncaughtException', function (err) {
+    listeners.forEach(function (listener) {
+      process.on('uncaughtException', listener);
+    });
+
+    callback(err);
+  });
+}
+
+/**
+ * Compiles a little endian .mo file from the given originals and
+ * translations.
+ *
+ * @param {Array} originals The original strings.
+ * @param {Array} translations The translation strings.
+ * @return {Buffer} The .mo file contents.
+ */
+function compileMo(originals, translations) {
+  'use strict';
+
+  var count = originals.length,
+      offset = 28 + count * 16,
+      strings = [],
+      buffer = new Buffer(28 + count * 16);
+
+  buffer.fill(0);
+  buffer.writeUInt32LE(0x950412de, 0);
+  buffer.writeUInt32LE(count, 8);
+  buffer.writeUInt32LE(28, 12);
+  buffer.writeUInt32LE(28 + count * 8, 16);
+
+  originals.concat(translations).forEach(function (str, i) {
+    var bytes = new Buffer(str + '\u0000', 'utf8');
+
+    buffer.writeUInt32LE(bytes.length - 1, 28 + i * 8);
+    buffer.writeUInt32LE(offset, 28 + i * 8 + 4);
+    strings.push(bytes);
+    offset += bytes.length;
+  });
+
+  return Buffer.concat([buffer].concat(strings));
+}
+
+describe('entity/Locale/gettext', function () {
+
+  'use strict';
+
+  var po = [
+    'msgid ""',
+    'msgstr ""',
+    '"Language: pl\\n"',
+    '"Plural-Forms: nplurals=3; plural=(n==1 ? 0 : n%10>=2 && n%10<=4 && ' +
+      '(n%100<10 || n%100>=20) ? 1 : 2);\\n"',
+    '',
+    '#. A greeting',
+    '#: src/index.js:10',
+    'msgid "Hello world"',
+    'msgstr "Witaj świecie"',
+    '',
+    'msgctxt "verb"',
+    'msgid "Open"',
+    'msgstr "Otwórz"',
+    '',
+    '#, fuzzy',
+    'msgid "Close"',
+    'msgstr "Zamknij"',
+    '',
+    'msgid "%d file"',
+    'msgid_plural "%d files"',
+    'msgstr[0] "%d plik"',
+    'msgstr[1] "%d pliki"',
+    'msgstr[2] "%d plików"',
+    '',
+    'msgid "Untranslated"',
+    'msgstr ""',
+    '',
+    '#~ msgid "Removed"',
+    '#~ msgstr "Usunięty"'
+  ].join('\n');
+
+  describe('gettext.parsePo()', function () {
+
+    it('shouldParseTheHeaders', function () {
+
+      test.object(
+        gettext.parsePo(po).headers
+      ).hasKey('Language', 'pl');
+
+    });
+
+    it('shouldParseTheEntries', function () {
+
+      var entries = gettext.parsePo(po).entries;
+
+      test.array(
+        entries
+      ).hasLength(6);
+
+      test.object(entries[0])
+        .hasKey('msgctxt', null)
+        .hasKey('msgid', 'Hello world');
+
+      test.array(
+        entries[0].msgstr
+      ).is(['Witaj świecie']);
+
+      test.array(
+        entries[0].comments
+      ).is(['A greeting']);
+
+      test.array(
+        entries[0].references
+      ).is(['src/index.js:10']);
+
+      test.object(entries[1])
+        .hasKey('msgctxt', 'verb')
+        .hasKey('msgid', 'Open');
+
+      test.array(
+        entries[2].flags
+      ).is(['fuzzy']);
+
+      test.object(entries[3])
+        .hasKey('msgidPlural', '%d files');
+
+      test.array(
+        entries[3].msgstr
+      ).is(['%d plik', '%d pliki', '%d plików']);
+
+      test.object(entries[5])
+        .hasKey('msgid', 'Removed')
+        .hasKey('obsolete', true);
+
+    });
+
+    it('shouldParseMultilineStrings', function () {
+
+      var entries = gettext.parsePo(
+        'msgid ""\n"Line one\\n"\n"Line \\"two\\""\nmsgstr "Translated"'
+      ).entries;
+
+      test.string(
+        entries[0].msgid
+      ).is('Line one\nLine "two"');
+
+    });
+
+  });
+
+  describe('gettext.parseMo()', function () {
+
+    it('shouldThrowAnErrorIfTheFileIsInvalid', function () {
+
+      test.error(function () {
+        gettext.parseMo(new Buffer('not a mo file'));
+      }).isInstanceOf(Error);
+
+    });
+
+    it('shouldParseTheEntries', function () {
+
+      var catalog = gettext.parseMo(compileMo(
+        ['', 'verb\u0004Open', '%d file\u0000%d files'],
+        ['Language: fr\n', 'Ouvrir', '%d fichier\u0000%d fichiers']
+      ));
+
+      test.object(
+        catalog.headers
+      ).is({Language: 'fr'});
+
+      test.object(catalog.entries[0])
+        .hasKey('msgctxt', 'verb')
+        .hasKey('msgid', 'Open');
+
+      test.array(
+        catalog.entries[0].msgstr
+      ).is(['Ouvrir']);
+
+      test.object(catalog.entries[1])
+        .hasKey('msgid', '%d file')
+        .hasKey('msgidPlural', '%d files');
+
+      test.array(
+        catalog.entries[1].msgstr
+      ).is(['%d fichier', '%d fichiers']);
+
+    });
+
+  });
+
+  describe('gettext.toTranslations()', function () {
+
+    it('shouldConvertTheEntries', function () {
+
+      test.object(
+        gettext.toTranslations(gettext.parsePo(po), 'pl')
+      ).is({
+        'Hello world': 'Witaj świecie',
+        'verb\u0004Open': 'Otwórz',
+        '{count, plural, one {# file} other {# files}}':
+          '{count, plural, one {# plik} few {# pliki} many {# plików} ' +
+          'other {# plików}}'
+      });
+
+    });
+
+    it('shouldEvaluateThePluralExpression', function () {
+
+      var catalog = gettext.parsePo([
+        'msgid ""',
+        'msgstr ""',
+        '"Plural-Forms: nplurals=2; ' +
+          'plural=!(n % 10 == 1 && n % 100 != 11) ? 1 : 0;\\n"',
+        '',
+        'msgid "%d day"',
+        'msgid_plural "%d days"',
+        'msgstr[0] "one"',
+        'msgstr[1] "other"'
+      ].join('\n'));
+
+      test.object(
+        gettext.toTranslations(catalog, 'en')
+      ).is({
+        '{count, plural, one {# day} other {# days}}':
+          '{count, plural, one {one} other {other}}'
+      });
+
+    });
+
+    it('shouldRejectInvalidPluralExpressions', function () {
+
+      [
+        'nplurals=2; plural=this.constructor.constructor("return process")()',
+        'nplurals=2; plural=require("child_process")',
+        'nplurals=2; plural=(n=1)',
+        'nplurals=2; plural=(n > 1',
+        'nplurals=2; plural=n 1'
+      ].forEach(function (header) {
+
+        test.error(function () {
+          gettext.toTranslations({
+            headers: {'Plural-Forms': header},
+            entries: []
+          }, 'en');
+        }).isInstanceOf(Error).hasMessage(/^Invalid Plural-Forms/);
+
+      });
+
+    });
+
+  });
+
+  describe('gettext.fromTranslations()', function () {
+
+    it('shouldConvertThePluralMessagesBack', function () {
+
+      var catalog = gettext.parsePo(po),
+          entries = gettext.fromTranslations(
+            gettext.toTranslations(catalog, 'pl'), 'pl'
+          );
+
+      test.object(entries[0]).is({
+        msgid: 'Hello world',
+        msgstr: ['Witaj świecie'],
+        msgctxt: null
+      });
+
+      test.object(entries[2]).is({
+        msgid: '%d file',
+        msgidPlural: '%d files',
+        msgstr: ['%d plik', '%d pliki', '%d plików'],
+        msgctxt: null
+      });
+
+      test.object(
+        gettext.toTranslations(gettext.parsePo(gettext.compilePo({
+          'Plural-Forms': gettext.pluralForms('pl')
+        }, entries)), 'pl')
+      ).is(gettext.toTranslations(catalog, 'pl'));
+
+    });
+
+    it('shouldKeepTheOtherMessages', function () {
+
+      var translations = {
+            '{n, plural, one {# file} other {# files}}':
+              '{n, plural, one {# plik} other {# plików}}',
+            '{count, plural, one {# file} other {# {type} files}}':
+              '{count, plural, one {# plik} other {# plików}}',
+            '{count, plural, one {# file} other {# files}}':
+              '{count, plural, one {# plik} other {{count} plików}}'
+          };
+
+      gettext.fromTranslations(translations, 'pl').forEach(function (entry) {
+
+        test.value(entry.msgidPlural).isUndefined();
+        test.string(entry.msgstr[0]).is(translations[entry.msgid]);
+
+      });
+
+      test.value(
+        gettext.fromTranslations({
+          '{count, plural, one {# file} other {# files}}':
+            '{count, plural, one {# x} other {# xs}}'
+        }, 'xx')[0].msgidPlural
+      ).isUndefined();
+
+    });
+
+  });
+
+  describe('gettext.pluralForms()', function () {
+
+    it('shouldReturnTheHeaderOfTheLanguage', function () {
+
+      test.string(
+        gettext.pluralForms('pt-BR')
+      ).is('nplurals=2; plural=(n > 1);');
+
+      test.string(
+        gettext.pluralForms('pt-PT')
+      ).is('nplurals=2; plural=(n != 1);');
+
+      test.value(
+        gettext.pluralForms('xx')
+      ).isNull();
+
+    });
+
+  });
+
+  describe('gettext.fuzzy()', function () {
+
+    it('shouldReturnTheFuzzyKeys', function () {
+
+      test.array(
+        gettext.fuzzy(gettext.parsePo(po), 'pl')
+      ).is(['Close']);
+
+    });
+
+  });
+
+  describe('gettext.compilePo()', function () {
+
+    it('shouldCompileTheEntries', function () {
+
+      test.string(
+        gettext.compilePo({Language: 'fr'}, [{
+          msgctxt: 'verb',
+          msgid: 'Open',
+          msgstr: ['Ouvrir']
+        }, {
+          msgid: 'Say "hi"\nto all',
+          msgstr: ['']
+        }])
+      ).is([
+        'msgid ""',
+        'msgstr "Language: fr\\n"',
+        '',
+        'msgctxt "verb"',
+        'msgid "Open"',
+        'msgstr "Ouvrir"',
+        '',
+        'msgid ""',
+        '"Say \\"hi\\"\\n"',
+        '"to all"',
+        'msgstr ""',
+        ''
+      ].join('\n'));
+
+    });
+
+    it('shouldBeParsable', function () {
+
+      var catalog = gettext.parsePo(gettext.compilePo({Language: 'fr'}, [{
+        msgid: 'Hello world',
+        msgstr: ['Bonjour le monde']
+      }]));
+
+      test.object(
+        catalog.headers
+      ).is({Language: 'fr'});
+
+      test.object(catalog.entries[0])
+        .hasKey('msgid', 'Hello world');
+
+      test.array(
+        catalog.entries[0].msgstr
+      ).is(['Bonjour le monde']);
+
+    });
+
+  });
+
+  describe('gettext.readPo()', function () {
+
+    it('shouldNotCallTheCallbackAgainIfItThrows', function (done) {
+
+      var filename = path.join(
+            os.tmpdir(), 'entity-tests--gettext--' + process.pid + '.fr.po'
+          ),
+          calls = 0;
+
+      fs.writeFileSync(filename, gettext.compilePo({Language: 'fr'}, []));
+
+      catchUncaught(function (err) {
+
+        fs.unlinkSync(filename);
+
+        test.string(err.message).is('boom');
+        test.number(calls).is(1);
+
+        done();
+
+      });
+
+      gettext.readPo(filename, null, function () {
+        calls++;
+        throw new Error('boom');
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,138 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+
+var test = require('unit.js'),
+    loader = require('nsloader'),
+    languageTag = loader('Entity/Locale/languageTag');
+
+describe('entity/Locale/languageTag', function () {
+
+  'use strict';
+
+  describe('languageTag.parse()', function () {
+
+    it('shouldReturnNullIfTheTagIsInvalid', function () {
+
+      test.value(
+        languageTag.parse('not a tag')
+      ).isNull();
+
+      test.value(
+        languageTag.parse('en-')
+      ).isNull();
+
+    });
+
+    it('shouldReturnTheSubtags', function () {
+
+      test.object(
+        languageTag.parse('zh-hant-tw')
+      ).is({
+        language: 'zh',
+        script: 'Hant',
+        region: 'TW',
+        variants: [],
+        extensions: null,
+        privateuse: null
+      });
+
+      test.object(
+        languageTag.parse('de-CH-1996-x-test')
+      ).is({
+        language: 'de',
+        script: null,
+        region: 'CH',
+        variants: ['1996'],
+        extensions: null,
+        privateuse: 'x-test'
+      });
+
+    });
+
+  });
+
+  describe('languageTag.normalize()', function () {
+
+    it('shouldNormalizeTheCasing', function () {
+
+      test.string(
+        languageTag.normalize('PT_br')
+      ).is('pt-BR');
+
+      test.string(
+        languageTag.normalize('sr-latn')
+      ).is('sr-Latn');
+
+      test.string(
+        languageTag.normalize('es-419')
+      ).is('es-419');
+
+    });
+
+    it('shouldReturnInvalidTagsUnchanged', function () {
+
+      test.string(
+        languageTag.normalize('Not_A Tag')
+      ).is('Not_A Tag');
+
+    });
+
+  });
+
+  describe('languageTag.fromFilename()', function () {
+
+    it('shouldReturnTheLanguageOfTheFilename', function () {
+
+      test.string(
+        languageTag.fromFilename('/home/me/app.v2/locales/test.pt-br.json')
+      ).is('pt-BR');
+
+      test.string(
+        languageTag.fromFilename('users.v2.zh-Hant-TW.json')
+      ).is('zh-Hant-TW');
+
+    });
+
+    it('shouldReturnNullIfThereIsNoLanguage', function () {
+
+      test.value(
+        languageTag.fromFilename('/home/me/app.fr/locales/test.json')
+      ).isNull();
+
+      test.value(
+        languageTag.fromFilename('test.toolongsubtag.json')
+      ).isNull();
+
+    });
+
+    it('shouldOnlyAcceptLongPrimarySubtagsIfRegistered', function () {
+
+      test.value(
+        languageTag.fromFilename('foo.config.json')
+      ).isNull();
+
+      test.value(
+        languageTag.fromFilename('x.backup.json')
+      ).isNull();
+
+      test.string(
+        languageTag.fromFilename('x.backup.json', ['backup'])
+      ).is('backup');
+
+    });
+
+  });
+
+});
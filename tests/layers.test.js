@@ -0,0 +1,319 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+require('entity-core');
+
+var fs = require('fs'),
+    path = require('path'),
+    async = require('async'),
+    test = require('unit.js'),
+    loader = require('nsloader'),
+    EntityCore = loader('Entity'),
+    Locale = loader('Entity/Locale');
+
+var core;
+
+describe('entity/Locale', function () {
+
+  'use strict';
+
+  var tmpPath = path.join(
+        __dirname, 'entity-tests--layers--' + process.pid
+      );
+
+  beforeEach(function (done) {
+
+    core = new EntityCore();
+    core.database.connect('test', {
+      name: 'test',
+      host: '0.0.0.0'
+    }, true);
+
+    fs.mkdirSync(tmpPath);
+
+    var translations = {
+      'test1.fr.json': {
+        'Hello world': 'Foo bar'
+      },
+      'test2.fr.json': {
+        'Hello world': 'Foo bar 2',
+        'Hello :name, welcome back': 'Foo :name, bar'
+      },
+      'test1.jp.json': {
+        'Hello :name, welcome back': 'Goodbye :name'
+      }
+    };
+
+    for (var filename in translations) {
+      fs.writeFileSync(
+        path.join(tmpPath, filename),
+        JSON.stringify(translations[filename])
+      );
+    }
+
+    done();
+
+  });
+
+  afterEach(function (done) {
+
+    var translations = ['test1.fr.json', 'test2.fr.json', 'test1.jp.json'];
+    for (var i = 0, len = translations.length; i < len; i++) {
+      fs.unlinkSync(path.join(tmpPath, translations[i]));
+    }
+
+    fs.rmdirSync(tmpPath);
+
+    core.database.collection('locales', 'test').drop(function () {
+      core.database.collection('locales_revisions', 'test').drop(function () {
+        core.database.disconnect('test');
+        done();
+      });
+    });
+
+  });
+
+  describe('Locale layers', function () {
+
+    it('shouldResolveTranslationsByLayerPriority', function (done) {
+
+      var locale = new Locale(core),
+          queue = [];
+
+      queue.push(function (next) {
+
+        locale.addFromFile(path.join(tmpPath, 'test2.fr.json'), {
+          layer: 'defaults'
+        }, next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.addFromFile(path.join(tmpPath, 'test1.fr.json'), next);
+
+      });
+
+      queue.push(function (next) {
+
+        test.string(
+          locale.t('fr', 'Hello world')
+        ).is('Foo bar');
+
+        test.object(
+          locale.source('fr-CA', 'Hello world')
+        ).is({
+          language: 'fr',
+          namespace: null,
+          layer: 'app',
+          file: path.join(tmpPath, 'test1.fr.json'),
+          translation: 'Foo bar'
+        });
+
+        test.object(
+          locale.source('fr', 'Hello :name, welcome back')
+        ).hasKey('layer', 'defaults');
+
+        test.value(
+          locale.source('fr', 'Unknown')
+        ).isNull();
+
+        locale.translate('fr', 'Hello world', 'Bonjour', next);
+
+      });
+
+      queue.push(function (next) {
+
+        test.object(
+          locale.source('fr', 'Hello world')
+        ).hasKey('layer', 'database').hasKey('file', null);
+
+        test.object(
+          locale.override('fr', 'Hello world', 'Salut')
+        ).is(locale);
+
+        test.string(
+          locale.t('fr', 'Hello world')
+        ).is('Salut');
+
+        test.object(
+          locale.source('fr', 'Hello world')
+        ).hasKey('layer', 'runtime');
+
+        locale.removeOverride('fr', 'Hello world');
+
+        test.string(
+          locale.t('fr', 'Hello world')
+        ).is('Bonjour');
+
+        locale.addFromFile(path.join(tmpPath, 'test1.jp.json'), {
+          layer: 'database'
+        }, function (err) {
+
+          test.object(err).isInstanceOf(Error);
+          test.string(err.message).is('Unknown file layer "database"');
+          next();
+
+        });
+
+      });
+
+      async.series(queue, done);
+
+    });
+
+    it('shouldChangeTheLayerPriority', function (done) {
+
+      var locale = new Locale(core),
+          queue = [];
+
+      queue.push(function (next) {
+
+        locale.addFromDir(tmpPath, next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.translate('fr', 'Hello world', 'Bonjour', next);
+
+      });
+
+      queue.push(function (next) {
+
+        test.object(
+          locale.setLayers(['defaults', 'module', 'database', 'app', 'runtime'])
+        ).is(locale);
+
+        test.string(
+          locale.t('fr', 'Hello world')
+        ).is('Foo bar');
+
+        test.array(
+          locale.layers
+        ).is(['defaults', 'module', 'database', 'app', 'runtime']);
+
+        test.error(function () {
+          locale.setLayers(['app']);
+        }).hasMessage('Missing the "defaults" layer');
+
+        next();
+
+      });
+
+      async.series(queue, done);
+
+    });
+
+    it('shouldApplyTheStoredLayersToNamespacedStrings', function (done) {
+
+      var locale = new Locale(core),
+          filename = path.join(tmpPath, 'users.fr.json'),
+          queue = [];
+
+      fs.writeFileSync(filename, JSON.stringify({'Hello': 'Bonjour'}));
+
+      queue.push(function (next) {
+
+        locale.addFromFile(filename, {namespace: true}, function (err) {
+
+          fs.unlinkSync(filename);
+          next(err);
+
+        });
+
+      });
+
+      queue.push(function (next) {
+
+        locale.translate('fr', 'users:Hello', 'Salut (db)', next);
+
+      });
+
+      queue.push(function (next) {
+
+        test.string(
+          locale.t('fr', 'users:Hello')
+        ).is('Salut (db)');
+
+        test.string(
+          locale.t('fr', 'Hello')
+        ).is('Hello');
+
+        test.object(
+          locale.source('fr', 'users:Hello')
+        ).hasKey('layer', 'database');
+
+        locale.override('fr', 'Hello', 'Runtime', {namespace: 'users'});
+
+        test.string(
+          locale.t('fr', 'users:Hello')
+        ).is('Runtime');
+
+        test.object(
+          locale.source('fr', 'users:Hello')
+        ).hasKey('layer', 'runtime');
+
+        locale.removeOverride('fr', 'users:Hello');
+
+        var other = new Locale(core);
+
+        other.initialize(null, function (err) {
+
+          test.string(
+            other.t('fr', 'Hello', null, {namespace: 'users'})
+          ).is('Salut (db)');
+
+          next(err);
+
+        });
+
+      });
+
+      queue.push(function (next) {
+
+        locale.history('fr', 'users:Hello', function (err, revisions) {
+
+          test.array(revisions).hasLength(1);
+          test.object(revisions[0]).hasKey('translation', 'Salut (db)');
+
+          next(err);
+
+        });
+
+      });
+
+      queue.push(function (next) {
+
+        locale.untranslate('fr', 'users:Hello', next);
+
+      });
+
+      queue.push(function (next) {
+
+        test.string(
+          locale.t('fr', 'users:Hello')
+        ).is('Bonjour');
+
+        next();
+
+      });
+
+      async.series(queue, done);
+
+    });
+
+  });
+
+});
@@ -0,0 +1,271 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+require('entity-core');
+
+var fs = require('fs'),
+    path = require('path'),
+    async = require('async'),
+    test = require('unit.js'),
+    loader = require('nsloader'),
+    EntityCore = loader('Entity'),
+    Locale = loader('Entity/Locale');
+
+var core;
+
+describe('entity/Locale', function () {
+
+  'use strict';
+
+  var tmpPath = path.join(
+        __dirname, 'entity-tests--lazy--' + process.pid
+      );
+
+  beforeEach(function (done) {
+
+    core = new EntityCore();
+    core.database.connect('test', {
+      name: 'test',
+      host: '0.0.0.0'
+    }, true);
+
+    fs.mkdirSync(tmpPath);
+
+    var translations = {
+      'test1.fr.json': {
+        'Hello world': 'Foo bar'
+      },
+      'test2.fr.json': {
+        'Hello world': 'Foo bar 2',
+        'Hello :name, welcome back': 'Foo :name, bar'
+      },
+      'test1.jp.json': {
+        'Hello :name, welcome back': 'Goodbye :name'
+      }
+    };
+
+    for (var filename in translations) {
+      fs.writeFileSync(
+        path.join(tmpPath, filename),
+        JSON.stringify(translations[filename])
+      );
+    }
+
+    done();
+
+  });
+
+  afterEach(function (done) {
+
+    var translations = ['test1.fr.json', 'test2.fr.json', 'test1.jp.json'];
+    for (var i = 0, len = translations.length; i < len; i++) {
+      fs.unlinkSync(path.join(tmpPath, translations[i]));
+    }
+
+    fs.rmdirSync(tmpPath);
+
+    core.database.collection('locales', 'test').drop(function () {
+      core.database.collection('locales_revisions', 'test').drop(function () {
+        core.database.disconnect('test');
+        done();
+      });
+    });
+
+  });
+
+  describe('Locale lazy loading', function () {
+
+    it('shouldLoadLanguagesOnFirstUse', function (done) {
+
+      var locale = new Locale(core),
+          queue = [];
+
+      locale.lazy = true;
+
+      queue.push(function (next) {
+
+        new Locale(core).translate('jp', 'Open', 'Hiraku', next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.initialize(tmpPath, next);
+
+      });
+
+      queue.push(function (next) {
+
+        test.array(locale.languages.sort()).is(['fr', 'jp']);
+        test.object(locale._files).is({});
+
+        test.string(
+          locale.t('jp', 'Open')
+        ).is('Open');
+
+        locale.once('load', function (language) {
+
+          test.string(language).is('jp');
+          test.string(
+            locale.t('jp', 'Open')
+          ).is('Hiraku');
+
+          next();
+
+        });
+
+      });
+
+      queue.push(function (next) {
+
+        locale.load('fr-CA', next);
+
+      });
+
+      queue.push(function (next) {
+
+        test.string(
+          locale.t('fr-CA', 'Hello world')
+        ).is('Foo bar');
+
+        next();
+
+      });
+
+      async.series(queue, done);
+
+    });
+
+    it('shouldUnloadTheLeastRecentlyUsedLanguage', function () {
+
+      var locale = new Locale(core),
+          unloaded = [];
+
+      locale.lazy = true;
+      locale.maxLanguages = 1;
+      locale.on('unload', function (language) {
+        unloaded.push(language);
+      });
+
+      return locale.addFromDir(tmpPath).then(function () {
+
+        return locale.load('fr');
+
+      }).then(function () {
+
+        return locale.load('jp');
+
+      }).then(function () {
+
+        test.array(unloaded).is(['fr']);
+        test.array(locale._lazy.resident).is(['jp']);
+        test.array(locale.languages.sort()).is(['fr', 'jp']);
+
+        test.value(
+          locale._locales.fr
+        ).isUndefined();
+
+        test.string(
+          locale.t('jp', 'Hello :name, welcome back', {name: 'Bob'})
+        ).is('Goodbye Bob');
+
+      });
+
+    });
+
+    it('shouldOnlyLoadKnownLanguagesOnFirstUse', function () {
+
+      var locale = new Locale(core);
+
+      locale.lazy = true;
+      locale.maxLanguages = 1;
+
+      return locale.initialize(tmpPath).then(function () {
+
+        return locale.load('fr');
+
+      }).then(function () {
+
+        test.string(
+          locale.t('xx-junk', 'Hello world')
+        ).is('Hello world');
+
+        test.object(locale._lazy.loading).is({});
+        test.array(locale._lazy.resident).is(['fr']);
+
+      });
+
+    });
+
+    it('shouldIgnoreStoredTranslationsUntilTheLanguageIsLoaded', function () {
+
+      var locale = new Locale(core);
+
+      locale.lazy = true;
+
+      return new Locale(core).translate('fr', 'Open', 'Ouvrir').then(
+        function () {
+
+          return locale.initialize(tmpPath);
+
+        }
+      ).then(function () {
+
+        test.string(
+          locale.t('fr', 'Open')
+        ).is('Open');
+
+        return locale.load('fr');
+
+      }).then(function () {
+
+        test.string(
+          locale.t('fr', 'Open')
+        ).is('Ouvrir');
+
+      });
+
+    });
+
+    it('shouldTreatUnloadedLanguagesAsEmpty', function () {
+
+      var locale = new Locale(core);
+
+      locale.lazy = true;
+
+      return locale.initialize(tmpPath).then(function () {
+
+        test.array(locale.languages.sort()).is(['fr', 'jp']);
+
+        test.object(
+          locale.coverage(['Hello world']).fr
+        ).hasKey('missing', 1);
+
+        test.array(
+          locale.validate()
+        ).is([]);
+
+        return locale.exportXliff('fr');
+
+      }).then(function (content) {
+
+        test.string(content).contains('target-language="fr"');
+
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,121 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+
+var test = require('unit.js'),
+    loader = require('nsloader'),
+    messageKey = loader('Entity/Locale/messageKey');
+
+describe('entity/Locale/messageKey', function () {
+
+  'use strict';
+
+  describe('messageKey.create()', function () {
+
+    it('shouldReturnTheStringWithoutAContext', function () {
+
+      test.string(
+        messageKey.create('Open')
+      ).is('Open');
+
+    });
+
+    it('shouldPrefixTheContext', function () {
+
+      test.string(
+        messageKey.create('Open', 'verb')
+      ).is('verb\u0004Open');
+
+    });
+
+  });
+
+  describe('messageKey.parse()', function () {
+
+    it('shouldSplitTheKey', function () {
+
+      test.object(
+        messageKey.parse('verb\u0004Open')
+      ).is({msg: 'Open', context: 'verb'});
+
+      test.object(
+        messageKey.parse('Open')
+      ).is({msg: 'Open', context: null});
+
+    });
+
+  });
+
+  describe('messageKey.flatten()', function () {
+
+    it('shouldFlattenContextTranslations', function () {
+
+      test.object(
+        messageKey.flatten({
+          'Hello world': 'Bonjour le monde',
+          'Open': {
+            '': 'Ouvert',
+            'verb': 'Ouvrir'
+          }
+        })
+      ).is({
+        'Hello world': 'Bonjour le monde',
+        'Open': 'Ouvert',
+        'verb\u0004Open': 'Ouvrir'
+      });
+
+    });
+
+    it('shouldSkipTheMetadataKeys', function () {
+
+      test.object(
+        messageKey.flatten({
+          'Hello world': 'Bonjour le monde',
+          '@metadata': {'Hello world': {references: []}},
+          '@obsolete': {'Goodbye': 'Au revoir'}
+        })
+      ).is({
+        'Hello world': 'Bonjour le monde'
+      });
+
+    });
+
+  });
+
+  describe('messageKey.unflatten()', function () {
+
+    it('shouldNestContextTranslations', function () {
+
+      var nested = messageKey.unflatten({
+        'verb\u0004Open': 'Ouvrir',
+        'Save': 'Sauver',
+        'Open': 'Ouvert',
+        'menu\u0004File': 'Fichier'
+      });
+
+      test.object(nested).is({
+        'File': {'menu': 'Fichier'},
+        'Open': {'': 'Ouvert', 'verb': 'Ouvrir'},
+        'Save': 'Sauver'
+      });
+
+      test.array(
+        Object.keys(nested)
+      ).is(['File', 'Open', 'Save']);
+
+    });
+
+  });
+
+});
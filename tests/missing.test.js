@@ -0,0 +1,278 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+require('entity-core');
+
+var fs = require('fs'),
+    path = require('path'),
+    async = require('async'),
+    test = require('unit.js'),
+    loader = require('nsloader'),
+    EntityCore = loader('Entity'),
+    Locale = loader('Entity/Locale');
+
+var core;
+
+describe('entity/Locale', function () {
+
+  'use strict';
+
+  var tmpPath = path.join(
+        __dirname, 'entity-tests--missing--' + process.pid
+      );
+
+  beforeEach(function (done) {
+
+    core = new EntityCore();
+    core.database.connect('test', {
+      name: 'test',
+      host: '0.0.0.0'
+    }, true);
+
+    fs.mkdirSync(tmpPath);
+
+    var translations = {
+      'test1.fr.json': {
+        'Hello world': 'Foo bar'
+      },
+      'test2.fr.json': {
+        'Hello world': 'Foo bar 2',
+        'Hello :name, welcome back': 'Foo :name, bar'
+      },
+      'test1.jp.json': {
+        'Hello :name, welcome back': 'Goodbye :name'
+      }
+    };
+
+    for (var filename in translations) {
+      fs.writeFileSync(
+        path.join(tmpPath, filename),
+        JSON.stringify(translations[filename])
+      );
+    }
+
+    done();
+
+  });
+
+  afterEach(function (done) {
+
+    var translations = ['test1.fr.json', 'test2.fr.json', 'test1.jp.json'];
+    for (var i = 0, len = translations.length; i < len; i++) {
+      fs.unlinkSync(path.join(tmpPath, translations[i]));
+    }
+
+    fs.rmdirSync(tmpPath);
+
+    core.database.collection('locales', 'test').drop(function () {
+      core.database.collection('locales_revisions', 'test').drop(function () {
+        core.database.disconnect('test');
+        done();
+      });
+    });
+
+  });
+
+  describe('Locale.missing()', function () {
+
+    it('shouldRecordMissingTranslations', function (done) {
+
+      var locale = new Locale(core),
+          events = [];
+
+      locale.on('missing', function (record) {
+        events.push(record.language + ':' + record.msg);
+      });
+
+      locale.addFromDir(tmpPath, function (err) {
+
+        test.value(
+          err
+        ).isNull();
+
+        locale.t('fr', 'Hello world');
+        locale.t('fr-CA', 'Hello world');
+        locale.t('fr', 'Goodbye');
+        locale.t('fr', 'Goodbye');
+        locale.t('fr', 'Open', null, 'verb');
+        locale.t('en-GB', 'Goodbye');
+
+        test.array(
+          events
+        ).is(['fr:Goodbye', 'fr:Goodbye', 'fr:Open']);
+
+        test.array(
+          locale.missing('fr').map(function (record) {
+            return [record.msg, record.context, record.count];
+          })
+        ).is([['Goodbye', null, 2], ['Open', 'verb', 1]]);
+
+        test.array(
+          locale.missing('en-GB')
+        ).is([]);
+
+        done();
+
+      });
+
+    });
+
+    it('shouldRecordTranslationsFromTheDefaultLanguage', function (done) {
+
+      var locale = new Locale(core);
+
+      locale.defaultLanguage = 'fr';
+      locale.addFromDir(tmpPath, function (err) {
+
+        test.value(
+          err
+        ).isNull();
+
+        test.string(
+          locale.t('de', 'Hello world')
+        ).is('Foo bar');
+
+        test.array(
+          locale.missing('de')
+        ).hasLength(1);
+
+        done();
+
+      });
+
+    });
+
+    it('shouldRemoveTranslatedStrings', function (done) {
+
+      var locale = new Locale(core);
+
+      locale.t('fr', 'Goodbye');
+      locale.t('fr', 'Hello world');
+
+      locale.translate('fr', 'Goodbye', 'Au revoir', function (err) {
+
+        test.value(
+          err
+        ).isNull();
+
+        test.array(
+          locale.missing('fr').map(function (record) {
+            return record.msg;
+          })
+        ).is(['Hello world']);
+
+        locale.clearMissing();
+
+        test.array(
+          locale.missing('fr')
+        ).is([]);
+
+        done();
+
+      });
+
+    });
+
+    it('shouldNotRecordIfTrackingIsDisabled', function () {
+
+      var locale = new Locale(core);
+
+      locale.trackMissing = false;
+      locale.t('fr', 'Goodbye');
+
+      test.array(
+        locale.missing('fr')
+      ).is([]);
+
+    });
+
+  });
+
+  describe('Locale.saveMissing()', function () {
+
+    it('shouldThrowAnErrorIfNoCollectionIsDefined', function (done) {
+
+      var locale = new Locale(core);
+
+      locale.saveMissing(function (err) {
+
+        test.object(
+          err
+        ).isInstanceOf(Error);
+
+        done();
+
+      });
+
+    });
+
+    it('shouldSaveTheMissingTranslations', function (done) {
+
+      var locale = new Locale(core),
+          collection = core.database.collection('locales_missing'),
+          queue = [];
+
+      locale.missingCollection = 'locales_missing';
+
+      queue.push(function (next) {
+
+        locale.t('fr', 'Goodbye');
+        locale.t('fr', 'Goodbye');
+        locale.saveMissing(next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.t('fr', 'Goodbye');
+        locale.saveMissing(next);
+
+      });
+
+      queue.push(function (next) {
+
+        collection.find({}, function (err, docs) {
+
+          if (err) {
+            return next(err);
+          }
+
+          test.array(
+            docs
+          ).hasLength(1);
+
+          test.object(docs[0])
+            .hasKey('language', 'fr')
+            .hasKey('msg', 'Goodbye')
+            .hasKey('count', 3);
+
+          next();
+
+        });
+
+      });
+
+      async.series(queue, function (err) {
+
+        collection.drop(function () {
+          done(err);
+        });
+
+      });
+
+    });
+
+  });
+
+});
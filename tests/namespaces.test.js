@@ -0,0 +1,267 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+require('entity-core');
+
+var fs = require('fs'),
+    path = require('path'),
+    async = require('async'),
+    test = require('unit.js'),
+    loader = require('nsloader'),
+    EntityCore = loader('Entity'),
+    Locale = loader('Entity/Locale');
+
+var core;
+
+describe('entity/Locale', function () {
+
+  'use strict';
+
+  var tmpPath = path.join(
+        __dirname, 'entity-tests--namespaces--' + process.pid
+      );
+
+  beforeEach(function (done) {
+
+    core = new EntityCore();
+    core.database.connect('test', {
+      name: 'test',
+      host: '0.0.0.0'
+    }, true);
+
+    fs.mkdirSync(tmpPath);
+
+    var translations = {
+      'test1.fr.json': {
+        'Hello world': 'Foo bar'
+      },
+      'test2.fr.json': {
+        'Hello world': 'Foo bar 2',
+        'Hello :name, welcome back': 'Foo :name, bar'
+      },
+      'test1.jp.json': {
+        'Hello :name, welcome back': 'Goodbye :name'
+      }
+    };
+
+    for (var filename in translations) {
+      fs.writeFileSync(
+        path.join(tmpPath, filename),
+        JSON.stringify(translations[filename])
+      );
+    }
+
+    done();
+
+  });
+
+  afterEach(function (done) {
+
+    var translations = ['test1.fr.json', 'test2.fr.json', 'test1.jp.json'];
+    for (var i = 0, len = translations.length; i < len; i++) {
+      fs.unlinkSync(path.join(tmpPath, translations[i]));
+    }
+
+    fs.rmdirSync(tmpPath);
+
+    core.database.collection('locales', 'test').drop(function () {
+      core.database.collection('locales_revisions', 'test').drop(function () {
+        core.database.disconnect('test');
+        done();
+      });
+    });
+
+  });
+
+  describe('Locale namespaces', function () {
+
+    it('shouldKeepNamespacedTranslationsSeparate', function (done) {
+
+      var locale = new Locale(core),
+          queue = [];
+
+      queue.push(function (next) {
+
+        locale.addFromFile(path.join(tmpPath, 'test1.fr.json'), {
+          namespace: 'users'
+        }, next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.addFromFile(path.join(tmpPath, 'test2.fr.json'), {
+          namespace: 'blog'
+        }, next);
+
+      });
+
+      queue.push(function (next) {
+
+        test.array(locale.namespaces).is(['users', 'blog']);
+        test.array(locale.languages).is(['fr']);
+
+        test.string(
+          locale.t('fr', 'users:Hello world')
+        ).is('Foo bar');
+
+        test.string(
+          locale.t('fr-CA', 'blog:Hello world')
+        ).is('Foo bar 2');
+
+        test.string(
+          locale.t('fr', 'Hello world', {}, {namespace: 'blog'})
+        ).is('Foo bar 2');
+
+        test.string(
+          locale.t('fr', 'Hello world')
+        ).is('Hello world');
+
+        test.string(
+          locale.t('fr', 'other:Hello world')
+        ).is('other:Hello world');
+
+        test.object(
+          locale.namespace('users', 'fr-CA')
+        ).is({'Hello world': 'Foo bar'});
+
+        next();
+
+      });
+
+      async.series(queue, done);
+
+    });
+
+    it('shouldDeriveTheNamespaceFromTheFilename', function (done) {
+
+      var locale = new Locale(core),
+          queue = [];
+
+      queue.push(function (next) {
+
+        locale.addFromDir(tmpPath, {namespace: true}, next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.translate('fr', 'Open', 'Ouvrir', next);
+
+      });
+
+      queue.push(function (next) {
+
+        test.array(
+          locale.namespaces.sort()
+        ).is(['test1', 'test2']);
+
+        test.string(
+          locale.t('jp', 'test1:Hello :name, welcome back', {name: 'John'})
+        ).is('Goodbye John');
+
+        test.string(
+          locale.t('fr', 'test1:Open')
+        ).is('Ouvrir');
+
+        test.string(
+          locale.forLanguage('fr').t('test2:Hello world')
+        ).is('Foo bar 2');
+
+        next();
+
+      });
+
+      async.series(queue, done);
+
+    });
+
+    it('shouldRemoveTheNamespace', function (done) {
+
+      var locale = new Locale(core);
+
+      locale.addFromDir(tmpPath, {namespace: true}, function (err) {
+
+        if (err) {
+          return done(err);
+        }
+
+        test.object(
+          locale.removeNamespace('test1')
+        ).is(locale);
+
+        test.array(locale.namespaces).is(['test2']);
+        test.array(locale.languages).is(['fr']);
+
+        test.string(
+          locale.t('fr', 'test1:Hello world')
+        ).is('test1:Hello world');
+
+        test.error(function () {
+          locale.namespace('test1', 'fr');
+        }).hasMessage('Unknown namespace "test1"');
+
+        done();
+
+      });
+
+    });
+
+  });
+
+  describe('Locale namespaced catalogs', function () {
+
+    it('shouldCoverAndValidateNamespacedTranslations', function (done) {
+
+      var locale = new Locale(core),
+          filename = path.join(tmpPath, 'users.de.json');
+
+      fs.writeFileSync(filename, JSON.stringify({
+        'Hello :name': 'Hallo :nom'
+      }));
+
+      locale.addFromFile(filename, {namespace: true}, function (err) {
+
+        fs.unlinkSync(filename);
+
+        if (err) {
+          return done(err);
+        }
+
+        test.array(locale.languages).is(['de']);
+
+        test.object(
+          locale.coverage(['users:Hello :name', 'Hello world']).de
+        )
+          .hasKey('translated', 1)
+          .hasKey('missing', 1);
+
+        test.array(
+          locale.validate('de').map(function (item) {
+            return [item.type, item.namespace, item.file];
+          })
+        ).is([
+          ['missing-placeholder', 'users', filename],
+          ['extra-placeholder', 'users', filename]
+        ]);
+
+        done();
+
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,225 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+
+
+var test = require('unit.js'),
+    loader = require('nsloader'),
+    negotiate = loader('Entity/Locale/negotiate');
+
+describe('entity/Locale/negotiate', function () {
+
+  'use strict';
+
+  var locale = {
+    languages: ['fr', 'fr-CA', 'de', 'pt-BR'],
+    sourceLanguage: 'en',
+    defaultLanguage: null,
+    t: function (language, str, params) {
+      return language + ':' + str + (params ? ':' + params.name : '');
+    }
+  };
+
+  function run(mw, req) {
+    var res = {headers: {}, setHeader: function (name, value) {
+      res.headers[name] = value;
+    }};
+
+    req.headers = req.headers || {};
+    req.url = req.url || '/';
+
+    mw(req, res, function (err) {
+      if (err) {
+        throw err;
+      }
+    });
+
+    return res;
+  }
+
+  describe('negotiate.parseAcceptLanguage()', function () {
+
+    it('shouldOrderTheTagsByQuality', function () {
+
+      test.array(
+        negotiate.parseAcceptLanguage('de;q=0.5, fr-ch, en;q=0.8, fr')
+      ).is(['fr-CH', 'fr', 'en', 'de']);
+
+    });
+
+    it('shouldDropInvalidWildcardAndZeroQualityRanges', function () {
+
+      test.array(
+        negotiate.parseAcceptLanguage('*, not valid, de;q=0, es;q=0.1')
+      ).is(['es']);
+
+      test.array(
+        negotiate.parseAcceptLanguage(undefined)
+      ).is([]);
+
+    });
+
+  });
+
+  describe('negotiate.lookup()', function () {
+
+    it('shouldReturnTheExactMatch', function () {
+
+      test.string(
+        negotiate.lookup(locale.languages, ['fr-ca'])
+      ).is('fr-CA');
+
+    });
+
+    it('shouldTruncateTheTag', function () {
+
+      test.string(
+        negotiate.lookup(locale.languages, 'fr-CH-x-test')
+      ).is('fr');
+
+      test.string(
+        negotiate.lookup(locale.languages, ['es', 'de-AT'])
+      ).is('de');
+
+    });
+
+    it('shouldReturnNullIfNothingMatches', function () {
+
+      test.value(
+        negotiate.lookup(locale.languages, ['es', 'pt'])
+      ).isNull();
+
+    });
+
+  });
+
+  describe('negotiate.middleware()', function () {
+
+    it('shouldNegotiateTheAcceptLanguageHeader', function () {
+
+      var req = {headers: {'accept-language': 'es, fr-CH;q=0.9'}},
+          res = run(negotiate.middleware(locale), req);
+
+      test.string(req.language).is('fr');
+      test.string(res.headers['Content-Language']).is('fr');
+      test.string(
+        req.t('Hello :name', {name: 'Bob'})
+      ).is('fr:Hello :name:Bob');
+
+    });
+
+    it('shouldPreferTheUrlPrefixAndStripIt', function () {
+
+      var req = {
+            url: '/pt-br/users?page=2',
+            headers: {'accept-language': 'fr'}
+          };
+
+      run(negotiate.middleware(locale), req);
+
+      test.string(req.language).is('pt-BR');
+      test.string(req.url).is('/users?page=2');
+
+    });
+
+    it('shouldIgnoreUrlPrefixesWhichAreNotLanguages', function () {
+
+      var req = {url: '/fr-foo/bar', headers: {'accept-language': 'de'}};
+
+      run(negotiate.middleware(locale), req);
+
+      test.string(req.language).is('de');
+      test.string(req.url).is('/fr-foo/bar');
+
+    });
+
+    it('shouldUseTheQueryCookieAndUser', function () {
+
+      var mw = negotiate.middleware(locale),
+          req;
+
+      req = {url: '/users?lang=de', headers: {cookie: 'lang=fr'}};
+      run(mw, req);
+      test.string(req.language).is('de');
+
+      req = {headers: {cookie: 'a=b; lang=fr-CA'}, user: {language: 'de'}};
+      run(mw, req);
+      test.string(req.language).is('fr-CA');
+
+      req = {cookies: {}, user: {language: 'de'}};
+      run(mw, req);
+      test.string(req.language).is('de');
+
+    });
+
+    it('shouldUseTheConfiguredOrder', function () {
+
+      var req = {
+            url: '/?locale=de',
+            headers: {'accept-language': 'fr'}
+          };
+
+      run(negotiate.middleware(locale, {
+        order: ['header', 'query'],
+        query: 'locale'
+      }), req);
+
+      test.string(req.language).is('fr');
+
+    });
+
+    it('shouldFallBackToTheDefaultLanguage', function () {
+
+      var req = {headers: {'accept-language': 'es'}};
+
+      run(negotiate.middleware(locale), req);
+      test.string(req.language).is('en');
+
+      run(negotiate.middleware(locale, {defaultLanguage: 'fr'}), req);
+      test.string(req.language).is('fr');
+
+    });
+
+    it('shouldPassAnErrorForAnUnknownSource', function () {
+
+      var mw = negotiate.middleware(locale, {order: ['session']}),
+          error = null;
+
+      mw({headers: {}}, {}, function (err) {
+        error = err;
+      });
+
+      test.object(error).isInstanceOf(Error);
+
+    });
+
+    it('shouldLoadTheLanguageInLazyMode', function () {
+
+      var loaded = [],
+          lazy = Object.create(locale, {lazy: {value: true}});
+
+      lazy.load = function (language, done) {
+        loaded.push(language);
+        done(null);
+      };
+
+      run(negotiate.middleware(lazy), {headers: {'accept-language': 'de'}});
+
+      test.array(loaded).is(['de']);
+
+    });
+
+  });
+
+});
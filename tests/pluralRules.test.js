@@ -0,0 +1,184 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+
+var test = require('unit.js'),
+    loader = require('nsloader'),
+    pluralRules = loader('Entity/Locale/pluralRules');
+
+describe('entity/Locale/pluralRules', function () {
+
+  'use strict';
+
+  describe('pluralRules.operands()', function () {
+
+    it('shouldReturnTheOperands', function () {
+
+      test.object(
+        pluralRules.operands('1.50')
+      ).is({n: 1.5, i: 1, v: 2, f: 50, t: 5});
+
+      test.object(
+        pluralRules.operands(-3)
+      ).is({n: 3, i: 3, v: 0, f: 0, t: 0});
+
+    });
+
+  });
+
+  describe('pluralRules.cardinal()', function () {
+
+    it('shouldReturnTheEnglishCategories', function () {
+
+      test.string(
+        pluralRules.cardinal('en', 1)
+      ).is('one');
+
+      test.string(
+        pluralRules.cardinal('en', '1.0')
+      ).is('other');
+
+      test.string(
+        pluralRules.cardinal('en', 2)
+      ).is('other');
+
+    });
+
+    it('shouldReturnTheRussianCategories', function () {
+
+      test.array(
+        [1, 2, 5, 11, 21, 22, 1.5].map(function (n) {
+          return pluralRules.cardinal('ru', n);
+        })
+      ).is(['one', 'few', 'many', 'many', 'one', 'few', 'other']);
+
+    });
+
+    it('shouldReturnTheArabicCategories', function () {
+
+      test.array(
+        [0, 1, 2, 3, 11, 100].map(function (n) {
+          return pluralRules.cardinal('ar', n);
+        })
+      ).is(['zero', 'one', 'two', 'few', 'many', 'other']);
+
+    });
+
+    it('shouldUseThePrimaryLanguageSubtag', function () {
+
+      test.string(
+        pluralRules.cardinal('fr-CA', 0)
+      ).is('one');
+
+      test.string(
+        pluralRules.cardinal('pt-PT', 0)
+      ).is('other');
+
+    });
+
+    it('shouldAgreeWithIntlPluralRules', function () {
+
+      var numbers = [0, 1, 2, 3, 4, 5, 7, 11, 12, 21, 22, 101, 102, 1000000,
+        0.5, 1.5, 2.5];
+
+      ['ar', 'be', 'ca', 'cs', 'cy', 'en', 'es', 'fr', 'ga', 'he', 'is', 'it',
+        'lt', 'lv', 'pl', 'pt', 'pt-PT', 'ro', 'ru', 'sl', 'uk'].forEach(
+        function (language) {
+
+          var rules = new Intl.PluralRules(language);
+
+          test.array(
+            numbers.map(function (n) {
+              return pluralRules.cardinal(language, n);
+            })
+          ).is(numbers.map(function (n) {
+            return rules.select(n);
+          }));
+
+        }
+      );
+
+    });
+
+    it('shouldRetainTheVisibleFractionDigits', function () {
+
+      test.string(
+        pluralRules.cardinal('en', '1.0')
+      ).is('other');
+
+      test.string(
+        pluralRules.cardinal('ru', '2.50')
+      ).is('other');
+
+    });
+
+    it('shouldReturnOtherForUnknownLanguages', function () {
+
+      test.string(
+        pluralRules.cardinal('xx', 1)
+      ).is('other');
+
+    });
+
+  });
+
+  describe('pluralRules.ordinal()', function () {
+
+    it('shouldReturnTheOrdinalCategories', function () {
+
+      test.array(
+        [1, 2, 3, 4, 11, 12, 13, 101].map(function (n) {
+          return pluralRules.ordinal('en', n);
+        })
+      ).is(['one', 'two', 'few', 'other', 'other', 'other', 'other', 'one']);
+
+    });
+
+    it('shouldAgreeWithIntlPluralRules', function () {
+
+      var numbers = [1, 2, 3, 4, 5, 6, 9, 10, 11, 12, 13, 22, 23, 102, 103];
+
+      ['be', 'bn', 'cy', 'en', 'fr', 'hi', 'it', 'sv', 'uk'].forEach(
+        function (language) {
+
+          var rules = new Intl.PluralRules(language, {type: 'ordinal'});
+
+          test.array(
+            numbers.map(function (n) {
+              return pluralRules.ordinal(language, n);
+            })
+          ).is(numbers.map(function (n) {
+            return rules.select(n);
+          }));
+
+        }
+      );
+
+      test.array(
+        [2, 3, 22, 102].map(function (n) {
+          return pluralRules.ordinal('be', n);
+        })
+      ).is(['few', 'few', 'few', 'few']);
+
+      test.array(
+        ['bn', 'cy', 'hi', 'uk'].map(function (language) {
+          return pluralRules.ordinal(language, 3);
+        })
+      ).is(['two', 'few', 'two', 'few']);
+
+    });
+
+  });
+
+});
@@ -0,0 +1,152 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+require('entity-core');
+
+var fs = require('fs'),
+    path = require('path'),
+    test = require('unit.js'),
+    loader = require('nsloader'),
+    EntityCore = loader('Entity'),
+    Locale = loader('Entity/Locale'),
+    errors = loader('Entity/Locale/errors');
+
+var core;
+
+describe('entity/Locale', function () {
+
+  'use strict';
+
+  var tmpPath = path.join(
+        __dirname, 'entity-tests--promises--' + process.pid
+      );
+
+  beforeEach(function (done) {
+
+    core = new EntityCore();
+    core.database.connect('test', {
+      name: 'test',
+      host: '0.0.0.0'
+    }, true);
+
+    fs.mkdirSync(tmpPath);
+
+    var translations = {
+      'test1.fr.json': {
+        'Hello world': 'Foo bar'
+      },
+      'test2.fr.json': {
+        'Hello world': 'Foo bar 2',
+        'Hello :name, welcome back': 'Foo :name, bar'
+      },
+      'test1.jp.json': {
+        'Hello :name, welcome back': 'Goodbye :name'
+      }
+    };
+
+    for (var filename in translations) {
+      fs.writeFileSync(
+        path.join(tmpPath, filename),
+        JSON.stringify(translations[filename])
+      );
+    }
+
+    done();
+
+  });
+
+  afterEach(function (done) {
+
+    var translations = ['test1.fr.json', 'test2.fr.json', 'test1.jp.json'];
+    for (var i = 0, len = translations.length; i < len; i++) {
+      fs.unlinkSync(path.join(tmpPath, translations[i]));
+    }
+
+    fs.rmdirSync(tmpPath);
+
+    core.database.collection('locales', 'test').drop(function () {
+      core.database.collection('locales_revisions', 'test').drop(function () {
+        core.database.disconnect('test');
+        done();
+      });
+    });
+
+  });
+
+  describe('Locale promises', function () {
+
+    it('shouldReturnAPromiseWithoutACallback', function () {
+
+      var locale = new Locale(core);
+
+      return locale.addFromFile(
+        path.join(tmpPath, 'test1.fr.json')
+      ).then(function (result) {
+
+        test.value(result).isUndefined();
+
+        return locale.translate('fr', 'Open', 'Ouvrir', {author: 'john'});
+
+      }).then(function () {
+
+        test.string(
+          locale.t('fr', 'Open')
+        ).is('Ouvrir');
+
+        return locale.history('fr', 'Open');
+
+      }).then(function (revisions) {
+
+        test.array(revisions).hasLength(1);
+
+      });
+
+    });
+
+    it('shouldRejectWithTypedErrors', function () {
+
+      var locale = new Locale(core);
+
+      test.error(function () {
+        locale.locales('de');
+      }).isInstanceOf(errors.NotFoundError);
+
+      return locale.rollback('fr', 'Hello world', 5).then(function () {
+
+        throw new Error('Expected a rejection');
+
+      }, function (err) {
+
+        test.object(err)
+          .isInstanceOf(errors.NotFoundError)
+          .isInstanceOf(errors.LocaleError);
+
+        return locale.addFromFile(path.join(tmpPath, 'test.fr.txt'));
+
+      }).then(function () {
+
+        throw new Error('Expected a rejection');
+
+      }, function (err) {
+
+        test.object(err).isInstanceOf(errors.FileError);
+        test.string(err.filename).is(path.join(tmpPath, 'test.fr.txt'));
+
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,252 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+require('entity-core');
+
+var fs = require('fs'),
+    path = require('path'),
+    async = require('async'),
+    test = require('unit.js'),
+    loader = require('nsloader'),
+    EntityCore = loader('Entity'),
+    Locale = loader('Entity/Locale');
+
+var core;
+
+describe('entity/Locale', function () {
+
+  'use strict';
+
+  var tmpPath = path.join(
+        __dirname, 'entity-tests--removal--' + process.pid
+      );
+
+  beforeEach(function (done) {
+
+    core = new EntityCore();
+    core.database.connect('test', {
+      name: 'test',
+      host: '0.0.0.0'
+    }, true);
+
+    fs.mkdirSync(tmpPath);
+
+    var translations = {
+      'test1.fr.json': {
+        'Hello world': 'Foo bar'
+      },
+      'test2.fr.json': {
+        'Hello world': 'Foo bar 2',
+        'Hello :name, welcome back': 'Foo :name, bar'
+      },
+      'test1.jp.json': {
+        'Hello :name, welcome back': 'Goodbye :name'
+      }
+    };
+
+    for (var filename in translations) {
+      fs.writeFileSync(
+        path.join(tmpPath, filename),
+        JSON.stringify(translations[filename])
+      );
+    }
+
+    done();
+
+  });
+
+  afterEach(function (done) {
+
+    var translations = ['test1.fr.json', 'test2.fr.json', 'test1.jp.json'];
+    for (var i = 0, len = translations.length; i < len; i++) {
+      fs.unlinkSync(path.join(tmpPath, translations[i]));
+    }
+
+    fs.rmdirSync(tmpPath);
+
+    core.database.collection('locales', 'test').drop(function () {
+      core.database.collection('locales_revisions', 'test').drop(function () {
+        core.database.disconnect('test');
+        done();
+      });
+    });
+
+  });
+
+  describe('Locale.untranslate()', function () {
+
+    it('shouldRestoreTheFileTranslation', function (done) {
+
+      var locale = new Locale(core),
+          queue = [];
+
+      queue.push(function (next) {
+
+        locale.addFromDir(tmpPath, next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.translate('fr', 'Hello world', 'Goodbye', next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.translate('fr', 'Open', 'Ouvrir', 'verb', next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.untranslate('fr', 'Hello world', next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.untranslate('fr', 'Open', 'verb', next);
+
+      });
+
+      queue.push(function (next) {
+
+        test.object(
+          locale.locales('fr')
+        ).is({
+          'Hello world': 'Foo bar',
+          'Hello :name, welcome back': 'Foo :name, bar'
+        });
+
+        locale.core.database
+          .collection('locales')
+          .find({}, function (err, docs) {
+
+          if (err) {
+            return next(err);
+          }
+
+          test.array(
+            docs
+          ).hasLength(0);
+
+          next();
+
+        });
+
+      });
+
+      async.series(queue, done);
+
+    });
+
+    it('shouldRemoveTheLanguageIfItHasNoTranslations', function (done) {
+
+      var locale = new Locale(core),
+          queue = [];
+
+      queue.push(function (next) {
+
+        locale.translate('de', 'Hello world', 'Hallo Welt', next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.untranslate('de', 'Hello world', next);
+
+      });
+
+      queue.push(function (next) {
+
+        test.array(
+          locale.languages
+        ).is([]);
+
+        next();
+
+      });
+
+      async.series(queue, done);
+
+    });
+
+  });
+
+  describe('Locale.removeLanguage()', function () {
+
+    it('shouldRemoveTheLanguage', function (done) {
+
+      var locale = new Locale(core),
+          queue = [];
+
+      queue.push(function (next) {
+
+        locale.addFromDir(tmpPath, next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.translate('fr', 'Hello world', 'Goodbye', next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.translate('jp', 'Hello world', 'Sayonara', next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.removeLanguage('fr', next);
+
+      });
+
+      queue.push(function (next) {
+
+        test.array(
+          locale.languages
+        ).is(['jp']);
+
+        locale.core.database
+          .collection('locales')
+          .find({}, function (err, docs) {
+
+          if (err) {
+            return next(err);
+          }
+
+          test.array(
+            docs
+          ).hasLength(1);
+
+          test.object(docs[0])
+            .hasKey('language', 'jp');
+
+          next();
+
+        });
+
+      });
+
+      async.series(queue, done);
+
+    });
+
+  });
+
+});
@@ -0,0 +1,322 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+require('entity-core');
+
+var fs = require('fs'),
+    path = require('path'),
+    async = require('async'),
+    test = require('unit.js'),
+    loader = require('nsloader'),
+    EntityCore = loader('Entity'),
+    Locale = loader('Entity/Locale');
+
+var core;
+
+describe('entity/Locale', function () {
+
+  'use strict';
+
+  var tmpPath = path.join(
+        __dirname, 'entity-tests--revisions--' + process.pid
+      );
+
+  beforeEach(function (done) {
+
+    core = new EntityCore();
+    core.database.connect('test', {
+      name: 'test',
+      host: '0.0.0.0'
+    }, true);
+
+    fs.mkdirSync(tmpPath);
+
+    var translations = {
+      'test1.fr.json': {
+        'Hello world': 'Foo bar'
+      },
+      'test2.fr.json': {
+        'Hello world': 'Foo bar 2',
+        'Hello :name, welcome back': 'Foo :name, bar'
+      },
+      'test1.jp.json': {
+        'Hello :name, welcome back': 'Goodbye :name'
+      }
+    };
+
+    for (var filename in translations) {
+      fs.writeFileSync(
+        path.join(tmpPath, filename),
+        JSON.stringify(translations[filename])
+      );
+    }
+
+    done();
+
+  });
+
+  afterEach(function (done) {
+
+    var translations = ['test1.fr.json', 'test2.fr.json', 'test1.jp.json'];
+    for (var i = 0, len = translations.length; i < len; i++) {
+      fs.unlinkSync(path.join(tmpPath, translations[i]));
+    }
+
+    fs.rmdirSync(tmpPath);
+
+    core.database.collection('locales', 'test').drop(function () {
+      core.database.collection('locales_revisions', 'test').drop(function () {
+        core.database.disconnect('test');
+        done();
+      });
+    });
+
+  });
+
+  describe('Locale.history()', function () {
+
+    it('shouldRecordEachChange', function (done) {
+
+      var locale = new Locale(core),
+          queue = [];
+
+      queue.push(function (next) {
+
+        locale.translate('fr', 'Hello world', 'Bonjour', {
+          author: 'alice'
+        }, next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.translate('fr', 'Hello world', 'Bonjour', next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.translate('fr', 'Hello world', 'Salut', {
+          author: 'bob'
+        }, next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.untranslate('fr', 'Hello world', {author: 'alice'}, next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.history('fr', 'Hello world', function (err, revisions) {
+
+          if (err) {
+            return next(err);
+          }
+
+          test.array(
+            revisions.map(function (revision) {
+              return [
+                revision.revision,
+                revision.previous,
+                revision.translation,
+                revision.author
+              ];
+            })
+          ).is([
+            [1, null, 'Bonjour', 'alice'],
+            [2, 'Bonjour', 'Salut', 'bob'],
+            [3, 'Salut', null, 'alice']
+          ]);
+
+          test.object(
+            revisions[0].timestamp
+          ).isInstanceOf(Date);
+
+          next();
+
+        });
+
+      });
+
+      async.series(queue, done);
+
+    });
+
+    it('shouldSeparateTheContexts', function (done) {
+
+      var locale = new Locale(core),
+          queue = [];
+
+      queue.push(function (next) {
+
+        locale.translate('fr', 'Open', 'Ouvrir', 'verb', next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.translate('fr', 'Open', 'Ouvert', next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.history('fr', 'Open', 'verb', function (err, revisions) {
+
+          if (err) {
+            return next(err);
+          }
+
+          test.array(revisions).hasLength(1);
+          test.object(revisions[0])
+            .hasKey('translation', 'Ouvrir')
+            .hasKey('author', null);
+
+          next();
+
+        });
+
+      });
+
+      async.series(queue, done);
+
+    });
+
+  });
+
+  describe('Locale.rollback()', function () {
+
+    it('shouldRestoreAnEarlierRevision', function (done) {
+
+      var locale = new Locale(core),
+          queue = [];
+
+      queue.push(function (next) {
+
+        locale.translate('fr', 'Hello world', 'Bonjour', next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.translate('fr', 'Hello world', 'Salut', next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.rollback('fr', 'Hello world', 1, {author: 'carol'}, next);
+
+      });
+
+      queue.push(function (next) {
+
+        test.string(
+          locale.t('fr', 'Hello world')
+        ).is('Bonjour');
+
+        locale.history('fr', 'Hello world', function (err, revisions) {
+
+          if (err) {
+            return next(err);
+          }
+
+          test.array(revisions).hasLength(3);
+          test.object(revisions[2])
+            .hasKey('previous', 'Salut')
+            .hasKey('translation', 'Bonjour')
+            .hasKey('author', 'carol');
+
+          next();
+
+        });
+
+      });
+
+      async.series(queue, done);
+
+    });
+
+    it('shouldRestoreTheFileTranslation', function (done) {
+
+      var locale = new Locale(core),
+          queue = [];
+
+      queue.push(function (next) {
+
+        locale.addFromFile(path.join(tmpPath, 'test1.fr.json'), next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.translate('fr', 'Hello world', 'Salut', next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.untranslate('fr', 'Hello world', next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.rollback('fr', 'Hello world', 1, next);
+
+      });
+
+      queue.push(function (next) {
+
+        test.string(
+          locale.t('fr', 'Hello world')
+        ).is('Salut');
+
+        locale.rollback('fr', 'Hello world', 2, next);
+
+      });
+
+      queue.push(function (next) {
+
+        test.string(
+          locale.t('fr', 'Hello world')
+        ).is('Foo bar');
+
+        next();
+
+      });
+
+      async.series(queue, done);
+
+    });
+
+    it('shouldThrowAnErrorForAnUnknownRevision', function (done) {
+
+      var locale = new Locale(core);
+
+      locale.rollback('fr', 'Hello world', 5, function (err) {
+
+        test.object(err).isInstanceOf(Error);
+        done();
+
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,253 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+var fs = require('fs'),
+    path = require('path'),
+    async = require('async'),
+    test = require('unit.js'),
+    loader = require('nsloader'),
+    Locale = loader('Entity/Locale'),
+    storage = loader('Entity/Locale/storage');
+
+describe('entity/Locale/storage', function () {
+
+  'use strict';
+
+  var filename = path.join(
+        __dirname, 'entity-tests--storage--' + process.pid + '.json'
+      );
+
+  afterEach(function () {
+
+    if (fs.existsSync(filename)) {
+      fs.unlinkSync(filename);
+    }
+
+  });
+
+  describe('MemoryStorage', function () {
+
+    it('shouldFindSaveAndRemoveDocuments', function (done) {
+
+      var store = new storage.MemoryStorage({
+            locales: [{language: 'fr', msg: 'Hello', translation: 'Bonjour'}]
+          }),
+          queue = [];
+
+      queue.push(function (next) {
+
+        store.save('locales', {
+          language: 'fr',
+          msg: 'Open',
+          context: 'verb',
+          translation: 'Ouvrir'
+        }, next);
+
+      });
+
+      queue.push(function (next) {
+
+        store.find('locales', {context: null}, function (err, docs) {
+
+          test.array(
+            docs.map(function (doc) {
+              return doc.msg;
+            })
+          ).is(['Hello']);
+
+          next(err);
+
+        });
+
+      });
+
+      queue.push(function (next) {
+
+        store.findOne('locales', {msg: 'Open'}, function (err, doc) {
+
+          doc.translation = 'Ouvre';
+          store.save('locales', doc, next);
+
+        });
+
+      });
+
+      queue.push(function (next) {
+
+        store.remove('locales', {msg: 'Hello'}, next);
+
+      });
+
+      queue.push(function (next) {
+
+        store.find('locales', function (err, docs) {
+
+          test.array(docs).hasLength(1);
+          test.object(docs[0])
+            .hasKey('msg', 'Open')
+            .hasKey('translation', 'Ouvre');
+
+          next(err);
+
+        });
+
+      });
+
+      async.series(queue, done);
+
+    });
+
+  });
+
+  describe('JsonStorage', function () {
+
+    it('shouldPersistTheDocumentsToTheFile', function (done) {
+
+      var store = new storage.JsonStorage(filename),
+          timestamp = new Date(0);
+
+      store.save('locales_revisions', {
+        msg: 'Hello',
+        timestamp: timestamp
+      }, function (err) {
+
+        if (err) {
+          return done(err);
+        }
+
+        test.object(
+          JSON.parse(fs.readFileSync(filename, 'utf8'))
+        ).hasKey('locales_revisions');
+
+        new storage.JsonStorage(filename).findOne('locales_revisions', {
+          msg: 'Hello'
+        }, function (err2, doc) {
+
+          test.object(doc.timestamp).isInstanceOf(Date);
+          test.number(doc.timestamp.getTime()).is(0);
+
+          done(err2);
+
+        });
+
+      });
+
+    });
+
+    it('shouldOnlyRestoreTheDateProperties', function (done) {
+
+      var store = new storage.JsonStorage(filename),
+          date = '2015-09-01T14:05:00.000Z';
+
+      store.save('locales', {
+        msg: 'Released',
+        translation: date,
+        lastSeen: new Date(date)
+      }, function (err) {
+
+        if (err) {
+          return done(err);
+        }
+
+        new storage.JsonStorage(filename).findOne('locales', {
+          msg: 'Released'
+        }, function (err2, doc) {
+
+          test.string(doc.translation).is(date);
+          test.object(doc.lastSeen).isInstanceOf(Date);
+
+          done(err2);
+
+        });
+
+      });
+
+    });
+
+    it('shouldNotLeaveTheTemporaryFile', function (done) {
+
+      var store = new storage.JsonStorage(filename);
+
+      store.save('locales', {msg: 'Hello'}, function (err) {
+
+        test.array(
+          fs.readdirSync(__dirname).filter(function (file) {
+            return /\.tmp$/.test(file);
+          })
+        ).is([]);
+
+        done(err);
+
+      });
+
+    });
+
+  });
+
+  describe('Locale.storage', function () {
+
+    it('shouldTranslateWithoutADatabase', function (done) {
+
+      var locale = new Locale(),
+          queue = [];
+
+      test.object(
+        locale.storage
+      ).isInstanceOf(storage.MemoryStorage);
+
+      locale.storage = new storage.JsonStorage(filename);
+
+      queue.push(function (next) {
+
+        locale.translate('fr', 'Hello', 'Bonjour', next);
+
+      });
+
+      queue.push(function (next) {
+
+        var other = new Locale();
+
+        other.storage = new storage.JsonStorage(filename);
+        other.initialize(null, function (err) {
+
+          test.string(
+            other.t('fr', 'Hello')
+          ).is('Bonjour');
+
+          next(err);
+
+        });
+
+      });
+
+      queue.push(function (next) {
+
+        locale.history('fr', 'Hello', function (err, revisions) {
+
+          test.array(revisions).hasLength(1);
+          test.object(revisions[0]).hasKey('translation', 'Bonjour');
+
+          next(err);
+
+        });
+
+      });
+
+      async.series(queue, done);
+
+    });
+
+  });
+
+});
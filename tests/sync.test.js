@@ -0,0 +1,202 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+require('entity-core');
+
+var fs = require('fs'),
+    path = require('path'),
+    async = require('async'),
+    test = require('unit.js'),
+    loader = require('nsloader'),
+    EntityCore = loader('Entity'),
+    Locale = loader('Entity/Locale'),
+    MemoryChannel = loader('Entity/Locale/channel/MemoryChannel');
+
+var core;
+
+describe('entity/Locale', function () {
+
+  'use strict';
+
+  var tmpPath = path.join(
+        __dirname, 'entity-tests--sync--' + process.pid
+      );
+
+  beforeEach(function (done) {
+
+    core = new EntityCore();
+    core.database.connect('test', {
+      name: 'test',
+      host: '0.0.0.0'
+    }, true);
+
+    fs.mkdirSync(tmpPath);
+
+    var translations = {
+      'test1.fr.json': {
+        'Hello world': 'Foo bar'
+      },
+      'test2.fr.json': {
+        'Hello world': 'Foo bar 2',
+        'Hello :name, welcome back': 'Foo :name, bar'
+      },
+      'test1.jp.json': {
+        'Hello :name, welcome back': 'Goodbye :name'
+      }
+    };
+
+    for (var filename in translations) {
+      fs.writeFileSync(
+        path.join(tmpPath, filename),
+        JSON.stringify(translations[filename])
+      );
+    }
+
+    done();
+
+  });
+
+  afterEach(function (done) {
+
+    var translations = ['test1.fr.json', 'test2.fr.json', 'test1.jp.json'];
+    for (var i = 0, len = translations.length; i < len; i++) {
+      fs.unlinkSync(path.join(tmpPath, translations[i]));
+    }
+
+    fs.rmdirSync(tmpPath);
+
+    core.database.collection('locales', 'test').drop(function () {
+      core.database.collection('locales_revisions', 'test').drop(function () {
+        core.database.disconnect('test');
+        done();
+      });
+    });
+
+  });
+
+  describe('Locale.connect()', function () {
+
+    it('shouldApplyChangesFromOtherLocales', function (done) {
+
+      var channel = new MemoryChannel(),
+          first = new Locale(core).connect(channel),
+          second = new Locale(core).connect(channel),
+          queue = [];
+
+      test.object(first.channel).is(channel);
+
+      queue.push(function (next) {
+
+        second.once('sync', function (message) {
+
+          test.object(message)
+            .hasKey('action', 'translate')
+            .hasKey('translation', 'Bonjour');
+
+          next();
+
+        });
+
+        first.translate('fr', 'Hello world', 'Bonjour');
+
+      });
+
+      queue.push(function (next) {
+
+        test.string(
+          second.t('fr', 'Hello world')
+        ).is('Bonjour');
+
+        second.once('sync', function () {
+          next();
+        });
+
+        first.untranslate('fr', 'Hello world');
+
+      });
+
+      queue.push(function (next) {
+
+        test.string(
+          second.t('fr', 'Hello world')
+        ).is('Hello world');
+
+        second.disconnect();
+        first.translate('fr', 'Hello world', 'Salut', next);
+
+      });
+
+      queue.push(function (next) {
+
+        setImmediate(function () {
+
+          test.value(second.channel).isNull();
+          test.string(
+            second.t('fr', 'Hello world')
+          ).is('Hello world');
+
+          next();
+
+        });
+
+      });
+
+      async.series(queue, done);
+
+    });
+
+  });
+
+  describe('Locale.reload()', function () {
+
+    it('shouldReplaceTheStoredTranslations', function () {
+
+      var first = new Locale(core),
+          second = new Locale(core);
+
+      return second.addFromFile(
+        path.join(tmpPath, 'test1.fr.json')
+      ).then(function () {
+
+        return first.translate('fr', 'Hello world', 'Bonjour');
+
+      }).then(function () {
+
+        return second.reload();
+
+      }).then(function () {
+
+        test.string(
+          second.t('fr', 'Hello world')
+        ).is('Bonjour');
+
+        return first.untranslate('fr', 'Hello world');
+
+      }).then(function () {
+
+        return second.reload();
+
+      }).then(function () {
+
+        test.string(
+          second.t('fr', 'Hello world')
+        ).is('Foo bar');
+
+      });
+
+    });
+
+  });
+
+});
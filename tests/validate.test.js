@@ -0,0 +1,185 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+
+
+var test = require('unit.js'),
+    loader = require('nsloader'),
+    validate = loader('Entity/Locale/validate');
+
+describe('entity/Locale/validate', function () {
+
+  'use strict';
+
+  function types(issues) {
+    return issues.map(function (item) {
+      return item.type;
+    });
+  }
+
+  describe('validate.translation()', function () {
+
+    it('shouldReturnNoIssuesForAValidTranslation', function () {
+
+      test.array(
+        validate.translation('fr', 'Hello <b>:name</b>', '<b>:name</b>, salut')
+      ).is([]);
+
+      test.array(
+        validate.translation(
+          'fr',
+          '{count, plural, one {# file} other {# files}}',
+          '{count, plural, one {un fichier} other {# fichiers}}'
+        )
+      ).is([]);
+
+    });
+
+    it('shouldReportEmptyTranslations', function () {
+
+      var issues = validate.translation('fr', 'verb\u0004Open', ' ');
+
+      test.array(issues).hasLength(1);
+      test.object(issues[0])
+        .hasKey('type', 'empty')
+        .hasKey('level', 'warning')
+        .hasKey('language', 'fr')
+        .hasKey('msg', 'Open')
+        .hasKey('context', 'verb');
+
+    });
+
+    it('shouldReportMissingAndUnknownPlaceholders', function () {
+
+      var issues = validate.translation(
+        'fr', 'Hello :name, you have {count} files', 'Bonjour :nom, {count}'
+      );
+
+      test.array(
+        types(issues)
+      ).is(['missing-placeholder', 'extra-placeholder']);
+
+      test.string(
+        issues[0].message
+      ).is('Missing placeholder "name"');
+
+    });
+
+    it('shouldNotMistakePluralAndSelectOptionsForPlaceholders', function () {
+
+      test.array(
+        validate.translation(
+          'de',
+          '{count, plural, one {item} other {items}}',
+          '{count, plural, one {Artikel} other {Artikel}}'
+        )
+      ).is([]);
+
+      test.array(
+        validate.translation(
+          'de',
+          '{gender, select, male {him} female {her} other {them}}',
+          '{gender, select, male {ihn} female {sie} other {sie}}'
+        )
+      ).is([]);
+
+      test.array(
+        types(validate.translation(
+          'de',
+          '{count, plural, one {:name has {total}} other {:name}}',
+          '{count, plural, one {:name hat} other {:name}}'
+        ))
+      ).is(['missing-placeholder']);
+
+    });
+
+    it('shouldOnlyCheckTheEscapedModeTokensInTheEscapeMode', function () {
+
+      test.array(
+        validate.translation('fr', '%user replied', '%utilisateur a répondu')
+      ).is([]);
+
+      test.array(
+        types(validate.translation(
+          'fr', '%user replied', '%utilisateur a répondu', {escape: true}
+        ))
+      ).is(['missing-placeholder', 'extra-placeholder']);
+
+    });
+
+    it('shouldReportInvalidSyntax', function () {
+
+      test.array(
+        types(validate.translation(
+          'fr', '{count, plural, other {# files}}', '{count, plural, one {#}'
+        ))
+      ).is(['syntax']);
+
+    });
+
+    it('shouldReportMismatchedHtmlTags', function () {
+
+      test.array(
+        types(validate.translation(
+          'fr', 'Click <a href="/">here</a>', 'Cliquez <a href="/">ici'
+        ))
+      ).is(['html']);
+
+    });
+
+  });
+
+  describe('validate.translations()', function () {
+
+    it('shouldValidateEachTranslation', function () {
+
+      test.array(
+        types(validate.translations('fr', {
+          'Hello': 'Bonjour',
+          'Hello :name': 'Bonjour',
+          'Goodbye': ''
+        }))
+      ).is(['missing-placeholder', 'empty']);
+
+    });
+
+  });
+
+  describe('validate.duplicates()', function () {
+
+    it('shouldReportKeysDefinedByMoreThanOneFile', function () {
+
+      var issues = validate.duplicates({
+        'a.fr.json': {language: 'fr', translations: {Hello: 'Bonjour'}},
+        'b.fr.json': {language: 'fr', translations: {Hello: 'Salut', Bye: ''}},
+        'c.fr.json': {language: 'fr', translations: {Bye: 'Au revoir'}},
+        'a.de.json': {language: 'de', translations: {Hello: 'Hallo'}}
+      });
+
+      test.array(issues).hasLength(1);
+      test.object(issues[0])
+        .hasKey('type', 'duplicate')
+        .hasKey('key', 'Hello')
+        .hasKey('message', 'Also defined in "a.fr.json" with a different ' +
+          'translation');
+
+      test.array(
+        issues[0].files
+      ).is(['a.fr.json', 'b.fr.json']);
+
+    });
+
+  });
+
+});
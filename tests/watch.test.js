@@ -0,0 +1,221 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+require('entity-core');
+
+var fs = require('fs'),
+    path = require('path'),
+    async = require('async'),
+    test = require('unit.js'),
+    loader = require('nsloader'),
+    EntityCore = loader('Entity'),
+    Locale = loader('Entity/Locale');
+
+var core;
+
+describe('entity/Locale', function () {
+
+  'use strict';
+
+  var tmpPath = path.join(
+        __dirname, 'entity-tests--watch--' + process.pid
+      );
+
+  beforeEach(function (done) {
+
+    core = new EntityCore();
+    core.database.connect('test', {
+      name: 'test',
+      host: '0.0.0.0'
+    }, true);
+
+    fs.mkdirSync(tmpPath);
+
+    var translations = {
+      'test1.fr.json': {
+        'Hello world': 'Foo bar'
+      },
+      'test2.fr.json': {
+        'Hello world': 'Foo bar 2',
+        'Hello :name, welcome back': 'Foo :name, bar'
+      },
+      'test1.jp.json': {
+        'Hello :name, welcome back': 'Goodbye :name'
+      }
+    };
+
+    for (var filename in translations) {
+      fs.writeFileSync(
+        path.join(tmpPath, filename),
+        JSON.stringify(translations[filename])
+      );
+    }
+
+    done();
+
+  });
+
+  afterEach(function (done) {
+
+    var translations = ['test1.fr.json', 'test2.fr.json', 'test1.jp.json'];
+    for (var i = 0, len = translations.length; i < len; i++) {
+      fs.unlinkSync(path.join(tmpPath, translations[i]));
+    }
+
+    fs.rmdirSync(tmpPath);
+
+    core.database.collection('locales', 'test').drop(function () {
+      core.database.collection('locales_revisions', 'test').drop(function () {
+        core.database.disconnect('test');
+        done();
+      });
+    });
+
+  });
+
+  describe('Locale.watch()', function () {
+
+    it('shouldReloadChangedFiles', function (done) {
+
+      var locale = new Locale(core),
+          queue = [];
+
+      queue.push(function (next) {
+
+        locale.addFromDir(tmpPath, next);
+
+      });
+
+      queue.push(function (next) {
+
+        locale.translate(
+          'fr', 'Hello :name, welcome back', 'Salut :name', next
+        );
+
+      });
+
+      queue.push(function (next) {
+
+        test.bool(
+          locale.watch().watching
+        ).isTrue();
+
+        locale.once('reload', function (filename, language) {
+
+          test.string(
+            filename
+          ).is(path.join(tmpPath, 'test1.fr.json'));
+
+          test.string(
+            language
+          ).is('fr');
+
+          next();
+
+        });
+
+        setTimeout(function () {
+          fs.writeFileSync(
+            path.join(tmpPath, 'test1.fr.json'),
+            JSON.stringify({
+              'Hello world': 'Bonjour le monde',
+              'Hello :name, welcome back': 'Bonjour :name'
+            })
+          );
+        }, 50);
+
+      });
+
+      queue.push(function (next) {
+
+        test.object(
+          locale.locales('fr')
+        ).is({
+          'Hello world': 'Bonjour le monde',
+          'Hello :name, welcome back': 'Salut :name'
+        });
+
+        next();
+
+      });
+
+      async.series(queue, function (err) {
+
+        test.bool(
+          locale.unwatch().watching
+        ).isFalse();
+
+        done(err);
+
+      });
+
+    });
+
+    it('shouldRemoveTranslationsOfRemovedFiles', function (done) {
+
+      var locale = new Locale(core),
+          filename = path.join(tmpPath, 'test3.fr.json'),
+          queue = [];
+
+      fs.writeFileSync(filename, JSON.stringify({
+        'Goodbye': 'Au revoir'
+      }));
+
+      queue.push(function (next) {
+
+        locale.addFromDir(tmpPath, next);
+
+      });
+
+      queue.push(function (next) {
+
+        test.string(
+          locale.t('fr', 'Goodbye')
+        ).is('Au revoir');
+
+        locale.watch().once('reload', function () {
+          next();
+        });
+
+        setTimeout(function () {
+          fs.unlinkSync(filename);
+        }, 50);
+
+      });
+
+      queue.push(function (next) {
+
+        test.object(
+          locale.locales('fr')
+        ).is({
+          'Hello world': 'Foo bar',
+          'Hello :name, welcome back': 'Foo :name, bar'
+        });
+
+        next();
+
+      });
+
+      async.series(queue, function (err) {
+
+        locale.unwatch();
+        done(err);
+
+      });
+
+    });
+
+  });
+
+});
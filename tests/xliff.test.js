@@ -0,0 +1,329 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+
+var fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    test = require('unit.js'),
+    loader = require('nsloader'),
+    xliff = loader('Entity/Locale/xliff');
+
+/**
+ * Catches the next uncaught exception instead of the test runner.
+ *
+ * @param {Function} callback Called with the uncaught exception, after the
+ *   runner listeners are restored.
+ */
+function catchUncaught(callback) {
+  'use strict';
+
+  var listeners = process.listeners('uncaughtException');
+
+  process.removeAllListeners('uncaughtException');
+  process.once('uncaughtException', function (err) {
+    listeners.forEach(function (listener) {
+      process.on('uncaughtException', listener);
+    });
+
+    callback(err);
+  });
+}
+
+describe('entity/Locale/xliff', function () {
+
+  'use strict';
+
+  var xliff12 = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+    '  <file source-language="en" target-language="fr" datatype="plaintext"',
+    '      original="messages">',
+    '    <body>',
+    '      <trans-unit id="1">',
+    '        <source>Hello world</source>',
+    '        <target state="translated">Bonjour le monde</target>',
+    '      </trans-unit>',
+    '      <group id="g1">',
+    '        <trans-unit id="2">',
+    '          <source>Open</source>',
+    '          <target>Ouvrir maintenant</target>',
+    '          <context-group purpose="information">',
+    '            <context context-type="x-msgctxt">verb</context>',
+    '          </context-group>',
+    '        </trans-unit>',
+    '      </group>',
+    '      <trans-unit id="3">',
+    '        <source>Untranslated</source>',
+    '        <target state="new">Untranslated</target>',
+    '      </trans-unit>',
+    '    </body>',
+    '  </file>',
+    '</xliff>'
+  ].join('\n');
+
+  var xliff20 = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<xliff version="2.0" xmlns="urn:oasis:names:tc:xliff:document:2.0"',
+    '    srcLang="en" trgLang="de">',
+    '  <file id="f1">',
+    '    <unit id="1">',
+    '      <notes><note category="msgctxt">verb</note></notes>',
+    '      <segment state="translated">',
+    '        <source>Open. </source>',
+    '        <target>Öffnen. </target>',
+    '      </segment>',
+    '      <segment state="translated">',
+    '        <source>Now.</source>',
+    '        <target>Jetzt.</target>',
+    '      </segment>',
+    '    </unit>',
+    '    <unit id="2">',
+    '      <segment state="initial">',
+    '        <source>Untranslated</source>',
+    '      </segment>',
+    '    </unit>',
+    '  </file>',
+    '</xliff>'
+  ].join('\n');
+
+  describe('xliff.parse()', function () {
+
+    it('shouldThrowAnErrorIfTheVersionIsUnsupported', function () {
+
+      test.error(function () {
+        xliff.parse('<xliff version="1.0"></xliff>');
+      }).isInstanceOf(Error);
+
+    });
+
+    it('shouldParseVersion12', function () {
+
+      var doc = xliff.parse(xliff12);
+
+      test.object(doc)
+        .hasKey('version', '1.2')
+        .hasKey('sourceLanguage', 'en')
+        .hasKey('targetLanguage', 'fr');
+
+      test.object(
+        doc.units[1]
+      ).is({
+        id: '2',
+        context: 'verb',
+        source: 'Open',
+        target: 'Ouvrir maintenant',
+        state: null
+      });
+
+      test.array(
+        doc.units
+      ).hasLength(3);
+
+    });
+
+    it('shouldParseVersion20', function () {
+
+      var doc = xliff.parse(xliff20);
+
+      test.object(doc)
+        .hasKey('version', '2.0')
+        .hasKey('sourceLanguage', 'en')
+        .hasKey('targetLanguage', 'de');
+
+      test.object(
+        doc.units[0]
+      ).is({
+        id: '1',
+        context: 'verb',
+        source: 'Open. Now.',
+        target: 'Öffnen. Jetzt.',
+        state: 'translated'
+      });
+
+    });
+
+    it('shouldRejectUnitsWithInlineElements', function () {
+
+      test.error(function () {
+        xliff.parse(xliff12.replace(
+          'Ouvrir maintenant', 'Ouvrir <g id="b">maintenant</g>'
+        ));
+      }).match(/^Unsupported inline element "g" in unit "2"$/);
+
+      test.error(function () {
+        xliff.parse(xliff12.replace(
+          '<source>Open</source>', '<source>Open <x id="1"/></source>'
+        ));
+      }).match(/^Unsupported inline element "x" in unit "2"$/);
+
+      test.error(function () {
+        xliff.parse(xliff20.replace(
+          '<target>Jetzt.</target>', '<target>Jetzt <ph id="1"/>.</target>'
+        ));
+      }).match(/^Unsupported inline element "ph" in unit "1"$/);
+
+      test.error(function () {
+        xliff.parse(xliff20.replace(
+          '<source>Now.</source>',
+          '<source><pc id="1">Now</pc>.</source>'
+        ));
+      }).match(/^Unsupported inline element "pc" in unit "1"$/);
+
+    });
+
+  });
+
+  describe('xliff.toTranslations()', function () {
+
+    it('shouldSkipUntranslatedUnits', function () {
+
+      test.object(
+        xliff.toTranslations(xliff.parse(xliff12))
+      ).is({
+        'Hello world': 'Bonjour le monde',
+        'verb\u0004Open': 'Ouvrir maintenant'
+      });
+
+      test.object(
+        xliff.toTranslations(xliff.parse(xliff20))
+      ).is({
+        'verb\u0004Open. Now.': 'Öffnen. Jetzt.'
+      });
+
+    });
+
+    it('shouldSkipUnitsWhichNeedReviewing', function () {
+
+      var doc = xliff.parse(xliff12);
+
+      doc.units[0].state = 'needs-review-translation';
+
+      test.object(
+        xliff.toTranslations(doc)
+      ).is({
+        'verb\u0004Open': 'Ouvrir maintenant'
+      });
+
+    });
+
+  });
+
+  describe('xliff.fuzzy()', function () {
+
+    it('shouldReturnTheUnitsWhichNeedReviewing', function () {
+
+      var doc = xliff.parse(xliff12);
+
+      doc.units[0].state = 'needs-review-translation';
+      doc.units[2].state = 'needs-review-translation';
+
+      test.array(
+        xliff.fuzzy(doc)
+      ).is(['Hello world', 'Untranslated']);
+
+      test.array(
+        xliff.fuzzy(xliff.parse(xliff12))
+      ).is([]);
+
+      test.array(
+        xliff.fuzzy(xliff.parse(xliff20))
+      ).is([]);
+
+    });
+
+  });
+
+  describe('xliff.compile()', function () {
+
+    it('shouldThrowAnErrorIfTheVersionIsUnsupported', function () {
+
+      test.error(function () {
+        xliff.compile({version: '3.0', units: []});
+      }).isInstanceOf(Error);
+
+    });
+
+    it('shouldRoundTripBothVersions', function () {
+
+      ['1.2', '2.0'].forEach(function (version) {
+
+        var doc = xliff.parse(xliff.compile({
+          version: version,
+          sourceLanguage: 'en',
+          targetLanguage: 'fr',
+          units: [{
+            id: 'u1',
+            context: 'verb',
+            source: 'Open <b>now</b> & "later"',
+            target: 'Ouvrir'
+          }, {
+            id: 'u2',
+            source: 'Untranslated',
+            target: null
+          }]
+        }));
+
+        test.object(doc)
+          .hasKey('version', version)
+          .hasKey('targetLanguage', 'fr');
+
+        test.object(
+          xliff.toTranslations(doc)
+        ).is({
+          'verb\u0004Open <b>now</b> & "later"': 'Ouvrir'
+        });
+
+        test.string(
+          doc.units[1].source
+        ).is('Untranslated');
+
+      });
+
+    });
+
+  });
+
+  describe('xliff.read()', function () {
+
+    it('shouldNotCallTheCallbackAgainIfItThrows', function (done) {
+
+      var filename = path.join(
+            os.tmpdir(), 'entity-tests--xliff--' + process.pid + '.fr.xlf'
+          ),
+          calls = 0;
+
+      fs.writeFileSync(filename, xliff12);
+
+      catchUncaught(function (err) {
+
+        fs.unlinkSync(filename);
+
+        test.string(err.message).is('boom');
+        test.number(calls).is(1);
+
+        done();
+
+      });
+
+      xliff.read(filename, null, function () {
+        calls++;
+        throw new Error('boom');
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,114 @@
+/**
+ *  ____            __        __
+ * /\  _`\         /\ \__  __/\ \__
+ * \ \ \L\_\    ___\ \ ,_\/\_\ \ ,_\  __  __
+ *  \ \  _\L  /' _ `\ \ \/\/\ \ \ \/ /\ \/\ \
+ *   \ \ \L\ \/\ \/\ \ \ \_\ \ \ \ \_\ \ \_\ \
+ *    \ \____/\ \_\ \_\ \__\\ \_\ \__\\/`____ \
+ *     \/___/  \/_/\/_/\/__/ \/_/\/__/ `/___/> \
+ *                                        /\___/
+ *                                        \/__/
+ *
+ * Entity Core
+ */
+
+
+var test = require('unit.js'),
+    loader = require('nsloader'),
+    xml = loader('Entity/Locale/xml');
+
+describe('entity/Locale/xml', function () {
+
+  'use strict';
+
+  describe('xml.parse()', function () {
+
+    it('shouldThrowAnErrorIfNotWellFormed', function () {
+
+      test.error(function () {
+        xml.parse('<a><b></a>');
+      }).isInstanceOf(Error);
+
+      test.error(function () {
+        xml.parse('<a>');
+      }).isInstanceOf(Error);
+
+      test.error(function () {
+        xml.parse('text');
+      }).isInstanceOf(Error);
+
+      test.error(function () {
+        xml.parse('<a>1 < 2</a>');
+      }).match(/^Unexpected "<" at position 5$/);
+
+      test.error(function () {
+        xml.parse('<a>x<b</a>');
+      }).isInstanceOf(Error);
+
+    });
+
+    it('shouldReturnTheRootElement', function () {
+
+      var root = xml.parse(
+        '<?xml version="1.0"?><!-- comment -->' +
+        '<x:a b="1 &amp; 2" c=\'3\'><d/>e &lt; f<![CDATA[<g>]]></x:a>'
+      );
+
+      test.object(root)
+        .hasKey('name', 'x:a');
+
+      test.object(
+        root.attributes
+      ).is({b: '1 & 2', c: '3'});
+
+      test.array(
+        root.children
+      ).is([
+        {name: 'd', attributes: {}, children: []},
+        'e < f',
+        '<g>'
+      ]);
+
+    });
+
+  });
+
+  describe('xml.decode()', function () {
+
+    it('shouldDecodeAstralCharacterReferences', function () {
+
+      test.string(
+        xml.decode('&#x1F600; &#128512; &#233; &#x110000; &unknown;')
+      ).is('\uD83D\uDE00 \uD83D\uDE00 \u00E9 &#x110000; &unknown;');
+
+    });
+
+  });
+
+  describe('xml.escape()', function () {
+
+    it('shouldEscapeTheText', function () {
+
+      test.string(
+        xml.escape('<a href="x">&</a>')
+      ).is('&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;');
+
+    });
+
+  });
+
+  describe('xml.children()', function () {
+
+    it('shouldReturnChildrenByLocalName', function () {
+
+      var root = xml.parse('<a><x:b>1</x:b><c/><b>2</b></a>');
+
+      test.array(
+        xml.children(root, 'b').map(xml.text)
+      ).is(['1', '2']);
+
+    });
+
+  });
+
+});